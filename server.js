@@ -1,20 +1,80 @@
 const express = require("express");
 const http = require("http");
+const os = require("os");
+const crypto = require("crypto");
 const socketIo = require("socket.io");
 const cors = require("cors");
+const { buildPlayerView, buildPublicPlayer } = require("./src/views");
+const { createStorage } = require("./src/storage");
+const fairness = require("./src/fairness");
+const { createBotSocket } = require("./src/bots/bot-socket");
+const { getStrategy, defaultStrategyFor, supportsVariant } = require("./src/bots/strategies");
+const history = require("./src/history");
+const engine = require("./src/engine");
+const { parseCard } = require("./src/engine/cards");
+const i18n = require("./src/i18n");
+const tournament = require("./src/tournament");
+const roomGame = require("./src/room-game");
+const seats = require("./src/seats");
+const turnClock = require("./src/turn-clock");
+const { createSpectators } = require("./src/spectators");
+const lobby = require("./src/lobby");
+const chat = require("./src/chat");
+const validation = require("./src/validation");
+const { createStats, PERIODS, SORT_KEYS } = require("./src/stats");
+const cluster = require("./src/cluster");
+const { logger } = require("./src/logger");
+const { createRegistry, createRateWindow } = require("./src/metrics");
+const { createAuditLog } = require("./src/audit");
+const { createAccounts, createSharedAccounts, publicAccount, splitPool, hashPassword, verifyPassword } = require("./src/accounts");
+const auth = require("./src/auth");
+const { DEFAULT_SETTINGS, validateSettings, touchesEngineSettings } = require("./src/settings");
+
+const { msg } = i18n;
 
 const app = express();
 
-app.use(cors({ origin: "*", methods: ["GET", "POST", "OPTIONS"] }));
+// ---------- CẤU HÌNH XÁC THỰC ----------
+// CORS_ORIGINS="https://a.com,https://b.com" thì chỉ các origin đó được gửi kèm cookie;
+// không đặt thì mở cho mọi origin nhưng không cho credentials (token đi qua header / handshake)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "").split(",").map(o => o.trim()).filter(Boolean);
+const CORS_OPTIONS = CORS_ORIGINS.length ? { origin: CORS_ORIGINS, credentials: true } : { origin: "*", credentials: false };
+// Không đặt JWT_SECRET thì mỗi lần restart mọi token cũ đều mất hiệu lực
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString("hex");
+if (!process.env.JWT_SECRET) logger.warn("JWT_SECRET not set, using a random key");
+// GUEST_MODE=off để bắt buộc có tài khoản
+const GUEST_MODE = process.env.GUEST_MODE !== "off";
+const guestLimiter = auth.createGuestLimiter({
+  limit: parseInt(process.env.GUEST_LIMIT) || 5,
+  windowMs: 60 * 60 * 1000,
+});
+// Tài khoản mới có xu tặng (STARTING_BALANCE) nên đăng ký cũng giới hạn theo IP như tên khách
+const signupLimiter = auth.createGuestLimiter({
+  limit: parseInt(process.env.SIGNUP_LIMIT) || 3,
+  windowMs: 60 * 60 * 1000,
+});
+
+// TRUST_PROXY = số proxy (load balancer) đứng trước server; địa chỉ client đọc từ
+// X-Forwarded-For chỉ khi có đặt, cho cả req.ip lẫn socket (giới hạn tần suất theo IP)
+const TRUST_PROXY = parseInt(process.env.TRUST_PROXY) || 0;
+app.set("trust proxy", TRUST_PROXY);
+
+app.use(cors({ ...CORS_OPTIONS, methods: ["GET", "POST", "OPTIONS"] }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// ---------- NGÔN NGỮ (HTTP) ----------
+// ?lang=en hoặc header Accept-Language; lỗi trả về { error, code, params }
+const requestLocale = (req) => i18n.resolveLocale(req.query.lang, req.get("accept-language"));
+const localizeHttp = (req, body) => i18n.localize(requestLocale(req), body);
+const sendHttpError = (req, res, status, message) => res.status(status).json(localizeHttp(req, { error: message }));
+
 app.get("/", (req, res) => {
   res.json({
     message: "Poker Tournament Server",
     status: "OK",
     timestamp: new Date().toISOString(),
-    endpoints: { health: "/health", socket: "ws://" + req.get("host") + "/socket.io/" },
+    endpoints: { health: "/health", metrics: "/metrics", odds: "/odds", socket: "ws://" + req.get("host") + "/socket.io/" },
     version: "1.0.0",
   });
 });
@@ -28,652 +88,2163 @@ app.get("/health", (req, res) => {
   });
 });
 
+app.get("/variants", (req, res) => {
+  res.json({ default: engine.DEFAULT_VARIANT, variants: engine.listVariants() });
+});
+
+// ---------- XÁC THỰC ----------
+const issueAccountToken = (account) =>
+  auth.signToken({ sub: account.id, name: account.username }, JWT_SECRET, auth.ACCOUNT_TOKEN_TTL_S);
+
+// Trả về { user } hoặc { error }. Token còn hạn vẫn có thể trỏ tới tài khoản không còn trong kho
+// (storage bị xóa, hoặc vừa chuyển sang SHARED_STORE=redis, xem NHIỀU INSTANCE)
+const authenticateToken = async (token) => {
+  const user = auth.userFromPayload(auth.verifyToken(token, JWT_SECRET));
+  if (!user || (user.guest && !GUEST_MODE)) return { error: msg("login-required") };
+  if (user.accountId && !(await accounts.getAccount(user.accountId))) return { error: msg("account-not-found") };
+  return { user };
+};
+
+// Header: Authorization: Bearer <token>
+const requireAuth = async (req, res, next) => {
+  const { user, error } = await authenticateToken(auth.readBearer(req.get("authorization")));
+  if (error) return sendHttpError(req, res, 401, error);
+  req.user = user;
+  next();
+};
+
+// Ví chỉ chủ tài khoản được xem
+const requireOwnAccount = (req, res, next) => {
+  if (req.user.accountId !== req.params.id) return sendHttpError(req, res, 403, msg("forbidden"));
+  next();
+};
+
+app.post("/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const account = await accounts.authenticate(username, password);
+  if (!account) return sendHttpError(req, res, 401, msg("invalid-credentials"));
+  res.json({ token: issueAccountToken(account), account: publicAccount(account) });
+});
+
+// Khách nhận tên ngẫu nhiên, mỗi IP chỉ được xin một số tên trong một giờ
+app.post("/auth/guest", (req, res) => {
+  if (!GUEST_MODE) return sendHttpError(req, res, 403, msg("guest-mode-disabled"));
+  guestLimiter.prune();
+  if (!guestLimiter.take(req.ip)) return sendHttpError(req, res, 429, msg("too-many-requests"));
+  const user = { sub: `guest:${crypto.randomBytes(8).toString("hex")}`, name: auth.generateGuestName(), guest: true };
+  res.json({ token: auth.signToken(user, JWT_SECRET, auth.GUEST_TOKEN_TTL_S), user: auth.userFromPayload(user) });
+});
+
+// ---------- TÀI KHOẢN & VÍ ----------
+app.post("/accounts", async (req, res) => {
+  signupLimiter.prune();
+  if (!signupLimiter.take(req.ip)) return sendHttpError(req, res, 429, msg("too-many-requests"));
+  const { account, error } = await accounts.register(req.body || {});
+  if (error) return sendHttpError(req, res, 400, error);
+  res.status(201).json({ ...publicAccount(account), token: issueAccountToken(account) });
+});
+
+app.get("/accounts/:id", requireAuth, requireOwnAccount, async (req, res) => {
+  const account = await accounts.getAccount(req.params.id);
+  if (!account) return sendHttpError(req, res, 404, msg("account-not-found"));
+  res.json(publicAccount(account));
+});
+
+app.get("/accounts/:id/balance", requireAuth, requireOwnAccount, async (req, res) => {
+  const account = await accounts.getAccount(req.params.id);
+  if (!account) return sendHttpError(req, res, 404, msg("account-not-found"));
+  res.json({ accountId: account.id, balance: account.balance });
+});
+
+// ?limit=50&before=<seq> để lật trang về các giao dịch cũ hơn
+app.get("/accounts/:id/transactions", requireAuth, requireOwnAccount, async (req, res) => {
+  const account = await accounts.getAccount(req.params.id);
+  if (!account) return sendHttpError(req, res, 404, msg("account-not-found"));
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const before = parseInt(req.query.before) || Infinity;
+  res.json({ accountId: account.id, balance: account.balance, transactions: await accounts.history(account.id, { limit, before }) });
+});
+
+// ---------- THỐNG KÊ & BẢNG XẾP HẠNG ----------
+// Công khai theo tên đăng nhập: chỉ có số liệu ván / giải, không có số dư ví
+app.get("/players/:username", async (req, res) => {
+  const account = await accounts.findByUsername(req.params.username);
+  if (!account) return sendHttpError(req, res, 404, msg("player-not-found"));
+  res.json({ playerName: account.username, createdAt: account.createdAt, ...stats.profile(account.id) });
+});
+
+// /leaderboards/weekly?sort=winRate&limit=20
+app.get("/leaderboards/:period", (req, res) => {
+  const { period } = req.params;
+  const sort = req.query.sort || "net";
+  if (!PERIODS.includes(period)) return sendHttpError(req, res, 400, msg("invalid-period", { periods: PERIODS }));
+  if (!SORT_KEYS.includes(sort)) return sendHttpError(req, res, 400, msg("invalid-sort", { keys: SORT_KEYS }));
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+  res.json({ period, sort, players: stats.leaderboard({ period, sort, limit }) });
+});
+
+// ---------- GIẢI ĐẤU ----------
+// Đọc từ shared store để thấy cả giải do instance khác giữ
+app.get("/tournaments", async (req, res) => {
+  const saved = Object.values(await sharedStore.hgetall(TOURNAMENT_STATE)).map(json => JSON.parse(json));
+  res.json({ tournaments: saved.map(tournament.summarizeTournament) });
+});
+
+app.get("/tournaments/:id", async (req, res) => {
+  const json = await sharedStore.hget(TOURNAMENT_STATE, req.params.id.toUpperCase());
+  if (!json) return sendHttpError(req, res, 404, msg("tournament-not-found"));
+  res.json(tournament.summarizeTournament(JSON.parse(json)));
+});
+
+// ---------- SẢNH ----------
+// ?variant=lieng&state=waiting để lọc; phòng riêng và bàn giải không hiện
+app.get("/rooms", async (req, res) => {
+  const { variant, state } = req.query;
+  res.json({ rooms: lobby.listPublicRooms(await loadLobbyIndex(), { variant, state }) });
+});
+
+// ---------- LỊCH SỬ VÁN ----------
+// Phòng của instance khác thì đọc bản lưu trong shared store
+const findRoomForRead = async (roomCode) => rooms.get(roomCode) ||
+  (CLUSTERED ? JSON.parse(await sharedStore.hget(ROOM_STATE, roomCode) || "null") : null);
+
+// Bản ghi ván lưu riêng nên vẫn xem được sau khi phòng / bàn giải đã đóng
+app.get("/rooms/:code/hands", requireAuth, async (req, res) => {
+  const roomCode = req.params.code.toUpperCase();
+  const records = await loadHandRecords(roomCode);
+  if (!records.length && !(await findRoomForRead(roomCode))) return sendHttpError(req, res, 404, msg("room-not-found"));
+  res.json({ roomCode, hands: records.map(history.summarizeHand) });
+});
+
+app.get("/rooms/:code/hands/:handNumber", requireAuth, async (req, res) => {
+  const roomCode = req.params.code.toUpperCase();
+  const records = await loadHandRecords(roomCode);
+  if (!records.length && !(await findRoomForRead(roomCode))) return sendHttpError(req, res, 404, msg("room-not-found"));
+  const record = records.find(h => h.handNumber === parseInt(req.params.handNumber));
+  if (!record) return sendHttpError(req, res, 404, msg("hand-not-found"));
+  res.json(localizeHttp(req, record));
+});
+
+// ---------- XÁC SUẤT THẮNG ----------
+// /odds?cards=AS,KS,QS&opponents=3
+// Tới hai đối thủ là xác suất chính xác, từ ba đối thủ là ước lượng, trả kèm estimate: true (src/engine/odds.js)
+// Cách xếp hạng: roomCode=ABC123 theo phòng đó, hoặc variant=lieng kèm handRanking /
+// a23Straight / suitTiebreak (biến thể có luật cố định thì không cho đổi)
+const RANKING_QUERY_KEYS = ["handRanking", "a23Straight", "suitTiebreak"];
+
+const parseRankingQuery = (query) => Object.fromEntries(RANKING_QUERY_KEYS
+  .filter(key => query[key] !== undefined)
+  .map(key => [key, key === "suitTiebreak" && ["true", "false"].includes(query[key]) ? query[key] === "true" : query[key]]));
+
+app.get("/odds", async (req, res) => {
+  const cards = String(req.query.cards || "").split(",").filter(Boolean).map(parseCard);
+  if (cards.includes(null)) return sendHttpError(req, res, 400, msg("invalid-card"));
+  const opponents = req.query.opponents === undefined ? 1 : Number(req.query.opponents);
+
+  let variant;
+  let settings;
+  if (req.query.roomCode) {
+    const room = await findRoomForRead(String(req.query.roomCode).toUpperCase());
+    if (!room) return sendHttpError(req, res, 404, msg("room-not-found"));
+    variant = engine.getVariant(room.variant);
+    settings = room.settings;
+  } else {
+    variant = engine.getVariant(req.query.variant);
+    if (!variant) return sendHttpError(req, res, 400, msg("variant-not-found"));
+    const requested = parseRankingQuery(req.query);
+    const validated = validateSettings(requested, { ...DEFAULT_SETTINGS, ...variant.defaultSettings });
+    if (validated.error) return sendHttpError(req, res, 400, validated.error);
+    const applied = engine.applyVariantSettings(variant, validated.settings, requested);
+    if (applied.error) return sendHttpError(req, res, 400, applied.error);
+    settings = applied.settings;
+  }
+  if (variant.cardsPerPlayer !== 3) return sendHttpError(req, res, 400, msg("odds-variant-unsupported", { variant: variant.title }));
+
+  const { odds, error } = engine.handOdds(cards, { opponents, settings });
+  if (error) return sendHttpError(req, res, 400, error);
+  res.json(localizeHttp(req, {
+    variant: variant.name,
+    ranking: Object.fromEntries(RANKING_QUERY_KEYS.map(key => [key, settings[key]])),
+    ...odds,
+  }));
+});
+
+// ---------- SỐ LIỆU CHO PROMETHEUS ----------
+// Đặt METRICS_TOKEN thì Prometheus phải gửi kèm "Authorization: Bearer <token>"
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+app.get("/metrics", (req, res) => {
+  if (METRICS_TOKEN && auth.readBearer(req.get("authorization")) !== METRICS_TOKEN) {
+    return sendHttpError(req, res, 401, msg("login-required"));
+  }
+  res.type("text/plain; version=0.0.4").send(metrics.render());
+});
+
+// ========== QUẢN TRỊ ==========
+// ADMIN_USERS="alice,bob": các tài khoản được dùng /admin, đăng nhập bình thường rồi gửi
+// token như mọi API khác. Không đặt thì không ai là admin. Mỗi thao tác thay đổi dữ liệu
+// đều được ghi vào nhật ký quản trị (src/audit.js), kể cả khi bị từ chối.
+// Phòng chỉ thao tác được trên instance đang giữ nó (instance khác trả 409 kèm id instance chủ).
+const ADMIN_USERS = (process.env.ADMIN_USERS || "").split(",").map(u => u.trim().toLowerCase()).filter(Boolean);
+
+const requireAdmin = async (req, res, next) => {
+  const account = req.user.accountId && await accounts.getAccount(req.user.accountId);
+  if (!account || !ADMIN_USERS.includes(account.username.toLowerCase())) {
+    logger.warn("admin access denied", { userId: req.user.id, path: req.originalUrl });
+    return sendHttpError(req, res, 403, msg("forbidden"));
+  }
+  req.admin = { accountId: account.id, username: account.username };
+  next();
+};
+
+app.use("/admin", requireAuth, requireAdmin);
+
+// handler trả về { status?, body, target, details? }; mọi kết quả đều được ghi nhật ký
+const adminAction = (action, handler) => async (req, res) => {
+  const { status = 200, body, target, details } = await handler(req);
+  audit.record({ actor: req.admin, action, target, details, ok: status < 400 });
+  res.status(status).json(localizeHttp(req, body));
+};
+
+const adminRoomSummary = (room) => ({
+  code: room.code,
+  variant: room.variant,
+  gameState: room.gameState,
+  host: room.host,
+  tournamentId: room.tournamentId || null,
+  private: Boolean(room.passwordHash),
+  handsPlayed: room.handsPlayed || 0,
+  currentRound: room.currentRound,
+  pot: room.pot,
+  prizePool: room.prizePool || 0,
+  spectators: countSpectators(room.code),
+  players: room.players.map(p => ({
+    id: p.id,
+    name: p.name,
+    userId: p.userId,
+    accountId: p.accountId,
+    isBot: p.isBot,
+    money: p.money,
+    connected: p.connected,
+    sittingOut: p.sittingOut,
+    folded: p.folded,
+    kicked: Boolean(p.kicked),
+  })),
+});
+
+// Trả về { room } hoặc { status, body } để handler trả thẳng
+const findAdminRoom = async (code) => {
+  const room = rooms.get(code.toUpperCase());
+  if (room) return { room };
+  const owner = await ownership.ownerOf(`room:${code.toUpperCase()}`);
+  if (owner && owner !== INSTANCE_ID) return { status: 409, body: { error: msg("room-owned-elsewhere"), instance: owner } };
+  return { status: 404, body: { error: msg("room-not-found") } };
+};
+
+// ?state=playing để lọc
+app.get("/admin/rooms", (req, res) => {
+  const list = [...rooms.values()].filter(room => !req.query.state || room.gameState === req.query.state);
+  res.json({ instance: INSTANCE_ID, rooms: list.map(adminRoomSummary) });
+});
+
+// Toàn bộ state, kể cả bài tẩy và seed ván sau
+app.get("/admin/rooms/:code", async (req, res) => {
+  const { room, status, body } = await findAdminRoom(req.params.code);
+  if (!room) return res.status(status).json(localizeHttp(req, body));
+  const { passwordHash, ...state } = room;
+  res.json(localizeHttp(req, { ...state, spectators: countSpectators(room.code), turnTimer: Boolean(turnTimers.get(room.code)) }));
+});
+
+// Bàn giải đấu do giải điều khiển (chuyển ghế, gộp bàn) nên không dừng / đóng riêng được
+app.post("/admin/rooms/:code/end", adminAction("end-room", async (req) => {
+  const target = req.params.code.toUpperCase();
+  const { room, status, body } = await findAdminRoom(target);
+  if (!room) return { status, body, target };
+  if (room.tournamentId) return { status: 400, body: { error: msg("tournament-table-end") }, target };
+  if (room.gameState !== "playing") return { status: 400, body: { error: msg("room-not-playing") }, target };
+  const ended = forceEndRoom(room, msg("admin-ended-game"));
+  return { body: adminRoomSummary(ended), target, details: { handAborted: Boolean(room.currentHand) } };
+}));
+
+app.post("/admin/rooms/:code/close", adminAction("close-room", async (req) => {
+  const target = req.params.code.toUpperCase();
+  const { room, status, body } = await findAdminRoom(target);
+  if (!room) return { status, body, target };
+  if (room.tournamentId) return { status: 400, body: { error: msg("tournament-table-close") }, target };
+  const details = { gameState: room.gameState, players: room.players.map(p => p.name) };
+  closeRoom(room, msg("admin-closed-room"));
+  return { body: { code: target, closed: true }, target, details };
+}));
+
+// Body: { playerId }
+app.post("/admin/rooms/:code/kick", adminAction("kick-player", async (req) => {
+  const target = req.params.code.toUpperCase();
+  const { playerId } = req.body || {};
+  const { room, status, body } = await findAdminRoom(target);
+  if (!room) return { status, body, target, details: { playerId } };
+  // Ghế giải đấu chỉ rời bàn khi hết chip: mời ra thì ghế ngồi ngoài mãi và giải không kết thúc
+  if (room.tournamentId) return { status: 400, body: { error: msg("tournament-table-kick") }, target, details: { playerId } };
+  const player = room.players.find(p => p.id === playerId);
+  if (!player || player.kicked) return { status: 404, body: { error: msg("player-not-found") }, target, details: { playerId } };
+  kickSeat(room, player, msg("kicked-by-admin"));
+  return { body: adminRoomSummary(rooms.get(target)), target, details: { playerId, playerName: player.name } };
+}));
+
+// Body: { amount, reason }: amount dương là cộng, âm là trừ (không trừ xuống dưới 0).
+// Ghi sổ cái với type "admin-adjust", nên số dư vẫn tính lại được từ sổ cái
+app.post("/admin/accounts/:id/adjust", adminAction("adjust-balance", async (req) => {
+  const target = req.params.id;
+  const { amount, reason } = req.body || {};
+  const details = { amount, reason };
+  const account = await accounts.getAccount(target);
+  if (!account) return { status: 404, body: { error: msg("account-not-found") }, target, details };
+  if (!Number.isSafeInteger(amount) || amount === 0) return { status: 400, body: { error: msg("invalid-amount") }, target, details };
+  if (typeof reason !== "string" || !reason.trim()) return { status: 400, body: { error: msg("reason-required") }, target, details };
+  const ref = `admin:${req.admin.username}`;
+  if (amount > 0) await accounts.credit(account.id, amount, "admin-adjust", ref);
+  else {
+    const error = await accounts.debit(account.id, -amount, "admin-adjust", ref);
+    if (error) return { status: 400, body: { error }, target, details };
+  }
+  emitWallet(account.id);
+  const { balance } = await accounts.getAccount(account.id);
+  return { body: { accountId: account.id, balance }, target, details: { ...details, balance } };
+}));
+
+// ?limit=50&before=<seq>&action=close-room
+app.get("/admin/audit", (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+  const before = parseInt(req.query.before) || Infinity;
+  res.json({ entries: audit.list({ limit, before, action: req.query.action }) });
+});
+
+// Payload lớn nhất của một sự kiện socket (settings, tin nhắn... chỉ vài KB)
+const MAX_PAYLOAD_BYTES = parseInt(process.env.MAX_PAYLOAD_BYTES) || 16 * 1024;
+
 const server = http.createServer(app);
 const io = socketIo(server, {
-  cors: { origin: "*", methods: ["GET", "POST"], credentials: true },
+  cors: { ...CORS_OPTIONS, methods: ["GET", "POST"] },
   allowEIO3: true,
   transports: ["websocket", "polling"],
   pingTimeout: 60000,
   pingInterval: 25000,
-  maxHttpBufferSize: 1e8,
+  maxHttpBufferSize: MAX_PAYLOAD_BYTES,
 });
 
 const PORT = process.env.PORT || 3000;
-
+// Thời gian giữ ghế cho người mất kết nối trước khi bỏ bài / xóa khỏi phòng
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS) || 60000;
+// Đồng hồ mỗi lượt và quỹ thời gian dự phòng (0 = tắt), cấu hình lại được trong room.settings
+const TURN_TIME_MS = parseInt(process.env.TURN_TIME_MS) || 30000;
+const TIME_BANK_MS = parseInt(process.env.TIME_BANK_MS) || 0;
+const TURN_TICK_MS = 1000;
+const NEXT_HAND_DELAY_MS = 3000;
+// Số xu tặng cho tài khoản mới: ít thôi, đủ vài lần buy-in mặc định (đặt 0 để tắt)
+const STARTING_BALANCE = process.env.STARTING_BALANCE === undefined ? 1000 : parseInt(process.env.STARTING_BALANCE) || 0;
+const ROOM_PASSWORD_MIN = 4;
+const ROOM_PASSWORD_MAX = 64;
+const CHAT_RATE_LIMIT = parseInt(process.env.CHAT_RATE_LIMIT) || 5; // số tin mỗi CHAT_RATE_WINDOW_MS
+const CHAT_RATE_WINDOW_MS = 10000;
+// Số sự kiện mỗi giây (và số gửi dồn tối đa) cho mỗi socket và cho mỗi IP (nhiều tab / nhiều máy sau NAT)
+const SOCKET_RATE_LIMIT = parseInt(process.env.SOCKET_RATE_LIMIT) || 10;
+const SOCKET_RATE_BURST = 20;
+const IP_RATE_LIMIT = parseInt(process.env.IP_RATE_LIMIT) || 30;
+const IP_RATE_BURST = 60;
+// Bot "suy nghĩ" một khoảng ngẫu nhiên trước mỗi hành động
+const BOT_MIN_DELAY_MS = 800;
+const BOT_MAX_DELAY_MS = 2000;
+
+// ---------- NHIỀU INSTANCE ----------
+// SHARED_STORE=redis (REDIS_URL) để chạy nhiều instance sau một load balancer: adapter phát
+// sự kiện sang mọi instance, mỗi phòng / giải có đúng một instance chủ (xem src/cluster).
+// Tài khoản và sổ cái cũng nằm trong shared store (createSharedAccounts) để instance nào cũng
+// đăng nhập và trừ được cùng một ví; thống kê và nhật ký quản trị vẫn theo storage từng instance.
+// Tài khoản đã có trong storage từ lúc chạy một instance không được chép sang shared store.
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}-${crypto.randomBytes(3).toString("hex")}`;
+const OWNERSHIP_TTL_MS = 15000;
+const OWNERSHIP_RENEW_MS = 5000;
+const sharedStore = cluster.createSharedStore({ type: process.env.SHARED_STORE || "memory", url: process.env.REDIS_URL });
+// Store trong bộ nhớ chỉ có một instance: không cần adapter cluster hay bản lưu dùng chung
+const CLUSTERED = sharedStore.name !== "memory";
+if (CLUSTERED) io.adapter(cluster.createStoreAdapter(sharedStore));
+const ownership = cluster.createOwnership({ store: sharedStore, instanceId: INSTANCE_ID, ttlMs: OWNERSHIP_TTL_MS });
+// Tên các hash trong shared store
+const ROOM_STATE = "rooms"; // code -> JSON room (chỉ khi CLUSTERED)
+const TOURNAMENT_STATE = "tournaments"; // id -> JSON giải
+const LOBBY_INDEX = "lobby"; // code -> bản ghi sảnh (lobby.indexRoom)
+const handRecordsHash = (roomCode) => `hands:${roomCode}`; // handNumber -> JSON bản ghi ván
+
+const logStoreError = (err) => logger.error("shared store error", { err });
+
+// rooms là bản làm việc trong bộ nhớ, storage giữ bản sao để khôi phục sau khi restart
+const storage = createStorage({ type: process.env.STORAGE || "file", dir: process.env.STORAGE_DIR });
+// Mọi hàm của accounts đều được await: kho dùng chung trả về Promise, kho trong storage thì không
+const accounts = CLUSTERED
+  ? createSharedAccounts({ store: sharedStore, startingBalance: STARTING_BALANCE })
+  : createAccounts({ storage, startingBalance: STARTING_BALANCE });
+const stats = createStats({ storage });
 const rooms = new Map();
 const players = new Map();
+const disconnectTimers = new Map(); // reconnectToken -> timeout hết hạn giữ ghế
+const turnTimers = new Map(); // roomCode -> đồng hồ của lượt hiện tại
+const botSockets = new Map(); // botId -> socket giả của bot
+const botTimers = new Map(); // roomCode -> timeout hành động kế tiếp của bot
+const spectators = createSpectators(); // socketId -> roomCode đang xem
+const lobbyListing = new Map(); // roomCode -> bản tóm tắt (JSON) đã gửi lên sảnh lần cuối
+const socketLimiter = validation.createTokenBucket({ capacity: SOCKET_RATE_BURST, refillPerSec: SOCKET_RATE_LIMIT });
+const ipLimiter = validation.createTokenBucket({ capacity: IP_RATE_BURST, refillPerSec: IP_RATE_LIMIT });
+const chatLimiter = chat.createChatLimiter({ limit: CHAT_RATE_LIMIT, windowMs: CHAT_RATE_WINDOW_MS });
+const filterProfanity = chat.createProfanityFilter(
+  process.env.CHAT_BANNED_WORDS ? process.env.CHAT_BANNED_WORDS.split(",") : chat.DEFAULT_BANNED_WORDS,
+);
+const tournaments = new Map(); // tournamentId -> giải đấu nhiều bàn
+const remoteSockets = new Map(); // socketId -> socket đại diện cho client nối vào instance khác
+const audit = createAuditLog({ storage, logger });
+
+// ---------- SỐ LIỆU VẬN HÀNH (/metrics) ----------
+// Chỉ tính phần của instance này; Prometheus scrape từng instance rồi cộng lại
+const metrics = createRegistry();
+const handsWindow = createRateWindow(60 * 1000);
+metrics.gauge({ name: "poker_connected_sockets", help: "Socket đang nối vào instance", collect: () => io.of("/").sockets.size });
+metrics.gauge({
+  name: "poker_active_rooms",
+  help: "Phòng instance đang giữ, theo trạng thái",
+  collect: () => ["waiting", "playing", "ended"].map(state => ({
+    labels: { state },
+    value: [...rooms.values()].filter(room => room.gameState === state).length,
+  })),
+});
+const handsTotal = metrics.counter({ name: "poker_hands_total", help: "Ván đã kết thúc, theo biến thể" });
+metrics.gauge({ name: "poker_hands_per_minute", help: "Ván kết thúc trong 60 giây gần nhất", collect: () => handsWindow.count() });
+const eventDuration = metrics.histogram({ name: "poker_socket_event_duration_seconds", help: "Thời gian chạy handler sự kiện socket" });
+const eventErrors = metrics.counter({ name: "poker_socket_event_errors_total", help: "Sự kiện socket bị bỏ hoặc handler lỗi, theo lý do" });
+const actionRejections = metrics.counter({ name: "poker_action_rejections_total", help: "Hành động bị engine từ chối" });
+
+// ---------- NGÔN NGỮ (SOCKET) ----------
+// Mỗi socket chọn ngôn ngữ lúc kết nối (auth.locale, ?lang= hoặc Accept-Language) và ở
+// trong kênh locale:<ngôn ngữ>. Socket giả của bot không có ngôn ngữ, dùng mặc định.
+const localeChannel = (locale) => `locale:${locale}`;
+
+const emitTo = (socket, event, payload) =>
+  socket.emit(event, i18n.localize(socket.data.locale || i18n.DEFAULT_LOCALE, payload));
+
+const sendError = (socket, message) => emitTo(socket, "error", { message });
+
+// Gửi vào một kênh (phòng, khán giả, id socket...). Payload có thông điệp thì dựng riêng
+// cho từng ngôn ngữ và gửi cho đúng nhóm socket đó; except() qua được cả cluster adapter
+const emitLocalized = (channel, event, payload) => {
+  if (!i18n.hasMessages(payload)) return io.to(channel).emit(event, payload);
+  i18n.LOCALES.forEach((locale) => {
+    const others = i18n.LOCALES.filter(l => l !== locale).map(localeChannel);
+    io.to(channel).except(others).emit(event, i18n.localize(locale, payload));
+  });
+};
+
+// ---------- GỬI TRẠNG THÁI RIÊNG CHO TỪNG NGƯỜI ----------
+// Mỗi người chơi nhận payload được dựng riêng theo góc nhìn của mình
+const emitToPlayers = (room, event, buildPayload) => {
+  room.players.forEach((p) => {
+    if (p.connected === false) return;
+    emitLocalized(p.id, event, buildPayload(p.id));
+  });
+  // Khán giả nhận góc nhìn của người ngoài bàn (viewerId = null)
+  emitToSpectators(room, event, buildPayload(null));
+};
+
+// ---------- KÊNH KHÁN GIẢ ----------
+const spectatorChannel = (roomCode) => `${roomCode}:spectators`;
+
+// Đếm theo spectators chứ không theo kênh: khán giả nối vào instance khác cũng được
+// ghi ở đây vì spectate-room luôn chạy trên instance chủ của phòng
+const countSpectators = (roomCode) => spectators.count(roomCode);
+
+// Trễ theo spectatorDelayMs (src/spectators.js)
+const emitToSpectators = (room, event, payload) =>
+  spectators.deliver(room, () => emitLocalized(spectatorChannel(room.code), event, payload));
+
+// Sự kiện công khai: gửi cho cả bàn và khán giả
+const emitToRoom = (room, event, payload) => {
+  emitLocalized(room.code, event, payload);
+  emitToSpectators(room, event, payload);
+};
+
+const broadcastSpectatorCount = (room) => {
+  room.spectatorCount = countSpectators(room.code);
+  emitToRoom(room, "spectator-count", { roomCode: room.code, count: room.spectatorCount });
+  publishLobby(room);
+};
+
+// ---------- KÊNH SẢNH ----------
+// Người xem sảnh nhận danh sách đầy đủ khi join-lobby, sau đó chỉ nhận phần thay đổi
+const LOBBY_CHANNEL = "lobby";
+
+const unlistRoom = (roomCode) => {
+  if (!lobbyListing.delete(roomCode)) return;
+  sharedStore.hdel(LOBBY_INDEX, roomCode).catch(logStoreError);
+  io.to(LOBBY_CHANNEL).emit("lobby-room-removed", { code: roomCode });
+};
+
+// Chỉ gửi khi bản ghi thật sự đổi (phần lớn room-updated là tiền cược, sảnh không cần).
+// Chỉ mục nằm trong shared store để sảnh / quick-match thấy phòng của mọi instance.
+const publishLobby = (room) => {
+  if (!lobby.isListed(room)) return unlistRoom(room.code);
+  const entry = lobby.indexRoom(room);
+  const json = JSON.stringify(entry);
+  if (lobbyListing.get(room.code) === json) return;
+  lobbyListing.set(room.code, json);
+  sharedStore.hset(LOBBY_INDEX, room.code, json).catch(logStoreError);
+  io.to(LOBBY_CHANNEL).emit("lobby-room-updated", lobby.listPublicRooms([entry])[0]);
+};
+
+const loadLobbyIndex = async () => Object.values(await sharedStore.hgetall(LOBBY_INDEX)).map(json => JSON.parse(json));
+
+// Mọi chuyển trạng thái đều kết thúc bằng một lần gửi room state, nên ghi storage ở đây
+const saveRoom = (room) => {
+  try {
+    storage.saveRoom(room);
+  } catch (err) {
+    logger.error("room save failed", { roomCode: room.code, err });
+  }
+  // Bản trong shared store để instance khác nhận lại phòng nếu instance này chết
+  if (CLUSTERED) sharedStore.hset(ROOM_STATE, room.code, JSON.stringify(room)).catch(logStoreError);
+};
+
+// ---------- BẢN GHI VÁN ----------
+// Lưu riêng, không nằm trong room: saveRoom không phải ghi lại cả lịch sử mỗi lần, và
+// forgetRoom không xóa nên lịch sử của phòng / giải còn lại sau khi phòng đóng.
+// Khi CLUSTERED thì đọc từ shared store để instance nào cũng trả được.
+const saveHandRecord = (record) => {
+  try {
+    storage.appendHand(record);
+  } catch (err) {
+    logger.error("hand record save failed", { roomCode: record.roomCode, handNumber: record.handNumber, err });
+  }
+  if (CLUSTERED) {
+    sharedStore.hset(handRecordsHash(record.roomCode), String(record.handNumber), JSON.stringify(record)).catch(logStoreError);
+  }
+};
+
+// Theo thứ tự ván
+const loadHandRecords = async (roomCode) => {
+  if (!CLUSTERED) return storage.loadHands(roomCode);
+  const records = Object.values(await sharedStore.hgetall(handRecordsHash(roomCode))).map(json => JSON.parse(json));
+  return records.sort((a, b) => a.handNumber - b.handNumber);
+};
+
+// Phòng đã đóng / đã xong: xóa mọi bản lưu, gỡ khỏi sảnh và trả khóa chủ sở hữu
+const forgetRoom = (roomCode) => {
+  storage.deleteRoom(roomCode);
+  if (CLUSTERED) sharedStore.hdel(ROOM_STATE, roomCode).catch(logStoreError);
+  unlistRoom(roomCode);
+  ownership.release(`room:${roomCode}`).catch(logStoreError);
+};
+
+const emitRoomState = (room, event = "room-updated") => {
+  saveRoom(room);
+  publishLobby(room);
+  emitToPlayers(room, event, (viewerId) => buildPlayerView(room, viewerId));
+};
 
 // ========== UTILITY FUNCTIONS ==========
 const generateRoomCode = () => {
   const chars = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789";
   let code = "";
-  for (let i = 0; i < 6; i++) code += chars.charAt(Math.floor(Math.random() * chars.length));
+  for (let i = 0; i < 6; i++) code += chars.charAt(crypto.randomInt(chars.length));
   return code;
 };
 
-const createDeck = () => {
-  const suits = ["hearts", "diamonds", "clubs", "spades"];
-  const ranks = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
-  const deck = [];
-  for (const suit of suits) {
-    for (const rank of ranks) {
-      deck.push({ rank, suit, value: getCardValue(rank), symbol: getCardSymbol(suit) });
-    }
+// Mã phòng / giải phải là duy nhất trên mọi instance: giữ được khóa chủ sở hữu mới là của mình
+const claimCode = async (kind) => {
+  for (;;) {
+    const code = generateRoomCode();
+    if (await ownership.claim(`${kind}:${code}`)) return code;
   }
-  return deck;
 };
 
-const getCardValue = (rank) => {
-  const values = { 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9, 10: 10, J: 11, Q: 12, K: 13, A: 14 };
-  return values[rank];
+const generateReconnectToken = () => crypto.randomBytes(24).toString("hex");
+const generateBotId = () => `bot-${crypto.randomBytes(6).toString("hex")}`;
+
+// ---------- MẬT KHẨU PHÒNG ----------
+// null / "" = bỏ mật khẩu. Chỉ lưu bản băm, không bao giờ gửi xuống client
+const hashRoomPassword = (password) => {
+  if (password === undefined || password === null || password === "") return { passwordHash: null };
+  if (typeof password !== "string" || password.length < ROOM_PASSWORD_MIN || password.length > ROOM_PASSWORD_MAX) {
+    return { error: msg("invalid-room-password", { min: ROOM_PASSWORD_MIN, max: ROOM_PASSWORD_MAX }) };
+  }
+  return { passwordHash: hashPassword(password) };
+};
+
+const checkRoomPassword = (room, password) =>
+  !room.passwordHash || (typeof password === "string" && verifyPassword(password, room.passwordHash));
+
+// ---------- DỰNG GHẾ & PHÒNG ----------
+// Người thật có reconnectToken và userId (từ token đăng nhập), bot có isBot + strategy
+const createSeat = ({ id, name, money, position, reconnectToken, userId = null, accountId = null, isBot = false, strategy }) => ({
+  id,
+  name,
+  money,
+  hand: [],
+  viewedCards: false,
+  folded: false,
+  currentBet: 0,
+  position,
+  connected: true,
+  allIn: false,
+  revealedTo: [],
+  ...(isBot ? { isBot: true, strategy } : { reconnectToken, userId, accountId }),
+});
+
+const createRoomState = ({ code, variant, host, settings, players = [], passwordHash = null }) => ({
+  code,
+  variant,
+  host,
+  players,
+  gameState: "waiting",
+  currentRound: 0,
+  dealerIndex: -1,
+  pot: 0,
+  deck: [],
+  currentTurn: 0,
+  minBet: settings.minBet,
+  tournamentRound: 0,
+  tournamentPlayers: [],
+  betHistory: [],
+  lastRaise: null,
+  seeds: { current: null, next: null },
+  currentHand: null,
+  fairness: { serverSeedHash: null, nextServerSeedHash: null, lastReveal: null },
+  createdAt: new Date().toISOString(),
+  settings,
+  passwordHash,
+  spectatorCount: 0,
+});
+
+// ---------- VÍ ----------
+// Chip trong phòng không phải xu trong ví: vào phòng trả entryFee, hết giải đổi chip ra xu
+const accountChannel = (accountId) => `account:${accountId}`;
+
+const emitWallet = (accountId) => {
+  Promise.resolve(accounts.getAccount(accountId)).then((account) => {
+    if (account) io.to(accountChannel(accountId)).emit("wallet-updated", { accountId, balance: account.balance });
+  }).catch(logStoreError);
 };
 
-const getCardSymbol = (suit) => {
-  const symbols = { hearts: "♥", diamonds: "♦", clubs: "♣", spades: "♠" };
-  return symbols[suit];
+// Trả về lỗi nếu tài khoản không còn hoặc không đủ amount, null nếu được (khách luôn được)
+const checkBalance = async (accountId, amount, insufficient) => {
+  if (!accountId) return null;
+  const account = await accounts.getAccount(accountId);
+  if (!account) return msg("account-not-found");
+  return account.balance < amount ? insufficient : null;
 };
 
-const shuffleDeck = (deck) => {
-  for (let i = deck.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [deck[i], deck[j]] = [deck[j], deck[i]];
+// Trả xu về ví theo thứ tự rồi đối soát: sau khi chia thưởng, mọi xu đã thu của phòng / giải
+// phải được trả ra hết. Chạy nền, bảng kết quả không phải chờ ghi sổ
+const payOut = async (payments, type, ref) => {
+  for (const { accountId, amount } of payments) {
+    await accounts.credit(accountId, amount, type, ref);
+    if (accountId && amount > 0) emitWallet(accountId);
   }
+  const { held } = await accounts.reconcile(ref);
+  if (held !== 0) logger.error("ledger imbalance", { ref, held });
+};
+
+// Hết giải một phòng: quỹ chia theo chip cuối cùng, phần của bot / khách về nhà cái
+const cashOutRoom = (room) => {
+  if (!room.ledgerRef) return [];
+  const amounts = splitPool(room.prizePool || 0, room.players.map(p => p.money));
+  payOut(room.players.map((p, i) => ({ accountId: p.accountId, amount: amounts[i] })), "cash-out", room.ledgerRef)
+    .catch(logStoreError);
+  return room.players.map((p, i) => ({ playerId: p.id, playerName: p.name, amount: amounts[i] }));
+};
+
+// ---------- SEED XÁO BÀI (COMMIT-REVEAL) ----------
+// Seed của ván sau được sinh và công bố hash ngay khi ván trước bắt đầu
+const commitNextSeed = (room) => {
+  room.seeds.next = fairness.generateServerSeed();
+  room.fairness.nextServerSeedHash = fairness.hashSeed(room.seeds.next);
+};
+
+const shuffleForHand = (room) => {
+  const serverSeed = room.seeds.next;
+  const clientSeeds = room.players
+    .filter(p => p.money > 0 && !p.sittingOut)
+    .map(p => ({ playerId: p.id, playerName: p.name, seed: p.clientSeed || "" }));
+  const clientSeed = fairness.combineClientSeeds(clientSeeds);
+  const nonce = (room.handsPlayed || 0) + 1;
+
+  const deck = fairness.shuffleDeck(engine.createDeck(), fairness.createSeededRng(serverSeed, clientSeed, nonce));
+  room.seeds.current = { serverSeed, deckOrder: [...deck] };
+  room.fairness = {
+    ...room.fairness,
+    serverSeedHash: fairness.hashSeed(serverSeed),
+    clientSeeds,
+    clientSeed,
+    nonce,
+  };
+  commitNextSeed(room);
   return deck;
 };
 
-// Đánh giá bộ 3 lá
-const evaluateHand = (cards) => {
-  const sorted = [...cards].sort((a, b) => b.value - a.value);
-  const values = sorted.map(c => c.value);
-  const ranks = sorted.map(c => c.rank);
-  const suits = sorted.map(c => c.suit);
+// Hết ván: lộ seed và thứ tự bộ bài để client tự kiểm chứng
+const revealHandSeed = (room) => {
+  const current = room.seeds.current;
+  if (!current) return;
+  room.fairness.lastReveal = {
+    serverSeed: current.serverSeed,
+    serverSeedHash: room.fairness.serverSeedHash,
+    clientSeeds: room.fairness.clientSeeds,
+    clientSeed: room.fairness.clientSeed,
+    nonce: room.fairness.nonce,
+    deckOrder: current.deckOrder,
+    // Chia từ cuối bộ bài, mỗi người cardsPerPlayer lá liên tiếp theo thứ tự ghế
+    // (lấy từ bản ghi ván vì lúc này có người đã đánh hết bài)
+    dealOrder: (room.currentHand?.players || []).filter(p => p.hand.length > 0).map(p => p.playerId),
+    cardsPerPlayer: engine.getVariant(room.variant).cardsPerPlayer,
+  };
+  room.seeds.current = null;
+  emitToRoom(room, "hand-verification", room.fairness.lastReveal);
+};
 
-  if (ranks[0] === ranks[1] && ranks[1] === ranks[2]) {
-    return { type: "three-of-a-kind", value: values[0] * 100, description: `Ba lá ${ranks[0]}` };
-  }
-  const isSameSuit = suits.every(s => s === suits[0]);
-  const isStraight = (values[0] - values[1] === 1 && values[1] - values[2] === 1) ||
-                     (values[0] === 14 && values[1] === 3 && values[2] === 2); // A-2-3
-  if (isSameSuit && isStraight) {
-    return { type: "straight-flush", value: values[0] * 1000, description: `Sảnh đồng chất ${sorted[0].rank}` };
-  }
-  if (isSameSuit) {
-    return { type: "flush", value: values[0] * 10000 + values[1] * 100 + values[2], description: `Đồng chất ${suits[0]}` };
+// ---------- BẮT ĐẦU VÁN MỚI ----------
+// Lưu state mới vào rooms rồi bắt đầu lượt. Ván có thể kết thúc ngay khi chia
+// (ante lấy hết tiền của mọi người), lúc đó đi thẳng sang xử lý hết ván.
+const startNewHand = (room, event = "new-hand-started") => {
+  const { state, events } = engine.startHand(room, shuffleForHand(room));
+  logger.info("hand started", { roomCode: state.code, handNumber: state.handsPlayed, dealer: state.dealerIndex, turn: state.currentTurn, pot: state.pot });
+  rooms.set(state.code, state);
+  emitRoomState(state, event);
+  events.filter(e => e.scope === "player").forEach(({ to, event, payload }) => emitLocalized(to, event, payload));
+
+  const ended = events.find(e => e.event === "hand-ended");
+  if (ended) handleHandEnded(state, ended.payload);
+  else beginTurn(state);
+  return state;
+};
+
+// ---------- ÁP DỤNG HÀNH ĐỘNG ----------
+// Luật chơi nằm trong engine; ở đây chỉ lưu state mới và gửi sự kiện đi.
+// socket = null khi server tự hành động (hết giờ, mất kết nối)
+const dispatchAction = (room, action, socket = null) => {
+  const { state, events, error } = engine.applyAction(room, action);
+  if (error) {
+    actionRejections.inc({ action: action.type });
+    if (socket) sendError(socket, error);
+    else logger.warn("server action rejected", { roomCode: room.code, action: action.type, error: error.code });
+    return null;
   }
-  if (isStraight) {
-    return { type: "straight", value: values[0] * 100, description: `Sảnh ${sorted[0].rank}` };
+
+  rooms.set(state.code, state);
+  let handResult = null;
+  let turnChanged = false;
+  for (const { scope, to, event, payload } of events) {
+    if (scope === "room") emitToRoom(state, event, payload);
+    else if (scope === "player") emitLocalized(to, event, payload);
+    else if (event === "round-advanced") logger.debug("round advanced", { roomCode: state.code, round: payload.round, turn: payload.currentTurn });
+    else if (event === "hand-ended") handResult = payload;
+    else if (event === "turn-changed") turnChanged = true;
   }
-  if (ranks[0] === ranks[1]) return { type: "pair", value: values[0] * 100 + values[2], description: `Đôi ${ranks[0]}` };
-  if (ranks[1] === ranks[2]) return { type: "pair", value: values[1] * 100 + values[0], description: `Đôi ${ranks[1]}` };
-  return { type: "high-card", value: values[0] * 10000 + values[1] * 100 + values[2], description: `Lẻ ${sorted[0].rank} cao` };
+  emitRoomState(state);
+
+  if (handResult) handleHandEnded(state, handResult);
+  else if (turnChanged) beginTurn(state);
+  return state;
 };
 
-const compareHands = (h1, h2) => {
-  const types = { "high-card": 1, pair: 2, straight: 3, flush: 4, "straight-flush": 5, "three-of-a-kind": 6 };
-  if (types[h1.type] > types[h2.type]) return 1;
-  if (types[h1.type] < types[h2.type]) return -1;
-  if (h1.value > h2.value) return 1;
-  if (h1.value < h2.value) return -1;
-  return 0;
+// ---------- KẾT THÚC VÁN ----------
+// Người hết chip không còn trong danh sách tranh giải của phòng
+const dropBustedPlayers = (room) => {
+  room.tournamentPlayers = room.tournamentPlayers.filter(tp => tp.money > 0);
 };
 
-// ---------- QUẢN LÝ LƯỢT CHƠI ----------
-const getNextActivePlayerIndex = (room, startIndex) => {
-  const n = room.players.length;
-  if (n === 0) return -1;
-  let idx = (startIndex + 1) % n;
-  let count = 0;
-  while (count < n) {
-    const p = room.players[idx];
-    if (!p.folded && p.money > 0 && !p.allIn) return idx;
-    idx = (idx + 1) % n;
-    count++;
+const handleHandEnded = (room, result) => {
+  stopTurnTimer(room);
+  revealHandSeed(room);
+  const record = history.finishHandRecord(room, result);
+  if (record) {
+    saveHandRecord(record);
+    stats.recordHand(record, room.variant);
   }
-  return -1;
+  handsTotal.inc({ variant: room.variant });
+  handsWindow.mark();
+  emitToPlayers(room, "hand-ended", (viewerId) => ({
+    winner: buildPublicPlayer(room, result.winner, viewerId),
+    pot: result.pot,
+    pots: result.pots,
+  }));
+  dropBustedPlayers(room);
+  afterHandEnded(room, record);
 };
 
-const getFirstPlayerAfterDealer = (room) => {
-  if (room.players.length === 0) return -1;
-  let idx = (room.dealerIndex + 1) % room.players.length;
-  let count = 0;
-  while (count < room.players.length) {
-    const p = room.players[idx];
-    if (!p.folded && p.money > 0) return idx;
-    idx = (idx + 1) % room.players.length;
-    count++;
-  }
-  return -1;
+// ---------- ĐỒNG HỒ LƯỢT ----------
+// Mỗi hành động tạo ra state mới, nên đồng hồ chỉ giữ mã phòng và số ghế (src/turn-clock.js)
+const emitTurnTimer = (room, timer) => emitToRoom(room, "turn-timer", turnClock.clockPayload(room, timer, Date.now()));
+
+const stopTurnTimer = (room) => {
+  const timer = turnTimers.get(room.code);
+  turnClock.stopClock(room, timer, Date.now());
+  if (!timer) return;
+  clearInterval(timer.interval);
+  turnTimers.delete(room.code);
 };
 
-// ---------- BẮT ĐẦU VÁN MỚI ----------
-const startNewHand = (room) => {
-  console.log(`🃏 New hand - Room: ${room.code}`);
+// Hết giờ: engine tự chọn check nếu hợp lệ, không thì bỏ bài
+const expireTurn = (room, seat) => {
+  stopTurnTimer(room);
+  if (room.gameState !== "playing" || room.currentTurn !== seat) return;
+  dispatchAction(room, { type: "timeout", playerId: room.players[seat].id });
+};
 
-  room.pot = 0;
-  room.minBet = 100;
-  room.currentRound = 1;
-  room.betHistory = [];
-  room.lastRaise = null;
-  room.deck = shuffleDeck(createDeck());
+// Hết giờ chính thì chuyển sang dùng quỹ thời gian nếu còn
+const tickTurnTimer = (roomCode, timer) => {
+  const room = rooms.get(roomCode);
+  if (!room) return clearInterval(timer.interval);
+  if (turnClock.tickClock(room, timer, Date.now()) !== "expired") return emitTurnTimer(room, timer);
+  expireTurn(room, timer.seat);
+};
 
-  // Reset trạng thái người chơi
-  room.players.forEach((p) => {
-    p.hand = [];
-    p.viewedCards = false;
-    p.folded = false;
-    p.currentBet = 0;
-    p.allIn = false;
-    p.actedThisRound = false;
-
-    if (p.money > 0) {
-      const ante = Math.min(100, p.money);
-      p.money -= ante;
-      p.currentBet = ante;
-      room.pot += ante;
-      for (let i = 0; i < 3; i++) if (room.deck.length) p.hand.push(room.deck.pop());
-    } else {
-      p.folded = true; // hết tiền tự động bỏ
+// deadline truyền vào khi khôi phục đồng hồ đang chạy dở sau restart
+const startTurnTimer = (room, deadline = null) => {
+  stopTurnTimer(room);
+  const timer = turnClock.startClock(room, Date.now(), deadline);
+  if (!timer) return;
+  timer.interval = setInterval(() => tickTurnTimer(room.code, timer), TURN_TICK_MS);
+  turnTimers.set(room.code, timer);
+  saveRoom(room);
+  emitTurnTimer(room, timer);
+};
+
+// ---------- GIỮ GHẾ KHI MẤT KẾT NỐI ----------
+// Ghế tìm theo token ở mọi phòng của instance này (src/seats.js)
+const findSeat = (reconnectToken) => seats.findSeat(rooms.values(), reconnectToken);
+
+// Hết thời gian chờ: phòng chờ thì xóa ghế, đang chơi thì bỏ bài và ngồi ngoài
+const expireSeat = (reconnectToken) => {
+  disconnectTimers.delete(reconnectToken);
+  const found = findSeat(reconnectToken);
+  if (!found) return;
+  const { room, player } = found;
+  if (player.connected) return;
+  logger.info("seat expired", { roomCode: room.code, playerName: player.name });
+  // Bàn giải đấu vẫn giữ ghế: đồng hồ lượt tự bỏ bài cho đến khi hết tiền
+  if (room.tournamentId) return;
+
+  if (room.gameState === "waiting") {
+    if (room.host === player.userId) {
+      rooms.delete(room.code);
+      forgetRoom(room.code);
+      emitToRoom(room, "room-closed", { message: msg("host-left") });
+      return;
     }
-  });
+    seats.dropWaitingSeat(room, player);
+    emitRoomState(room);
+    return;
+  }
 
-  // Xoay dealer
-  room.dealerIndex = (room.dealerIndex + 1) % room.players.length;
-  room.currentTurn = getFirstPlayerAfterDealer(room);
-  room.handsPlayed = (room.handsPlayed || 0) + 1;
+  player.sittingOut = true;
+  if (room.gameState !== "playing" || player.folded) return;
 
-  console.log(`   Dealer: ${room.dealerIndex}, Turn: ${room.currentTurn}, Pot: ${room.pot}`);
-  return room;
+  dispatchAction(room, { type: "forfeit", playerId: player.id, reason: "disconnected" });
+};
+
+// ---------- MỜI KHỎI PHÒNG ----------
+// Phòng chờ thì xóa hẳn ghế. Đang chơi thì bỏ bài và ngồi ngoài đến hết trận (chip vẫn
+// được tính khi chia quỹ), vì rút ghế giữa ván sẽ làm lệch dealer và thứ tự lượt.
+// Người bị mời không vào lại được phòng này, kể cả bằng token kết nối lại.
+const kickSeat = (room, player, message = msg("kicked-by-host")) => {
+  logger.info("player kicked", { roomCode: room.code, playerName: player.name });
+  // Bot không có userId để cấm, chỉ cần bỏ socket giả của nó
+  if (player.isBot) botSockets.delete(player.id);
+  else room.bannedUsers = [...(room.bannedUsers || []), player.userId];
+  clearTimeout(disconnectTimers.get(player.reconnectToken));
+  disconnectTimers.delete(player.reconnectToken);
+  players.delete(player.id);
+  emitLocalized(player.id, "kicked", { roomCode: room.code, message });
+  io.in(player.id).socketsLeave(room.code);
+  emitToRoom(room, "player-kicked", { playerId: player.id, playerName: player.name });
+
+  if (room.gameState === "waiting") {
+    seats.dropWaitingSeat(room, player);
+    emitRoomState(room);
+    return;
+  }
+
+  player.kicked = true;
+  player.sittingOut = true;
+  player.connected = false;
+  const inHand = room.gameState === "playing" && !player.folded;
+  if (!inHand || !dispatchAction(room, { type: "forfeit", playerId: player.id, reason: "kicked" })) emitRoomState(room);
 };
 
-// ---------- KIỂM TRA KẾT THÚC VÁN ----------
-const isHandFinished = (room) => {
-  const active = room.players.filter(p => !p.folded && p.money > 0);
-  if (active.length <= 1) return true;
-  const canAct = active.filter(p => !p.allIn && p.money > 0);
-  return canAct.length === 0;
+// ---------- DỪNG / ĐÓNG PHÒNG (QUẢN TRỊ) ----------
+const stopRoomTimers = (room) => {
+  stopTurnTimer(room);
+  clearTimeout(botTimers.get(room.code));
+  botTimers.delete(room.code);
 };
 
-// ---------- GIẢI QUYẾT KẾT THÚC VÁN ----------
-const resolveHand = (room) => {
-  const active = room.players.filter(p => !p.folded && p.money > 0);
+// Gỡ phòng khỏi instance: trả ghế của mọi người (để họ vào phòng / giải khác được ngay),
+// đưa mọi socket ra khỏi kênh của phòng rồi xóa bản lưu
+const releaseRoom = (room) => {
+  stopRoomTimers(room);
+  room.players.forEach((p) => {
+    players.delete(p.id);
+    clearTimeout(disconnectTimers.get(p.reconnectToken));
+    disconnectTimers.delete(p.reconnectToken);
+    if (p.isBot) botSockets.delete(p.id);
+  });
+  io.in(room.code).socketsLeave(room.code);
+  io.in(spectatorChannel(room.code)).socketsLeave(spectatorChannel(room.code));
+  spectators.clearRoom(room.code);
+  rooms.delete(room.code);
+  forgetRoom(room.code);
+};
 
-  if (active.length === 0) {
-    return { winner: null, eliminated: [], pot: room.pot };
+// Dừng trận đang chơi: ván dở bị hủy và hoàn tiền cược, rồi chia quỹ như hết trận.
+// Hẹn giờ ván kế (nếu đang nghỉ giữa hai ván) tự bỏ qua vì phòng không còn "playing"
+const forceEndRoom = (room, reason, closedMessage = null) => {
+  stopRoomTimers(room);
+  let state = room;
+  if (room.currentHand) {
+    const aborted = engine.abortHand(room);
+    state = aborted.state;
+    rooms.set(state.code, state);
+    aborted.events.forEach(({ event, payload }) => emitToRoom(state, event, payload));
   }
+  dropBustedPlayers(state);
+  endRoomGame(state, reason, closedMessage);
+  return state;
+};
 
-  let winners = [];
-  if (active.length === 1) {
-    winners = [active[0]];
-  } else {
-    const evaluated = active.map(p => ({ player: p, eval: evaluateHand(p.hand) }));
-    evaluated.sort((a, b) => compareHands(b.eval, a.eval));
-    const bestScore = evaluated[0].eval.value;
-    winners = evaluated.filter(e => e.eval.value === bestScore).map(e => e.player);
+// Đóng hẳn: đang chơi thì dừng trận trước (để quỹ được chia), rồi mời mọi người ra
+const closeRoom = (room, message) => {
+  if (room.gameState === "playing") return forceEndRoom(room, message, message);
+  emitToRoom(room, "room-closed", { message });
+  releaseRoom(room);
+};
+
+// ---------- CHAT ----------
+// Người vào sau (ngồi hoặc xem) nhận lại đoạn chat gần nhất
+const sendChatHistory = (socket, room) => {
+  socket.emit("chat-history", { roomCode: room.code, messages: room.chatHistory || [] });
+};
+
+// ---------- BOT ----------
+const ensureBotSocket = (bot) => {
+  if (!botSockets.has(bot.id)) {
+    const botSocket = createBotSocket(bot.id);
+    botSocket.use(validateSocketEvent(botSocket));
+    registerSocketHandlers(botSocket);
+    botSockets.set(bot.id, botSocket);
   }
+  return botSockets.get(bot.id);
+};
 
-  if (winners.length > 1) {
-    const share = Math.floor(room.pot / winners.length);
-    winners.forEach(w => w.money += share);
-  } else if (winners.length === 1) {
-    winners[0].money += room.pot;
+const runBotTurn = (roomCode, botId) => {
+  botTimers.delete(roomCode);
+  const room = rooms.get(roomCode);
+  if (!room || room.gameState !== "playing" || room.players[room.currentTurn]?.id !== botId) return;
+
+  const bot = room.players[room.currentTurn];
+  const strategy = getStrategy(bot.strategy) || getStrategy("random");
+  const view = buildPlayerView(room, bot.id);
+  const { event, payload } = strategy.decide(view, {
+    evaluateHand: (cards) => engine.evaluateHand(cards, room.settings),
+    random: Math.random,
+  });
+  const botSocket = ensureBotSocket(bot);
+  const error = botSocket.dispatch(event, payload);
+  if (error) {
+    logger.warn("bot action rejected", { roomCode, botName: bot.name, event, error: error.code });
+    // Làm như hết giờ: mỗi biến thể tự chọn hành động mặc định
+    dispatchAction(rooms.get(roomCode), { type: "timeout", playerId: bot.id });
   }
 
-  const eliminated = room.players.filter(p => p.money <= 0);
-  return { winner: winners[0] || null, eliminated, pot: room.pot };
+  // Xem bài không chuyển lượt nên bot phải quyết định tiếp
+  const latest = rooms.get(roomCode);
+  if (latest && latest.players[latest.currentTurn]?.id === botId) scheduleBotTurn(latest);
+};
+
+const scheduleBotTurn = (room) => {
+  clearTimeout(botTimers.get(room.code));
+  botTimers.delete(room.code);
+  const player = room.players[room.currentTurn];
+  if (room.gameState !== "playing" || !player?.isBot || player.folded) return;
+
+  const delay = BOT_MIN_DELAY_MS + Math.random() * (BOT_MAX_DELAY_MS - BOT_MIN_DELAY_MS);
+  botTimers.set(room.code, setTimeout(() => runBotTurn(room.code, player.id), delay));
+};
+
+// Bắt đầu lượt mới: chạy đồng hồ, và để bot hành động nếu đến lượt bot
+const beginTurn = (room, deadline = null) => {
+  startTurnTimer(room, deadline);
+  scheduleBotTurn(room);
 };
 
 // ---------- XỬ LÝ SAU KHI KẾT THÚC VÁN ----------
-const afterHandEnded = (room, socketio) => {
-  room.tournamentPlayers = room.tournamentPlayers.filter(tp => tp.money > 0);
+// Hết trận: chia quỹ theo chip cuối cùng, gửi bảng xếp hạng rồi gỡ phòng (releaseRoom).
+// reason có khi trận bị dừng giữa chừng (admin); closedMessage khi phòng bị đóng hẳn
+const endRoomGame = (room, reason = null, closedMessage = null) => {
+  room.gameState = "ended";
+  const rankings = [...room.players].sort((a, b) => b.money - a.money);
+  const champ = room.tournamentPlayers[0] || null;
+  const payouts = cashOutRoom(room);
+  emitToPlayers(room, "tournament-ended", (viewerId) => ({
+    winner: buildPublicPlayer(room, champ, viewerId),
+    rankings: rankings.map(p => buildPublicPlayer(room, p, viewerId)),
+    prizePool: room.prizePool || 0,
+    payouts,
+    ...(reason && { reason }),
+  }));
+  if (closedMessage) emitToRoom(room, "room-closed", { message: closedMessage });
+  releaseRoom(room);
+};
+
+const afterHandEnded = (room, record) => {
+  if (room.tournamentId) return onTournamentHandEnded(room, record);
   const tournamentEnded = room.tournamentPlayers.length <= 1 ||
                           room.handsPlayed >= room.startingPlayerCount;
 
   if (tournamentEnded) {
-    room.gameState = "ended";
-    const rankings = [...room.players].sort((a, b) => b.money - a.money);
-    const champ = room.tournamentPlayers[0] || null;
-    socketio.to(room.code).emit("tournament-ended", { winner: champ, rankings });
+    endRoomGame(room);
     return true;
   }
 
-  setTimeout(() => {
-    const newRoom = startNewHand(room);
-    rooms.set(room.code, newRoom);
-    socketio.to(room.code).emit("new-hand-started", newRoom);
-  }, 3000);
+  room.nextHandAt = Date.now() + NEXT_HAND_DELAY_MS;
+  saveRoom(room);
+  scheduleNextHand(room);
   return false;
 };
 
+const scheduleNextHand = (room) => {
+  setTimeout(() => {
+    const current = rooms.get(room.code);
+    if (!current || current.gameState !== "playing") return;
+    current.nextHandAt = null;
+    startNewHand(current);
+  }, Math.max(0, room.nextHandAt - Date.now()));
+};
+
+// ========== GIẢI ĐẤU NHIỀU BÀN ==========
+// Luật của giải nằm trong src/tournament.js; ở đây chỉ dựng bàn, chuyển ghế
+// giữa các room và gửi sự kiện. Mỗi bàn là một room có room.tournamentId, không có chủ phòng.
+const tournamentChannel = (tournamentId) => `tournament:${tournamentId}`;
+
+const saveTournament = (t) => {
+  try {
+    storage.saveTournament(t);
+  } catch (err) {
+    logger.error("tournament save failed", { tournamentId: t.id, err });
+  }
+  // Danh sách giải (GET /tournaments) đọc từ đây để thấy giải của mọi instance
+  sharedStore.hset(TOURNAMENT_STATE, t.id, JSON.stringify(t)).catch(logStoreError);
+};
+
+const emitTournamentUpdate = (t) => {
+  saveTournament(t);
+  io.to(tournamentChannel(t.id)).emit("tournament-updated", tournament.summarizeTournament(t));
+};
+
+// Cài đặt của một bàn: mặc định của biến thể + stack, số ghế và mức cược theo level hiện tại
+const buildTableSettings = (t) => {
+  const variant = engine.getVariant(t.variant);
+  const level = tournament.currentLevel(t);
+  return engine.applyVariantSettings(variant, {
+    ...DEFAULT_SETTINGS,
+    ...variant.defaultSettings,
+    reconnectGraceMs: RECONNECT_GRACE_MS,
+    turnTimeMs: TURN_TIME_MS,
+    timeBankMs: TIME_BANK_MS,
+    entryFee: t.settings.buyIn,
+    startingStack: t.settings.startingStack,
+    minPlayers: 2,
+    maxPlayers: t.settings.tableSize,
+    ante: level.ante,
+    minBet: level.minBet,
+  }).settings;
+};
+
+const shuffleEntrants = (entrants) => {
+  const shuffled = [...entrants];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+// Người thật giữ socket đã đăng ký (nếu còn kết nối), bot được cấp id mới
+const seatEntrant = (t, entrant, position) => {
+  const seat = entrant.isBot
+    ? createSeat({ id: generateBotId(), name: entrant.playerName, money: t.settings.startingStack, position, isBot: true, strategy: entrant.strategy })
+    : createSeat({
+      id: entrant.socketId,
+      name: entrant.playerName,
+      money: t.settings.startingStack,
+      position,
+      reconnectToken: entrant.entrantId,
+      userId: entrant.userId,
+      accountId: entrant.accountId,
+    });
+  seat.entrantId = entrant.entrantId;
+  if (!entrant.isBot) seat.connected = isSocketConnected(entrant.socketId);
+  return seat;
+};
+
+const createTable = (t, entrants) => {
+  const room = createRoomState({ code: generateRoomCode(), variant: t.variant, host: null, settings: buildTableSettings(t) });
+  room.tournamentId = t.id;
+  // Bàn luôn thuộc instance giữ giải; trùng mã với phòng khác gần như không xảy ra nên không chờ
+  ownership.claim(`room:${room.code}`).then((ok) => {
+    if (!ok) logger.error("table code already owned", { roomCode: room.code });
+  }, logStoreError);
+  room.players = entrants.map((e, i) => seatEntrant(t, e, i));
+  room.tournamentPlayers = [...room.players];
+  room.gameState = "playing";
+  room.tournamentRound = 1;
+  room.startingPlayerCount = room.players.length;
+  room.handsPlayed = 0;
+  commitNextSeed(room);
+  rooms.set(room.code, room);
+
+  room.players.forEach((p) => {
+    if (p.isBot) return ensureBotSocket(p);
+    players.set(p.id, { roomCode: room.code, playerName: p.name, socketId: p.id });
+    io.in(p.id).socketsJoin(room.code);
+  });
+  return room;
+};
+
+// Luôn hẹn qua scheduleNextHand: ván có thể kết thúc ngay lúc chia và kéo theo việc
+// chuyển người, không được chạy lồng trong lúc đang cân bàn cho bàn khác
+const scheduleTableHand = (room, delay = NEXT_HAND_DELAY_MS) => {
+  room.awaitingPlayers = false;
+  room.nextHandAt = Date.now() + delay;
+  saveRoom(room);
+  scheduleNextHand(room);
+};
+
+// Bỏ ghế khỏi bàn giữa hai ván, giữ dealer ở đúng người
+const removeSeat = (room, seat) => {
+  const index = room.players.indexOf(seat);
+  if (index < 0) return;
+  room.players.splice(index, 1);
+  if (index <= room.dealerIndex) room.dealerIndex--;
+  room.players.forEach((p, i) => { p.position = i; });
+  room.tournamentPlayers = [...room.players];
+};
+
+// Bàn đích có thể đang giữa ván: người mới ngồi vào ở cuối bàn và chờ ván sau
+const movePlayer = (from, to, seat) => {
+  removeSeat(from, seat);
+  Object.assign(seat, {
+    hand: [],
+    viewedCards: false,
+    folded: true,
+    currentBet: 0,
+    totalContributed: 0,
+    allIn: false,
+    actedThisRound: false,
+    revealedTo: [],
+    position: to.players.length,
+  });
+  to.players.push(seat);
+  to.tournamentPlayers = [...to.players];
+  logger.info("player moved", { playerName: seat.name, from: from.code, to: to.code });
+
+  if (seat.isBot) return;
+  const info = players.get(seat.id);
+  if (info) info.roomCode = to.code;
+  io.in(seat.id).socketsLeave(from.code);
+  io.in(seat.id).socketsJoin(to.code);
+  io.to(seat.id).emit("table-changed", { tournamentId: to.tournamentId, fromRoomCode: from.code, roomCode: to.code });
+};
+
+const closeTable = (t, room, message) => {
+  stopTurnTimer(room);
+  clearTimeout(botTimers.get(room.code));
+  botTimers.delete(room.code);
+  rooms.delete(room.code);
+  forgetRoom(room.code);
+  t.tables = t.tables.filter(code => code !== room.code);
+  emitToSpectators(room, "room-closed", { message });
+};
+
+const endTournament = (t) => {
+  const standings = tournament.finishTournament(t);
+  // Thưởng của bot / khách không có ví nên về nhà cái
+  payOut(t.entrants.map(e => ({ accountId: e.accountId, amount: e.payout })), "payout", t.ledgerRef).catch(logStoreError);
+  stats.recordTournament(t);
+  const payload = { tournamentId: t.id, name: t.name, prizePool: t.prizePool, winner: standings[0], standings };
+  logger.info("tournament ended", { tournamentId: t.id, winner: standings[0].playerName });
+
+  for (const code of [...t.tables]) {
+    const room = rooms.get(code);
+    if (!room) continue;
+    room.gameState = "ended";
+    emitToRoom(room, "tournament-ended", payload);
+    room.players.forEach((p) => { if (!p.isBot) players.delete(p.id); });
+    closeTable(t, room, msg("tournament-ended"));
+  }
+  emitLocalized(tournamentChannel(t.id), "tournament-ended", payload);
+  emitTournamentUpdate(t);
+};
+
+// Gọi thay cho luồng một phòng khi bàn của giải vừa xong ván
+const onTournamentHandEnded = (room, record) => {
+  const t = tournaments.get(room.tournamentId);
+  if (!t || t.status !== "running") return;
+
+  // Người hết tiền bị loại; ai vào ván với nhiều tiền hơn thì xếp trên
+  const busted = room.players.filter(p => p.money <= 0);
+  tournament.recordBusts(t, busted.map(p => ({
+    entrantId: p.entrantId,
+    startingMoney: record?.players.find(rp => rp.playerId === p.id)?.startingMoney || 0,
+  })));
+  busted.forEach((p) => {
+    removeSeat(room, p);
+    const place = t.entrants.find(e => e.entrantId === p.entrantId)?.place;
+    logger.info("player busted", { tournamentId: t.id, playerName: p.name, place });
+    if (p.isBot) return botSockets.delete(p.id);
+    players.delete(p.id);
+    io.in(p.id).socketsLeave(room.code);
+    io.to(p.id).emit("tournament-busted", { tournamentId: t.id, place });
+  });
+
+  if (tournament.remainingEntrants(t).length <= 1) return endTournament(t);
+
+  // Level tính chung cho mọi bàn, áp dụng từ ván kế tiếp của từng bàn
+  t.handsPlayed++;
+  if (tournament.refreshLevel(t)) {
+    const level = tournament.currentLevel(t);
+    t.tables.forEach((code) => {
+      const table = rooms.get(code);
+      if (table) table.settings = { ...table.settings, ante: level.ante, minBet: level.minBet };
+    });
+    io.to(tournamentChannel(t.id)).emit("tournament-level", { tournamentId: t.id, level: t.level, ...level });
+    logger.info("blind level raised", { tournamentId: t.id, level: t.level + 1, ante: level.ante, minBet: level.minBet });
+  }
+
+  // Cân bàn: chỉ rút người từ bàn vừa xong ván
+  const tables = t.tables.map(code => rooms.get(code)).filter(Boolean);
+  const { breakTable, moves } = tournament.planMoves(
+    t, tables.map(table => ({ code: table.code, count: table.players.length })), room.code);
+  const touched = new Set();
+  moves.forEach((destCode) => {
+    const dest = rooms.get(destCode);
+    movePlayer(room, dest, room.players[room.players.length - 1]);
+    touched.add(dest);
+  });
+  touched.forEach((dest) => {
+    if (dest.awaitingPlayers && dest.players.length >= 2) scheduleTableHand(dest);
+    emitRoomState(dest);
+  });
+
+  if (breakTable) {
+    closeTable(t, room, msg("table-merged"));
+  } else if (room.players.length >= 2) {
+    scheduleTableHand(room);
+    emitRoomState(room);
+  } else {
+    // Còn một mình: chờ bàn khác xong ván để được chuyển người sang
+    room.awaitingPlayers = true;
+    emitRoomState(room);
+  }
+  emitTournamentUpdate(t);
+};
+
+// ---------- KHÔI PHỤC SAU KHI RESTART ----------
+// Socket cũ đã mất hết: coi mọi người là đang mất kết nối và chờ họ rejoin-room
+const restoreRoom = (room) => {
+  // Bản lưu cũ giữ lịch sử ván ngay trong room: chuyển sang chỗ lưu bản ghi ván
+  if (room.handHistory) {
+    room.handHistory.forEach(saveHandRecord);
+    delete room.handHistory;
+  }
+  // JSON làm mất tham chiếu chung giữa players và tournamentPlayers
+  room.tournamentPlayers = (room.tournamentPlayers || [])
+    .map(tp => room.players.find(p => p.reconnectToken === tp.reconnectToken))
+    .filter(Boolean);
+  rooms.set(room.code, room);
+  publishLobby(room);
+
+  const graceMs = room.settings.reconnectGraceMs ?? RECONNECT_GRACE_MS;
+  room.players.forEach((p) => {
+    if (p.isBot) return ensureBotSocket(p);
+    p.connected = false;
+    disconnectTimers.set(p.reconnectToken, setTimeout(() => expireSeat(p.reconnectToken), graceMs));
+  });
+
+  if (room.gameState === "playing" && !room.awaitingPlayers) {
+    if (room.nextHandAt) scheduleNextHand(room);
+    else beginTurn(room, room.turnDeadline);
+  }
+  logger.info("room restored", { roomCode: room.code, gameState: room.gameState });
+};
+
+// Bản trong shared store mới hơn bản của storage cục bộ nếu phòng từng chạy ở instance khác
+const latestSnapshot = async (hash, id, fallback) => {
+  if (!CLUSTERED) return fallback;
+  const json = await sharedStore.hget(hash, id);
+  return json ? JSON.parse(json) : fallback;
+};
+
+// Chỉ khôi phục những gì còn giành được khóa: khi chạy nhiều instance, phòng có thể
+// đã được instance khác nhận trong lúc instance này tắt
+const restoreRooms = async () => {
+  for (const t of storage.loadTournaments()) {
+    if (t.status === "ended") {
+      storage.deleteTournament(t.id);
+      continue;
+    }
+    if (!(await ownership.claim(`tournament:${t.id}`))) continue;
+    const latest = await latestSnapshot(TOURNAMENT_STATE, t.id, t);
+    tournaments.set(latest.id, latest);
+    saveTournament(latest); // để danh sách giải trong shared store có lại giải này
+    logger.info("tournament restored", { tournamentId: latest.id, status: latest.status });
+  }
+
+  for (const room of storage.loadRooms()) {
+    if (room.gameState === "ended") {
+      storage.deleteRoom(room.code);
+      continue;
+    }
+    if (room.tournamentId && !tournaments.has(room.tournamentId)) continue;
+    if (!(await ownership.claim(`room:${room.code}`))) continue;
+    restoreRoom(await latestSnapshot(ROOM_STATE, room.code, room));
+  }
+};
+
+// ---------- NHẬN LẠI PHÒNG CỦA INSTANCE ĐÃ CHẾT ----------
+// Khóa đã hết hạn mà bản lưu vẫn còn: instance nhận được sự kiện đầu tiên giữ lấy phòng.
+// Bàn giải đấu thì nhận cả giải cùng mọi bàn của nó để giải chỉ chạy ở một nơi.
+const adoptOrphan = async (key) => {
+  if (!CLUSTERED) return;
+  const [kind, id] = key.split(":");
+  if (kind === "room") {
+    const json = await sharedStore.hget(ROOM_STATE, id);
+    if (!json) return;
+    const room = JSON.parse(json);
+    if (room.tournamentId) return adoptOrphan(`tournament:${room.tournamentId}`);
+    if (await ownership.claim(key)) restoreRoom(room);
+    return;
+  }
+
+  const json = await sharedStore.hget(TOURNAMENT_STATE, id);
+  if (!json || !(await ownership.claim(key))) return;
+  const t = JSON.parse(json);
+  tournaments.set(t.id, t);
+  logger.info("tournament adopted", { tournamentId: t.id, status: t.status });
+  for (const code of t.tables) {
+    const table = await sharedStore.hget(ROOM_STATE, code);
+    if (table && await ownership.claim(`room:${code}`)) restoreRoom(JSON.parse(table));
+  }
+};
+
+// Mất khóa (instance bị treo quá lâu và instance khác đã nhận phòng): bỏ bản trong bộ nhớ
+// ngay để không có hai instance cùng chạy đồng hồ lượt / chia ván cho một phòng
+const dropLostOwnership = (key) => {
+  const [kind, id] = key.split(":");
+  logger.error("ownership lost, dropping local copy", { key });
+  if (kind === "tournament") return tournaments.delete(id);
+  const room = rooms.get(id);
+  if (!room) return;
+  stopTurnTimer(room);
+  clearTimeout(botTimers.get(id));
+  botTimers.delete(id);
+  room.players.forEach((p) => {
+    clearTimeout(disconnectTimers.get(p.reconnectToken));
+    disconnectTimers.delete(p.reconnectToken);
+    if (players.get(p.id)?.roomCode === id) players.delete(p.id);
+  });
+  spectators.clearRoom(id);
+  rooms.delete(id);
+  lobbyListing.delete(id);
+};
+
 // ========== SOCKET.IO HANDLERS ==========
+// Lỗi kết nối: client nhận err.message đã dựng chữ, err.data là { code, params }
+const connectError = (socket, message) =>
+  Object.assign(new Error(i18n.render(socket.data.locale || i18n.DEFAULT_LOCALE, message)), { data: message });
+
+// Token lấy từ handshake: io(url, { auth: { token } }). Danh tính của socket chỉ đến từ đây,
+// tên người chơi không còn do client tự khai.
+io.use(async (socket, next) => {
+  ipLimiter.prune();
+  socket.data.ip = validation.clientAddress(socket.handshake.address, socket.handshake.headers["x-forwarded-for"], TRUST_PROXY);
+  if (ipLimiter.take(socket.data.ip) !== "ok") return next(connectError(socket, msg("too-many-requests")));
+  const { auth: handshakeAuth, query, headers } = socket.handshake;
+  socket.data.locale = i18n.resolveLocale(handshakeAuth?.locale, query?.lang, headers["accept-language"]);
+  const { user, error } = await authenticateToken(handshakeAuth?.token);
+  if (error) return next(connectError(socket, error));
+  socket.data.user = user;
+  next();
+});
+
+// ---------- KIỂM TRA & GIỚI HẠN TẦN SUẤT ----------
+// Middleware đầu tiên của socket thật: trừ lượt theo socket và theo IP, rồi kiểm tra và
+// chuẩn hóa payload theo schema (src/validation.js). Sự kiện sai bị bỏ, không tới handler;
+// spam tới mức "abusive" thì ngắt kết nối. Socket giả của bot chỉ qua bước kiểm tra schema.
+
+// Tên sự kiện do client đặt: chỉ dùng làm nhãn khi đã khai báo, tránh số nhãn tăng vô hạn
+const countEventError = (event, reason) => eventErrors.inc({
+  event: Object.hasOwn(validation.EVENT_SCHEMAS, event) ? event : "unknown",
+  reason,
+});
+
+const validateSocketEvent = (socket) => (packet, next) => {
+  const [event, payload] = packet;
+  const { payload: normalized, error } = validation.validateEvent(event, payload);
+  if (error) {
+    countEventError(event, error.code);
+    return sendError(socket, error);
+  }
+  packet.splice(1, packet.length, normalized);
+  next();
+};
+
+const guardSocketEvent = (socket) => (packet, next) => {
+  // Các gói đã nhận trước lúc bị ngắt vẫn chạy qua đây, bỏ luôn
+  if (!socket.connected) return;
+  const [event] = packet;
+  const countError = (reason) => countEventError(event, reason);
+  const limits = [socketLimiter.take(socket.id), ipLimiter.take(socket.data.ip)];
+  if (limits.includes("abusive")) {
+    countError(validation.ERROR_CODES.ABUSIVE);
+    logger.warn("abusive client disconnected", { socketId: socket.id, user: socket.data.user.name, ip: socket.data.ip });
+    sendError(socket, msg(validation.ERROR_CODES.ABUSIVE));
+    return socket.disconnect(true);
+  }
+  if (limits.includes("limited")) {
+    countError(validation.ERROR_CODES.RATE_LIMITED);
+    return sendError(socket, msg(validation.ERROR_CODES.RATE_LIMITED));
+  }
+  validateSocketEvent(socket)(packet, next);
+};
+
+// ---------- CHUYỂN SỰ KIỆN GIỮA CÁC INSTANCE ----------
+const isSocketConnected = (socketId) => io.sockets.sockets.has(socketId) || remoteSockets.has(socketId);
+
+const forwardTo = (instanceId, message) =>
+  sharedStore.publish(cluster.instanceChannel(instanceId), JSON.stringify(message)).catch(logStoreError);
+
+// Sự kiện của một socket thật gửi sang instance khác, kèm ngôn ngữ để bên đó dựng đúng câu
+const eventMessage = (socket, event, payload) =>
+  ({ type: "event", socketId: socket.id, user: socket.data.user, locale: socket.data.locale, event, payload });
+
+// Middleware cho từng socket thật: sự kiện của phòng / giải thuộc instance khác được gửi
+// sang đó thay vì chạy handler tại chỗ (xem src/cluster/routing.js)
+const routeSocketEvent = (socket) => async ([event, payload], next) => {
+  const { remoteOwners } = socket.data;
+  const message = eventMessage(socket, event, payload);
+  if (cluster.BROADCAST_EVENTS.includes(event)) {
+    remoteOwners.forEach(owner => forwardTo(owner, message));
+    return next();
+  }
+  const key = cluster.routeKey(event, payload);
+  if (!key || ownership.owns(key)) return next();
+  try {
+    let owner = await ownership.ownerOf(key);
+    if (!owner) {
+      await adoptOrphan(key);
+      owner = await ownership.ownerOf(key);
+    }
+    if (!owner || owner === INSTANCE_ID) return next();
+    remoteOwners.add(owner);
+    forwardTo(owner, message);
+  } catch (err) {
+    logStoreError(err);
+    next();
+  }
+};
+
+// Instance chủ nhận sự kiện được chuyển tới và chạy bằng socket đại diện
+const receiveForwarded = (raw) => {
+  const { type, socketId, user, locale, event, payload, reason } = JSON.parse(raw);
+  let proxy = remoteSockets.get(socketId);
+  if (type === "disconnect") {
+    if (!proxy) return;
+    remoteSockets.delete(socketId);
+    return proxy.dispatch("disconnect", reason);
+  }
+  if (!proxy) {
+    proxy = cluster.createRemoteSocket({ io, id: socketId, user, locale });
+    registerSocketHandlers(proxy);
+    remoteSockets.set(socketId, proxy);
+  }
+  proxy.dispatch(event, payload);
+};
+
 io.on("connection", (socket) => {
-  console.log(`✅ Client connected: ${socket.id}`);
+  const { user } = socket.data;
+  logger.info("client connected", { socketId: socket.id, userId: user.id, user: user.name });
+  if (user.accountId) socket.join(accountChannel(user.accountId));
+  socket.join(localeChannel(socket.data.locale));
+
+  socket.data.remoteOwners = new Set(); // các instance chủ đã nhận sự kiện của socket này
+  socket.use(guardSocketEvent(socket));
+  socket.use(routeSocketEvent(socket));
+  socket.on("disconnect", (reason) => {
+    socketLimiter.forget(socket.id);
+    socket.data.remoteOwners.forEach(owner => forwardTo(owner, { type: "disconnect", socketId: socket.id, reason }));
+  });
+
+  emitTo(socket, "connected", { socketId: socket.id, user, locale: socket.data.locale, message: msg("connected"), timestamp: Date.now() });
+  registerSocketHandlers(socket);
+});
+
+// Không làm gì nếu socket không xem phòng nào
+const leaveSpectating = (socket) => {
+  const roomCode = spectators.roomOf(socket.id);
+  if (!roomCode) return;
+  spectators.leave(socket.id);
+  socket.leave(spectatorChannel(roomCode));
+  const room = rooms.get(roomCode);
+  if (room) broadcastSpectatorCount(room);
+};
 
-  socket.emit("connected", { socketId: socket.id, message: "Connected", timestamp: Date.now() });
+// Giải chưa bắt đầu: token là entrantId, chỉ cần gắn lại socket cho người đăng ký
+const rejoinTournamentRegistration = (socket, user, reconnectToken) => {
+  for (const t of tournaments.values()) {
+    if (t.status !== "registering") continue;
+    const entrant = t.entrants.find(e => e.entrantId === reconnectToken && e.userId === user.id);
+    if (!entrant) continue;
+    entrant.socketId = socket.id;
+    saveTournament(t);
+    socket.join(tournamentChannel(t.id));
+    emitTo(socket, "tournament-registered", { tournamentId: t.id, reconnectToken, message: msg("tournament-rejoined") });
+    return true;
+  }
+  return false;
+};
 
-  socket.on("ping", () => socket.emit("pong", { timestamp: Date.now() }));
+// Đo thời gian chạy và đếm lỗi của mọi handler. Handler ném lỗi thì báo client và ghi
+// log, không để lỗi lọt ra ngoài (handler async bị reject sẽ thành unhandledRejection)
+const instrumentHandler = (socket, event, handler) => async (...args) => {
+  const startedAt = process.hrtime.bigint();
+  try {
+    await handler(...args);
+  } catch (err) {
+    eventErrors.inc({ event, reason: validation.ERROR_CODES.INTERNAL });
+    logger.error("socket handler failed", { event, socketId: socket.id, err });
+    sendError(socket, msg(validation.ERROR_CODES.INTERNAL));
+  } finally {
+    eventDuration.observe({ event }, Number(process.hrtime.bigint() - startedAt) / 1e9);
+  }
+};
 
-  socket.on("get-room-info", (roomCode) => {
+// Dùng chung cho socket thật và socket giả của bot
+const registerSocketHandlers = (socket) => {
+  const on = (event, handler) => socket.on(event, instrumentHandler(socket, event, handler));
+  on("ping", () => socket.emit("pong", { timestamp: Date.now() }));
+
+  // Người ngồi trong phòng nhận góc nhìn của mình; người ngoài phải đang xem phòng, hoặc
+  // được phép xem (bật chế độ xem, đúng mật khẩu) như spectate-room, và chỉ nhận góc nhìn khán giả
+  on("get-room-info", ({ roomCode, password } = {}) => {
     const room = rooms.get(roomCode);
-    room ? socket.emit("room-updated", room) : socket.emit("error", { message: "Phòng không tồn tại" });
+    if (!room) return sendError(socket, msg("room-not-found"));
+    if (room.players.some(p => p.id === socket.id)) return emitTo(socket, "room-updated", buildPlayerView(room, socket.id));
+    if (spectators.roomOf(socket.id) !== room.code) {
+      if (!room.settings.allowSpectators) return sendError(socket, msg("spectating-disabled"));
+      if (!checkRoomPassword(room, password)) return sendError(socket, msg("wrong-room-password"));
+    }
+    emitTo(socket, "room-updated", buildPlayerView(room, null));
   });
 
+  // Bot không có token nên không bao giờ là chủ phòng / chủ giải
+  const { user } = socket.data;
+  const isHost = (hostId) => Boolean(user) && hostId === user.id;
+  // Cho các hàm tra cứu dùng chung: báo lỗi rồi trả về null
+  const reject = (message) => {
+    sendError(socket, message);
+    return null;
+  };
+
   // ---------- TẠO PHÒNG ----------
-  socket.on("create-room", (playerName) => {
-    if (!playerName?.trim()) return socket.emit("error", { message: "Tên không hợp lệ" });
+  // Tên người chơi lấy từ token; chủ phòng có thể đặt mật khẩu (password nằm ngoài settings)
+  const createRoom = async ({ variantName, requested, password }) => {
+    const playerName = user.name;
+    const variant = engine.getVariant(variantName);
+    if (!variant) return sendError(socket, msg("variant-not-found"));
+    const validated = validateSettings(requested, {
+      ...DEFAULT_SETTINGS,
+      ...variant.defaultSettings,
+      reconnectGraceMs: RECONNECT_GRACE_MS,
+      turnTimeMs: TURN_TIME_MS,
+      timeBankMs: TIME_BANK_MS,
+    });
+    if (validated.error) return sendError(socket, validated.error);
+    const { settings, error } = engine.applyVariantSettings(variant, validated.settings, requested);
+    if (error) return sendError(socket, error);
+    const { passwordHash, error: passwordError } = hashRoomPassword(password);
+    if (passwordError) return sendError(socket, passwordError);
+    const balanceError = await checkBalance(user.accountId, settings.entryFee, msg("insufficient-balance-room"));
+    if (balanceError) return sendError(socket, balanceError);
+    const { accountId } = user;
     try {
-      const roomCode = generateRoomCode();
+      const roomCode = await claimCode("room");
       const playerId = socket.id;
-      const room = {
+      const reconnectToken = generateReconnectToken();
+      const room = createRoomState({
         code: roomCode,
-        host: playerId,
-        players: [{
+        variant: variant.name,
+        host: user.id,
+        settings,
+        players: [createSeat({
           id: playerId,
-          name: playerName.trim(),
-          money: 10000,
-          hand: [],
-          viewedCards: false,
-          folded: false,
-          currentBet: 0,
+          name: playerName,
+          money: settings.startingStack,
           position: 0,
-          connected: true,
-          allIn: false,
-        }],
-        gameState: "waiting",
-        currentRound: 0,
-        dealerIndex: -1,
-        pot: 0,
-        deck: [],
-        currentTurn: 0,
-        minBet: 100,
-        tournamentRound: 0,
-        tournamentPlayers: [],
-        betHistory: [],
-        lastRaise: null,
-        createdAt: new Date().toISOString(),
-        settings: { entryFee: 100, minPlayers: 2, maxPlayers: 8 },
-      };
+          reconnectToken,
+          userId: user.id,
+          accountId,
+        })],
+        passwordHash,
+      });
+      commitNextSeed(room);
       rooms.set(roomCode, room);
-      players.set(playerId, { roomCode, playerName: playerName.trim(), socketId: socket.id });
+      players.set(playerId, { roomCode, playerName, socketId: socket.id });
+      leaveSpectating(socket);
       socket.join(roomCode);
-      socket.emit("room-created", { roomCode, playerId, message: "Phòng đã được tạo" });
-      io.to(roomCode).emit("room-updated", room);
+      emitTo(socket, "room-created", { roomCode, playerId, reconnectToken, message: msg("room-created") });
+      emitRoomState(room);
     } catch (err) {
-      socket.emit("error", { message: "Lỗi tạo phòng: " + err.message });
+      sendError(socket, msg("create-room-failed", { reason: err.message }));
     }
+  };
+
+  // Payload là { settings, variant, password }
+  on("create-room", ({ settings: requested, variant: variantName, password } = {}) => {
+    if (!user) return sendError(socket, msg("login-required"));
+    createRoom({ variantName, requested, password });
   });
 
   // ---------- VÀO PHÒNG ----------
-  socket.on("join-room", ({ roomCode, playerName }) => {
-    if (!roomCode || !playerName) return socket.emit("error", { message: "Thiếu thông tin" });
-    const room = rooms.get(roomCode.toUpperCase());
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
-    if (room.gameState !== "waiting") return socket.emit("error", { message: "Phòng đã bắt đầu" });
-    if (room.players.length >= 8) return socket.emit("error", { message: "Phòng đầy" });
-    if (room.players.some(p => p.name.toLowerCase() === playerName.trim().toLowerCase())) {
-      return socket.emit("error", { message: "Tên đã tồn tại" });
+  const joinRoom = async (room, password) => {
+    const playerName = user.name;
+    // Đọc ví trước: các kiểm tra phòng bên dưới chạy sau lần await cuối nên thấy đúng trạng thái lúc vào ghế
+    const balanceError = await checkBalance(user.accountId, room.settings.entryFee, msg("insufficient-balance-room"));
+    if (room.gameState !== "waiting") return sendError(socket, msg("room-started"));
+    if (room.players.length >= room.settings.maxPlayers) return sendError(socket, msg("room-full"));
+    if (room.players.some(p => p.userId === user.id)) {
+      return sendError(socket, msg("already-in-this-room"));
+    }
+    if ((room.bannedUsers || []).includes(user.id)) {
+      return sendError(socket, msg("banned-from-room"));
     }
+    if (!checkRoomPassword(room, password)) return sendError(socket, msg("wrong-room-password"));
+    if (room.players.some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
+      return sendError(socket, msg("name-taken"));
+    }
+    if (balanceError) return sendError(socket, balanceError);
+    const { accountId } = user;
     try {
-      const player = {
+      const reconnectToken = generateReconnectToken();
+      const player = createSeat({
         id: socket.id,
-        name: playerName.trim(),
-        money: 10000,
-        hand: [],
-        viewedCards: false,
-        folded: false,
-        currentBet: 0,
+        name: playerName,
+        money: room.settings.startingStack,
         position: room.players.length,
-        connected: true,
-        allIn: false,
-      };
+        reconnectToken,
+        userId: user.id,
+        accountId,
+      });
       room.players.push(player);
-      players.set(socket.id, { roomCode: roomCode.toUpperCase(), playerName: playerName.trim(), socketId: socket.id });
-      socket.join(roomCode.toUpperCase());
-      socket.emit("room-joined", { roomCode: roomCode.toUpperCase(), playerId: socket.id, message: "Đã vào phòng" });
-      io.to(roomCode.toUpperCase()).emit("room-updated", room);
+      players.set(socket.id, { roomCode: room.code, playerName, socketId: socket.id });
+      leaveSpectating(socket);
+      socket.join(room.code);
+      emitTo(socket, "room-joined", {
+        roomCode: room.code,
+        playerId: socket.id,
+        reconnectToken,
+        message: msg("room-joined"),
+      });
+      sendChatHistory(socket, room);
+      emitRoomState(room);
     } catch (err) {
-      socket.emit("error", { message: "Lỗi vào phòng: " + err.message });
+      sendError(socket, msg("join-room-failed", { reason: err.message }));
     }
-  });
+  };
 
-  // ---------- BẮT ĐẦU GAME ----------
-  socket.on("start-game", (roomCode) => {
+  on("join-room", ({ roomCode, password } = {}) => {
+    if (!user) return sendError(socket, msg("login-required"));
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
-    if (room.host !== socket.id) return socket.emit("error", { message: "Chỉ chủ phòng" });
-    if (room.players.length < 2) return socket.emit("error", { message: "Cần ít nhất 2 người" });
+    if (!room) return sendError(socket, msg("room-not-found"));
+    joinRoom(room, password);
+  });
 
-    room.gameState = "playing";
-    room.tournamentRound = 1;
-    room.tournamentPlayers = [...room.players];
-    room.startingPlayerCount = room.players.length;
-    room.handsPlayed = 0;
+  // ---------- QUICK-MATCH ----------
+  // stakes chỉ gồm các key mức cược (entryFee, ante, minBet). Không có phòng chờ nào
+  // đủ gần thì tạo phòng công khai mới với đúng mức cược đó để người sau ghép vào.
+  on("quick-match", async ({ variant: variantName, stakes = {} } = {}) => {
+    if (!user) return sendError(socket, msg("login-required"));
+    if (players.has(socket.id)) return sendError(socket, msg("already-seated"));
+    const variant = engine.getVariant(variantName);
+    if (!variant) return sendError(socket, msg("variant-not-found"));
+    if (Object.keys(stakes).some(key => !lobby.STAKE_KEYS.includes(key))) {
+      return sendError(socket, msg("invalid-stakes"));
+    }
+    const validated = validateSettings(stakes);
+    if (validated.error) return sendError(socket, validated.error);
+
+    const account = user.accountId && await accounts.getAccount(user.accountId);
+    if (user.accountId && !account) return sendError(socket, msg("account-not-found"));
+    const balance = account ? account.balance : null;
+    const match = lobby.findQuickMatch(await loadLobbyIndex(), { variant: variant.name, stakes, userId: user.id, balance });
+    if (!match) return createRoom({ variantName: variant.name, requested: stakes });
+
+    logger.info("quick-match", { user: user.name, roomCode: match.code });
+    if (rooms.has(match.code)) return joinRoom(rooms.get(match.code));
+    // Phòng thuộc instance khác: gửi join-room sang đó như thể client tự gửi
+    const owner = await ownership.ownerOf(`room:${match.code}`);
+    if (!owner) return sendError(socket, msg("room-not-found"));
+    socket.data.remoteOwners.add(owner);
+    forwardTo(owner, eventMessage(socket, "join-room", { roomCode: match.code }));
+  });
 
-    const updatedRoom = startNewHand(room);
-    rooms.set(roomCode, updatedRoom);
-    io.to(roomCode).emit("game-started", updatedRoom);
+  // ---------- SẢNH ----------
+  on("join-lobby", async () => {
+    socket.join(LOBBY_CHANNEL);
+    socket.emit("lobby-rooms", { rooms: lobby.listPublicRooms(await loadLobbyIndex()) });
   });
 
-  // ---------- XEM BÀI ----------
-  socket.on("view-cards", (roomCode) => {
+  on("leave-lobby", () => socket.leave(LOBBY_CHANNEL));
+
+  // ---------- THÊM BOT ----------
+  on("add-bot", ({ roomCode, strategy: strategyName, name } = {}) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player) return socket.emit("error", { message: "Không tìm thấy người chơi" });
-    if (player.viewedCards) return socket.emit("error", { message: "Đã xem bài rồi" });
-    if (room.currentTurn !== room.players.indexOf(player)) {
-      return socket.emit("error", { message: "Chưa đến lượt của bạn" });
+    if (!room) return sendError(socket, msg("room-not-found"));
+    if (!isHost(room.host)) return sendError(socket, msg("host-only"));
+    if (room.gameState !== "waiting") return sendError(socket, msg("room-started"));
+    if (room.players.length >= room.settings.maxPlayers) return sendError(socket, msg("room-full"));
+    const strategy = strategyName || defaultStrategyFor(room.variant || engine.DEFAULT_VARIANT);
+    if (!getStrategy(strategy)) return sendError(socket, msg("bot-strategy-not-found"));
+    if (!supportsVariant(getStrategy(strategy), room.variant || engine.DEFAULT_VARIANT)) {
+      return sendError(socket, msg("bot-strategy-unsupported"));
     }
 
-    player.viewedCards = true;
-    socket.emit("cards-revealed", { cards: player.hand, handEvaluation: evaluateHand(player.hand) });
-    io.to(roomCode).emit("player-action-notification", {
-      playerId: socket.id,
-      playerName: player.name,
-      action: "view-cards",
-      message: `${player.name} đã xem bài`,
-      timestamp: new Date().toISOString(),
+    const botName = name?.trim() || `Bot ${room.players.filter(p => p.isBot).length + 1}`;
+    if (room.players.some(p => p.name.toLowerCase() === botName.toLowerCase())) {
+      return sendError(socket, msg("name-taken"));
+    }
+
+    const bot = createSeat({
+      id: generateBotId(),
+      name: botName,
+      money: room.settings.startingStack,
+      position: room.players.length,
+      isBot: true,
+      strategy,
     });
-    io.to(roomCode).emit("room-updated", room);
+    room.players.push(bot);
+    ensureBotSocket(bot);
+    emitRoomState(room);
   });
 
-  // ---------- ĐẶT CƯỢC (ĐÃ SỬA LOGIC MINBET) ----------
-  socket.on("place-bet", ({ roomCode, amount }) => {
+  // ---------- BẮT ĐẦU GAME ----------
+  on("start-game", async (roomCode) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
-    const player = room.players.find(p => p.id === socket.id);
-    if (!player) return socket.emit("error", { message: "Người chơi không tồn tại" });
-    if (player.folded) return socket.emit("error", { message: "Đã bỏ bài" });
-    if (room.currentTurn !== room.players.indexOf(player)) {
-      return socket.emit("error", { message: "Chưa đến lượt của bạn" });
+    if (!room) return sendError(socket, msg("room-not-found"));
+    if (!isHost(room.host)) return sendError(socket, msg("host-only"));
+    if (room.gameState !== "waiting") return sendError(socket, msg("room-started"));
+    if (room.players.length < room.settings.minPlayers) {
+      return sendError(socket, msg("not-enough-players", { min: room.settings.minPlayers }));
     }
 
-    const declaredAmount = parseInt(amount);
-    // Kiểm tra số tiền tuyên bố phải >= mức cược tối thiểu hiện tại
-    if (declaredAmount < room.minBet) {
-      return socket.emit("error", { message: `Cược tối thiểu là ${room.minBet} xu` });
-    }
+    const buyIns = await roomGame.collectBuyIns(accounts, room);
+    if (buyIns.error) return sendError(socket, buyIns.error);
+    buyIns.debited.forEach(emitWallet);
 
-    // Tính số tiền thực tế phải trả dựa trên việc đã xem bài chưa
-    let actualAmount = declaredAmount;
-    if (!player.viewedCards) {
-      actualAmount = Math.floor(declaredAmount / 2);
-    }
+    roomGame.startRoomGame(room);
+    startNewHand(room, "game-started");
+  });
 
-    if (player.money < actualAmount) {
-      return socket.emit("error", { message: "Không đủ tiền" });
+  // ---------- GIẢI ĐẤU ----------
+  on("create-tournament", async ({ name, variant: variantName, settings: requested } = {}) => {
+    if (!user) return sendError(socket, msg("login-required"));
+    if (!name.trim()) return sendError(socket, msg("invalid-tournament-name"));
+    const variant = engine.getVariant(variantName);
+    if (!variant) return sendError(socket, msg("variant-not-found"));
+    const { settings, error } = tournament.validateTournamentSettings(requested, variant.maxSeats);
+    if (error) return sendError(socket, error);
+
+    const t = tournament.createTournament({
+      id: await claimCode("tournament"),
+      name: name.trim(),
+      variant: variant.name,
+      hostId: user.id,
+      settings,
+    });
+    t.ledgerRef = `tournament:${t.id}:${Date.now()}`;
+    tournaments.set(t.id, t);
+    socket.join(tournamentChannel(t.id));
+    socket.emit("tournament-created", { tournamentId: t.id, tournament: tournament.summarizeTournament(t) });
+    emitTournamentUpdate(t);
+  });
+
+  on("register-tournament", async ({ tournamentId } = {}) => {
+    if (!user) return sendError(socket, msg("login-required"));
+    const t = tournaments.get(tournamentId);
+    if (!t) return sendError(socket, msg("tournament-not-found"));
+    // Khách vào giải miễn phí; có tài khoản thì trả buy-in ngay lúc đăng ký
+    const { accountId } = user;
+    const paid = accountId ? t.settings.buyIn : 0;
+    const balanceError = await checkBalance(accountId, paid, msg("insufficient-balance-tournament"));
+    if (players.has(socket.id)) return sendError(socket, msg("already-seated"));
+    if (t.entrants.some(e => e.userId === user.id)) {
+      return sendError(socket, msg("tournament-already-registered"));
+    }
+    if (balanceError) return sendError(socket, balanceError);
+
+    const entrantId = generateReconnectToken();
+    const error = tournament.register(t, {
+      entrantId,
+      playerName: user.name,
+      isBot: false,
+      socketId: socket.id,
+      userId: user.id,
+      accountId,
+      paid,
+    });
+    if (error) return sendError(socket, error);
+    if (paid > 0) {
+      // Ví dùng chung có thể vừa bị trừ ở instance khác: trừ không được thì trả chỗ lại
+      if (await accounts.debit(accountId, paid, "buy-in", t.ledgerRef)) {
+        tournament.unregister(t, entrantId);
+        return sendError(socket, msg("insufficient-balance-tournament"));
+      }
+      emitWallet(accountId);
     }
+    socket.join(tournamentChannel(t.id));
+    emitTo(socket, "tournament-registered", { tournamentId: t.id, reconnectToken: entrantId, message: msg("tournament-registered") });
+    emitTournamentUpdate(t);
+  });
 
-    // Thực hiện cược
-    player.money -= actualAmount;
-    player.currentBet += actualAmount;
-    room.pot += actualAmount;
-    player.actedThisRound = true;
+  on("unregister-tournament", async ({ tournamentId, reconnectToken } = {}) => {
+    const t = tournaments.get(tournamentId);
+    if (!t) return sendError(socket, msg("tournament-not-found"));
+    const entrant = t.entrants.find(e => e.entrantId === reconnectToken);
+    const error = tournament.unregister(t, reconnectToken);
+    if (error) return sendError(socket, error);
+    if (entrant.paid > 0) {
+      await accounts.credit(entrant.accountId, entrant.paid, "refund", t.ledgerRef);
+      emitWallet(entrant.accountId);
+    }
+    socket.emit("tournament-unregistered", { tournamentId: t.id });
+    emitTournamentUpdate(t);
+  });
 
-    // Cập nhật mức cược tối thiểu nếu declaredAmount lớn hơn minBet hiện tại
-    if (declaredAmount > room.minBet) {
-      room.minBet = declaredAmount;
-      room.lastRaise = socket.id;
+  on("add-tournament-bot", ({ tournamentId, strategy: strategyName, name } = {}) => {
+    const t = tournaments.get(tournamentId);
+    if (!t) return sendError(socket, msg("tournament-not-found"));
+    if (!isHost(t.hostId)) return sendError(socket, msg("tournament-host-only"));
+    const strategy = strategyName || defaultStrategyFor(t.variant);
+    if (!getStrategy(strategy)) return sendError(socket, msg("bot-strategy-not-found"));
+    if (!supportsVariant(getStrategy(strategy), t.variant)) {
+      return sendError(socket, msg("bot-strategy-unsupported"));
     }
 
-    room.betHistory.push({
-      playerId: socket.id,
-      playerName: player.name,
-      declaredAmount,
-      actualAmount,
-      viewedCards: player.viewedCards,
-      timestamp: new Date().toISOString(),
-    });
+    const botName = name?.trim() || `Bot ${t.entrants.filter(e => e.isBot).length + 1}`;
+    const error = tournament.register(t, { entrantId: generateBotId(), playerName: botName, isBot: true, strategy });
+    if (error) return sendError(socket, error);
+    emitTournamentUpdate(t);
+  });
 
-    // Chuyển lượt
-    room.currentTurn = getNextActivePlayerIndex(room, room.players.indexOf(player));
+  on("start-tournament", (tournamentId) => {
+    const t = tournaments.get(tournamentId);
+    if (!t) return sendError(socket, msg("tournament-not-found"));
+    if (!isHost(t.hostId)) return sendError(socket, msg("tournament-host-only"));
+    if (t.status !== "registering") return sendError(socket, msg("tournament-started"));
+    if (t.entrants.length < t.settings.minPlayers) {
+      return sendError(socket, msg("not-enough-players", { min: t.settings.minPlayers }));
+    }
 
-    io.to(roomCode).emit("player-action-notification", {
-      playerId: socket.id,
-      playerName: player.name,
-      action: "bet",
-      declaredAmount,
-      actualAmount,
-      message: `${player.name} cược ${declaredAmount.toLocaleString()} xu${!player.viewedCards ? ` (thực tế ${actualAmount} xu)` : ""}`,
+    tournament.startTournament(t);
+    const tables = tournament.seatEntrants(t, shuffleEntrants(t.entrants)).map(group => createTable(t, group));
+    t.tables = tables.map(room => room.code);
+    logger.info("tournament started", { tournamentId: t.id, entrants: t.entrants.length, tables: tables.length });
+    io.to(tournamentChannel(t.id)).emit("tournament-started", {
+      tournamentId: t.id,
+      seats: t.entrants.map(e => ({ playerName: e.playerName, roomCode: tables.find(r => r.players.some(p => p.entrantId === e.entrantId)).code })),
     });
+    emitTournamentUpdate(t);
+    tables.forEach(room => scheduleTableHand(room, 0));
+  });
 
-    io.to(roomCode).emit("room-updated", room);
-
-    // Kiểm tra kết thúc vòng
-    if (isRoundComplete(room)) checkAndAdvanceRound(room);
-
-    // Kiểm tra kết thúc ván
-    if (isHandFinished(room)) {
-      const result = resolveHand(room);
-      io.to(roomCode).emit("hand-ended", { winner: result.winner, pot: result.pot });
-      room.tournamentPlayers = room.tournamentPlayers.filter(tp => tp.money > 0);
-      afterHandEnded(room, io);
-    }
+  // Xem thông tin giải và theo dõi các cập nhật sau đó
+  on("get-tournament", (tournamentId) => {
+    const t = tournaments.get(tournamentId);
+    if (!t) return sendError(socket, msg("tournament-not-found"));
+    socket.join(tournamentChannel(t.id));
+    socket.emit("tournament-updated", tournament.summarizeTournament(t));
   });
 
-  // ---------- BỎ BÀI ----------
-  socket.on("fold", (roomCode) => {
+  // ---------- GÓP SEED XÁO BÀI ----------
+  // Áp dụng từ ván kế tiếp, vì hash seed của server cho ván đó đã được công bố
+  on("set-client-seed", ({ roomCode, clientSeed } = {}) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
+    if (!room) return sendError(socket, msg("room-not-found"));
     const player = room.players.find(p => p.id === socket.id);
-    if (!player) return socket.emit("error", { message: "Người chơi không tồn tại" });
-    if (player.folded) return socket.emit("error", { message: "Đã bỏ bài rồi" });
-    if (room.currentTurn !== room.players.indexOf(player)) {
-      return socket.emit("error", { message: "Chưa đến lượt của bạn" });
+    if (!player) return sendError(socket, msg("player-not-found"));
+    if (clientSeed.includes(":")) {
+      return sendError(socket, msg("invalid-seed"));
     }
 
-    player.folded = true;
-    player.actedThisRound = true;
-    room.currentTurn = getNextActivePlayerIndex(room, room.players.indexOf(player));
+    player.clientSeed = clientSeed;
+    emitRoomState(room);
+  });
 
-    io.to(roomCode).emit("player-action-notification", {
-      playerId: socket.id,
-      playerName: player.name,
-      action: "fold",
-      message: `${player.name} đã bỏ bài`,
-    });
-    io.to(roomCode).emit("room-updated", room);
+  // ---------- HÀNH ĐỘNG TRONG VÁN ----------
+  // Kiểm tra luật và cập nhật state đều do engine làm
+  const onAction = (roomCode, action) => {
+    const room = rooms.get(roomCode);
+    if (!room) return sendError(socket, msg("room-not-found"));
+    dispatchAction(room, { ...action, playerId: socket.id }, socket);
+  };
 
-    if (isRoundComplete(room)) checkAndAdvanceRound(room);
+  on("view-cards", (roomCode) => onAction(roomCode, { type: "view-cards" }));
+  // Số phải theo do engine tính; bet / raise gửi mức cược mới (xem legalActions trong room state)
+  on("check", (roomCode) => onAction(roomCode, { type: "check" }));
+  on("call", (roomCode) => onAction(roomCode, { type: "call" }));
+  on("bet", ({ roomCode, amount } = {}) => onAction(roomCode, { type: "bet", amount }));
+  on("raise", ({ roomCode, amount } = {}) => onAction(roomCode, { type: "raise", amount }));
+  on("fold", (roomCode) => onAction(roomCode, { type: "fold" }));
+  on("all-in", (roomCode) => onAction(roomCode, { type: "all-in" }));
+  on("compare-cards", ({ roomCode, targetPlayerId } = {}) => onAction(roomCode, { type: "compare", targetPlayerId }));
+  // Tiến Lên: cards là danh sách { rank, suit }
+  on("play-cards", ({ roomCode, cards } = {}) => onAction(roomCode, { type: "play", cards }));
+  on("pass", (roomCode) => onAction(roomCode, { type: "pass" }));
+
+  // ---------- XEM LẠI VÁN ĐÃ CHƠI ----------
+  // Gửi lần lượt từng bước của ván, client tự tua tới / lui
+  on("replay-hand", async ({ roomCode, handNumber } = {}) => {
+    const records = await loadHandRecords(roomCode);
+    if (!records.length && !rooms.has(roomCode)) return sendError(socket, msg("room-not-found"));
+    const record = records.find(h => h.handNumber === handNumber);
+    if (!record) return sendError(socket, msg("hand-not-found"));
+
+    const steps = history.buildReplaySteps(record);
+    emitTo(socket, "replay-started", { ...history.summarizeHand(record), totalSteps: steps.length });
+    steps.forEach((step, index) => emitTo(socket, "replay-step", { handNumber: record.handNumber, index, ...step }));
+    socket.emit("replay-ended", { handNumber: record.handNumber, totalSteps: steps.length });
+  });
 
-    if (isHandFinished(room)) {
-      const result = resolveHand(room);
-      io.to(roomCode).emit("hand-ended", { winner: result.winner, pot: result.pot });
-      room.tournamentPlayers = room.tournamentPlayers.filter(tp => tp.money > 0);
-      afterHandEnded(room, io);
-    }
+  // ---------- XEM PHÒNG (KHÁN GIẢ) ----------
+  // Payload là mã phòng, hoặc { roomCode, password } với phòng có mật khẩu (schema đã đưa về dạng object)
+  on("spectate-room", ({ roomCode, password } = {}) => {
+    const room = rooms.get(roomCode);
+    if (!room) return sendError(socket, msg("room-not-found"));
+    if (!room.settings.allowSpectators) return sendError(socket, msg("spectating-disabled"));
+    if (!checkRoomPassword(room, password)) return sendError(socket, msg("wrong-room-password"));
+    if (players.has(socket.id)) return sendError(socket, msg("already-seated"));
+
+    leaveSpectating(socket);
+    spectators.watch(socket.id, room.code);
+    socket.join(spectatorChannel(room.code));
+    // Bản đầu tiên gửi ngay, các cập nhật sau mới bị trễ
+    emitTo(socket, "spectate-joined", {
+      roomCode: room.code,
+      delayMs: room.settings.spectatorDelayMs || 0,
+      room: buildPlayerView(room, null),
+    });
+    sendChatHistory(socket, room);
+    broadcastSpectatorCount(room);
   });
 
-  // ---------- ALL-IN ----------
-  socket.on("all-in", (roomCode) => {
+  on("leave-spectate", () => leaveSpectating(socket));
+
+  // ---------- CHAT & BIỂU CẢM ----------
+  // Chỉ người đang ngồi mới được nói, khán giả chỉ đọc. Trả về null nếu đã báo lỗi.
+  const findSpeaker = (roomCode) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
+    if (!room) return reject(msg("room-not-found"));
     const player = room.players.find(p => p.id === socket.id);
-    if (!player) return socket.emit("error", { message: "Người chơi không tồn tại" });
-    if (player.folded) return socket.emit("error", { message: "Đã bỏ bài" });
-    if (player.allIn) return socket.emit("error", { message: "Đã all‑in" });
-    if (room.currentTurn !== room.players.indexOf(player)) {
-      return socket.emit("error", { message: "Chưa đến lượt của bạn" });
-    }
+    if (!player) return reject(msg("not-in-room"));
+    if (player.muted) return reject(msg("chat-muted"));
+    if (!chatLimiter.take(socket.id)) return reject(msg(validation.ERROR_CODES.RATE_LIMITED));
+    return { room, player };
+  };
 
-    const allInAmount = player.money;
-    player.money = 0;
-    player.currentBet += allInAmount;
-    room.pot += allInAmount;
-    player.allIn = true;
-    player.actedThisRound = true;
-
-    // All-in không được giảm nửa, nhưng nếu chưa xem bài thì cũng không được giảm (vì all-in là bỏ hết)
-    // declaredAmount coi như bằng allInAmount (vì không có khái niệm tuyên bố)
-    if (allInAmount > room.minBet) {
-      room.minBet = allInAmount;
-      room.lastRaise = socket.id;
-    }
+  const postMessage = ({ room, player }, message) => {
+    const entry = chat.appendMessage(room, player, message);
+    saveRoom(room);
+    emitToRoom(room, "chat-message", entry);
+  };
 
-    room.currentTurn = getNextActivePlayerIndex(room, room.players.indexOf(player));
+  on("chat-message", ({ roomCode, text } = {}) => {
+    const validated = chat.validateMessage(text);
+    if (validated.error) return sendError(socket, validated.error);
+    const speaker = findSpeaker(roomCode);
+    if (!speaker) return;
+    const clean = speaker.room.settings.chatFilter ? filterProfanity(validated.text) : validated.text;
+    postMessage(speaker, { type: "chat", text: clean });
+  });
 
-    io.to(roomCode).emit("player-action-notification", {
-      playerId: socket.id,
-      playerName: player.name,
-      action: "all-in",
-      amount: allInAmount,
-      message: `${player.name} ALL-IN ${allInAmount.toLocaleString()} xu!`,
-    });
-    io.to(roomCode).emit("room-updated", room);
+  on("emote", ({ roomCode, emote } = {}) => {
+    if (!chat.EMOTES.includes(emote)) return sendError(socket, msg("emote-not-found"));
+    const speaker = findSpeaker(roomCode);
+    if (speaker) postMessage(speaker, { type: "emote", emote });
+  });
+
+  // ---------- QUẢN LÝ NGƯỜI CHƠI (CHỦ PHÒNG) ----------
+  // Trả về { room, target } hoặc null nếu đã báo lỗi
+  const findModerationTarget = (roomCode, playerId) => {
+    const room = rooms.get(roomCode);
+    if (!room) return reject(msg("room-not-found"));
+    if (!isHost(room.host)) return reject(msg("host-only"));
+    const target = room.players.find(p => p.id === playerId);
+    if (!target || target.kicked) return reject(msg("player-not-found"));
+    if (target.userId === user.id) return reject(msg("cannot-target-self"));
+    return { room, target };
+  };
 
-    if (isRoundComplete(room)) checkAndAdvanceRound(room);
+  on("mute-player", ({ roomCode, playerId, muted = true } = {}) => {
+    const found = findModerationTarget(roomCode, playerId);
+    if (!found) return;
+    const { room, target } = found;
+    target.muted = muted;
+    logger.info("player muted", { roomCode: room.code, playerName: target.name, muted });
+    emitToRoom(room, "player-muted", { playerId: target.id, playerName: target.name, muted });
+    emitRoomState(room);
+  });
 
-    if (isHandFinished(room)) {
-      const result = resolveHand(room);
-      io.to(roomCode).emit("hand-ended", { winner: result.winner, pot: result.pot });
-      room.tournamentPlayers = room.tournamentPlayers.filter(tp => tp.money > 0);
-      afterHandEnded(room, io);
-    }
+  on("kick-player", ({ roomCode, playerId } = {}) => {
+    const found = findModerationTarget(roomCode, playerId);
+    if (found) kickSeat(found.room, found.target);
   });
 
-  // ---------- SO BÀI ----------
-  socket.on("compare-cards", ({ roomCode, targetPlayerId }) => {
+  // ---------- CÀI ĐẶT PHÒNG ----------
+  // password: chuỗi mới để đặt / đổi, null hoặc "" để bỏ, không gửi thì giữ nguyên
+  on("update-settings", ({ roomCode, settings, password } = {}) => {
     const room = rooms.get(roomCode);
-    if (!room) return socket.emit("error", { message: "Phòng không tồn tại" });
-    const player = room.players.find(p => p.id === socket.id);
-    const opponent = room.players.find(p => p.id === targetPlayerId);
-    if (!player || !opponent) return socket.emit("error", { message: "Người chơi không tồn tại" });
-    if (player.folded || opponent.folded) return socket.emit("error", { message: "Một trong hai đã bỏ bài" });
-    if (room.currentRound < 2) return socket.emit("error", { message: "Chỉ so bài từ vòng 2" });
-    if (room.currentTurn !== room.players.indexOf(player)) {
-      return socket.emit("error", { message: "Chưa đến lượt của bạn" });
+    if (!room) return sendError(socket, msg("room-not-found"));
+    if (!isHost(room.host)) return sendError(socket, msg("host-only"));
+    // Luật chơi chỉ đổi khi phòng đang chờ, cài đặt khán giả / đồng hồ đổi lúc nào cũng được
+    if (touchesEngineSettings(settings) && room.gameState !== "waiting") {
+      return sendError(socket, msg("rules-locked"));
     }
-    // Kiểm tra đã đặt cược đủ (theo mức minBet hiện tại) chưa? 
-    // Ở đây ta dùng currentBet thực tế? Hay dùng declared? 
-    // Theo luật, để được so bài, người chơi phải "theo" ít nhất bằng mức cược hiện tại (minBet). 
-    // Nhưng currentBet của họ là tiền thực tế, không phản ánh đúng nếu họ chưa xem. 
-    // Tốt nhất nên so sánh số tiền họ đã bỏ (currentBet) với mức cần thiết quy đổi? 
-    // Đơn giản: yêu cầu họ phải có currentBet ít nhất bằng minBet? Không đúng vì người chưa xem có currentBet thấp hơn.
-    // Thay vào đó, ta kiểm tra xem họ đã "theo" chưa bằng cách xem liệu họ có thể tiếp tục hành động không? 
-    // Trong thực tế, nếu họ chưa theo kịp, họ sẽ không được phép so bài. 
-    // Ta có thể kiểm tra: nếu player.currentBet < room.minBet * (player.viewedCards ? 1 : 0.5) ? 
-    // Nhưng minBet là số tuyên bố, không phải thực tế. 
-    // Tạm thời giữ nguyên điều kiện cũ: player.currentBet >= room.minBet (vì currentBet là thực tế, và minBet là tuyên bố, không công bằng).
-    // Để đơn giản, ta bỏ qua kiểm tra này và để server tự quyết định dựa trên luật chơi? 
-    // Theo yêu cầu của người dùng: "phải đặt cược số tiền để theo trước rồi mới được so bài". 
-    // Nghĩa là họ phải có currentBet (thực tế) ít nhất bằng mức cược tối thiểu hiện tại? Nhưng mức cược tối thiểu là số tuyên bố, không phải thực tế. 
-    // Có lẽ nên hiểu: họ phải đặt cược đủ số tiền tương ứng với mức cược hiện tại, tức là nếu chưa xem thì họ phải bỏ ra một nửa số đó. 
-    // Vậy ta kiểm tra: 
-    //   let requiredActual = player.viewedCards ? room.minBet : Math.floor(room.minBet / 2);
-    //   if (player.currentBet < requiredActual) return ... 
-    // Nhưng currentBet của họ có thể đã có từ trước (ví dụ họ đã cược 50, minBet=100, chưa xem thì requiredActual=50, currentBet=50 là đủ). 
-    // Điều này hợp lý.
-    const requiredActual = player.viewedCards ? room.minBet : Math.floor(room.minBet / 2);
-    if (player.currentBet < requiredActual) {
-      return socket.emit("error", { message: "Bạn cần đặt cược đủ số tiền theo trước khi so bài" });
+    const validated = validateSettings(settings, room.settings);
+    if (validated.error) return sendError(socket, validated.error);
+    const { settings: updated, error } = engine.applyVariantSettings(engine.getVariant(room.variant), validated.settings, settings);
+    if (error) return sendError(socket, error);
+    if (updated.maxPlayers < room.players.length) {
+      return sendError(socket, msg("max-players-below-seated"));
     }
-
-    const hand1 = evaluateHand(player.hand);
-    const hand2 = evaluateHand(opponent.hand);
-    const result = compareHands(hand1, hand2);
-
-    let winner, loser;
-    if (result > 0) { winner = player; loser = opponent; }
-    else if (result < 0) { winner = opponent; loser = player; }
-
-    if (winner && loser) {
-      loser.folded = true;
-      socket.emit("compare-result", {
-        opponent: opponent.name,
-        winner: result > 0 ? "you" : "opponent",
-        yourHand: player.hand,
-        opponentHand: opponent.hand,
-        yourEvaluation: hand1,
-        opponentEvaluation: hand2,
-        message: result > 0 ? "🎉 Bạn thắng!" : "😞 Bạn thua!",
-      });
-      io.to(opponent.id).emit("compare-result", {
-        opponent: player.name,
-        winner: result < 0 ? "you" : "opponent",
-        yourHand: opponent.hand,
-        opponentHand: player.hand,
-        yourEvaluation: hand2,
-        opponentEvaluation: hand1,
-        message: result < 0 ? "🎉 Bạn thắng!" : "😞 Bạn thua!",
-      });
-    } else {
-      socket.emit("compare-result", { winner: "draw", yourHand: player.hand, opponentHand: opponent.hand, yourEvaluation: hand1, opponentEvaluation: hand2, message: "🤝 Hòa!" });
-      io.to(opponent.id).emit("compare-result", { winner: "draw", yourHand: opponent.hand, opponentHand: player.hand, yourEvaluation: hand2, opponentEvaluation: hand1, message: "🤝 Hòa!" });
+    const { passwordHash, error: passwordError } = password === undefined
+      ? { passwordHash: room.passwordHash }
+      : hashRoomPassword(password);
+    if (passwordError) return sendError(socket, passwordError);
+
+    room.settings = updated;
+    room.passwordHash = passwordHash;
+    if (room.gameState === "waiting") room.minBet = updated.minBet;
+
+    // Tắt chế độ xem thì mời toàn bộ khán giả ra
+    if (!room.settings.allowSpectators && countSpectators(room.code)) {
+      emitLocalized(spectatorChannel(room.code), "spectate-closed", { message: msg("spectating-closed") });
+      io.in(spectatorChannel(room.code)).socketsLeave(spectatorChannel(room.code));
+      spectators.clearRoom(room.code);
+      broadcastSpectatorCount(room);
     }
+    emitRoomState(room);
+  });
 
-    player.actedThisRound = true;
-    room.currentTurn = getNextActivePlayerIndex(room, room.players.indexOf(player));
-
-    io.to(roomCode).emit("player-action-notification", {
+  // ---------- VÀO LẠI PHÒNG ----------
+  // Người chơi giải có thể đã bị chuyển bàn, nên roomCode chỉ là gợi ý: ghế được tìm theo token
+  // Token kết nối lại chỉ dùng được bởi đúng người đã ngồi ghế đó
+  on("rejoin-room", ({ roomCode, reconnectToken } = {}) => {
+    if (!user) return sendError(socket, msg("login-required"));
+    const seat = findSeat(reconnectToken);
+    const found = seat && seat.player.userId === user.id ? seat : null;
+    if (found?.player.kicked) return sendError(socket, msg("banned-from-room"));
+    if (!found) {
+      if (rejoinTournamentRegistration(socket, user, reconnectToken)) return;
+      const exists = roomCode && rooms.has(roomCode);
+      return sendError(socket, msg(exists || !roomCode ? "invalid-session" : "room-not-found"));
+    }
+    const { room, player } = found;
+    const code = room.code;
+
+    clearTimeout(disconnectTimers.get(reconnectToken));
+    disconnectTimers.delete(reconnectToken);
+
+    const oldId = player.id;
+    if (oldId !== socket.id) {
+      seats.rebindSeat(room, oldId, socket.id);
+      // Tab cũ còn mở thì ngắt, ghế chỉ thuộc về một socket
+      players.delete(oldId);
+      io.in(oldId).disconnectSockets(true);
+    }
+    player.connected = true;
+    player.sittingOut = false;
+    delete player.disconnectedAt;
+
+    players.set(socket.id, { roomCode: code, playerName: player.name, socketId: socket.id });
+    socket.join(code);
+    if (room.tournamentId) socket.join(tournamentChannel(room.tournamentId));
+    emitTo(socket, "room-rejoined", { roomCode: code, playerId: socket.id, reconnectToken, message: msg("room-rejoined") });
+    sendChatHistory(socket, room);
+    emitToPlayers(room, "player-reconnected", () => ({
       playerId: socket.id,
+      previousPlayerId: oldId,
       playerName: player.name,
-      action: "compare",
-      targetPlayerId: opponent.id,
-      targetPlayerName: opponent.name,
-      message: `${player.name} đã so bài với ${opponent.name}!`,
-    });
-    io.to(roomCode).emit("room-updated", room);
-
-    if (isRoundComplete(room)) checkAndAdvanceRound(room);
-
-    if (isHandFinished(room)) {
-      const result = resolveHand(room);
-      io.to(roomCode).emit("hand-ended", { winner: result.winner, pot: result.pot });
-      room.tournamentPlayers = room.tournamentPlayers.filter(tp => tp.money > 0);
-      afterHandEnded(room, io);
-    }
+    }));
+    emitRoomState(room);
   });
 
-  // ---------- KIỂM TRA KẾT THÚC VÒNG ----------
-  const isRoundComplete = (room) => {
-    const canAct = room.players.filter(p => !p.folded && p.money > 0 && !p.allIn);
-    if (canAct.length === 0) return true;
-    return canAct.every(p => p.actedThisRound);
-  };
-
-  const checkAndAdvanceRound = (room) => {
-    const active = room.players.filter(p => !p.folded && p.money > 0);
-    if (active.length <= 1) return false;
-    room.players.forEach(p => { p.actedThisRound = false; });
-    room.currentRound++;
-    room.currentTurn = getFirstPlayerAfterDealer(room);
-    console.log(`🔄 Room ${room.code} - Round ${room.currentRound}, Turn: ${room.currentTurn}`);
-    return true;
-  };
-
   // ---------- NGẮT KẾT NỐI ----------
-  socket.on("disconnect", (reason) => {
-    console.log(`❌ Client disconnected: ${socket.id}, reason: ${reason}`);
+  on("disconnect", (reason) => {
+    logger.info("client disconnected", { socketId: socket.id, reason });
+    chatLimiter.forget(socket.id);
+    leaveSpectating(socket);
     const playerInfo = players.get(socket.id);
+    players.delete(socket.id);
     if (!playerInfo) return;
     const room = rooms.get(playerInfo.roomCode);
-    if (room) {
-      const pIdx = room.players.findIndex(p => p.id === socket.id);
-      if (pIdx > -1) {
-        room.players[pIdx].connected = false;
-        if (room.host === socket.id && room.gameState === "waiting") {
-          rooms.delete(playerInfo.roomCode);
-          io.to(playerInfo.roomCode).emit("room-closed", { message: "Chủ phòng đã rời, phòng đóng" });
-        } else {
-          if (room.gameState === "playing") room.players[pIdx].folded = true;
-          io.to(playerInfo.roomCode).emit("player-disconnected", {
-            playerId: socket.id,
-            playerName: playerInfo.playerName,
-            room,
-          });
-        }
-      }
-    }
-    players.delete(socket.id);
+    if (!room) return;
+    const player = room.players.find(p => p.id === socket.id);
+    if (!player) return;
+
+    // Giữ ghế trong thời gian chờ, chỉ bỏ bài / xóa ghế khi hết hạn
+    player.connected = false;
+    player.disconnectedAt = new Date().toISOString();
+    const graceMs = room.settings.reconnectGraceMs ?? RECONNECT_GRACE_MS;
+    clearTimeout(disconnectTimers.get(player.reconnectToken));
+    disconnectTimers.set(player.reconnectToken, setTimeout(() => expireSeat(player.reconnectToken), graceMs));
+
+    emitToPlayers(room, "player-disconnected", (viewerId) => ({
+      playerId: socket.id,
+      playerName: playerInfo.playerName,
+      graceMs,
+      room: buildPlayerView(room, viewerId),
+    }));
   });
-});
+};
 
 // ========== ERROR HANDLING & START ==========
-process.on("unhandledRejection", (err) => console.error("Unhandled Rejection:", err));
-process.on("uncaughtException", (err) => console.error("Uncaught Exception:", err));
+process.on("unhandledRejection", (err) => logger.error("unhandled rejection", { err }));
+process.on("uncaughtException", (err) => logger.error("uncaught exception", { err }));
 
-server.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  console.log(`   http://localhost:${PORT}`);
+// Tắt có chủ đích: trả khóa ngay để instance khác nhận phòng, không phải chờ hết hạn
+process.on("SIGTERM", () => {
+  ownership.releaseAll().catch(logStoreError).finally(() => process.exit(0));
 });
 
+setInterval(() => {
+  ownership.renewAll().then(lost => lost.forEach(dropLostOwnership), logStoreError);
+}, OWNERSHIP_RENEW_MS);
+
+sharedStore.subscribe(cluster.instanceChannel(INSTANCE_ID), receiveForwarded)
+  .then(restoreRooms)
+  .then(() => {
+    // Dựng bảng xác suất trước khi nhận request, /odds không phải chờ dựng bảng
+    engine.prepareTables();
+    server.listen(PORT, "0.0.0.0", () => {
+      logger.info("server started", { port: PORT, instance: INSTANCE_ID, store: sharedStore.name, storage: storage.name });
+    });
+  })
+  .catch((err) => {
+    logger.error("startup failed", { err });
+    process.exit(1);
+  });
+
 module.exports = { app, server, io };
\ No newline at end of file
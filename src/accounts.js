@@ -0,0 +1,256 @@
+// ========== TÀI KHOẢN, VÍ & SỔ CÁI ==========
+// Mỗi tài khoản có một ví xu dùng chung cho mọi phòng. Mọi thay đổi số dư đều đi
+// qua sổ cái (ledger): chỉ ghi nối thêm, không sửa không xóa. Số dư trong file tài
+// khoản chỉ là bản tóm tắt; khi khởi động số dư được tính lại từ sổ cái.
+//
+// Chạy nhiều instance (SHARED_STORE=redis) thì dùng createSharedAccounts: tài khoản, số dư
+// và sổ cái nằm trong shared store để instance nào cũng đăng nhập và trừ được cùng một ví.
+// Hai kho có cùng các hàm; bản dùng chung trả về Promise nên server luôn await.
+//
+// amount trong sổ cái tính theo góc nhìn của ví: âm là trả vào phòng / giải, dương là
+// nhận về. Mỗi phòng / giải có một ref riêng, nên tổng amount theo ref cho biết số xu
+// đang nằm trong phòng đó; khi đã chia thưởng xong tổng này phải bằng 0.
+const crypto = require("crypto");
+const { logger } = require("./logger");
+const { msg } = require("./i18n");
+
+// Phần thưởng không có chủ (bot, khách) về "nhà cái" để sổ cái luôn cân
+const HOUSE_ACCOUNT = "house";
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// ---------- MẬT KHẨU ----------
+const hashPassword = (password, salt = crypto.randomBytes(16).toString("hex")) => ({
+  salt,
+  hash: crypto.scryptSync(password, salt, 32).toString("hex"),
+});
+
+const verifyPassword = (password, { salt, hash }) => {
+  const expected = Buffer.from(hash, "hex");
+  const actual = Buffer.from(hashPassword(password, salt).hash, "hex");
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// ---------- CHIA QUỸ THEO TỈ LỆ ----------
+// Chia pool theo trọng số (số chip cuối ván), phần lẻ cho người có trọng số lớn nhất
+const splitPool = (pool, weights) => {
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  if (total <= 0) return weights.map(() => 0);
+  const amounts = weights.map(w => Math.floor(pool * w / total));
+  const top = weights.indexOf(Math.max(...weights));
+  amounts[top] += pool - amounts.reduce((sum, a) => sum + a, 0);
+  return amounts;
+};
+
+const publicAccount = (account) => account && ({
+  id: account.id,
+  username: account.username,
+  balance: account.balance,
+  createdAt: account.createdAt,
+});
+
+// Trả về lỗi nếu tên / mật khẩu đăng ký không hợp lệ, null nếu được
+const checkSignup = (username, password) => {
+  if (typeof username !== "string" || !USERNAME_PATTERN.test(username)) return msg("invalid-username");
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return msg("password-too-short", { min: MIN_PASSWORD_LENGTH });
+  }
+  return null;
+};
+
+const newAccount = (username, password) => ({
+  id: crypto.randomUUID(),
+  username,
+  password: hashPassword(password),
+  balance: 0,
+  createdAt: new Date().toISOString(),
+});
+
+// Số xu đang nằm trong một phòng / giải: đã trả vào trừ đã trả ra
+const sumRef = (ref, entries) => {
+  const paidIn = entries.filter(e => e.amount < 0).reduce((sum, e) => sum - e.amount, 0);
+  const paidOut = entries.filter(e => e.amount > 0).reduce((sum, e) => sum + e.amount, 0);
+  return { ref, paidIn, paidOut, held: paidIn - paidOut };
+};
+
+// ---------- KHO TÀI KHOẢN ----------
+const createAccounts = ({ storage, startingBalance = 0 }) => {
+  const accounts = new Map(); // id -> account
+  const usernames = new Map(); // tên viết thường -> id
+  const ledger = storage.loadLedger();
+  let seq = ledger.reduce((max, e) => Math.max(max, e.seq), 0);
+
+  for (const account of storage.loadAccounts()) {
+    // Crash giữa lúc ghi sổ cái và lưu tài khoản: sổ cái là nguồn đúng
+    const balance = ledger.filter(e => e.accountId === account.id).reduce((sum, e) => sum + e.amount, 0);
+    if (balance !== account.balance) {
+      logger.error("balance mismatch, using ledger", { accountId: account.id, username: account.username, saved: account.balance, ledger: balance });
+      account.balance = balance;
+      storage.saveAccount(account);
+    }
+    accounts.set(account.id, account);
+    usernames.set(account.username.toLowerCase(), account.id);
+  }
+
+  const getAccount = (id) => accounts.get(id) || null;
+
+  const findByUsername = (username) => getAccount(usernames.get(String(username).toLowerCase()));
+
+  // Ghi sổ cái trước rồi mới lưu số dư
+  const append = (account, amount, type, ref) => {
+    const entry = {
+      seq: ++seq,
+      accountId: account ? account.id : HOUSE_ACCOUNT,
+      amount,
+      balance: account ? account.balance + amount : null,
+      type,
+      ref,
+      createdAt: new Date().toISOString(),
+    };
+    storage.appendLedger(entry);
+    ledger.push(entry);
+    if (account) {
+      account.balance = entry.balance;
+      storage.saveAccount(account);
+    }
+    return entry;
+  };
+
+  // Trả về { account } hoặc { error }
+  const register = ({ username, password } = {}) => {
+    const error = checkSignup(username, password);
+    if (error) return { error };
+    if (findByUsername(username)) return { error: msg("username-taken") };
+
+    const account = newAccount(username, password);
+    accounts.set(account.id, account);
+    usernames.set(username.toLowerCase(), account.id);
+    storage.saveAccount(account);
+    if (startingBalance > 0) append(account, startingBalance, "signup-bonus", `account:${account.id}`);
+    return { account };
+  };
+
+  const authenticate = (username, password) => {
+    const account = typeof username === "string" && findByUsername(username);
+    if (!account || typeof password !== "string") return null;
+    return verifyPassword(password, account.password) ? account : null;
+  };
+
+  // Không ai được xuống dưới 0: trả về lỗi thay vì ghi sổ
+  const debit = (accountId, amount, type, ref) => {
+    const account = getAccount(accountId);
+    if (!account) return msg("account-not-found");
+    if (!Number.isInteger(amount) || amount < 0) return msg("invalid-amount");
+    if (account.balance < amount) return msg("insufficient-balance");
+    if (amount > 0) append(account, -amount, type, ref);
+    return null;
+  };
+
+  // accountId = null: phần không có chủ, ghi cho nhà cái
+  const credit = (accountId, amount, type, ref) => {
+    if (!Number.isInteger(amount) || amount <= 0) return null;
+    const account = accountId ? getAccount(accountId) : null;
+    return append(account, amount, account ? type : "unclaimed", ref);
+  };
+
+  // Mới nhất trước; before = seq để lấy trang tiếp theo
+  const history = (accountId, { limit = 50, before = Infinity } = {}) => ledger
+    .filter(e => e.accountId === accountId && e.seq < before)
+    .slice(-limit)
+    .reverse();
+
+  const reconcile = (ref) => sumRef(ref, ledger.filter(e => e.ref === ref));
+
+  return { getAccount, findByUsername, register, authenticate, debit, credit, history, reconcile };
+};
+
+// ---------- KHO TÀI KHOẢN DÙNG CHUNG ----------
+// Trong shared store (src/cluster):
+//   account:<id>        JSON tài khoản, không kèm số dư
+//   username:<tên thường> id (SET NX nên hai instance không đăng ký trùng tên)
+//   balance:<id>         số dư, chỉ đổi bằng increment (trừ không xuống dưới 0 một cách nguyên tử)
+//   ledger:seq           số thứ tự bút toán
+//   ledger:account:<id> / ledger:ref:<ref>  hash seq -> JSON bút toán, để xem lịch sử và đối soát
+// Số dư đổi trước rồi mới ghi bút toán, vì chỉ increment mới biết ví có đủ tiền không
+const createSharedAccounts = ({ store, startingBalance = 0 }) => {
+  const accountKey = (id) => `account:${id}`;
+  const usernameKey = (username) => `username:${String(username).toLowerCase()}`;
+  const balanceKey = (id) => `balance:${id}`;
+  const accountLedger = (id) => `ledger:account:${id}`;
+  const refLedger = (ref) => `ledger:ref:${ref}`;
+
+  const readEntries = async (hash) => Object.values(await store.hgetall(hash))
+    .map(json => JSON.parse(json))
+    .sort((a, b) => a.seq - b.seq);
+
+  const getAccount = async (id) => {
+    const json = typeof id === "string" && await store.get(accountKey(id));
+    if (!json) return null;
+    return { ...JSON.parse(json), balance: Number(await store.get(balanceKey(id))) };
+  };
+
+  const findByUsername = async (username) => getAccount(await store.get(usernameKey(username)));
+
+  const append = async (accountId, amount, balance, type, ref) => {
+    const entry = {
+      seq: await store.increment("ledger:seq", 1),
+      accountId: accountId || HOUSE_ACCOUNT,
+      amount,
+      balance,
+      type,
+      ref,
+      createdAt: new Date().toISOString(),
+    };
+    const json = JSON.stringify(entry);
+    await store.hset(accountLedger(entry.accountId), String(entry.seq), json);
+    await store.hset(refLedger(ref), String(entry.seq), json);
+    return entry;
+  };
+
+  const register = async ({ username, password } = {}) => {
+    const error = checkSignup(username, password);
+    if (error) return { error };
+    const account = newAccount(username, password);
+    if (!(await store.set(usernameKey(username), account.id, { onlyIfAbsent: true }))) return { error: msg("username-taken") };
+
+    const { balance, ...saved } = account;
+    await store.set(balanceKey(account.id), String(balance));
+    await store.set(accountKey(account.id), JSON.stringify(saved));
+    if (startingBalance > 0) await credit(account.id, startingBalance, "signup-bonus", `account:${account.id}`);
+    return { account: await getAccount(account.id) };
+  };
+
+  const authenticate = async (username, password) => {
+    const account = typeof username === "string" && await findByUsername(username);
+    if (!account || typeof password !== "string") return null;
+    return verifyPassword(password, account.password) ? account : null;
+  };
+
+  const debit = async (accountId, amount, type, ref) => {
+    if (!(await getAccount(accountId))) return msg("account-not-found");
+    if (!Number.isInteger(amount) || amount < 0) return msg("invalid-amount");
+    if (amount === 0) return null;
+    const balance = await store.increment(balanceKey(accountId), -amount, { min: 0 });
+    if (balance === null) return msg("insufficient-balance");
+    await append(accountId, -amount, balance, type, ref);
+    return null;
+  };
+
+  const credit = async (accountId, amount, type, ref) => {
+    if (!Number.isInteger(amount) || amount <= 0) return null;
+    const account = accountId ? await getAccount(accountId) : null;
+    if (!account) return append(null, amount, null, "unclaimed", ref);
+    return append(account.id, amount, await store.increment(balanceKey(account.id), amount), type, ref);
+  };
+
+  const history = async (accountId, { limit = 50, before = Infinity } = {}) => (await readEntries(accountLedger(accountId)))
+    .filter(e => e.seq < before)
+    .slice(-limit)
+    .reverse();
+
+  const reconcile = async (ref) => sumRef(ref, await readEntries(refLedger(ref)));
+
+  return { getAccount, findByUsername, register, authenticate, debit, credit, history, reconcile };
+};
+
+module.exports = { HOUSE_ACCOUNT, createAccounts, createSharedAccounts, publicAccount, splitPool, hashPassword, verifyPassword };
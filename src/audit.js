@@ -0,0 +1,35 @@
+// ========== NHẬT KÝ THAO TÁC QUẢN TRỊ ==========
+// Mỗi thao tác của admin (đóng phòng, mời người chơi, chỉnh số dư...) được ghi một dòng,
+// chỉ ghi nối thêm như sổ cái, kể cả khi thao tác bị từ chối (ok = false).
+
+const createAuditLog = ({ storage, logger, now = Date.now }) => {
+  const entries = storage.loadAudit();
+  let seq = entries.reduce((max, e) => Math.max(max, e.seq), 0);
+
+  // actor: { accountId, username } của admin; target: mã phòng / id tài khoản...
+  const record = ({ actor, action, target, details = {}, ok = true }) => {
+    const entry = {
+      seq: ++seq,
+      actor,
+      action,
+      target,
+      details,
+      ok,
+      createdAt: new Date(now()).toISOString(),
+    };
+    storage.appendAudit(entry);
+    entries.push(entry);
+    logger.info("admin action", { audit: entry });
+    return entry;
+  };
+
+  // Mới nhất trước; before = seq để lấy trang tiếp theo
+  const list = ({ limit = 50, before = Infinity, action } = {}) => entries
+    .filter(e => e.seq < before && (!action || e.action === action))
+    .slice(-limit)
+    .reverse();
+
+  return { record, list };
+};
+
+module.exports = { createAuditLog };
@@ -0,0 +1,91 @@
+// ========== XÁC THỰC ==========
+// Token dạng JWT (HS256) tự ký bằng crypto, không cần thư viện ngoài.
+// Payload: { sub, name, guest, iat, exp } — sub là accountId, hoặc "guest:<id>" cho khách.
+const crypto = require("crypto");
+
+const ACCOUNT_TOKEN_TTL_S = 7 * 24 * 60 * 60;
+const GUEST_TOKEN_TTL_S = 24 * 60 * 60;
+
+const base64url = (input) => Buffer.from(input).toString("base64url");
+
+const sign = (data, secret) => crypto.createHmac("sha256", secret).update(data).digest("base64url");
+
+// ---------- KÝ & KIỂM TRA TOKEN ----------
+const signToken = (payload, secret, ttlSeconds, now = Date.now()) => {
+  const iat = Math.floor(now / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const body = base64url(JSON.stringify({ ...payload, iat, exp: iat + ttlSeconds }));
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`;
+};
+
+// Trả về payload, hoặc null nếu sai chữ ký / hết hạn / sai định dạng
+const verifyToken = (token, secret, now = Date.now()) => {
+  if (typeof token !== "string") return null;
+  const parts = token.split(".");
+  if (parts.length !== 3) return null;
+  const [header, body, signature] = parts;
+
+  const expected = Buffer.from(sign(`${header}.${body}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    if (JSON.parse(Buffer.from(header, "base64url").toString()).alg !== "HS256") return null;
+    const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+    if (typeof payload.exp !== "number" || payload.exp * 1000 <= now) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+};
+
+// "Bearer <token>" trong header Authorization
+const readBearer = (header) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(header || "");
+  return match ? match[1] : null;
+};
+
+// Danh tính dùng trong server: id là chủ phòng / chủ giải, accountId để trừ / cộng ví
+const userFromPayload = (payload) => payload && ({
+  id: payload.sub,
+  name: payload.name,
+  guest: payload.guest === true,
+  accountId: payload.guest ? null : payload.sub,
+});
+
+// ---------- KHÁCH ----------
+// Giới hạn số tên khách mỗi IP trong một cửa sổ thời gian (server dùng cả cho đăng ký tài khoản)
+const createGuestLimiter = ({ limit, windowMs }) => {
+  const windows = new Map(); // ip -> { count, resetAt }
+
+  const take = (ip, now = Date.now()) => {
+    const current = windows.get(ip);
+    if (!current || current.resetAt <= now) {
+      windows.set(ip, { count: 1, resetAt: now + windowMs });
+      return true;
+    }
+    if (current.count >= limit) return false;
+    current.count++;
+    return true;
+  };
+
+  // Dọn các cửa sổ đã hết hạn để Map không phình mãi
+  const prune = (now = Date.now()) => {
+    for (const [ip, current] of windows) if (current.resetAt <= now) windows.delete(ip);
+  };
+
+  return { take, prune };
+};
+
+const generateGuestName = () => `Khách-${crypto.randomInt(100000, 1000000)}`;
+
+module.exports = {
+  ACCOUNT_TOKEN_TTL_S,
+  GUEST_TOKEN_TTL_S,
+  signToken,
+  verifyToken,
+  readBearer,
+  userFromPayload,
+  createGuestLimiter,
+  generateGuestName,
+};
@@ -0,0 +1,35 @@
+// ========== SOCKET GIẢ CHO BOT ==========
+// Bot gắn cùng bộ handler như socket thật, nên mọi hành động của bot đi qua
+// đúng các bước kiểm tra (lượt, tiền, vòng...) như người chơi. use() nhận middleware
+// dạng (packet, next) như socket.io, để payload của bot qua cùng bước kiểm tra schema.
+
+const createBotSocket = (id) => {
+  const handlers = new Map();
+  const middlewares = [];
+  let lastError = null;
+
+  return {
+    id,
+    isBot: true,
+    data: {},
+    on: (event, handler) => { handlers.set(event, handler); },
+    use: (middleware) => { middlewares.push(middleware); },
+    emit: (event, data) => { if (event === "error") lastError = data; },
+    join: () => {},
+    leave: () => {},
+    // Gọi handler như khi client gửi event, trả về lỗi nếu server từ chối
+    dispatch: (event, payload) => {
+      lastError = null;
+      const packet = [event, payload];
+      const run = (index) => {
+        if (index < middlewares.length) return middlewares[index](packet, () => run(index + 1));
+        const handler = handlers.get(packet[0]);
+        if (handler) handler(packet[1]);
+      };
+      run(0);
+      return lastError;
+    },
+  };
+};
+
+module.exports = { createBotSocket };
@@ -0,0 +1,125 @@
+// ========== CHIẾN THUẬT BOT ==========
+// Một chiến thuật là { name, variants, decide(view, helpers) } và trả về { event, payload }
+// như client gửi lên. view là đúng góc nhìn của bot (buildPlayerView), không hơn.
+// variants: các biến thể chơi được (room.variant). helpers: { evaluateHand, random }
+const { findSmallestPlay } = require("../engine/variants/tien-len");
+
+const HAND_STRENGTH = { "high-card": 1, pair: 2, straight: 3, flush: 4, "straight-flush": 5, "three-of-a-kind": 6 };
+
+// Biến thể tính điểm: quy về cùng thang với bài chuẩn
+const strengthOf = (evaluation) => {
+  if (evaluation.type === "points") {
+    if (evaluation.points >= 8) return HAND_STRENGTH.straight;
+    return evaluation.points >= 6 ? HAND_STRENGTH.pair : HAND_STRENGTH["high-card"];
+  }
+  return HAND_STRENGTH[evaluation.type] || HAND_STRENGTH.straight; // ba tây, liêng, sáp
+};
+
+// Các thông tin dẫn xuất từ view mà chiến thuật nào cũng cần
+const describeSeat = (view) => {
+  const me = view.players.find(p => p.id === view.viewerId);
+  const opponents = view.players.filter(p => p.id !== me.id && !p.folded && p.cardCount > 0);
+  const { blindBetRatio } = view.settings;
+  // Số xu phải trả để lên mức declared, như costTo của engine
+  const costOf = (declared) => {
+    const gap = Math.max(0, declared - (me.declaredBet || 0));
+    return me.viewedCards ? gap : Math.floor(gap * blindBetRatio);
+  };
+  const legal = (type) => view.legalActions.find(a => a.type === type) || null;
+  return { me, opponents, costOf, legal, canCompare: Boolean(legal("compare")) };
+};
+
+// Muốn lên mức declared: tố nếu được (kẹp trong min / max), không thì theo / check,
+// không đủ tiền theo thì all-in
+const betOrAllIn = (view, seat, declared) => {
+  const wager = seat.legal("raise") || seat.legal("bet");
+  if (declared > view.minBet && wager) {
+    return { event: wager.type, payload: { roomCode: view.code, amount: Math.min(Math.max(declared, wager.min), wager.max) } };
+  }
+  if (seat.legal("call")) return { event: "call", payload: view.code };
+  if (seat.legal("check")) return { event: "check", payload: view.code };
+  return { event: "all-in", payload: view.code };
+};
+
+const randomStrategy = {
+  name: "random",
+  variants: ["kim-hoa", "lieng"],
+  decide: (view, { random }) => {
+    const seat = describeSeat(view);
+    if (!seat.me.viewedCards && random() < 0.5) return { event: "view-cards", payload: view.code };
+
+    const roll = random();
+    if (roll < 0.1) return { event: "fold", payload: view.code };
+    if (roll < 0.2 && seat.canCompare) {
+      const target = seat.opponents[Math.floor(random() * seat.opponents.length)];
+      return { event: "compare-cards", payload: { roomCode: view.code, targetPlayerId: target.id } };
+    }
+    if (roll < 0.4) return betOrAllIn(view, seat, view.minBet * 2);
+    return betOrAllIn(view, seat, view.minBet);
+  },
+};
+
+// Luôn xem bài trước, rồi quyết định theo nhóm bài của evaluateHand
+const handStrengthStrategy = {
+  name: "hand-strength",
+  variants: ["kim-hoa", "lieng"],
+  decide: (view, { evaluateHand }) => {
+    const seat = describeSeat(view);
+    if (!seat.me.viewedCards) return { event: "view-cards", payload: view.code };
+
+    const evaluation = evaluateHand(seat.me.hand);
+    const strength = strengthOf(evaluation);
+    const topCard = Math.max(...seat.me.hand.map(c => c.value));
+
+    if (strength >= HAND_STRENGTH.straight) {
+      if (seat.canCompare && view.currentRound > view.settings.compareFromRound) {
+        return { event: "compare-cards", payload: { roomCode: view.code, targetPlayerId: seat.opponents[0].id } };
+      }
+      return betOrAllIn(view, seat, view.minBet * 2);
+    }
+    if (strength === HAND_STRENGTH.pair) {
+      if (seat.canCompare) {
+        return { event: "compare-cards", payload: { roomCode: view.code, targetPlayerId: seat.opponents[0].id } };
+      }
+      return betOrAllIn(view, seat, view.minBet);
+    }
+    // Bài lẻ: chỉ theo khi có lá cao và cược còn rẻ
+    if (topCard >= 13 && seat.costOf(view.minBet) <= seat.me.money / 10) {
+      return betOrAllIn(view, seat, view.minBet);
+    }
+    if (seat.legal("check")) return { event: "check", payload: view.code };
+    return { event: "fold", payload: view.code };
+  },
+};
+
+// Tiến Lên: đánh bộ nhỏ nhất chặn được, không có thì bỏ lượt
+const smallestPlayStrategy = {
+  name: "smallest-play",
+  variants: ["tien-len"],
+  decide: (view) => {
+    const me = view.players.find(p => p.id === view.viewerId);
+    const cards = findSmallestPlay(me.hand, view.trick, view.mustPlay);
+    if (!cards) return { event: "pass", payload: view.code };
+    return { event: "play-cards", payload: { roomCode: view.code, cards: cards.map(c => ({ rank: c.rank, suit: c.suit })) } };
+  },
+};
+
+const strategies = new Map([
+  [randomStrategy.name, randomStrategy],
+  [handStrengthStrategy.name, handStrengthStrategy],
+  [smallestPlayStrategy.name, smallestPlayStrategy],
+]);
+
+const registerStrategy = (strategy) => {
+  strategies.set(strategy.name, strategy);
+};
+
+const getStrategy = (name) => strategies.get(name) || null;
+
+const supportsVariant = (strategy, variant) => strategy.variants.includes(variant);
+
+// Chiến thuật đầu tiên chơi được biến thể, dùng khi chủ phòng không chọn
+const defaultStrategyFor = (variant) =>
+  [...strategies.values()].find(strategy => supportsVariant(strategy, variant))?.name || null;
+
+module.exports = { getStrategy, registerStrategy, describeSeat, supportsVariant, defaultStrategyFor };
@@ -0,0 +1,81 @@
+// ========== CHAT TRONG PHÒNG ==========
+// Tin nhắn và biểu cảm chỉ đi trong một phòng (người chơi + khán giả). Mỗi phòng
+// giữ một đoạn lịch sử ngắn để người vào sau đọc lại. File này không gửi gì,
+// server lo việc kiểm tra quyền (đang ngồi, bị cấm chat) và phát sự kiện.
+
+const { msg } = require("./i18n");
+
+const MAX_MESSAGE_LENGTH = 200;
+const CHAT_HISTORY_LIMIT = 50;
+
+const EMOTES = ["like", "laugh", "cry", "angry", "wow", "cool", "thinking", "gg"];
+
+// Danh sách mặc định, thay bằng biến môi trường CHAT_BANNED_WORDS (phân cách bằng dấu phẩy)
+const DEFAULT_BANNED_WORDS = ["đm", "dm", "đcm", "dcm", "vcl", "vkl", "clgt", "địt", "đụ", "fuck", "shit"];
+
+// ---------- NỘI DUNG ----------
+// Bỏ ký tự điều khiển và khoảng trắng thừa; trả về { text } hoặc { error }
+const validateMessage = (text) => {
+  if (typeof text !== "string") return { error: msg("invalid-chat-message") };
+  const cleaned = text.replace(/[\u0000-\u001f\u007f]/g, " ").replace(/\s+/g, " ").trim();
+  if (!cleaned) return { error: msg("empty-chat-message") };
+  if (cleaned.length > MAX_MESSAGE_LENGTH) return { error: msg("chat-message-too-long", { max: MAX_MESSAGE_LENGTH }) };
+  return { text: cleaned };
+};
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Che từ cấm bằng dấu *, chỉ khớp nguyên từ (không che "dm" trong "admin")
+const createProfanityFilter = (words = DEFAULT_BANNED_WORDS) => {
+  const list = words.map(w => w.trim()).filter(Boolean);
+  if (!list.length) return (text) => text;
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${list.map(escapeRegExp).join("|")})(?![\\p{L}\\p{N}])`, "giu");
+  return (text) => text.replace(pattern, (match) => "*".repeat([...match].length));
+};
+
+// ---------- LỊCH SỬ ----------
+// message: { type: "chat", text } hoặc { type: "emote", emote }
+const appendMessage = (room, player, message, now = Date.now()) => {
+  room.chatSeq = (room.chatSeq || 0) + 1;
+  const entry = {
+    id: room.chatSeq,
+    ...message,
+    playerId: player.id,
+    playerName: player.name,
+    createdAt: new Date(now).toISOString(),
+  };
+  room.chatHistory = [...(room.chatHistory || []), entry].slice(-CHAT_HISTORY_LIMIT);
+  return entry;
+};
+
+// ---------- GIỚI HẠN TẦN SUẤT ----------
+// Cửa sổ trượt theo từng socket: tối đa limit tin trong windowMs gần nhất
+const createChatLimiter = ({ limit, windowMs }) => {
+  const sent = new Map(); // socketId -> mốc thời gian các tin gần đây
+
+  const take = (socketId, now = Date.now()) => {
+    const recent = (sent.get(socketId) || []).filter(t => t > now - windowMs);
+    if (recent.length >= limit) {
+      sent.set(socketId, recent);
+      return false;
+    }
+    recent.push(now);
+    sent.set(socketId, recent);
+    return true;
+  };
+
+  const forget = (socketId) => { sent.delete(socketId); };
+
+  return { take, forget };
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  CHAT_HISTORY_LIMIT,
+  EMOTES,
+  DEFAULT_BANNED_WORDS,
+  validateMessage,
+  createProfanityFilter,
+  appendMessage,
+  createChatLimiter,
+};
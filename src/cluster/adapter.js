@@ -0,0 +1,42 @@
+// ========== SOCKET.IO ADAPTER QUA SHARED STORE ==========
+// io.to(...).emit, socketsJoin, disconnectSockets... của instance này được phát sang mọi
+// instance khác qua pub/sub của store, nên một socket nối vào instance nào cũng nhận đủ.
+// Tin đi dạng JSON: server này chỉ gửi payload JSON, không có dữ liệu nhị phân.
+const { ClusterAdapterWithHeartbeat } = require("socket.io-adapter");
+
+// socket.io tự dựng adapter cho từng namespace, nên ở đây bắt buộc phải là class
+class StoreAdapter extends ClusterAdapterWithHeartbeat {
+  constructor(nsp, store, { channel, ...opts }) {
+    super(nsp, opts);
+    this.store = store;
+    this.channel = `${channel}#${nsp.name}#`;
+    // Phản hồi (fetchSockets, serverSideEmit có ack) chỉ gửi về đúng instance đã hỏi
+    this.unsubscribes = Promise.all([
+      store.subscribe(this.channel, (raw) => this.onMessage(JSON.parse(raw))),
+      store.subscribe(this.channel + this.uid, (raw) => this.onResponse(JSON.parse(raw))),
+    ]);
+  }
+
+  async doPublish(message) {
+    await this.store.publish(this.channel, JSON.stringify(message));
+    return "";
+  }
+
+  async doPublishResponse(requesterUid, response) {
+    await this.store.publish(this.channel + requesterUid, JSON.stringify(response));
+  }
+
+  close() {
+    super.close();
+    this.unsubscribes.then(list => list.forEach(unsubscribe => unsubscribe()));
+  }
+}
+
+// Dùng: io.adapter(createStoreAdapter(store)). socket.io gọi hàm này bằng `new`
+// nên phải là function thường, không phải arrow function.
+const createStoreAdapter = (store, { channel = "socket.io", ...opts } = {}) =>
+  function (nsp) {
+    return new StoreAdapter(nsp, store, { channel, ...opts });
+  };
+
+module.exports = { createStoreAdapter };
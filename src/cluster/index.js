@@ -0,0 +1,26 @@
+// ========== CHẠY NHIỀU INSTANCE ==========
+// SHARED_STORE=memory (mặc định, một instance) | redis (REDIS_URL). Store nào cũng có
+// get / set (NX, PX) / del / compareAndDelete / compareAndExpire / increment, hset / hget / hdel / hgetall
+// và publish / subscribe; mọi hàm trả về Promise.
+const { createMemoryStore } = require("./memory-store");
+const { createRedisStore } = require("./redis-store");
+const { createStoreAdapter } = require("./adapter");
+const { createOwnership } = require("./ownership");
+const { createRemoteSocket } = require("./remote-socket");
+const routing = require("./routing");
+
+const createSharedStore = ({ type = "memory", url } = {}) => {
+  if (type === "memory") return createMemoryStore();
+  if (type === "redis") return createRedisStore({ url: url || "redis://localhost:6379" });
+  throw new Error(`Shared store không hỗ trợ: ${type}`);
+};
+
+module.exports = {
+  createSharedStore,
+  createMemoryStore,
+  createRedisStore,
+  createStoreAdapter,
+  createOwnership,
+  createRemoteSocket,
+  ...routing,
+};
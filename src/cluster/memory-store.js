@@ -0,0 +1,95 @@
+// ========== SHARED STORE TRONG BỘ NHỚ ==========
+// Cùng giao diện với Redis store nhưng chỉ sống trong một process: dùng khi chạy
+// một instance, và trong test thì nhiều server dùng chung một store để giả lập cluster.
+// Mọi hàm đều trả về Promise để code gọi không phải phân biệt hai loại store.
+
+const createMemoryStore = ({ now = () => Date.now() } = {}) => {
+  const values = new Map(); // key -> { value, expiresAt }
+  const hashes = new Map(); // tên hash -> Map(field -> value)
+  const channels = new Map(); // channel -> Set(handler)
+
+  const read = (key) => {
+    const entry = values.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= now()) {
+      values.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  // ---------- KEY / VALUE ----------
+  const get = async (key) => read(key)?.value ?? null;
+
+  // onlyIfAbsent = SET NX; ttlMs = PX. Trả về false nếu key đã có (với NX)
+  const set = async (key, value, { ttlMs = null, onlyIfAbsent = false } = {}) => {
+    if (onlyIfAbsent && read(key)) return false;
+    values.set(key, { value, expiresAt: ttlMs ? now() + ttlMs : null });
+    return true;
+  };
+
+  const del = async (key) => {
+    values.delete(key);
+  };
+
+  // Chỉ xóa / gia hạn khi value vẫn đúng là của mình (khóa chưa bị người khác lấy)
+  const compareAndDelete = async (key, expected) => {
+    if (read(key)?.value !== expected) return false;
+    values.delete(key);
+    return true;
+  };
+
+  const compareAndExpire = async (key, expected, ttlMs) => {
+    const entry = read(key);
+    if (entry?.value !== expected) return false;
+    entry.expiresAt = now() + ttlMs;
+    return true;
+  };
+
+  // Cộng delta vào số lưu ở key (chưa có thì là 0). Kết quả nhỏ hơn min thì không đổi gì
+  // và trả về null, không thì trả về số mới
+  const increment = async (key, delta, { min = null } = {}) => {
+    const entry = read(key);
+    const value = Number(entry?.value ?? 0) + delta;
+    if (min !== null && value < min) return null;
+    values.set(key, { value: String(value), expiresAt: entry ? entry.expiresAt : null });
+    return value;
+  };
+
+  // ---------- HASH ----------
+  const hset = async (hash, field, value) => {
+    if (!hashes.has(hash)) hashes.set(hash, new Map());
+    hashes.get(hash).set(field, value);
+  };
+
+  const hget = async (hash, field) => hashes.get(hash)?.get(field) ?? null;
+
+  const hdel = async (hash, field) => {
+    hashes.get(hash)?.delete(field);
+  };
+
+  const hgetall = async (hash) => Object.fromEntries(hashes.get(hash) || []);
+
+  // ---------- PUB / SUB ----------
+  // Giao ở lượt event loop sau, giống như tin đi qua mạng
+  const publish = async (channel, message) => {
+    for (const handler of channels.get(channel) || []) setImmediate(() => handler(message));
+  };
+
+  const subscribe = async (channel, handler) => {
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(handler);
+    return () => channels.get(channel)?.delete(handler);
+  };
+
+  const close = async () => {};
+
+  return {
+    name: "memory",
+    get, set, del, compareAndDelete, compareAndExpire, increment,
+    hset, hget, hdel, hgetall,
+    publish, subscribe, close,
+  };
+};
+
+module.exports = { createMemoryStore };
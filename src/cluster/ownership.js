@@ -0,0 +1,44 @@
+// ========== CHỦ SỞ HỮU PHÒNG ==========
+// Mỗi phòng / giải chỉ có một instance sở hữu tại một thời điểm: chỉ instance đó giữ
+// state trong bộ nhớ, chạy đồng hồ lượt, bot và setTimeout chia ván mới. Khóa là một key
+// trong shared store (SET NX PX) có hạn; instance chủ gia hạn định kỳ. Instance chết thì
+// khóa tự hết hạn và instance khác nhận lại phòng từ bản lưu.
+
+const ownerKey = (key) => `owner:${key}`;
+
+const createOwnership = ({ store, instanceId, ttlMs }) => {
+  const held = new Set(); // các key (room:CODE / tournament:ID) instance này đang giữ
+
+  const claim = async (key) => {
+    const ok = await store.set(ownerKey(key), instanceId, { ttlMs, onlyIfAbsent: true });
+    if (ok) held.add(key);
+    return ok;
+  };
+
+  const release = async (key) => {
+    held.delete(key);
+    await store.compareAndDelete(ownerKey(key), instanceId);
+  };
+
+  // null nếu chưa ai giữ (phòng không tồn tại, hoặc chủ cũ đã chết)
+  const ownerOf = async (key) => (held.has(key) ? instanceId : store.get(ownerKey(key)));
+
+  const owns = (key) => held.has(key);
+
+  // Gia hạn mọi khóa đang giữ; trả về những key đã bị mất (hết hạn và bị instance khác lấy)
+  const renewAll = async () => {
+    const lost = [];
+    for (const key of [...held]) {
+      if (await store.compareAndExpire(ownerKey(key), instanceId, ttlMs)) continue;
+      held.delete(key);
+      lost.push(key);
+    }
+    return lost;
+  };
+
+  const releaseAll = () => Promise.all([...held].map(release));
+
+  return { instanceId, claim, release, ownerOf, owns, renewAll, releaseAll };
+};
+
+module.exports = { createOwnership };
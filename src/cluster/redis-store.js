@@ -0,0 +1,119 @@
+// ========== SHARED STORE TRÊN REDIS ==========
+// Dùng gói `redis` (node-redis v4). Gói này không nằm trong dependencies vì chỉ cần khi
+// chạy nhiều instance: SHARED_STORE=redis thì cài thêm `npm install redis`.
+// Mọi server Redis-compatible (Redis, Valkey, KeyDB, Dragonfly...) đều dùng được.
+
+const { logger } = require("../logger");
+
+// Chỉ xóa / gia hạn khóa khi value vẫn là của mình: phải làm nguyên tử bằng Lua
+const COMPARE_AND_DELETE = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("DEL", KEYS[1]) end
+return 0`;
+const COMPARE_AND_EXPIRE = `
+if redis.call("GET", KEYS[1]) == ARGV[1] then return redis.call("PEXPIRE", KEYS[1], ARGV[2]) end
+return 0`;
+// Cộng rồi kiểm tra min trong cùng một lệnh: hai instance trừ cùng một ví không thể cùng qua
+const INCREMENT = `
+local value = tonumber(redis.call("GET", KEYS[1]) or "0") + tonumber(ARGV[1])
+if ARGV[2] ~= "" and value < tonumber(ARGV[2]) then return false end
+redis.call("SET", KEYS[1], value, "KEEPTTL")
+return value`;
+
+const loadRedis = () => {
+  try {
+    return require("redis");
+  } catch {
+    throw new Error("SHARED_STORE=redis cần gói redis: npm install redis");
+  }
+};
+
+const createRedisStore = ({ url }) => {
+  const redis = loadRedis();
+  const client = redis.createClient({ url });
+  // Kết nối đang subscribe không chạy được lệnh khác nên cần một client riêng
+  const subscriber = client.duplicate();
+  client.on("error", (err) => logger.error("redis error", { connection: "client", err }));
+  subscriber.on("error", (err) => logger.error("redis error", { connection: "subscriber", err }));
+  const ready = Promise.all([client.connect(), subscriber.connect()]);
+
+  // ---------- KEY / VALUE ----------
+  const get = async (key) => {
+    await ready;
+    return client.get(key);
+  };
+
+  const set = async (key, value, { ttlMs = null, onlyIfAbsent = false } = {}) => {
+    await ready;
+    const options = {};
+    if (ttlMs) options.PX = ttlMs;
+    if (onlyIfAbsent) options.NX = true;
+    return (await client.set(key, value, options)) === "OK";
+  };
+
+  const del = async (key) => {
+    await ready;
+    await client.del(key);
+  };
+
+  const compareAndDelete = async (key, expected) => {
+    await ready;
+    return (await client.eval(COMPARE_AND_DELETE, { keys: [key], arguments: [expected] })) === 1;
+  };
+
+  const compareAndExpire = async (key, expected, ttlMs) => {
+    await ready;
+    return (await client.eval(COMPARE_AND_EXPIRE, { keys: [key], arguments: [expected, String(ttlMs)] })) === 1;
+  };
+
+  const increment = async (key, delta, { min = null } = {}) => {
+    await ready;
+    return client.eval(INCREMENT, { keys: [key], arguments: [String(delta), min === null ? "" : String(min)] });
+  };
+
+  // ---------- HASH ----------
+  const hset = async (hash, field, value) => {
+    await ready;
+    await client.hSet(hash, field, value);
+  };
+
+  const hget = async (hash, field) => {
+    await ready;
+    return (await client.hGet(hash, field)) ?? null;
+  };
+
+  const hdel = async (hash, field) => {
+    await ready;
+    await client.hDel(hash, field);
+  };
+
+  const hgetall = async (hash) => {
+    await ready;
+    return { ...(await client.hGetAll(hash)) };
+  };
+
+  // ---------- PUB / SUB ----------
+  const publish = async (channel, message) => {
+    await ready;
+    await client.publish(channel, message);
+  };
+
+  const subscribe = async (channel, handler) => {
+    await ready;
+    await subscriber.subscribe(channel, handler);
+    return () => subscriber.unsubscribe(channel, handler);
+  };
+
+  const close = async () => {
+    await ready;
+    await Promise.all([client.quit(), subscriber.quit()]);
+  };
+
+  return {
+    name: "redis",
+    get, set, del, compareAndDelete, compareAndExpire, increment,
+    hset, hget, hdel, hgetall,
+    publish, subscribe, close,
+  };
+};
+
+module.exports = { createRedisStore };
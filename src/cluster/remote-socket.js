@@ -0,0 +1,24 @@
+// ========== SOCKET ĐẠI DIỆN CHO CLIENT Ở INSTANCE KHÁC ==========
+// Giống socket giả của bot: instance chủ gắn cùng bộ handler như socket thật và gọi
+// handler với sự kiện được chuyển tới. Mọi thứ gửi về client đi qua adapter, nên tới
+// được socket thật dù nó nối vào instance nào.
+
+const createRemoteSocket = ({ io, id, user, locale }) => {
+  const handlers = new Map();
+
+  return {
+    id,
+    isRemote: true,
+    data: { user, locale },
+    on: (event, handler) => { handlers.set(event, handler); },
+    emit: (event, data) => { io.to(id).emit(event, data); },
+    join: (room) => { io.in(id).socketsJoin(room); },
+    leave: (room) => { io.in(id).socketsLeave(room); },
+    dispatch: (event, payload) => {
+      const handler = handlers.get(event);
+      if (handler) handler(payload);
+    },
+  };
+};
+
+module.exports = { createRemoteSocket };
@@ -0,0 +1,42 @@
+// ========== CHUYỂN SỰ KIỆN VỀ INSTANCE CHỦ ==========
+// Client nối vào instance nào cũng được (load balancer không cần sticky theo phòng).
+// Sự kiện gắn với một phòng / giải được chuyển về instance đang sở hữu nó; các sự
+// kiện còn lại (tạo phòng, sảnh, quick-match...) chạy ngay tại instance nhận.
+
+// Payload là mã phòng, hoặc object có roomCode
+const ROOM_EVENTS = [
+  "get-room-info", "join-room", "add-bot", "start-game", "set-client-seed",
+  "view-cards", "check", "call", "bet", "raise", "fold", "all-in", "compare-cards", "play-cards", "pass",
+  "replay-hand", "spectate-room", "update-settings", "rejoin-room",
+  "chat-message", "emote", "mute-player", "kick-player",
+];
+
+// Payload là id giải, hoặc object có tournamentId
+const TOURNAMENT_EVENTS = [
+  "register-tournament", "unregister-tournament", "add-tournament-bot", "start-tournament", "get-tournament",
+];
+
+// Không có mã phòng nhưng phải tới mọi instance đang giữ phòng của socket này
+const BROADCAST_EVENTS = ["leave-spectate"];
+
+const readId = (payload, field) => {
+  const value = payload && typeof payload === "object" ? payload[field] : payload;
+  return typeof value === "string" && value ? value.toUpperCase() : null;
+};
+
+// "room:CODE" | "tournament:ID" | null (chạy tại chỗ)
+const routeKey = (event, payload) => {
+  if (ROOM_EVENTS.includes(event)) {
+    const code = readId(payload, "roomCode");
+    return code && `room:${code}`;
+  }
+  if (TOURNAMENT_EVENTS.includes(event)) {
+    const id = readId(payload, "tournamentId");
+    return id && `tournament:${id}`;
+  }
+  return null;
+};
+
+const instanceChannel = (instanceId) => `instance:${instanceId}`;
+
+module.exports = { ROOM_EVENTS, TOURNAMENT_EVENTS, BROADCAST_EVENTS, routeKey, instanceChannel };
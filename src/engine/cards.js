@@ -0,0 +1,39 @@
+// ========== BỘ BÀI ==========
+
+const SUITS = ["hearts", "diamonds", "clubs", "spades"];
+const RANKS = ["2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A"];
+
+const getCardValue = (rank) => {
+  const values = { 2: 2, 3: 3, 4: 4, 5: 5, 6: 6, 7: 7, 8: 8, 9: 9, 10: 10, J: 11, Q: 12, K: 13, A: 14 };
+  return values[rank];
+};
+
+const getCardSymbol = (suit) => {
+  const symbols = { hearts: "♥", diamonds: "♦", clubs: "♣", spades: "♠" };
+  return symbols[suit];
+};
+
+// Bộ bài chuẩn chưa xáo, thứ tự cố định (dùng cả cho kiểm chứng xáo bài)
+const createDeck = () => {
+  const deck = [];
+  for (const suit of SUITS) {
+    for (const rank of RANKS) {
+      deck.push({ rank, suit, value: getCardValue(rank), symbol: getCardSymbol(suit) });
+    }
+  }
+  return deck;
+};
+
+// Ký hiệu ngắn: hạng + chữ cái đầu của chất, vd. "AS" (A♠), "10H" (10♥), "qd" (Q♦).
+// Trả về lá bài đầy đủ như trong createDeck, hoặc null nếu sai
+const SUIT_LETTERS = { H: "hearts", D: "diamonds", C: "clubs", S: "spades" };
+
+const parseCard = (text) => {
+  const match = /^(10|[2-9JQKA])([HDCS])$/.exec(String(text).trim().toUpperCase());
+  if (!match) return null;
+  const [, rank, letter] = match;
+  const suit = SUIT_LETTERS[letter];
+  return { rank, suit, value: getCardValue(rank), symbol: getCardSymbol(suit) };
+};
+
+module.exports = { SUITS, RANKS, getCardValue, getCardSymbol, createDeck, parseCard };
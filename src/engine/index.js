@@ -0,0 +1,97 @@
+// ========== LUẬT CHƠI (ENGINE) ==========
+// Không phụ thuộc Socket.IO: mỗi hàm nhận state và trả về state mới cùng danh sách
+// sự kiện. Server chỉ việc lưu state và chuyển tiếp sự kiện cho client.
+//
+// Sự kiện có dạng { scope, event, payload } với scope:
+//   "room"   - gửi cho cả bàn (và khán giả)
+//   "player" - chỉ gửi cho người chơi `to`
+//   "engine" - tín hiệu cho server: "turn-changed", "round-advanced", "hand-ended"
+//
+// Mỗi biến thể (room.variant) là một plugin:
+//   { name, title, cardsPerPlayer, maxSeats, defaultSettings, fixedSettings,
+//     startHand(state, deck), applyAction(state, action), legalActions(state, playerId) }
+// legalActions trả về [{ type, ...số tiền / mục tiêu của hành động đó }]
+// Những gì client thấy được dựng từ state qua src/views.js, biến thể chỉ cần giữ
+// bài tẩy trong player.hand và thông tin công khai trên room.
+const { createDeck } = require("./cards");
+const { evaluateHand, compareHands } = require("./ranking");
+const { refundPots } = require("./pots");
+const { handOdds, prepareTables } = require("./odds");
+const history = require("../history");
+const { msg } = require("../i18n");
+
+const DEFAULT_VARIANT = "kim-hoa";
+const variants = new Map();
+
+const registerVariant = (variant) => {
+  variants.set(variant.name, variant);
+};
+
+// Phòng tạo trước khi có biến thể không có room.variant
+const getVariant = (name) => variants.get(name || DEFAULT_VARIANT);
+
+const listVariants = () => [...variants.values()].map(v => ({
+  name: v.name,
+  title: v.title,
+  cardsPerPlayer: v.cardsPerPlayer,
+  maxSeats: v.maxSeats,
+}));
+
+// Gộp cài đặt cố định của biến thể và kiểm tra số ghế
+const applyVariantSettings = (variant, settings, requested = {}) => {
+  for (const [key, value] of Object.entries(variant.fixedSettings)) {
+    if (requested && key in requested && requested[key] !== value) {
+      return { error: msg("variant-fixed-setting", { variant: variant.title, key }) };
+    }
+  }
+  const merged = { ...settings, ...variant.fixedSettings };
+  if (merged.maxPlayers > variant.maxSeats) return { error: msg("variant-max-seats", { variant: variant.title, max: variant.maxSeats }) };
+  return { settings: merged };
+};
+
+const startHand = (state, deck) => getVariant(state.variant).startHand(state, deck);
+
+const applyAction = (state, action) => {
+  const variant = getVariant(state.variant);
+  if (!variant) return { error: msg("variant-not-found") };
+  return variant.applyAction(state, action);
+};
+
+// Dừng ván đang chơi, không ai thắng: trả lại tiền đã vào pot, không còn lượt của ai.
+// Ván đang chơi = còn bản ghi dở (sau khi chia pot thì totalContributed vẫn còn tới ván sau)
+const abortHand = (state) => {
+  if (!state.currentHand) return { error: msg("no-hand-in-progress") };
+  const room = structuredClone(state);
+  const refunds = refundPots(room);
+  history.discardHandRecord(room);
+  room.currentTurn = -1;
+  return {
+    state: room,
+    events: [{ scope: "room", event: "hand-aborted", payload: { refunds, message: msg("hand-aborted") } }],
+  };
+};
+
+const legalActions = (state, playerId) => getVariant(state.variant)?.legalActions(state, playerId) || [];
+
+[
+  require("./variants/kim-hoa"),
+  require("./variants/lieng"),
+  require("./variants/tien-len"),
+].forEach(registerVariant);
+
+module.exports = {
+  DEFAULT_VARIANT,
+  createDeck,
+  evaluateHand,
+  compareHands,
+  handOdds,
+  prepareTables,
+  registerVariant,
+  getVariant,
+  listVariants,
+  applyVariantSettings,
+  startHand,
+  applyAction,
+  abortHand,
+  legalActions,
+};
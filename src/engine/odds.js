@@ -0,0 +1,224 @@
+// ========== XÁC SUẤT THẮNG CỦA BỘ 3 LÁ ==========
+// Dựa trên evaluateHand / compareHands nên đúng với mọi cách xếp hạng (handRanking,
+// a23Straight, suitTiebreak). Mỗi cách xếp hạng có một bảng tra: đánh giá cả 22.100 bộ
+// 3 lá, xếp từ yếu đến mạnh rồi đếm mỗi bộ thắng / hòa / thua bao nhiêu trong 18.424 bộ
+// đối thủ có thể cầm (không trùng lá với mình). Server dựng sẵn mọi bảng lúc khởi động
+// (prepareTables) để request không phải chờ; chưa dựng thì lần đầu gặp sẽ dựng.
+//
+// Một và hai đối thủ là xác suất chính xác: hai đối thủ thì đếm đủ mọi cách chia hai bộ
+// không trùng lá nhau (xem countDeals). Từ ba đối thủ trở lên đếm như vậy quá nặng nên chỉ
+// là ước lượng (estimate: true): coi bài từng người độc lập, bỏ qua việc các đối thủ cũng
+// lấy bớt lá của nhau. Thắng là thắng mọi người, hòa là không thua ai nhưng hòa ít nhất
+// một người (chia pot).
+const { createDeck } = require("./cards");
+const { RANKING_VARIANTS, evaluateHand } = require("./ranking");
+const { MAX_SEATS } = require("../settings");
+const { msg } = require("../i18n");
+
+const DECK = createDeck();
+const HAND_COUNT = 22100; // C(52, 3)
+const OPPONENT_HANDS = 18424; // C(49, 3)
+const SECOND_OPPONENT_HANDS = 15180; // C(46, 3)
+const MAX_OPPONENTS = MAX_SEATS - 1;
+const EXACT_OPPONENTS = 2;
+
+const cardIndex = (card) => DECK.findIndex(c => c.rank === card?.rank && c.suit === card?.suit);
+const pairId = (a, b) => a * 52 + b;
+
+// ---------- DANH SÁCH BỘ 3 LÁ ----------
+// Bộ thứ i là HANDS[3i], HANDS[3i + 1], HANDS[3i + 2] (chỉ số lá tăng dần);
+// HAND_INDEX tra ngược từ ba chỉ số lá a < b < c về i
+const HANDS = new Uint8Array(HAND_COUNT * 3);
+const HAND_INDEX = new Int32Array(52 * 52 * 52).fill(-1);
+for (let a = 0, i = 0; a < 52; a++) {
+  for (let b = a + 1; b < 52; b++) {
+    for (let c = b + 1; c < 52; c++, i++) {
+      HANDS.set([a, b, c], i * 3);
+      HAND_INDEX[(a * 52 + b) * 52 + c] = i;
+    }
+  }
+}
+
+const handAt = (i) => HANDS.subarray(i * 3, i * 3 + 3);
+const handIndex = (a, b, c) => HAND_INDEX[(a * 52 + b) * 52 + c];
+
+// Chỉ các cài đặt làm đổi thứ hạng bài
+const rankingKey = (settings) =>
+  [settings.handRanking || "standard", settings.a23Straight || "lowest", Boolean(settings.suitTiebreak)].join("|");
+
+const RANKING_OPTIONS = Object.keys(RANKING_VARIANTS).flatMap(handRanking => ["lowest", "highest"]
+  .flatMap(a23Straight => [false, true].map(suitTiebreak => ({ handRanking, a23Straight, suitTiebreak }))));
+
+// key của evaluateHand gói thành một số để sắp xếp nhanh: mỗi phần tử + 1 là một chữ số
+// cơ số 17 (giá trị lớn nhất là 15), phần tử thiếu là 0 — nhỏ hơn mọi giá trị, như compareHands
+const KEY_LENGTH = 6;
+const KEY_BASE = 17;
+const strength = ({ key }) => {
+  let value = 0;
+  for (let i = 0; i < KEY_LENGTH; i++) value = value * KEY_BASE + (i < key.length ? key[i] + 1 : 0);
+  return value;
+};
+
+// ---------- ĐẾM BỘ KHÔNG TRÙNG LÁ ----------
+// Đếm số bộ trong một nhóm chứa từng lá / từng cặp lá, để tính số bộ không trùng lá với
+// một tập 3 hoặc 6 lá cho trước theo bao hàm - loại trừ:
+//   tổng − Σ bộ chứa từng lá + Σ bộ chứa từng cặp − Σ bộ nằm gọn trong tập đó
+// contains[i] = 1 nếu bộ thứ i thuộc nhóm
+const createCounts = () => ({ total: 0, cards: new Int32Array(52), pairs: new Int32Array(52 * 52) });
+
+const addHand = (counts, [a, b, c]) => {
+  counts.total++;
+  counts.cards[a]++;
+  counts.cards[b]++;
+  counts.cards[c]++;
+  counts.pairs[pairId(a, b)]++;
+  counts.pairs[pairId(a, c)]++;
+  counts.pairs[pairId(b, c)]++;
+};
+
+// cards phải tăng dần
+const countDisjoint = (counts, cards, contains) => {
+  let result = counts.total;
+  for (let i = 0; i < cards.length; i++) {
+    result -= counts.cards[cards[i]];
+    for (let j = i + 1; j < cards.length; j++) {
+      result += counts.pairs[pairId(cards[i], cards[j])];
+      for (let k = j + 1; k < cards.length; k++) {
+        if (contains[handIndex(cards[i], cards[j], cards[k])]) result--;
+      }
+    }
+  }
+  return result;
+};
+
+// ---------- BẢNG TRA ----------
+// Theo chỉ số bộ: below / atMost = số bộ (trong cả 22.100) yếu hơn / không mạnh hơn,
+// wins / ties = số bộ đối thủ mà bộ này thắng / hòa khi một chọi một
+const buildTable = (settings) => {
+  const strengths = new Float64Array(HAND_COUNT);
+  for (let i = 0; i < HAND_COUNT; i++) {
+    const [a, b, c] = handAt(i);
+    strengths[i] = strength(evaluateHand([DECK[a], DECK[b], DECK[c]], settings));
+  }
+  const order = new Int32Array(HAND_COUNT).map((_, i) => i).sort((x, y) => strengths[x] - strengths[y]);
+
+  // Đi từ yếu đến mạnh theo từng nhóm bằng nhau: mọi bộ đã đi qua đều thua nhóm hiện tại
+  const table = {
+    below: new Int32Array(HAND_COUNT), atMost: new Int32Array(HAND_COUNT), wins: new Int32Array(HAND_COUNT), ties: new Int32Array(HAND_COUNT),
+  };
+  const weaker = createCounts();
+  const inWeaker = new Uint8Array(HAND_COUNT);
+  for (let start = 0; start < HAND_COUNT;) {
+    let end = start + 1;
+    while (end < HAND_COUNT && strengths[order[end]] === strengths[order[start]]) end++;
+    const group = order.subarray(start, end);
+    const equal = createCounts();
+    const inEqual = new Uint8Array(HAND_COUNT);
+    group.forEach((i) => {
+      addHand(equal, handAt(i));
+      inEqual[i] = 1;
+    });
+
+    for (const i of group) {
+      table.below[i] = start;
+      table.atMost[i] = end;
+      table.wins[i] = countDisjoint(weaker, handAt(i), inWeaker);
+      table.ties[i] = countDisjoint(equal, handAt(i), inEqual);
+    }
+    group.forEach((i) => {
+      addHand(weaker, handAt(i));
+      inWeaker[i] = 1;
+    });
+    start = end;
+  }
+  return table;
+};
+
+const tables = new Map(); // rankingKey -> bảng tra
+
+const tableFor = (settings) => {
+  const key = rankingKey(settings);
+  if (!tables.has(key)) tables.set(key, buildTable(settings));
+  return tables.get(key);
+};
+
+// Dựng trước bảng của mọi cách xếp hạng
+const prepareTables = () => RANKING_OPTIONS.forEach(tableFor);
+
+// ---------- HAI ĐỐI THỦ ----------
+// Số cách chia (có thứ tự) cho hai đối thủ hai bộ không trùng lá nhau và không trùng bộ
+// mine, mà cả hai bộ đều có below < limit. Với mỗi bộ h của đối thủ đầu, bộ của đối thủ
+// sau là một bộ trong nhóm không trùng lá với 6 lá của mine và h
+const countDeals = (table, mine, limit) => {
+  const counts = createCounts();
+  const contains = new Uint8Array(HAND_COUNT);
+  for (let i = 0; i < HAND_COUNT; i++) {
+    if (table.below[i] >= limit) continue;
+    addHand(counts, handAt(i));
+    contains[i] = 1;
+  }
+
+  const [x, y, z] = mine;
+  const six = new Uint8Array(6);
+  let deals = 0;
+  for (let i = 0; i < HAND_COUNT; i++) {
+    if (!contains[i]) continue;
+    const a = HANDS[i * 3];
+    const b = HANDS[i * 3 + 1];
+    const c = HANDS[i * 3 + 2];
+    if (a === x || a === y || a === z || b === x || b === y || b === z || c === x || c === y || c === z) continue;
+    six.set([x, y, z, a, b, c]);
+    deals += countDisjoint(counts, six.sort(), contains);
+  }
+  return deals;
+};
+
+// ---------- XÁC SUẤT ----------
+// settings thường là room.settings. Trả về { odds } hoặc { error }
+const handOdds = (cards, { opponents = 1, settings = {} } = {}) => {
+  if (!Array.isArray(cards) || cards.length !== 3) return { error: msg("odds-need-three-cards") };
+  const indexes = cards.map(cardIndex).sort((a, b) => a - b);
+  if (indexes.includes(-1)) return { error: msg("invalid-card") };
+  if (new Set(indexes).size !== 3) return { error: msg("duplicate-cards") };
+  if (!Number.isInteger(opponents) || opponents < 1 || opponents > MAX_OPPONENTS) {
+    return { error: msg("odds-opponents-range", { max: MAX_OPPONENTS }) };
+  }
+
+  const table = tableFor(settings);
+  const id = handIndex(...indexes);
+  const wins = table.wins[id];
+  const ties = table.ties[id];
+  const losses = OPPONENT_HANDS - wins - ties;
+  const below = table.below[id];
+  let win;
+  let notLose;
+  if (opponents === 1) {
+    win = wins / OPPONENT_HANDS;
+    notLose = (wins + ties) / OPPONENT_HANDS;
+  } else if (opponents === EXACT_OPPONENTS) {
+    const deals = OPPONENT_HANDS * SECOND_OPPONENT_HANDS;
+    win = countDeals(table, indexes, below) / deals;
+    notLose = countDeals(table, indexes, table.atMost[id]) / deals;
+  } else {
+    win = (wins / OPPONENT_HANDS) ** opponents;
+    notLose = ((wins + ties) / OPPONENT_HANDS) ** opponents;
+  }
+  const { type, description } = evaluateHand(cards, settings);
+  return {
+    odds: {
+      hand: { type, description },
+      opponents,
+      // Từ ba đối thủ trở lên win / tie / loss chỉ là ước lượng
+      estimate: opponents > EXACT_OPPONENTS,
+      win,
+      tie: notLose - win,
+      loss: 1 - notLose,
+      // Tỉ lệ trong cả 22.100 bộ 3 lá mà bộ này mạnh hơn
+      percentile: below / HAND_COUNT,
+      // Số bộ đối thủ đếm được khi chơi một chọi một, để client tự kiểm tra
+      headsUp: { wins, ties, losses, total: OPPONENT_HANDS },
+    },
+  };
+};
+
+module.exports = { HAND_COUNT, OPPONENT_HANDS, MAX_OPPONENTS, EXACT_OPPONENTS, handOdds, prepareTables };
@@ -0,0 +1,116 @@
+// ========== TIỀN CƯỢC & CHIA POT ==========
+// Dùng chung cho mọi biến thể: biến thể chỉ cần cho biết ai thắng ai.
+
+// ---------- BỎ TIỀN VÀO POT ----------
+// Mọi khoản tiền vào pot đều đi qua đây để totalContributed luôn khớp room.pot
+const commitChips = (room, player, amount) => {
+  player.money -= amount;
+  player.currentBet += amount;
+  player.totalContributed = (player.totalContributed || 0) + amount;
+  room.pot += amount;
+};
+
+// ---------- CHIA POT PHỤ (SIDE POT) ----------
+// Tách pot theo từng mức đóng góp: người all-in ít chỉ được tranh phần pot
+// mà mình đã đóng đủ. Người bỏ bài vẫn góp tiền nhưng không được nhận.
+const buildPots = (room) => {
+  const contributors = room.players.filter(p => p.totalContributed > 0);
+  const levels = [...new Set(contributors.map(p => p.totalContributed))].sort((a, b) => a - b);
+  const pots = [];
+  let prevLevel = 0;
+  let carry = 0; // tiền của mức không còn ai đủ điều kiện, dồn sang pot kế tiếp
+
+  for (const level of levels) {
+    const amount = contributors.reduce(
+      (sum, p) => sum + Math.min(p.totalContributed, level) - Math.min(p.totalContributed, prevLevel), 0);
+    const eligible = contributors.filter(p => !p.folded && p.totalContributed >= level);
+    prevLevel = level;
+
+    if (eligible.length === 0) {
+      if (pots.length) pots[pots.length - 1].amount += amount;
+      else carry += amount;
+      continue;
+    }
+
+    const last = pots[pots.length - 1];
+    const sameEligible = last && last.eligible.length === eligible.length &&
+                         last.eligible.every(p => eligible.includes(p));
+    if (sameEligible) {
+      last.amount += amount + carry;
+    } else {
+      pots.push({ amount: amount + carry, eligible });
+    }
+    carry = 0;
+  }
+  return pots;
+};
+
+// Thứ tự ghế tính từ người ngồi sau dealer, dùng để chia chip lẻ
+const seatOrderAfterDealer = (room, player) => {
+  const n = room.players.length;
+  const seat = room.players.indexOf(player);
+  return (seat - room.dealerIndex - 1 + n) % n;
+};
+
+// ---------- TRẢ TIỀN CHO NGƯỜI THẮNG ----------
+// compare(a, b) > 0 nghĩa là a thắng b. Người bỏ bài không được tranh pot.
+const settlePots = (room, compare) => {
+  const active = room.players.filter(p => !p.folded);
+  if (active.length === 0) {
+    return { winner: null, winners: [], pots: [], eliminated: [], pot: room.pot };
+  }
+
+  const pots = buildPots(room).map((pot) => {
+    let winners = [pot.eligible[0]];
+    for (const p of pot.eligible.slice(1)) {
+      const cmp = compare(p, winners[0]);
+      if (cmp > 0) winners = [p];
+      else if (cmp === 0) winners.push(p);
+    }
+    winners.sort((a, b) => seatOrderAfterDealer(room, a) - seatOrderAfterDealer(room, b));
+
+    // Chip lẻ chia lần lượt cho người thắng gần dealer nhất theo chiều ván
+    const share = Math.floor(pot.amount / winners.length);
+    let remainder = pot.amount - share * winners.length;
+    const payouts = winners.map((w) => {
+      const won = share + (remainder > 0 ? 1 : 0);
+      if (remainder > 0) remainder--;
+      w.money += won;
+      return { playerId: w.id, playerName: w.name, amount: won };
+    });
+
+    return {
+      amount: pot.amount,
+      eligible: pot.eligible.map(p => ({ playerId: p.id, playerName: p.name })),
+      winners: payouts,
+    };
+  });
+
+  // Người thắng chính là người thắng pot chính (pot đầu tiên, ai cũng tranh)
+  const mainWinnerId = pots[0]?.winners[0]?.playerId;
+  const winner = room.players.find(p => p.id === mainWinnerId) || null;
+  const winnerIds = new Set(pots.flatMap(pot => pot.winners.map(w => w.playerId)));
+  const winners = room.players.filter(p => winnerIds.has(p.id));
+
+  const eliminated = room.players.filter(p => p.money <= 0);
+  return { winner, winners, pots, eliminated, pot: room.pot };
+};
+
+// ---------- HỦY VÁN ----------
+// Ván bị dừng giữa chừng (admin đóng phòng): ai góp bao nhiêu nhận lại bấy nhiêu
+const refundPots = (room) => {
+  const refunds = room.players
+    .filter(p => p.totalContributed > 0)
+    .map((p) => {
+      p.money += p.totalContributed;
+      return { playerId: p.id, playerName: p.name, amount: p.totalContributed };
+    });
+  room.players.forEach((p) => {
+    p.currentBet = 0;
+    p.totalContributed = 0;
+  });
+  room.pot = 0;
+  return refunds;
+};
+
+module.exports = { commitChips, buildPots, seatOrderAfterDealer, settlePots, refundPots };
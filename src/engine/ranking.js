@@ -0,0 +1,106 @@
+// ========== XẾP HẠNG BỘ 3 LÁ ==========
+// evaluateHand trả về { type, key, description }. key là mảng số so sánh lần lượt
+// từng phần tử: phần tử đầu là hạng của nhóm bài, các phần tử sau là kicker.
+// Hai bộ bài chỉ hòa khi key bằng nhau hoàn toàn. description là thông điệp (src/i18n),
+// được dựng thành chữ theo ngôn ngữ của người nhận.
+//
+// Cách xếp hạng chọn theo room.settings:
+//   handRanking  - "standard" | "ba-cay" | "ba-tay" | "cao"
+//   a23Straight  - "lowest": A-2-3 là sảnh nhỏ nhất, "highest": lớn hơn cả Q-K-A
+//   suitTiebreak - bằng điểm thì so chất của lá cao nhất, cùng chất thì so giá trị lá đó
+
+const { msg } = require("../i18n");
+
+// Thứ tự chất từ thấp đến cao
+const SUIT_ORDER = {
+  standard: ["spades", "clubs", "diamonds", "hearts"], // bích < chuồn < rô < cơ
+  points: ["clubs", "spades", "hearts", "diamonds"], // Ba Cây: chuồn < bích < cơ < rô
+};
+
+const FACE_RANKS = ["J", "Q", "K"];
+
+// Ba Cây: A = 1, 10 và hình = 10, lấy hàng đơn vị của tổng
+const pointValue = (card) => (card.value === 14 ? 1 : Math.min(card.value, 10));
+const countPoints = (cards) => cards.reduce((sum, c) => sum + pointValue(c), 0) % 10;
+
+const sortCards = (cards, suitOrder) =>
+  [...cards].sort((a, b) => b.value - a.value || suitOrder.indexOf(b.suit) - suitOrder.indexOf(a.suit));
+
+// Giá trị lá cao nhất của sảnh; A-2-3 tính 3 hoặc 15 tùy cài đặt
+const straightHigh = (values, a23Straight) => {
+  if (values[0] === 14 && values[1] === 3 && values[2] === 2) return a23Straight === "highest" ? 15 : 3;
+  if (values[0] - values[1] === 1 && values[1] - values[2] === 1) return values[0];
+  return null;
+};
+
+const describeStraight = (sorted, high) => (high === 3 || high === 15 ? "A-2-3" : sorted[0].rank);
+
+// ---------- XẾP HẠNG CHUẨN ----------
+const STANDARD_TYPES = ["high-card", "pair", "straight", "flush", "straight-flush", "three-of-a-kind"];
+
+const evaluateStandard = (sorted, options) => {
+  const values = sorted.map(c => c.value);
+  const ranks = sorted.map(c => c.rank);
+  const isSameSuit = sorted.every(c => c.suit === sorted[0].suit);
+  const high = straightHigh(values, options.a23Straight);
+  const make = (type, kickers, description) => ({ type, key: [STANDARD_TYPES.indexOf(type) + 1, ...kickers], description });
+
+  if (ranks[0] === ranks[1] && ranks[1] === ranks[2]) return make("three-of-a-kind", [values[0]], msg("hand-three-of-a-kind", { rank: ranks[0] }));
+  if (isSameSuit && high) return make("straight-flush", [high], msg("hand-straight-flush", { straight: describeStraight(sorted, high) }));
+  if (isSameSuit) return make("flush", values, msg("hand-flush", { suit: msg(`suit-${sorted[0].suit}`) }));
+  if (high) return make("straight", [high], msg("hand-straight", { straight: describeStraight(sorted, high) }));
+  if (ranks[0] === ranks[1]) return make("pair", [values[0], values[2]], msg("hand-pair", { rank: ranks[0] }));
+  if (ranks[1] === ranks[2]) return make("pair", [values[1], values[0]], msg("hand-pair", { rank: ranks[1] }));
+  return make("high-card", values, msg("hand-high-card", { rank: ranks[0] }));
+};
+
+// ---------- XẾP HẠNG TÍNH ĐIỂM (BA CÂY / BA TÂY / CÀO) ----------
+// Thứ tự nhóm bài: điểm < ba tây < liêng < sáp; mỗi biến thể chỉ dùng một phần
+const POINT_TYPES = ["points", "ba-tay", "lieng", "sap"];
+
+const evaluatePoints = (sorted, options, allowed) => {
+  const values = sorted.map(c => c.value);
+  const ranks = sorted.map(c => c.rank);
+  const make = (type, kickers, description) => ({ type, key: [POINT_TYPES.indexOf(type) + 1, ...kickers], description });
+
+  if (allowed.includes("sap") && ranks[0] === ranks[1] && ranks[1] === ranks[2]) {
+    return make("sap", [values[0]], msg("hand-sap", { rank: ranks[0] }));
+  }
+  const high = straightHigh(values, options.a23Straight);
+  if (allowed.includes("lieng") && high) return make("lieng", [high], msg("hand-lieng", { straight: describeStraight(sorted, high) }));
+  if (allowed.includes("ba-tay") && ranks.every(r => FACE_RANKS.includes(r))) return make("ba-tay", [], msg("hand-ba-tay"));
+
+  const points = countPoints(sorted);
+  return { ...make("points", [points], points === 0 ? msg("hand-bu") : msg("hand-points", { points })), points };
+};
+
+// ---------- CÁC BIẾN THỂ ----------
+const RANKING_VARIANTS = {
+  standard: { suitOrder: SUIT_ORDER.standard, evaluate: evaluateStandard },
+  "ba-cay": { suitOrder: SUIT_ORDER.points, evaluate: (sorted, options) => evaluatePoints(sorted, options, []) },
+  "ba-tay": { suitOrder: SUIT_ORDER.points, evaluate: (sorted, options) => evaluatePoints(sorted, options, ["ba-tay"]) },
+  cao: { suitOrder: SUIT_ORDER.points, evaluate: (sorted, options) => evaluatePoints(sorted, options, ["ba-tay", "lieng", "sap"]) },
+};
+
+// options thường chính là room.settings
+const evaluateHand = (cards, options = {}) => {
+  const variant = RANKING_VARIANTS[options.handRanking] || RANKING_VARIANTS.standard;
+  const sorted = sortCards(cards, variant.suitOrder);
+  const evaluation = variant.evaluate(sorted, options);
+  // So chất rồi mới so giá trị của lá cao nhất: key của các cách tính điểm không có kicker,
+  // nên chỉ có chất thì hai lá cao nhất cùng chất khác giá trị vẫn hòa. Hai người cùng ván
+  // không thể cầm chung một lá, nên với suitTiebreak luôn phân thắng thua
+  if (options.suitTiebreak) evaluation.key.push(variant.suitOrder.indexOf(sorted[0].suit), sorted[0].value);
+  return evaluation;
+};
+
+const compareHands = (h1, h2) => {
+  const length = Math.max(h1.key.length, h2.key.length);
+  for (let i = 0; i < length; i++) {
+    const diff = (h1.key[i] ?? -1) - (h2.key[i] ?? -1);
+    if (diff !== 0) return diff > 0 ? 1 : -1;
+  }
+  return 0;
+};
+
+module.exports = { RANKING_VARIANTS, countPoints, evaluateHand, compareHands };
@@ -0,0 +1,16 @@
+// ========== KIM HOA ==========
+// Trò chơi gốc của server: cược mù trả theo blindBetRatio, so bài từ vòng
+// compareFromRound, chơi đến khi chỉ còn một người, không ai hành động được hoặc
+// hết maxBettingRounds vòng thì lật bài.
+const { MAX_SEATS } = require("../../settings");
+const { createThreeCardVariant } = require("./three-card");
+
+module.exports = createThreeCardVariant({
+  name: "kim-hoa",
+  title: "Kim Hoa",
+  maxSeats: MAX_SEATS,
+  actions: ["view-cards", "check", "call", "bet", "raise", "fold", "all-in", "compare"],
+  autoViewCards: false,
+  maxRounds: 0,
+  reopenOnRaise: false,
+});
@@ -0,0 +1,17 @@
+// ========== LIÊNG ==========
+// Chia xong ai cũng xem bài, không cược mù và không so bài riêng. Một vòng cược:
+// có người tố thì những người khác phải theo / tố / úp lại, khi tất cả đã theo
+// thì lật bài. Xếp hạng Sáp > Liêng > Ảnh (ba tây) > điểm, tức handRanking "cao".
+const { MAX_SEATS } = require("../../settings");
+const { createThreeCardVariant } = require("./three-card");
+
+module.exports = createThreeCardVariant({
+  name: "lieng",
+  title: "Liêng",
+  maxSeats: MAX_SEATS,
+  actions: ["check", "call", "bet", "raise", "fold", "all-in"],
+  autoViewCards: true,
+  maxRounds: 1,
+  reopenOnRaise: true,
+  fixedSettings: { handRanking: "cao" },
+});
@@ -0,0 +1,695 @@
+// ========== BÀI 3 LÁ CÓ CƯỢC (KIM HOA, LIÊNG) ==========
+// createThreeCardVariant dựng một biến thể từ cấu hình:
+//   actions       - các hành động được phép ("view-cards", "check", "call", "bet", "raise", ...)
+//   autoViewCards - chia xong là mọi người đã thấy bài của mình
+//   maxRounds     - hết vòng thứ maxRounds thì lật bài (0 = theo settings.maxBettingRounds)
+//   reopenOnRaise - có người tố thì những người khác phải hành động lại trong vòng
+//
+// room.minBet là mức cược hiện tại của cả ván (tính theo giá đã xem bài). player.declaredBet
+// là mức người đó đã theo tới, player.currentBet là số xu đã thực trả; hai số khác nhau
+// vì cược mù chỉ trả theo blindBetRatio. Số phải theo do server tính: phần mức cược còn
+// thiếu, quy theo tỉ lệ cược mù lúc trả. bet / raise nhận amount là mức cược mới ("tố lên").
+const history = require("../../history");
+const { evaluateHand, compareHands } = require("../ranking");
+const { commitChips, settlePots } = require("../pots");
+const { handOdds } = require("../odds");
+const { msg, isMessage } = require("../../i18n");
+
+const clone = (state) => structuredClone(state);
+const now = () => new Date().toISOString();
+
+// ---------- QUẢN LÝ LƯỢT CHƠI ----------
+const getNextActivePlayerIndex = (room, startIndex) => {
+  const n = room.players.length;
+  if (n === 0) return -1;
+  let idx = (startIndex + 1) % n;
+  let count = 0;
+  while (count < n) {
+    const p = room.players[idx];
+    if (!p.folded && p.money > 0 && !p.allIn) return idx;
+    idx = (idx + 1) % n;
+    count++;
+  }
+  return -1;
+};
+
+const getFirstPlayerAfterDealer = (room) => {
+  if (room.players.length === 0) return -1;
+  let idx = (room.dealerIndex + 1) % room.players.length;
+  let count = 0;
+  while (count < room.players.length) {
+    const p = room.players[idx];
+    if (!p.folded && p.money > 0) return idx;
+    idx = (idx + 1) % room.players.length;
+    count++;
+  }
+  return -1;
+};
+
+// ---------- SỐ TIỀN THỰC TRẢ ----------
+// Chưa xem bài thì chỉ trả theo tỉ lệ blindBetRatio của mức tuyên bố
+const actualCost = (room, player, declaredAmount) =>
+  player.viewedCards ? declaredAmount : Math.floor(declaredAmount * room.settings.blindBetRatio);
+
+// Số xu còn phải trả để lên mức cược level. Chỉ phần chênh so với mức đã theo được quy
+// theo tỉ lệ cược mù, nên xem bài giữa chừng không phải bù lại phần đã cược mù trước đó
+const costTo = (room, player, level) => actualCost(room, player, Math.max(0, level - player.declaredBet));
+
+// Mức cược mà amount xu đưa người chơi lên tới (ngược với costTo)
+const levelFor = (room, player, amount) =>
+  player.declaredBet + (player.viewedCards ? amount : Math.floor(amount / room.settings.blindBetRatio));
+
+// Số xu còn thiếu để theo mức cược hiện tại (0 = được check)
+const amountToCall = (room, player) => costTo(room, player, room.minBet);
+
+const canCheck = (room, player) => amountToCall(room, player) === 0;
+
+// Mỗi lần tố phải tăng ít nhất minBet, và không ít hơn lần tố trước trong ván
+const minRaiseTo = (room) => room.minBet + Math.max(room.settings.minBet, room.lastRaiseSize || 0);
+
+// Mức cao nhất được tố: giới hạn maxRaise, và không trả quá số tiền đang có
+const maxRaiseTo = (room, player) => {
+  let level = levelFor(room, player, player.money + (player.viewedCards ? 0 : 1));
+  while (costTo(room, player, level) > player.money) level--;
+  const cap = room.settings.maxRaise;
+  return cap > 0 ? Math.min(level, room.minBet + cap) : level;
+};
+
+// Số vòng cược tối đa trước khi lật bài (0 = không giới hạn, chỉ với phòng lưu từ bản cũ)
+const roundLimit = (config, room) => config.maxRounds || room.settings.maxBettingRounds || 0;
+
+const raisesLeft = (room) => {
+  const cap = room.settings.maxRaisesPerRound;
+  return !cap || (room.raisesThisRound || 0) < cap;
+};
+
+// ---------- XEM BÀI ----------
+// Bài gửi riêng cho người chơi; phòng bật trainingMode thì kèm xác suất thắng trước
+// những người còn trong ván
+const cardsRevealedEvent = (room, player) => {
+  const payload = { cards: player.hand, handEvaluation: evaluateHand(player.hand, room.settings) };
+  if (room.settings.trainingMode) {
+    const opponents = room.players.filter(p => p.id !== player.id && !p.folded && p.hand.length > 0).length;
+    payload.odds = handOdds(player.hand, { opponents: Math.max(opponents, 1), settings: room.settings }).odds;
+  }
+  return { scope: "player", to: player.id, event: "cards-revealed", payload };
+};
+
+// ---------- BẮT ĐẦU VÁN MỚI ----------
+// deck đã được xáo sẵn (server lo phần seed / kiểm chứng)
+const startHand = (config, state, deck) => {
+  const room = clone(state);
+  room.pot = 0;
+  room.minBet = room.settings.minBet;
+  room.currentRound = 1;
+  room.betHistory = [];
+  room.lastRaise = null;
+  room.lastRaiseSize = 0;
+  room.raisesThisRound = 0;
+  room.showdown = false;
+  room.bettingClosed = false;
+  room.deck = [...deck];
+
+  // Reset trạng thái người chơi
+  room.players.forEach((p) => {
+    p.hand = [];
+    p.viewedCards = false;
+    p.folded = false;
+    p.currentBet = 0;
+    p.declaredBet = 0;
+    p.totalContributed = 0;
+    p.allIn = false;
+    p.actedThisRound = false;
+    p.revealedTo = [];
+    p.timeBankMs = room.settings.timeBankMs || 0; // nạp lại quỹ thời gian mỗi ván
+
+    if (p.money > 0 && !p.sittingOut) {
+      // Ante trả đúng giá, không quy theo tỉ lệ cược mù: trả bao nhiêu thì tính là đã theo bấy nhiêu
+      const ante = Math.min(room.settings.ante, p.money);
+      commitChips(room, p, ante);
+      p.declaredBet = ante;
+      for (let i = 0; i < 3; i++) if (room.deck.length) p.hand.push(room.deck.pop());
+      p.viewedCards = Boolean(config.autoViewCards);
+    } else {
+      p.folded = true; // hết tiền hoặc đang vắng mặt thì tự động bỏ
+    }
+  });
+
+  // Xoay dealer
+  room.dealerIndex = (room.dealerIndex + 1) % room.players.length;
+  room.currentTurn = getFirstPlayerAfterDealer(room);
+  room.handsPlayed = (room.handsPlayed || 0) + 1;
+  history.startHandRecord(room);
+
+  // Bài tự lật thì không có lượt view-cards: chế độ luyện tập gửi xác suất ngay khi chia
+  const events = config.autoViewCards && room.settings.trainingMode
+    ? room.players.filter(p => p.hand.length > 0).map(p => cardsRevealedEvent(room, p))
+    : [];
+
+  // Ante đã lấy hết tiền của mọi người thì không ai còn hành động được: lật bài luôn
+  if (isHandFinished(room)) {
+    room.currentTurn = -1;
+    return { state: room, events: [...events, { scope: "engine", event: "hand-ended", payload: resolveHand(room) }] };
+  }
+  return { state: room, events: [...events, { scope: "engine", event: "turn-changed", payload: { currentTurn: room.currentTurn } }] };
+};
+
+// ---------- KIỂM TRA KẾT THÚC VÁN ----------
+const isHandFinished = (room) => {
+  if (room.bettingClosed) return true; // đã hết số vòng cược, lật bài
+  // Người all-in (money = 0) vẫn còn trong ván cho đến showdown
+  const active = room.players.filter(p => !p.folded && p.hand.length > 0);
+  if (active.length <= 1) return true;
+  const canAct = active.filter(p => !p.allIn && p.money > 0);
+  return canAct.length === 0;
+};
+
+// ---------- GIẢI QUYẾT KẾT THÚC VÁN ----------
+// Trả tiền thẳng vào room (đã là bản sao bên trong applyAction)
+const resolveHand = (room) => {
+  const active = room.players.filter(p => !p.folded && p.hand.length > 0);
+
+  if (active.length === 0) {
+    return { winner: null, winners: [], pots: [], eliminated: [], pot: room.pot };
+  }
+  if (active.length > 1) room.showdown = true; // lật bài tất cả người còn lại
+
+  const evaluations = new Map(active.map(p => [p.id, evaluateHand(p.hand, room.settings)]));
+  return settlePots(room, (a, b) => compareHands(evaluations.get(a.id), evaluations.get(b.id)));
+};
+
+// ---------- KIỂM TRA KẾT THÚC VÒNG ----------
+const isRoundComplete = (room) => {
+  const canAct = room.players.filter(p => !p.folded && p.money > 0 && !p.allIn);
+  if (canAct.length === 0) return true;
+  return canAct.every(p => p.actedThisRound);
+};
+
+const advanceRound = (room) => {
+  const active = room.players.filter(p => !p.folded && p.money > 0);
+  if (active.length <= 1) return false;
+  room.players.forEach(p => { p.actedThisRound = false; });
+  room.raisesThisRound = 0;
+  room.currentRound++;
+  room.currentTurn = getFirstPlayerAfterDealer(room);
+  history.recordAction(room, "round");
+  return true;
+};
+
+// ---------- SAU MỖI HÀNH ĐỘNG ----------
+// Chuyển vòng nếu cần, rồi kết thúc ván nếu chỉ còn một người / không ai hành động được
+const settleAfterAction = (config, room, events) => {
+  if (isRoundComplete(room)) {
+    const limit = roundLimit(config, room);
+    const owing = room.players.filter(p => !p.folded && p.money > 0 && !p.allIn && amountToCall(room, p) > 0);
+    if (limit && room.currentRound >= limit && owing.length) {
+      // Vòng cuối có người tố sau lượt mình (reopenOnRaise tắt): được theo / bỏ trước khi lật bài
+      owing.forEach((p) => { p.actedThisRound = false; });
+      room.currentTurn = getNextOwingPlayerIndex(room);
+    } else if (limit && room.currentRound >= limit) {
+      room.bettingClosed = true;
+    } else if (advanceRound(room)) {
+      events.push({ scope: "engine", event: "round-advanced", payload: { round: room.currentRound, currentTurn: room.currentTurn } });
+    }
+  }
+
+  if (isHandFinished(room)) {
+    room.currentTurn = -1; // giữa hai ván không ai được hành động
+    events.push({ scope: "engine", event: "hand-ended", payload: resolveHand(room) });
+    return;
+  }
+  events.push({ scope: "engine", event: "turn-changed", payload: { currentTurn: room.currentTurn } });
+};
+
+// Người còn thiếu cược đầu tiên tính từ lượt hiện tại
+const getNextOwingPlayerIndex = (room) => {
+  const n = room.players.length;
+  for (let i = 0; i < n; i++) {
+    const idx = (Math.max(room.currentTurn, 0) + i) % n;
+    const p = room.players[idx];
+    if (!p.folded && p.money > 0 && !p.allIn && amountToCall(room, p) > 0) return idx;
+  }
+  return -1;
+};
+
+const passTurn = (room, player) => {
+  room.currentTurn = getNextActivePlayerIndex(room, room.players.indexOf(player));
+};
+
+// ---------- CÁC HÀNH ĐỘNG ----------
+// Mỗi handler sửa room (bản sao), đẩy sự kiện, và trả về thông điệp lỗi (msg) nếu không hợp lệ.
+// passesTurn: hành động xong thì chuyển lượt và kiểm tra hết vòng / hết ván.
+const requireTurn = (room, player) =>
+  room.currentTurn !== room.players.indexOf(player) ? msg("not-your-turn") : null;
+
+// Có người tố: ai đã hành động trong vòng phải trả lời lại
+const raiseTo = (config, room, player, amount) => {
+  room.minBet = amount;
+  room.lastRaise = player.id;
+  if (config.reopenOnRaise) room.players.forEach((p) => { if (p !== player) p.actedThisRound = false; });
+};
+
+// Ghi vào betHistory (hiển thị) và bản ghi ván (replay, thống kê)
+const recordWager = (room, player, type, declaredAmount, actualAmount) => {
+  room.betHistory.push({
+    playerId: player.id,
+    playerName: player.name,
+    action: type,
+    declaredAmount,
+    actualAmount,
+    viewedCards: player.viewedCards,
+    timestamp: now(),
+  });
+  history.recordAction(room, type, { playerId: player.id, declaredAmount, actualAmount, viewedCards: player.viewedCards });
+};
+
+// Tố lên mức amount: trả phần chênh so với số đã bỏ ra
+const raise = (room, player, action, events, config, type) => {
+  if (player.folded) return msg("already-folded");
+  const turnError = requireTurn(room, player);
+  if (turnError) return turnError;
+  const owed = amountToCall(room, player);
+  if (type === "bet" && owed > 0) return msg("bet-already-open");
+  if (type === "raise" && owed === 0) return msg("nothing-to-raise");
+
+  const amount = Number(action.amount);
+  if (!Number.isInteger(amount)) return msg("invalid-amount");
+  if (!raisesLeft(room)) return msg("raise-limit-reached", { count: room.settings.maxRaisesPerRound });
+  const min = minRaiseTo(room);
+  if (amount < min) return msg("raise-too-small", { amount: min });
+  const maxRaise = room.settings.maxRaise;
+  if (maxRaise > 0 && amount - room.minBet > maxRaise) return msg("raise-too-large", { amount: maxRaise });
+  const cost = costTo(room, player, amount);
+  if (player.money < cost) return msg("not-enough-money");
+
+  commitChips(room, player, cost);
+  player.declaredBet = amount;
+  player.actedThisRound = true;
+  room.lastRaiseSize = amount - room.minBet;
+  room.raisesThisRound = (room.raisesThisRound || 0) + 1;
+  raiseTo(config, room, player, amount);
+  recordWager(room, player, type, amount, cost);
+  events.push({
+    scope: "room",
+    event: "player-action-notification",
+    payload: {
+      playerId: player.id,
+      playerName: player.name,
+      action: type,
+      declaredAmount: amount,
+      actualAmount: cost,
+      message: player.viewedCards
+        ? msg(`player-${type}`, { player: player.name, amount })
+        : msg(`player-${type}-blind`, { player: player.name, amount, cost }),
+    },
+  });
+};
+
+const ACTIONS = {
+  "view-cards": {
+    passesTurn: false,
+    run: (room, player, action, events, config) => {
+      if (player.viewedCards) return msg("already-viewed-cards");
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+
+      player.viewedCards = true;
+      history.recordAction(room, "view-cards", { playerId: player.id });
+      events.push(cardsRevealedEvent(room, player));
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: {
+          playerId: player.id,
+          playerName: player.name,
+          action: "view-cards",
+          message: msg("player-viewed-cards", { player: player.name }),
+          timestamp: now(),
+        },
+      });
+    },
+  },
+
+  check: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      if (player.folded) return msg("already-folded");
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+      const owed = amountToCall(room, player);
+      if (owed > 0) return msg("must-call", { amount: owed });
+
+      player.actedThisRound = true;
+      recordWager(room, player, "check", room.minBet, 0);
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: { playerId: player.id, playerName: player.name, action: "check", message: msg("player-check", { player: player.name }) },
+      });
+    },
+  },
+
+  call: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      if (player.folded) return msg("already-folded");
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+      const owed = amountToCall(room, player);
+      if (owed === 0) return msg("nothing-to-call");
+      if (player.money < owed) return msg("call-needs-all-in");
+
+      commitChips(room, player, owed);
+      player.declaredBet = room.minBet;
+      player.actedThisRound = true;
+      recordWager(room, player, "call", room.minBet, owed);
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: {
+          playerId: player.id,
+          playerName: player.name,
+          action: "call",
+          declaredAmount: room.minBet,
+          actualAmount: owed,
+          message: msg("player-call", { player: player.name, amount: owed }),
+        },
+      });
+    },
+  },
+
+  // bet: chưa ai tố (không phải theo), raise: tố thêm khi đang phải theo
+  bet: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => raise(room, player, action, events, config, "bet"),
+  },
+
+  raise: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => raise(room, player, action, events, config, "raise"),
+  },
+
+  fold: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      if (player.folded) return msg("already-folded");
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+
+      player.folded = true;
+      player.actedThisRound = true;
+      history.recordAction(room, "fold", { playerId: player.id });
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: { playerId: player.id, playerName: player.name, action: "fold", message: msg("player-fold", { player: player.name }) },
+      });
+    },
+  },
+
+  "all-in": {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      if (player.folded) return msg("already-folded");
+      if (player.allIn) return msg("already-all-in");
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+
+      const allInAmount = player.money;
+      // Quy số tiền về mức cược (chưa xem bài thì chia lại theo tỉ lệ cược mù); vượt
+      // mức hiện tại thì coi như tố, không tính vào số lần tố của vòng
+      const level = levelFor(room, player, allInAmount);
+      commitChips(room, player, allInAmount);
+      player.declaredBet = level;
+      player.allIn = true;
+      player.actedThisRound = true;
+      if (level > room.minBet) raiseTo(config, room, player, level);
+      history.recordAction(room, "all-in", { playerId: player.id, amount: allInAmount });
+
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: {
+          playerId: player.id,
+          playerName: player.name,
+          action: "all-in",
+          amount: allInAmount,
+          message: msg("player-all-in", { player: player.name, amount: allInAmount }),
+        },
+      });
+    },
+  },
+
+  compare: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      const opponent = room.players.find(p => p.id === action.targetPlayerId);
+      if (!opponent) return msg("player-not-found");
+      if (opponent.id === player.id) return msg("compare-self");
+      if (player.folded || opponent.folded) return msg("compare-player-folded");
+      if (room.currentRound < room.settings.compareFromRound) {
+        return msg("compare-too-early", { round: room.settings.compareFromRound });
+      }
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+      // Phải theo đủ mức cược hiện tại (quy đổi theo tỉ lệ cược mù nếu chưa xem) mới được so
+      if (!canCheck(room, player)) {
+        return msg("compare-must-call");
+      }
+
+      const hand1 = evaluateHand(player.hand, room.settings);
+      const hand2 = evaluateHand(opponent.hand, room.settings);
+      const result = compareHands(hand1, hand2);
+
+      let winner, loser;
+      if (result > 0) { winner = player; loser = opponent; }
+      else if (result < 0) { winner = opponent; loser = player; }
+
+      // Hai người so bài được thấy bài của nhau
+      player.revealedTo.push(opponent.id);
+      opponent.revealedTo.push(player.id);
+
+      if (winner && loser) {
+        loser.folded = true;
+        events.push({
+          scope: "player",
+          to: player.id,
+          event: "compare-result",
+          payload: {
+            opponent: opponent.name,
+            winner: result > 0 ? "you" : "opponent",
+            yourHand: player.hand,
+            opponentHand: opponent.hand,
+            yourEvaluation: hand1,
+            opponentEvaluation: hand2,
+            message: msg(result > 0 ? "compare-won" : "compare-lost"),
+          },
+        });
+        events.push({
+          scope: "player",
+          to: opponent.id,
+          event: "compare-result",
+          payload: {
+            opponent: player.name,
+            winner: result < 0 ? "you" : "opponent",
+            yourHand: opponent.hand,
+            opponentHand: player.hand,
+            yourEvaluation: hand2,
+            opponentEvaluation: hand1,
+            message: msg(result < 0 ? "compare-won" : "compare-lost"),
+          },
+        });
+      } else {
+        events.push({
+          scope: "player",
+          to: player.id,
+          event: "compare-result",
+          payload: { winner: "draw", yourHand: player.hand, opponentHand: opponent.hand, yourEvaluation: hand1, opponentEvaluation: hand2, message: msg("compare-draw") },
+        });
+        events.push({
+          scope: "player",
+          to: opponent.id,
+          event: "compare-result",
+          payload: { winner: "draw", yourHand: opponent.hand, opponentHand: player.hand, yourEvaluation: hand2, opponentEvaluation: hand1, message: msg("compare-draw") },
+        });
+      }
+
+      player.actedThisRound = true;
+      history.recordAction(room, "compare", {
+        playerId: player.id,
+        targetPlayerId: opponent.id,
+        winnerId: winner ? winner.id : null,
+        loserId: loser ? loser.id : null,
+      });
+      history.recordComparison(room, {
+        playerId: player.id,
+        targetPlayerId: opponent.id,
+        hands: { [player.id]: player.hand, [opponent.id]: opponent.hand },
+        evaluations: { [player.id]: hand1, [opponent.id]: hand2 },
+        winnerId: winner ? winner.id : null,
+      });
+
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: {
+          playerId: player.id,
+          playerName: player.name,
+          action: "compare",
+          targetPlayerId: opponent.id,
+          targetPlayerName: opponent.name,
+          message: msg("player-compare", { player: player.name, target: opponent.name }),
+        },
+      });
+    },
+  },
+
+  // Hết giờ: check nếu hợp lệ, không thì bỏ bài
+  timeout: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      const turnError = requireTurn(room, player);
+      if (turnError) return turnError;
+
+      const defaultAction = canCheck(room, player) ? "check" : "fold";
+      if (defaultAction === "fold") player.folded = true;
+      player.actedThisRound = true;
+
+      room.betHistory.push({
+        playerId: player.id,
+        playerName: player.name,
+        action: "timeout",
+        defaultAction,
+        viewedCards: player.viewedCards,
+        timestamp: now(),
+      });
+      history.recordAction(room, "timeout", { playerId: player.id, defaultAction });
+
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: {
+          playerId: player.id,
+          playerName: player.name,
+          action: "timeout",
+          defaultAction,
+          message: msg(`player-timeout-${defaultAction}`, { player: player.name }),
+        },
+      });
+    },
+  },
+
+  // Bỏ bài ngoài lượt (hết thời gian giữ ghế khi mất kết nối, hoặc bị chủ phòng mời ra)
+  forfeit: {
+    passesTurn: true,
+    run: (room, player, action, events, config) => {
+      if (player.folded) return msg("already-folded");
+      const wasTurn = room.currentTurn === room.players.indexOf(player);
+
+      player.folded = true;
+      player.actedThisRound = true;
+      history.recordAction(room, "fold", { playerId: player.id, reason: action.reason });
+      events.push({
+        scope: "room",
+        event: "player-action-notification",
+        payload: {
+          playerId: player.id,
+          playerName: player.name,
+          action: "fold",
+          reason: action.reason,
+          message: msg(action.reason === "kicked" ? "player-kicked-fold" : "player-disconnected-fold", { player: player.name }),
+        },
+      });
+      // Không phải lượt của họ thì giữ nguyên người đang đi
+      return wasTurn ? undefined : { keepTurn: true };
+    },
+  },
+};
+
+// ---------- ÁP DỤNG HÀNH ĐỘNG ----------
+// Server luôn được gửi hết giờ / mất kết nối, dù biến thể không liệt kê
+const SYSTEM_ACTIONS = ["timeout", "forfeit"];
+
+// action: { type, playerId, ...payload }. Trả về { error } hoặc { state, events }.
+const applyAction = (config, state, action) => {
+  const handler = ACTIONS[action.type];
+  const allowed = config.actions.includes(action.type) || SYSTEM_ACTIONS.includes(action.type);
+  if (!handler || !allowed) return { error: msg("invalid-action") };
+  if (state.gameState !== "playing") return { error: msg("hand-not-started") };
+
+  const room = clone(state);
+  const player = room.players.find(p => p.id === action.playerId);
+  if (!player) return { error: msg("player-not-found") };
+
+  const events = [];
+  const outcome = handler.run(room, player, action, events, config);
+  if (isMessage(outcome)) return { error: outcome };
+
+  if (handler.passesTurn) {
+    if (!outcome?.keepTurn) passTurn(room, player);
+    settleAfterAction(config, room, events);
+  }
+  return { state: room, events };
+};
+
+// ---------- HÀNH ĐỘNG HỢP LỆ ----------
+// Hành động người chơi có thể gửi lúc này (rỗng nếu chưa tới lượt), kèm số tiền:
+// call.amount là số xu thực trả, bet / raise có mức cược min / max và số xu thực trả tương ứng
+const legalActions = (config, room, playerId) => {
+  const seat = room.players.findIndex(p => p.id === playerId);
+  const player = room.players[seat];
+  if (room.gameState !== "playing" || !player || room.currentTurn !== seat || player.folded) return [];
+
+  const owed = amountToCall(room, player);
+  const min = minRaiseTo(room);
+  const max = maxRaiseTo(room, player);
+  const wager = (type) => ({
+    type,
+    min,
+    max,
+    minCost: costTo(room, player, min),
+    maxCost: costTo(room, player, max),
+  });
+  const canRaise = raisesLeft(room) && min <= max;
+  const targets = room.players.filter(p => p !== player && !p.folded && p.hand.length > 0).map(p => p.id);
+
+  const options = {
+    "view-cards": !player.viewedCards && { type: "view-cards" },
+    check: owed === 0 && { type: "check" },
+    call: owed > 0 && player.money >= owed && { type: "call", amount: owed },
+    bet: owed === 0 && canRaise && wager("bet"),
+    raise: owed > 0 && canRaise && wager("raise"),
+    fold: { type: "fold" },
+    "all-in": !player.allIn && player.money > 0 && { type: "all-in", amount: player.money },
+    compare: room.currentRound >= room.settings.compareFromRound && owed === 0 && targets.length > 0 &&
+      { type: "compare", targets },
+  };
+  return config.actions.map(type => options[type]).filter(Boolean);
+};
+
+const createThreeCardVariant = (config) => ({
+  name: config.name,
+  title: config.title,
+  cardsPerPlayer: 3,
+  maxSeats: config.maxSeats,
+  defaultSettings: config.defaultSettings || {},
+  fixedSettings: config.fixedSettings || {},
+  startHand: (state, deck) => startHand(config, state, deck),
+  applyAction: (state, action) => applyAction(config, state, action),
+  legalActions: (state, playerId) => legalActions(config, state, playerId),
+});
+
+module.exports = {
+  createThreeCardVariant,
+  getNextActivePlayerIndex,
+  getFirstPlayerAfterDealer,
+  actualCost,
+  amountToCall,
+  canCheck,
+  minRaiseTo,
+  maxRaiseTo,
+  isHandFinished,
+  isRoundComplete,
+  advanceRound,
+  resolveHand,
+};
@@ -0,0 +1,365 @@
+// ========== TIẾN LÊN MIỀN NAM ==========
+// Mỗi người 13 lá, ai hết bài trước thắng cả pot (mỗi người góp ante đầu ván).
+// Thứ tự lá: 3 < 4 < ... < K < A < 2, cùng số thì bích < chuồn < rô < cơ.
+//
+// Bộ hợp lệ: lẻ, đôi, ba, tứ quý, sảnh (>= 3 lá liên tiếp, không có 2),
+// đôi thông (>= 3 đôi liên tiếp, không có 2). Chặt: ba đôi thông chặt heo lẻ;
+// tứ quý chặt heo lẻ, đôi heo, ba đôi thông; bốn đôi thông chặt tất cả những bộ đó.
+//
+// Mỗi "vòng" (room.currentRound) là một lượt đánh: người giữ cái đánh bộ bất kỳ,
+// người sau phải chặn hoặc bỏ lượt; đã bỏ lượt thì chờ vòng sau. Tất cả bỏ
+// thì người đánh cuối giữ cái vòng mới. Ván đầu, người cầm lá nhỏ nhất đi trước
+// và phải đánh lá đó; các ván sau người thắng ván trước đi trước và đánh tự do
+// (người đó đã rời bàn hoặc hết tiền thì lại theo lá nhỏ nhất).
+const history = require("../../history");
+const { commitChips, settlePots } = require("../pots");
+const { msg } = require("../../i18n");
+
+const CARDS_PER_PLAYER = 13;
+const RANK_ORDER = ["3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K", "A", "2"];
+const SUIT_ORDER = ["spades", "clubs", "diamonds", "hearts"];
+
+const clone = (state) => structuredClone(state);
+
+const rankIndex = (card) => RANK_ORDER.indexOf(card.rank);
+const cardPower = (card) => rankIndex(card) * 4 + SUIT_ORDER.indexOf(card.suit);
+const sortCards = (cards) => [...cards].sort((a, b) => cardPower(a) - cardPower(b));
+const sameCard = (a, b) => a.rank === b.rank && a.suit === b.suit;
+const describeCards = (cards) => cards.map(c => `${c.rank}${c.symbol}`).join(" ");
+
+// ---------- NHẬN DẠNG BỘ BÀI ----------
+// Trả về { type, length, top } hoặc null. top là sức mạnh lá cao nhất của bộ.
+const classifyCombo = (cards) => {
+  if (!cards.length) return null;
+  const sorted = sortCards(cards);
+  const ranks = sorted.map(rankIndex);
+  const top = cardPower(sorted[sorted.length - 1]);
+  const n = sorted.length;
+  const allSame = ranks.every(r => r === ranks[0]);
+  const hasTwo = sorted.some(c => c.rank === "2");
+
+  if (n === 1) return { type: "single", length: 1, top };
+  if (allSame && n <= 4) return { type: ["", "", "pair", "triple", "quad"][n], length: n, top };
+
+  const consecutive = (list) => list.every((r, i) => i === 0 || r === list[i - 1] + 1);
+  if (n >= 3 && !hasTwo && new Set(ranks).size === n && consecutive(ranks)) {
+    return { type: "straight", length: n, top };
+  }
+  if (n >= 6 && n % 2 === 0 && !hasTwo) {
+    const pairRanks = [];
+    for (let i = 0; i < n; i += 2) {
+      if (ranks[i] !== ranks[i + 1]) return null;
+      pairRanks.push(ranks[i]);
+    }
+    if (consecutive(pairRanks)) return { type: "pair-sequence", length: n, top };
+  }
+  return null;
+};
+
+const isTwo = (combo, length) => combo.length === length && (combo.type === "single" || combo.type === "pair") &&
+  Math.floor(combo.top / 4) === RANK_ORDER.indexOf("2");
+const isPairSequence = (combo, pairs) => combo.type === "pair-sequence" && combo.length === pairs * 2;
+
+// combo có đè được bộ đang trên bàn không
+const beats = (combo, previous) => {
+  if (!previous) return true;
+  if (combo.type === previous.type && combo.length === previous.length) return combo.top > previous.top;
+
+  // Chặt heo và các bộ chặt lẫn nhau
+  if (isPairSequence(combo, 3)) return isTwo(previous, 1);
+  if (combo.type === "quad") return isTwo(previous, 1) || isTwo(previous, 2) || isPairSequence(previous, 3);
+  if (isPairSequence(combo, 4)) {
+    return isTwo(previous, 1) || isTwo(previous, 2) || isPairSequence(previous, 3) || previous.type === "quad";
+  }
+  return false;
+};
+
+// ---------- LƯỢT ----------
+const inHand = (p) => !p.folded && p.hand.length > 0;
+
+const startTrick = (room, seat) => {
+  room.trick = null;
+  room.passedPlayers = [];
+  room.currentTurn = seat;
+};
+
+// Tìm người đi tiếp sau ghế fromSeat; quay về chủ bộ bài đang trên bàn thì mở vòng mới
+const advanceTurn = (room, fromSeat, events) => {
+  const n = room.players.length;
+  for (let step = 1; step <= n; step++) {
+    const seat = (fromSeat + step) % n;
+    const p = room.players[seat];
+    if (!inHand(p)) continue;
+    if (room.trick && p.id === room.trick.playerId) return newRound(room, seat, events);
+    if (room.passedPlayers.includes(p.id)) continue;
+    room.currentTurn = seat;
+    return;
+  }
+  // Chủ bộ bài đã rời bàn: người còn bài kế tiếp được đánh tự do
+  const next = room.players.findIndex((p, i) => i > fromSeat && inHand(p));
+  newRound(room, next >= 0 ? next : room.players.findIndex(inHand), events);
+};
+
+const newRound = (room, seat, events) => {
+  startTrick(room, seat);
+  room.currentRound++;
+  history.recordAction(room, "round");
+  events.push({ scope: "engine", event: "round-advanced", payload: { round: room.currentRound, currentTurn: seat } });
+};
+
+// ---------- BẮT ĐẦU VÁN ----------
+const startHand = (state, deck) => {
+  const room = clone(state);
+  room.pot = 0;
+  room.minBet = room.settings.minBet;
+  room.currentRound = 1;
+  room.betHistory = [];
+  room.lastRaise = null;
+  room.showdown = false;
+  room.deck = [...deck];
+
+  room.players.forEach((p) => {
+    p.hand = [];
+    p.folded = false;
+    p.currentBet = 0;
+    p.totalContributed = 0;
+    p.allIn = false;
+    p.actedThisRound = false;
+    p.revealedTo = [];
+    p.timeBankMs = room.settings.timeBankMs || 0;
+
+    if (p.money > 0 && !p.sittingOut) {
+      commitChips(room, p, Math.min(room.settings.ante, p.money));
+      for (let i = 0; i < CARDS_PER_PLAYER; i++) if (room.deck.length) p.hand.push(room.deck.pop());
+      p.hand = sortCards(p.hand);
+      p.viewedCards = true; // bài của mình luôn thấy
+    } else {
+      p.folded = true;
+      p.viewedCards = false;
+    }
+  });
+
+  const winnerSeat = room.handsPlayed > 0 ? room.players.findIndex(p => inHand(p) && p.id === room.lastWinnerId) : -1;
+  if (winnerSeat >= 0) {
+    startTrick(room, winnerSeat);
+    room.mustPlay = null;
+  } else {
+    // Người cầm lá nhỏ nhất đi trước và phải đánh lá đó
+    const lowest = sortCards(room.players.filter(inHand).map(p => p.hand[0]))[0];
+    const firstSeat = room.players.findIndex(p => inHand(p) && sameCard(p.hand[0], lowest));
+    startTrick(room, firstSeat);
+    room.mustPlay = lowest ? { rank: lowest.rank, suit: lowest.suit, symbol: lowest.symbol } : null;
+  }
+
+  room.dealerIndex = (room.dealerIndex + 1) % room.players.length;
+  room.handsPlayed = (room.handsPlayed || 0) + 1;
+  history.startHandRecord(room);
+
+  return { state: room, events: [{ scope: "engine", event: "turn-changed", payload: { currentTurn: room.currentTurn } }] };
+};
+
+// ---------- KẾT THÚC VÁN ----------
+const isHandFinished = (room) => {
+  const active = room.players.filter(p => !p.folded);
+  return active.length <= 1 || active.some(p => p.hand.length === 0);
+};
+
+// Ai ít bài hơn thì đứng trên, người hết bài thắng pot chính
+// Người thắng được ghi lại để đi trước ván sau
+const resolveHand = (room) => {
+  room.showdown = true;
+  const result = settlePots(room, (a, b) => b.hand.length - a.hand.length);
+  room.lastWinnerId = result.winner ? result.winner.id : null;
+  return result;
+};
+
+const settleAfterAction = (room, events) => {
+  if (isHandFinished(room)) {
+    room.currentTurn = -1;
+    events.push({ scope: "engine", event: "hand-ended", payload: resolveHand(room) });
+    return;
+  }
+  events.push({ scope: "engine", event: "turn-changed", payload: { currentTurn: room.currentTurn } });
+};
+
+// ---------- CÁC HÀNH ĐỘNG ----------
+const requireTurn = (room, player) =>
+  room.currentTurn !== room.players.indexOf(player) ? msg("not-your-turn") : null;
+
+// Lấy các lá trong tay khớp với danh sách { rank, suit } client gửi lên
+const pickCards = (player, requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) return null;
+  const picked = [];
+  for (const wanted of requested) {
+    const card = player.hand.find(c => sameCard(c, wanted || {}));
+    if (!card || picked.includes(card)) return null;
+    picked.push(card);
+  }
+  return picked;
+};
+
+const playCards = (room, player, cards, events, reason = null) => {
+  const combo = classifyCombo(cards);
+  player.hand = player.hand.filter(c => !cards.includes(c));
+  room.trick = { playerId: player.id, playerName: player.name, cards, combo };
+  room.mustPlay = null;
+  player.actedThisRound = true;
+  history.recordAction(room, "play", { playerId: player.id, cards: cards.map(c => ({ ...c })), combo: combo.type, reason });
+  events.push({
+    scope: "room",
+    event: "player-action-notification",
+    payload: {
+      playerId: player.id,
+      playerName: player.name,
+      action: "play",
+      cards,
+      combo: combo.type,
+      cardsLeft: player.hand.length,
+      message: msg("player-play", { player: player.name, cards: describeCards(cards) }),
+    },
+  });
+};
+
+const passRound = (room, player, events, reason = null) => {
+  room.passedPlayers.push(player.id);
+  player.actedThisRound = true;
+  history.recordAction(room, "pass", { playerId: player.id, reason });
+  events.push({
+    scope: "room",
+    event: "player-action-notification",
+    payload: { playerId: player.id, playerName: player.name, action: "pass", message: msg("player-pass", { player: player.name }) },
+  });
+};
+
+const ACTIONS = {
+  play: (room, player, action, events) => {
+    if (!inHand(player)) return msg("not-in-hand");
+    const turnError = requireTurn(room, player);
+    if (turnError) return turnError;
+
+    const cards = pickCards(player, action.cards);
+    if (!cards) return msg("cards-not-in-hand");
+    const combo = classifyCombo(cards);
+    if (!combo) return msg("invalid-combo");
+    if (room.mustPlay && !cards.some(c => sameCard(c, room.mustPlay))) {
+      return msg("must-play-card", { card: describeCards([room.mustPlay]) });
+    }
+    if (!beats(combo, room.trick?.combo)) return msg("combo-too-weak");
+
+    playCards(room, player, cards, events);
+    if (player.hand.length) advanceTurn(room, room.players.indexOf(player), events);
+  },
+
+  pass: (room, player, action, events) => {
+    if (!inHand(player)) return msg("not-in-hand");
+    const turnError = requireTurn(room, player);
+    if (turnError) return turnError;
+    if (!room.trick) return msg("must-lead");
+
+    passRound(room, player, events);
+    advanceTurn(room, room.players.indexOf(player), events);
+  },
+
+  // Hết giờ: đang giữ cái thì đánh lá nhỏ nhất, không thì bỏ lượt
+  timeout: (room, player, action, events) => {
+    const turnError = requireTurn(room, player);
+    if (turnError) return turnError;
+
+    if (room.trick) passRound(room, player, events, "timeout");
+    else playCards(room, player, [player.hand[0]], events, "timeout");
+    if (player.hand.length) advanceTurn(room, room.players.indexOf(player), events);
+  },
+
+  // Mất kết nối quá hạn hoặc bị mời ra: rời ván, mất phần ante đã góp
+  forfeit: (room, player, action, events) => {
+    if (player.folded) return msg("already-folded");
+    const seat = room.players.indexOf(player);
+    player.folded = true;
+    history.recordAction(room, "fold", { playerId: player.id, reason: action.reason });
+    events.push({
+      scope: "room",
+      event: "player-action-notification",
+      payload: {
+        playerId: player.id,
+        playerName: player.name,
+        action: "fold",
+        reason: action.reason,
+        message: msg(action.reason === "kicked" ? "player-kicked-leave" : "player-disconnected-leave", { player: player.name }),
+      },
+    });
+    if (room.currentTurn === seat) advanceTurn(room, seat, events);
+  },
+};
+
+const applyAction = (state, action) => {
+  const run = ACTIONS[action.type];
+  if (!run) return { error: msg("invalid-action") };
+  if (state.gameState !== "playing") return { error: msg("hand-not-started") };
+
+  const room = clone(state);
+  const player = room.players.find(p => p.id === action.playerId);
+  if (!player) return { error: msg("player-not-found") };
+
+  const events = [];
+  const error = run(room, player, action, events);
+  if (error) return { error };
+  settleAfterAction(room, events);
+  return { state: room, events };
+};
+
+const legalActions = (room, playerId) => {
+  const seat = room.players.findIndex(p => p.id === playerId);
+  const player = room.players[seat];
+  if (room.gameState !== "playing" || !player || room.currentTurn !== seat || !inHand(player)) return [];
+  return room.trick ? [{ type: "play" }, { type: "pass" }] : [{ type: "play" }];
+};
+
+// ---------- GỢI Ý NƯỚC ĐI (CHO BOT) ----------
+// Bộ nhỏ nhất cùng kiểu chặn được bộ trên bàn; đang giữ cái thì đánh lá nhỏ nhất.
+// Không tìm chặt heo bằng tứ quý / đôi thông.
+const findSmallestPlay = (hand, trick, mustPlay = null) => {
+  const sorted = sortCards(hand);
+  if (!trick) return [mustPlay ? sorted.find(c => sameCard(c, mustPlay)) : sorted[0]];
+
+  const { type, length } = trick.combo;
+  const byRank = new Map();
+  sorted.forEach(c => byRank.set(rankIndex(c), [...(byRank.get(rankIndex(c)) || []), c]));
+  const candidates = [];
+
+  if (["single", "pair", "triple", "quad"].includes(type)) {
+    for (const group of byRank.values()) {
+      // Lấy các lá nhỏ nhất của nhóm, lá cuối có thể thay để vượt top
+      if (group.length < length) continue;
+      for (let i = length - 1; i < group.length; i++) candidates.push([...group.slice(0, length - 1), group[i]]);
+    }
+  }
+  if (type === "straight") {
+    const ranks = [...byRank.keys()].filter(r => r !== RANK_ORDER.indexOf("2"));
+    for (const start of ranks) {
+      const run = [];
+      for (let r = start; r < start + length; r++) if (byRank.has(r)) run.push(byRank.get(r));
+      if (run.length !== length) continue;
+      const last = run[length - 1];
+      last.forEach(card => candidates.push([...run.slice(0, -1).map(group => group[0]), card]));
+    }
+  }
+
+  return candidates
+    .filter(cards => { const combo = classifyCombo(cards); return combo && beats(combo, trick.combo); })
+    .sort((a, b) => classifyCombo(a).top - classifyCombo(b).top)[0] || null;
+};
+
+module.exports = {
+  name: "tien-len",
+  title: "Tiến Lên",
+  cardsPerPlayer: CARDS_PER_PLAYER,
+  maxSeats: 4,
+  defaultSettings: { maxPlayers: 4 },
+  fixedSettings: {},
+  startHand,
+  applyAction,
+  legalActions,
+  classifyCombo,
+  beats,
+  findSmallestPlay,
+};
@@ -0,0 +1,68 @@
+// ========== XÁO BÀI CÔNG BẰNG CÓ THỂ KIỂM CHỨNG ==========
+// Commit-reveal: server công bố sha256(serverSeed) trước khi chia, người chơi góp
+// clientSeed, hết ván server lộ serverSeed để ai cũng tự xáo lại và so thứ tự bộ bài.
+//
+// Thứ tự xáo: HMAC-SHA256(key = serverSeed, msg = "<clientSeed>:<nonce>:<counter>")
+// sinh dãy số 32-bit, lấy mẫu loại bỏ để không lệch, rồi Fisher-Yates từ cuối bộ bài.
+const crypto = require("crypto");
+
+const generateServerSeed = () => crypto.randomBytes(32).toString("hex");
+
+const hashSeed = (seed) => crypto.createHash("sha256").update(seed).digest("hex");
+
+// Gộp seed của người chơi theo thứ tự ghế, ai không góp thì bỏ qua
+const combineClientSeeds = (clientSeeds) =>
+  clientSeeds.map(cs => cs.seed).filter(Boolean).join(":");
+
+const createSeededRng = (serverSeed, clientSeed, nonce) => {
+  let counter = 0;
+  let buffer = Buffer.alloc(0);
+  let offset = 0;
+
+  const nextUint32 = () => {
+    if (offset + 4 > buffer.length) {
+      buffer = crypto.createHmac("sha256", serverSeed).update(`${clientSeed}:${nonce}:${counter++}`).digest();
+      offset = 0;
+    }
+    const value = buffer.readUInt32BE(offset);
+    offset += 4;
+    return value;
+  };
+
+  // Số nguyên đều trong [0, max)
+  const nextInt = (max) => {
+    const limit = Math.floor(0x100000000 / max) * max;
+    let value;
+    do { value = nextUint32(); } while (value >= limit);
+    return value % max;
+  };
+
+  return { nextInt };
+};
+
+const shuffleDeck = (deck, rng) => {
+  for (let i = deck.length - 1; i > 0; i--) {
+    const j = rng.nextInt(i + 1);
+    [deck[i], deck[j]] = [deck[j], deck[i]];
+  }
+  return deck;
+};
+
+const cardKey = (card) => `${card.rank}${card.suit}`;
+
+// Client chạy lại hàm này với bộ bài chuẩn (chưa xáo) để kiểm tra ván vừa chơi
+const verifyDeal = ({ serverSeed, serverSeedHash, clientSeed, nonce, deckOrder }, baseDeck) => {
+  if (hashSeed(serverSeed) !== serverSeedHash) return false;
+  const derived = shuffleDeck([...baseDeck], createSeededRng(serverSeed, clientSeed, nonce));
+  return derived.length === deckOrder.length &&
+         derived.every((card, i) => cardKey(card) === cardKey(deckOrder[i]));
+};
+
+module.exports = {
+  generateServerSeed,
+  hashSeed,
+  combineClientSeeds,
+  createSeededRng,
+  shuffleDeck,
+  verifyDeal,
+};
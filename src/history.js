@@ -0,0 +1,171 @@
+// ========== LỊCH SỬ VÁN BÀI ==========
+// room.currentHand là bản ghi của ván đang chơi, chứa bài tẩy nên không bao giờ nằm
+// trong room view. Ván xong thì finishHandRecord trả bản ghi cho server lưu riêng
+// (storage.appendHand): room không giữ lịch sử, nên bản ghi còn lại sau khi phòng đóng.
+
+const now = () => new Date().toISOString();
+
+const startHandRecord = (room) => {
+  const dealt = room.players.filter(p => p.hand.length > 0);
+  room.currentHand = {
+    handNumber: room.handsPlayed,
+    roomCode: room.code,
+    startedAt: now(),
+    endedAt: null,
+    dealerIndex: room.dealerIndex,
+    serverSeedHash: room.fairness.serverSeedHash,
+    players: room.players.map((p, seat) => ({
+      playerId: p.id,
+      playerName: p.name,
+      // Socket id đổi khi kết nối lại, thống kê theo tài khoản thì cần id cố định
+      accountId: p.accountId || null,
+      seat,
+      // money lúc này đã trừ ante, cộng lại để có số tiền đầu ván
+      startingMoney: p.money + p.totalContributed,
+      hand: p.hand.map(c => ({ ...c })),
+    })),
+    antes: dealt.map(p => ({ playerId: p.id, amount: p.totalContributed })),
+    actions: [],
+    reveals: [],
+    comparisons: [],
+    pots: [],
+    fairness: null,
+  };
+};
+
+const recordAction = (room, type, data = {}) => {
+  const record = room.currentHand;
+  if (!record) return;
+  record.actions.push({ seq: record.actions.length + 1, type, round: room.currentRound, ...data, timestamp: now() });
+};
+
+const recordComparison = (room, comparison) => {
+  const record = room.currentHand;
+  if (!record) return;
+  record.comparisons.push({ seq: record.actions.length, round: room.currentRound, ...comparison });
+};
+
+// Người chơi kết nối lại giữa ván: đổi id trong bản ghi để replay / thống kê khớp cả ván
+const rebindHandRecord = (room, oldId, newId) => {
+  const record = room.currentHand;
+  if (!record) return;
+  const swap = (id) => (id === oldId ? newId : id);
+  record.players.forEach((p) => { p.playerId = swap(p.playerId); });
+  record.antes.forEach((a) => { a.playerId = swap(a.playerId); });
+  record.actions.forEach((a) => {
+    for (const key of ["playerId", "targetPlayerId", "winnerId", "loserId"]) if (key in a) a[key] = swap(a[key]);
+  });
+  record.comparisons.forEach((c) => {
+    c.playerId = swap(c.playerId);
+    c.targetPlayerId = swap(c.targetPlayerId);
+    c.winnerId = swap(c.winnerId);
+    for (const field of ["hands", "evaluations"]) {
+      if (oldId in c[field]) {
+        c[field][newId] = c[field][oldId];
+        delete c[field][oldId];
+      }
+    }
+  });
+};
+
+const finishHandRecord = (room, result) => {
+  const record = room.currentHand;
+  if (!record) return null;
+  record.endedAt = now();
+  record.pots = result.pots;
+  record.fairness = room.fairness.lastReveal;
+  if (room.showdown) {
+    record.reveals = room.players
+      .filter(p => !p.folded && p.hand.length > 0)
+      .map(p => ({ playerId: p.id, playerName: p.name, hand: p.hand.map(c => ({ ...c })) }));
+  }
+  room.currentHand = null;
+  return record;
+};
+
+// Ván bị hủy không có kết quả để xem lại: bỏ bản ghi dở
+const discardHandRecord = (room) => {
+  room.currentHand = null;
+};
+
+const summarizeHand = (record) => ({
+  handNumber: record.handNumber,
+  startedAt: record.startedAt,
+  endedAt: record.endedAt,
+  dealerIndex: record.dealerIndex,
+  players: record.players.map(p => ({ playerId: p.playerId, playerName: p.playerName, seat: p.seat })),
+  actionCount: record.actions.length,
+  pot: record.pots.reduce((sum, pot) => sum + pot.amount, 0),
+  winners: [...new Set(record.pots.flatMap(pot => pot.winners.map(w => w.playerName)))],
+});
+
+// Hành động bỏ thêm tiền vào pot (all-in ghi riêng bằng amount)
+const WAGERS = ["call", "bet", "raise"];
+
+// ---------- DỰNG LẠI TỪNG BƯỚC ĐỂ REPLAY ----------
+// Mỗi bước là trạng thái công khai của bàn sau một hành động
+const buildReplaySteps = (record) => {
+  const table = {
+    pot: 0,
+    round: 1,
+    trick: null, // Tiến Lên: bộ bài đang nằm trên bàn
+    players: record.players.map(p => ({
+      playerId: p.playerId,
+      playerName: p.playerName,
+      seat: p.seat,
+      money: p.startingMoney,
+      currentBet: 0,
+      folded: p.hand.length === 0,
+      allIn: false,
+      viewedCards: false,
+      cardCount: p.hand.length,
+    })),
+  };
+  const find = (playerId) => table.players.find(p => p.playerId === playerId);
+  const pay = (player, amount) => {
+    player.money -= amount;
+    player.currentBet += amount;
+    table.pot += amount;
+  };
+  const snapshot = (event) => ({ event, state: JSON.parse(JSON.stringify(table)) });
+
+  record.antes.forEach(a => pay(find(a.playerId), a.amount));
+  const steps = [snapshot({ type: "deal", dealerIndex: record.dealerIndex })];
+
+  for (const action of record.actions) {
+    const player = find(action.playerId);
+    if (action.type === "round") {
+      table.round = action.round;
+      table.trick = null;
+    }
+    if (action.type === "view-cards") player.viewedCards = true;
+    if (WAGERS.includes(action.type)) pay(player, action.actualAmount);
+    if (action.type === "all-in") {
+      pay(player, action.amount);
+      player.allIn = true;
+    }
+    if (action.type === "fold" || (action.type === "timeout" && action.defaultAction === "fold")) player.folded = true;
+    if (action.type === "compare" && action.loserId) find(action.loserId).folded = true;
+    if (action.type === "play") {
+      player.cardCount -= action.cards.length;
+      table.trick = { playerId: action.playerId, cards: action.cards, combo: action.combo };
+    }
+    steps.push(snapshot(action));
+  }
+
+  record.pots.forEach(pot => pot.winners.forEach((w) => { find(w.playerId).money += w.amount; }));
+  steps.push(snapshot({ type: "showdown", reveals: record.reveals, pots: record.pots }));
+  return steps;
+};
+
+module.exports = {
+  WAGERS,
+  startHandRecord,
+  recordAction,
+  recordComparison,
+  rebindHandRecord,
+  finishHandRecord,
+  discardHandRecord,
+  summarizeHand,
+  buildReplaySteps,
+};
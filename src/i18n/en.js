@@ -0,0 +1,190 @@
+// ========== TIẾNG ANH ==========
+// Cùng bộ mã với vi.js.
+
+module.exports = {
+  numberLocale: "en-US",
+  messages: {
+    // ---------- BÀI ----------
+    "suit-hearts": "hearts",
+    "suit-diamonds": "diamonds",
+    "suit-clubs": "clubs",
+    "suit-spades": "spades",
+    "hand-three-of-a-kind": "Three {rank}s",
+    "hand-straight-flush": "Straight flush {straight}",
+    "hand-flush": "Flush of {suit}",
+    "hand-straight": "Straight {straight}",
+    "hand-pair": "Pair of {rank}s",
+    "hand-high-card": "{rank} high",
+    "hand-sap": "Trips {rank}",
+    "hand-lieng": "Run {straight}",
+    "hand-ba-tay": "Three faces",
+    "hand-bu": "Zero points",
+    "hand-points": "{points} points",
+
+    // ---------- HÀNH ĐỘNG TRONG VÁN ----------
+    "not-your-turn": "It's not your turn",
+    "already-folded": "You have already folded",
+    "bet-already-open": "There is already a bet, call or raise",
+    "nothing-to-raise": "There is no bet to raise, bet instead",
+    "invalid-amount": "Invalid amount",
+    "raise-limit-reached": "Only {count} raises are allowed per round",
+    "raise-too-small": "You must raise to at least {amount} chips",
+    "raise-too-large": "You can raise by at most {amount} chips at a time",
+    "not-enough-money": "Not enough money",
+    "already-viewed-cards": "You have already looked at your cards",
+    "must-call": "You must call {amount} chips or fold",
+    "nothing-to-call": "There is no bet to call",
+    "call-needs-all-in": "Not enough money to call, you can only go all-in",
+    "already-all-in": "You are already all-in",
+    "player-not-found": "Player not found",
+    "compare-self": "You cannot compare cards with yourself",
+    "compare-player-folded": "One of the players has folded",
+    "compare-too-early": "Comparing is only allowed from round {round}",
+    "compare-must-call": "You must call the full amount before comparing",
+    "invalid-action": "Invalid action",
+    "hand-not-started": "The hand has not started",
+    "no-hand-in-progress": "No hand in progress",
+    "not-in-hand": "You are no longer in this hand",
+    "cards-not-in-hand": "You don't have those cards",
+    "invalid-combo": "Invalid combination",
+    "must-play-card": "The first play must include {card}",
+    "combo-too-weak": "That doesn't beat the cards on the table",
+    "must-lead": "You have the lead, you must play",
+
+    // ---------- THÔNG BÁO TRONG VÁN ----------
+    "compare-won": "🎉 You win!",
+    "compare-lost": "😞 You lose!",
+    "compare-draw": "🤝 Draw!",
+    "player-bet": "{player} bets {amount} chips",
+    "player-raise": "{player} raises to {amount} chips",
+    "player-bet-blind": "{player} bets {amount} chips blind (pays {cost} chips)",
+    "player-raise-blind": "{player} raises to {amount} chips blind (pays {cost} chips)",
+    "player-viewed-cards": "{player} looked at their cards",
+    "player-check": "{player} checks",
+    "player-call": "{player} calls {amount} chips",
+    "player-fold": "{player} folds",
+    "player-all-in": "{player} goes ALL-IN for {amount} chips!",
+    "player-compare": "{player} compared cards with {target}!",
+    "player-timeout-check": "{player} ran out of time and checks",
+    "player-timeout-fold": "{player} ran out of time and folds",
+    "player-kicked-fold": "{player} was removed from the room and folds",
+    "player-disconnected-fold": "{player} disconnected and folds",
+    "player-play": "{player} plays {cards}",
+    "player-pass": "{player} passes",
+    "player-kicked-leave": "{player} was removed from the room",
+    "player-disconnected-leave": "{player} disconnected and left the hand",
+    "hand-aborted": "The hand was cancelled and bets were refunded",
+
+    // ---------- CÀI ĐẶT ----------
+    "invalid-settings": "Invalid settings",
+    "unsupported-setting": "Unsupported setting: {key}",
+    "invalid-setting-value": "Invalid value for {key}",
+    "min-players-above-max": "minPlayers must not exceed maxPlayers",
+    "max-raise-below-min-bet": "maxRaise must be greater than minBet",
+    "compare-round-above-max": "compareFromRound must not exceed maxBettingRounds",
+    "variant-fixed-setting": "{variant} does not allow changing {key}",
+    "variant-max-seats": "{variant} allows at most {max} players",
+    "variant-not-found": "Variant not found",
+    "rules-locked": "Rules can only be changed while the room is waiting",
+    "max-players-below-seated": "Seat limit is lower than the number of seated players",
+    "invalid-stakes": "Invalid stakes",
+    "invalid-seed": "Invalid seed",
+
+    // ---------- XÁC SUẤT ----------
+    "odds-need-three-cards": "Exactly 3 cards are required",
+    "invalid-card": "Invalid card",
+    "duplicate-cards": "Duplicate cards",
+    "odds-opponents-range": "Opponents must be between 1 and {max}",
+    "odds-variant-unsupported": "{variant} does not use 3-card hands",
+
+    // ---------- TÀI KHOẢN ----------
+    "login-required": "Login required",
+    "forbidden": "Forbidden",
+    "invalid-credentials": "Wrong username or password",
+    "guest-mode-disabled": "Guest play is disabled on this server",
+    "too-many-requests": "Too many requests, try again later",
+    "invalid-username": "Usernames are 3-20 letters, digits or _",
+    "password-too-short": "Passwords need at least {min} characters",
+    "username-taken": "Username already taken",
+    "account-not-found": "Account not found",
+    "insufficient-balance": "Insufficient balance",
+    "invalid-session": "Invalid session",
+    "connected": "Connected",
+
+    // ---------- THỐNG KÊ & LỊCH SỬ ----------
+    "invalid-period": "Period must be one of {periods}",
+    "invalid-sort": "Sort must be one of {keys}",
+    "hand-not-found": "Hand not found",
+
+    // ---------- PHÒNG ----------
+    "room-not-found": "Room not found",
+    "room-owned-elsewhere": "Room is held by another instance",
+    "room-created": "Room created",
+    "room-joined": "Joined the room",
+    "room-rejoined": "Rejoined the room",
+    "create-room-failed": "Could not create room: {reason}",
+    "join-room-failed": "Could not join room: {reason}",
+    "room-started": "The game has already started",
+    "room-full": "The room is full",
+    "room-not-playing": "No game in progress in this room",
+    "already-in-this-room": "You are already seated in this room",
+    "already-seated": "You are already seated in a room",
+    "banned-from-room": "You were removed from this room",
+    "wrong-room-password": "Wrong room password",
+    "invalid-room-password": "Room passwords are {min}-{max} characters",
+    "name-taken": "Name already taken",
+    "insufficient-balance-room": "Insufficient balance to join the room",
+    "player-insufficient-balance": "{player} does not have enough balance to play",
+    "not-enough-players": "At least {min} players are required",
+    "host-only": "Only the host can do that",
+    "host-left": "The host left, the room is closed",
+    "kicked-by-host": "You were removed from the room by the host",
+    "bot-strategy-not-found": "Bot strategy not found",
+    "bot-strategy-unsupported": "This bot strategy does not support the variant",
+
+    // ---------- KHÁN GIẢ & CHAT ----------
+    "spectating-disabled": "This room does not allow spectators",
+    "spectating-closed": "The host turned off spectating",
+    "not-in-room": "You are not seated in this room",
+    "chat-muted": "You are muted",
+    "emote-not-found": "Emote not found",
+    "cannot-target-self": "You cannot apply this to yourself",
+    "invalid-chat-message": "Invalid message",
+    "empty-chat-message": "Message is empty",
+    "chat-message-too-long": "Messages are at most {max} characters",
+
+    // ---------- GIẢI ĐẤU ----------
+    "tournament-not-found": "Tournament not found",
+    "invalid-tournament-name": "Invalid tournament name",
+    "invalid-tournament-settings": "Invalid tournament settings",
+    "invalid-tournament-levels": "Invalid level schedule",
+    "invalid-tournament-payouts": "Payouts must be positive numbers adding up to 100",
+    "table-size-too-large": "Tables seat at most {max} players",
+    "tournament-started": "The tournament has already started",
+    "tournament-full": "The tournament is full",
+    "tournament-already-registered": "You are already registered for this tournament",
+    "tournament-not-registered": "You are not registered for this tournament",
+    "insufficient-balance-tournament": "Insufficient balance to register",
+    "tournament-host-only": "Only the tournament creator can do that",
+    "tournament-registered": "Registered for the tournament",
+    "tournament-rejoined": "Rejoined the tournament",
+    "tournament-ended": "The tournament has ended",
+    "table-merged": "Your table was merged",
+
+    // ---------- QUẢN TRỊ ----------
+    "tournament-table-end": "Tournament tables cannot be stopped individually",
+    "tournament-table-close": "Tournament tables cannot be closed individually",
+    "tournament-table-kick": "Players cannot be removed from tournament tables",
+    "admin-ended-game": "An administrator ended the game",
+    "admin-closed-room": "The room was closed by an administrator",
+    "kicked-by-admin": "You were removed from the room by an administrator",
+    "reason-required": "A reason is required",
+
+    // ---------- LỖI SOCKET ----------
+    "invalid-payload": "Invalid payload: {field}",
+    "unknown-event": "Unknown event",
+    "rate-limited": "Sending too fast, slow down",
+    "abusive": "Too many requests, disconnecting",
+    "internal": "Server error",
+  },
+};
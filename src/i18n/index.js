@@ -0,0 +1,82 @@
+// ========== NGÔN NGỮ ==========
+// Engine và server không ghép câu chữ: mọi thông điệp gửi cho client là { code, params }
+// tạo bằng msg(). code cố định để client xử lý theo mã, params là các giá trị chèn vào câu.
+// Câu chữ nằm trong catalog của từng ngôn ngữ (vi.js, en.js) và chỉ được dựng lúc gửi đi,
+// theo ngôn ngữ của socket (chọn khi kết nối) hoặc của request HTTP.
+//
+// Trên đường truyền, trường message / reason (sự kiện socket) hoặc error (HTTP) là thông điệp thì
+// payload nhận thêm code và params bên cạnh câu đã dựng; thông điệp nằm sâu hơn
+// (vd. handEvaluation.description) chỉ được thay bằng chữ.
+
+const CATALOGS = {
+  vi: require("./vi"),
+  en: require("./en"),
+};
+const LOCALES = Object.keys(CATALOGS);
+const DEFAULT_LOCALE = "vi";
+const MESSAGE_KEYS = ["message", "reason", "error"];
+
+const msg = (code, params = {}) => ({ code, params });
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Đúng hai trường code và params, như msg() tạo ra (kể cả sau khi qua JSON / structuredClone)
+const isMessage = (value) => isPlainObject(value) && typeof value.code === "string" &&
+  isPlainObject(value.params) && Object.keys(value).length === 2;
+
+const hasMessages = (value) => {
+  if (isMessage(value)) return true;
+  if (Array.isArray(value)) return value.some(hasMessages);
+  return isPlainObject(value) && Object.values(value).some(hasMessages);
+};
+
+// "en-US,en;q=0.9" / "vi" / undefined -> ngôn ngữ có catalog đầu tiên, mặc định tiếng Việt.
+// Nhận nhiều ứng viên theo thứ tự ưu tiên (vd. tham số lang rồi tới Accept-Language)
+const resolveLocale = (...candidates) => {
+  for (const candidate of candidates) {
+    if (typeof candidate !== "string") continue;
+    for (const part of candidate.split(",")) {
+      const language = part.split(";")[0].trim().split("-")[0].toLowerCase();
+      if (LOCALES.includes(language)) return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+};
+
+const catalogFor = (locale) => CATALOGS[locale] || CATALOGS[DEFAULT_LOCALE];
+
+const numberFormats = new Map(); // locale -> Intl.NumberFormat
+
+const formatNumber = (locale, value) => {
+  if (!numberFormats.has(locale)) numberFormats.set(locale, new Intl.NumberFormat(catalogFor(locale).numberLocale));
+  return numberFormats.get(locale).format(value);
+};
+
+// Tham số có thể là số (định dạng theo ngôn ngữ), mảng (nối bằng dấu phẩy) hoặc một
+// thông điệp khác (vd. mô tả bộ bài trong câu thông báo)
+const formatParam = (locale, value) => {
+  if (isMessage(value)) return render(locale, value);
+  if (typeof value === "number") return formatNumber(locale, value);
+  if (Array.isArray(value)) return value.map(v => formatParam(locale, v)).join(", ");
+  return String(value);
+};
+
+// Mã chưa có trong catalog thì lấy tiếng Việt, chưa có nốt thì trả về chính mã
+const render = (locale, message) => {
+  const template = catalogFor(locale).messages[message.code] ?? CATALOGS[DEFAULT_LOCALE].messages[message.code] ?? message.code;
+  return template.replace(/\{(\w+)\}/g, (match, name) =>
+    (Object.hasOwn(message.params, name) ? formatParam(locale, message.params[name]) : match));
+};
+
+// Bản sao của payload với mọi thông điệp đã dựng thành chữ
+const localize = (locale, value) => {
+  if (isMessage(value)) return render(locale, value);
+  if (Array.isArray(value)) return value.map(v => localize(locale, v));
+  if (!isPlainObject(value)) return value;
+  const localized = Object.fromEntries(Object.entries(value).map(([key, v]) => [key, localize(locale, v)]));
+  const key = MESSAGE_KEYS.find(k => isMessage(value[k]));
+  if (key) Object.assign(localized, { code: value[key].code, params: value[key].params });
+  return localized;
+};
+
+module.exports = { LOCALES, DEFAULT_LOCALE, msg, isMessage, hasMessages, resolveLocale, render, localize };
@@ -0,0 +1,191 @@
+// ========== TIẾNG VIỆT ==========
+// Catalog gốc: mọi mã thông điệp phải có ở đây, ngôn ngữ khác thiếu mã nào thì lấy câu
+// tiếng Việt. {tên} là chỗ chèn params cùng tên.
+
+module.exports = {
+  numberLocale: "vi-VN",
+  messages: {
+    // ---------- BÀI ----------
+    "suit-hearts": "cơ",
+    "suit-diamonds": "rô",
+    "suit-clubs": "chuồn",
+    "suit-spades": "bích",
+    "hand-three-of-a-kind": "Ba lá {rank}",
+    "hand-straight-flush": "Sảnh đồng chất {straight}",
+    "hand-flush": "Đồng chất {suit}",
+    "hand-straight": "Sảnh {straight}",
+    "hand-pair": "Đôi {rank}",
+    "hand-high-card": "Lẻ {rank} cao",
+    "hand-sap": "Sáp {rank}",
+    "hand-lieng": "Liêng {straight}",
+    "hand-ba-tay": "Ba tây",
+    "hand-bu": "Bù",
+    "hand-points": "{points} điểm",
+
+    // ---------- HÀNH ĐỘNG TRONG VÁN ----------
+    "not-your-turn": "Chưa đến lượt của bạn",
+    "already-folded": "Đã bỏ bài",
+    "bet-already-open": "Đang có cược, hãy theo hoặc tố thêm",
+    "nothing-to-raise": "Chưa có cược để tố thêm, hãy cược",
+    "invalid-amount": "Số tiền không hợp lệ",
+    "raise-limit-reached": "Mỗi vòng chỉ được tố {count} lần",
+    "raise-too-small": "Phải tố lên ít nhất {amount} xu",
+    "raise-too-large": "Chỉ được tăng tối đa {amount} xu mỗi lần",
+    "not-enough-money": "Không đủ tiền",
+    "already-viewed-cards": "Đã xem bài rồi",
+    "must-call": "Bạn phải theo {amount} xu hoặc bỏ bài",
+    "nothing-to-call": "Không có cược để theo",
+    "call-needs-all-in": "Không đủ tiền theo, chỉ có thể all-in",
+    "already-all-in": "Đã all‑in",
+    "player-not-found": "Người chơi không tồn tại",
+    "compare-self": "Không thể so bài với chính mình",
+    "compare-player-folded": "Một trong hai đã bỏ bài",
+    "compare-too-early": "Chỉ so bài từ vòng {round}",
+    "compare-must-call": "Bạn cần đặt cược đủ số tiền theo trước khi so bài",
+    "invalid-action": "Hành động không hợp lệ",
+    "hand-not-started": "Ván chưa bắt đầu",
+    "no-hand-in-progress": "Không có ván đang chơi",
+    "not-in-hand": "Bạn không còn trong ván",
+    "cards-not-in-hand": "Bạn không có những lá này",
+    "invalid-combo": "Bộ bài không hợp lệ",
+    "must-play-card": "Lượt đầu phải đánh {card}",
+    "combo-too-weak": "Bài không chặn được bộ trên bàn",
+    "must-lead": "Bạn đang giữ cái, phải đánh",
+
+    // ---------- THÔNG BÁO TRONG VÁN ----------
+    "compare-won": "🎉 Bạn thắng!",
+    "compare-lost": "😞 Bạn thua!",
+    "compare-draw": "🤝 Hòa!",
+    "player-bet": "{player} cược {amount} xu",
+    "player-raise": "{player} tố {amount} xu",
+    "player-bet-blind": "{player} cược {amount} xu (thực tế {cost} xu)",
+    "player-raise-blind": "{player} tố {amount} xu (thực tế {cost} xu)",
+    "player-viewed-cards": "{player} đã xem bài",
+    "player-check": "{player} xem tiếp",
+    "player-call": "{player} theo {amount} xu",
+    "player-fold": "{player} đã bỏ bài",
+    "player-all-in": "{player} ALL-IN {amount} xu!",
+    "player-compare": "{player} đã so bài với {target}!",
+    "player-timeout-check": "{player} hết giờ, tự động xem tiếp",
+    "player-timeout-fold": "{player} hết giờ, tự động bỏ bài",
+    "player-kicked-fold": "{player} bị mời khỏi phòng, tự động bỏ bài",
+    "player-disconnected-fold": "{player} mất kết nối, tự động bỏ bài",
+    "player-play": "{player} đánh {cards}",
+    "player-pass": "{player} bỏ lượt",
+    "player-kicked-leave": "{player} bị mời khỏi phòng",
+    "player-disconnected-leave": "{player} mất kết nối, rời ván",
+    "hand-aborted": "Ván bị hủy, tiền cược được hoàn lại",
+
+    // ---------- CÀI ĐẶT ----------
+    "invalid-settings": "Cài đặt không hợp lệ",
+    "unsupported-setting": "Cài đặt không hỗ trợ: {key}",
+    "invalid-setting-value": "Giá trị không hợp lệ cho {key}",
+    "min-players-above-max": "minPlayers không được lớn hơn maxPlayers",
+    "max-raise-below-min-bet": "maxRaise phải lớn hơn minBet",
+    "compare-round-above-max": "compareFromRound không được lớn hơn maxBettingRounds",
+    "variant-fixed-setting": "{variant} không cho đổi {key}",
+    "variant-max-seats": "{variant} chỉ tối đa {max} người",
+    "variant-not-found": "Biến thể không tồn tại",
+    "rules-locked": "Chỉ đổi luật chơi khi phòng đang chờ",
+    "max-players-below-seated": "Số ghế tối đa nhỏ hơn số người đang ngồi",
+    "invalid-stakes": "Mức cược không hợp lệ",
+    "invalid-seed": "Seed không hợp lệ",
+
+    // ---------- XÁC SUẤT ----------
+    "odds-need-three-cards": "Cần đúng 3 lá bài",
+    "invalid-card": "Lá bài không hợp lệ",
+    "duplicate-cards": "Các lá bài bị trùng",
+    "odds-opponents-range": "Số đối thủ từ 1 đến {max}",
+    "odds-variant-unsupported": "{variant} không dùng bộ 3 lá",
+
+    // ---------- TÀI KHOẢN ----------
+    "login-required": "Cần đăng nhập",
+    "forbidden": "Không có quyền",
+    "invalid-credentials": "Sai tên đăng nhập hoặc mật khẩu",
+    "guest-mode-disabled": "Máy chủ không cho chơi khách",
+    "too-many-requests": "Quá nhiều yêu cầu, thử lại sau",
+    "invalid-username": "Tên đăng nhập gồm 3-20 chữ, số hoặc _",
+    "password-too-short": "Mật khẩu tối thiểu {min} ký tự",
+    "username-taken": "Tên đăng nhập đã tồn tại",
+    "account-not-found": "Tài khoản không tồn tại",
+    "insufficient-balance": "Số dư không đủ",
+    "invalid-session": "Phiên không hợp lệ",
+    "connected": "Đã kết nối",
+
+    // ---------- THỐNG KÊ & LỊCH SỬ ----------
+    "invalid-period": "Khoảng thời gian phải là {periods}",
+    "invalid-sort": "Chỉ xếp theo {keys}",
+    "hand-not-found": "Không tìm thấy ván",
+
+    // ---------- PHÒNG ----------
+    "room-not-found": "Phòng không tồn tại",
+    "room-owned-elsewhere": "Phòng do instance khác giữ",
+    "room-created": "Phòng đã được tạo",
+    "room-joined": "Đã vào phòng",
+    "room-rejoined": "Đã vào lại phòng",
+    "create-room-failed": "Lỗi tạo phòng: {reason}",
+    "join-room-failed": "Lỗi vào phòng: {reason}",
+    "room-started": "Phòng đã bắt đầu",
+    "room-full": "Phòng đầy",
+    "room-not-playing": "Phòng không có trận đang chơi",
+    "already-in-this-room": "Bạn đã ngồi trong phòng này",
+    "already-seated": "Bạn đang ngồi trong một phòng",
+    "banned-from-room": "Bạn đã bị mời khỏi phòng này",
+    "wrong-room-password": "Sai mật khẩu phòng",
+    "invalid-room-password": "Mật khẩu phòng gồm {min}-{max} ký tự",
+    "name-taken": "Tên đã tồn tại",
+    "insufficient-balance-room": "Số dư không đủ để vào phòng",
+    "player-insufficient-balance": "{player} không đủ số dư để vào phòng",
+    "not-enough-players": "Cần ít nhất {min} người",
+    "host-only": "Chỉ chủ phòng",
+    "host-left": "Chủ phòng đã rời, phòng đóng",
+    "kicked-by-host": "Bạn đã bị chủ phòng mời khỏi phòng",
+    "bot-strategy-not-found": "Chiến thuật bot không tồn tại",
+    "bot-strategy-unsupported": "Chiến thuật bot không hỗ trợ biến thể này",
+
+    // ---------- KHÁN GIẢ & CHAT ----------
+    "spectating-disabled": "Phòng không cho phép xem",
+    "spectating-closed": "Chủ phòng đã tắt chế độ xem",
+    "not-in-room": "Bạn không ngồi trong phòng này",
+    "chat-muted": "Bạn đang bị cấm chat",
+    "emote-not-found": "Biểu cảm không tồn tại",
+    "cannot-target-self": "Không thể tự áp dụng cho mình",
+    "invalid-chat-message": "Tin nhắn không hợp lệ",
+    "empty-chat-message": "Tin nhắn trống",
+    "chat-message-too-long": "Tin nhắn tối đa {max} ký tự",
+
+    // ---------- GIẢI ĐẤU ----------
+    "tournament-not-found": "Giải không tồn tại",
+    "invalid-tournament-name": "Tên giải không hợp lệ",
+    "invalid-tournament-settings": "Cài đặt giải không hợp lệ",
+    "invalid-tournament-levels": "Bảng level không hợp lệ",
+    "invalid-tournament-payouts": "Tỉ lệ thưởng phải là các số dương cộng lại bằng 100",
+    "table-size-too-large": "Mỗi bàn tối đa {max} người",
+    "tournament-started": "Giải đã bắt đầu",
+    "tournament-full": "Giải đã đủ người",
+    "tournament-already-registered": "Bạn đã đăng ký giải này",
+    "tournament-not-registered": "Bạn chưa đăng ký giải này",
+    "insufficient-balance-tournament": "Số dư không đủ để đăng ký giải",
+    "tournament-host-only": "Chỉ người tạo giải",
+    "tournament-registered": "Đã đăng ký giải",
+    "tournament-rejoined": "Đã vào lại giải",
+    "tournament-ended": "Giải đã kết thúc",
+    "table-merged": "Bàn đã được gộp",
+
+    // ---------- QUẢN TRỊ ----------
+    "tournament-table-end": "Bàn của giải đấu, không dừng riêng được",
+    "tournament-table-close": "Bàn của giải đấu, không đóng riêng được",
+    "tournament-table-kick": "Bàn của giải đấu, không mời người chơi ra được",
+    "admin-ended-game": "Quản trị viên đã dừng trận",
+    "admin-closed-room": "Phòng đã bị quản trị viên đóng",
+    "kicked-by-admin": "Bạn đã bị quản trị viên mời khỏi phòng",
+    "reason-required": "Cần ghi lý do",
+
+    // ---------- LỖI SOCKET ----------
+    "invalid-payload": "Dữ liệu không hợp lệ: {field}",
+    "unknown-event": "Sự kiện không tồn tại",
+    "rate-limited": "Gửi quá nhanh, chờ một chút",
+    "abusive": "Gửi quá nhiều yêu cầu, kết nối bị ngắt",
+    "internal": "Lỗi máy chủ",
+  },
+};
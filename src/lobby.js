@@ -0,0 +1,83 @@
+// ========== SẢNH CHỜ ==========
+// Danh sách phòng công khai cho room browser và chọn phòng cho quick-match.
+// Chỉ đọc room, không sửa; server lo việc giữ chỉ mục trong shared store và gửi
+// cập nhật qua kênh lobby.
+
+// Các key được coi là "mức cược" khi so phòng với yêu cầu của người chơi
+const STAKE_KEYS = ["entryFee", "ante", "minBet"];
+// Mức cược lệch quá số lần này thì thà tạo phòng mới còn hơn
+const QUICK_MATCH_TOLERANCE = 2;
+
+// Bàn của giải và phòng riêng không hiện trong sảnh
+const isListed = (room) =>
+  !room.tournamentId && room.settings.visibility !== "private" && room.gameState !== "ended";
+
+const summarizeRoom = (room) => ({
+  code: room.code,
+  variant: room.variant,
+  host: room.players.find(p => p.userId && p.userId === room.host)?.name || null,
+  stakes: {
+    entryFee: room.settings.entryFee,
+    ante: room.settings.ante,
+    minBet: room.settings.minBet,
+    startingStack: room.settings.startingStack,
+  },
+  seats: { taken: room.players.length, max: room.settings.maxPlayers, bots: room.players.filter(p => p.isBot).length },
+  state: room.gameState,
+  spectators: room.spectatorCount || 0,
+  allowSpectators: room.settings.allowSpectators,
+  hasPassword: Boolean(room.passwordHash),
+  createdAt: room.createdAt,
+});
+
+// Bản ghi trong chỉ mục sảnh (dùng chung giữa các instance): phần công khai cộng những
+// gì quick-match cần để loại phòng. userIds / bannedUsers không bao giờ gửi ra client.
+const indexRoom = (room) => ({
+  ...summarizeRoom(room),
+  userIds: room.players.map(p => p.userId).filter(Boolean),
+  bannedUsers: room.bannedUsers || [],
+});
+
+const publicListing = ({ userIds, bannedUsers, ...summary }) => summary;
+
+// entries: các bản ghi từ indexRoom (chỉ phòng isListed mới được đưa vào chỉ mục)
+const listPublicRooms = (entries, { variant, state } = {}) => [...entries]
+  .filter(entry => (!variant || entry.variant === variant) && (!state || entry.state === state))
+  .map(publicListing);
+
+// ---------- QUICK-MATCH ----------
+// Tổng độ lệch tương đối theo các key người chơi yêu cầu; Infinity nếu lệch quá xa
+const stakeDistance = (entry, stakes) => {
+  let distance = 0;
+  for (const key of STAKE_KEYS) {
+    if (stakes[key] === undefined) continue;
+    const wanted = stakes[key];
+    const actual = entry.stakes[key];
+    if (wanted === actual) continue;
+    if (wanted === 0 || actual === 0) return Infinity;
+    const ratio = Math.max(wanted, actual) / Math.min(wanted, actual);
+    if (ratio > QUICK_MATCH_TOLERANCE) return Infinity;
+    distance += ratio - 1;
+  }
+  return distance;
+};
+
+// Phòng đang chờ, còn ghế, không mật khẩu, đúng biến thể và chưa mời người này ra.
+// Ưu tiên mức cược gần nhất, rồi phòng đông người hơn (để bàn sớm đủ người), rồi phòng tạo trước.
+// balance = null với khách (không có ví). Trả về bản ghi chỉ mục (có code) hoặc null.
+const findQuickMatch = (entries, { variant, stakes = {}, userId, balance = null }) => {
+  const candidates = [...entries]
+    .filter(entry => entry.state === "waiting" && !entry.hasPassword && entry.variant === variant)
+    .filter(entry => entry.seats.taken < entry.seats.max)
+    .filter(entry => !entry.userIds.includes(userId) && !entry.bannedUsers.includes(userId))
+    .filter(entry => balance === null || balance >= entry.stakes.entryFee)
+    .map(entry => ({ entry, distance: stakeDistance(entry, stakes) }))
+    .filter(c => c.distance !== Infinity);
+
+  candidates.sort((a, b) => a.distance - b.distance ||
+    b.entry.seats.taken - a.entry.seats.taken ||
+    a.entry.createdAt.localeCompare(b.entry.createdAt));
+  return candidates[0]?.entry || null;
+};
+
+module.exports = { STAKE_KEYS, isListed, summarizeRoom, indexRoom, listPublicRooms, stakeDistance, findQuickMatch };
@@ -0,0 +1,40 @@
+// ========== LOG CÓ CẤU TRÚC ==========
+// Mỗi dòng log là một object JSON: { time, level, msg, ...fields }, để gom và lọc bằng
+// công cụ log (Loki, ELK...) thay vì đọc bằng mắt. msg là tên sự kiện ngắn, cố định;
+// mọi chi tiết (mã phòng, người chơi, lỗi...) nằm trong fields.
+// LOG_LEVEL=debug | info (mặc định) | warn | error
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Error không JSON.stringify được (ra {}), nên tách message / stack
+const serialize = (fields) => Object.fromEntries(Object.entries(fields).map(([key, value]) =>
+  [key, value instanceof Error ? { message: value.message, stack: value.stack } : value]));
+
+const defaultWrite = (level, line) => {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + "\n");
+};
+
+// fields: các trường gắn vào mọi dòng (vd. instance); child() thêm trường cho một phạm vi hẹp hơn
+const createLogger = ({ level = "info", fields = {}, write = defaultWrite, now = Date.now } = {}) => {
+  const min = LEVELS[level] ?? LEVELS.info;
+
+  const log = (lineLevel) => (msg, extra = {}) => {
+    if (LEVELS[lineLevel] < min) return;
+    const line = { time: new Date(now()).toISOString(), level: lineLevel, msg, ...fields, ...serialize(extra) };
+    write(lineLevel, JSON.stringify(line));
+  };
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (more) => createLogger({ level, fields: { ...fields, ...more }, write, now }),
+  };
+};
+
+// Logger dùng chung cho cả tiến trình
+const logger = createLogger({ level: process.env.LOG_LEVEL || "info" });
+
+module.exports = { LEVELS, createLogger, logger };
@@ -0,0 +1,97 @@
+// ========== SỐ LIỆU VẬN HÀNH (PROMETHEUS) ==========
+// Registry nhỏ xuất đúng định dạng text của Prometheus, không cần thư viện ngoài.
+// Có ba loại: counter (chỉ tăng), gauge (đọc lúc scrape qua collect()) và histogram
+// (phân bố thời gian xử lý). Nhãn (labels) là object { tên: giá trị }.
+
+// Giây: đủ mịn cho handler vài ms, đủ rộng để thấy handler bị nghẽn
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+};
+
+// Khóa của một bộ nhãn, không phụ thuộc thứ tự key
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+const createRegistry = () => {
+  const metrics = []; // theo thứ tự đăng ký, mỗi cái có render() -> các dòng text
+
+  const header = (name, help, type) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+  const counter = ({ name, help }) => {
+    const values = new Map(); // labelKey -> { labels, value }
+    const inc = (labels = {}, amount = 1) => {
+      const key = labelKey(labels);
+      if (!values.has(key)) values.set(key, { labels, value: 0 });
+      values.get(key).value += amount;
+    };
+    metrics.push({
+      render: () => [
+        ...header(name, help, "counter"),
+        ...[...values.values()].map(v => `${name}${formatLabels(v.labels)} ${v.value}`),
+      ],
+    });
+    return { inc };
+  };
+
+  // collect() trả về một số, hoặc [{ labels, value }] khi gauge có nhãn
+  const gauge = ({ name, help, collect }) => {
+    metrics.push({
+      render: () => {
+        const collected = collect();
+        const samples = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        return [...header(name, help, "gauge"), ...samples.map(s => `${name}${formatLabels(s.labels)} ${s.value}`)];
+      },
+    });
+  };
+
+  const histogram = ({ name, help, buckets = DEFAULT_BUCKETS }) => {
+    const series = new Map(); // labelKey -> { labels, counts theo bucket, sum, count }
+    const observe = (labels, value) => {
+      const key = labelKey(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const s = series.get(key);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    };
+    metrics.push({
+      render: () => [
+        ...header(name, help, "histogram"),
+        ...[...series.values()].flatMap(s => [
+          ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+          `${name}_bucket${formatLabels({ ...s.labels, le: "+Inf" })} ${s.count}`,
+          `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+          `${name}_count${formatLabels(s.labels)} ${s.count}`,
+        ]),
+      ],
+    });
+    return { observe };
+  };
+
+  const render = () => metrics.flatMap(m => m.render()).join("\n") + "\n";
+
+  return { counter, gauge, histogram, render };
+};
+
+// ---------- ĐẾM TRONG CỬA SỔ TRƯỢT ----------
+// Số lần mark() trong windowMs gần nhất, vd. số ván mỗi phút
+const createRateWindow = (windowMs) => {
+  let marks = [];
+  const prune = (now) => { marks = marks.filter(t => t > now - windowMs); };
+  const mark = (now = Date.now()) => {
+    prune(now);
+    marks.push(now);
+  };
+  const count = (now = Date.now()) => {
+    prune(now);
+    return marks.length;
+  };
+  return { mark, count };
+};
+
+module.exports = { DEFAULT_BUCKETS, createRegistry, createRateWindow };
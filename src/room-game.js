@@ -0,0 +1,50 @@
+// ========== TRẬN CỦA PHÒNG THƯỜNG ==========
+// Phòng chỉ bắt đầu trận từ trạng thái "waiting": start-game gửi lại khi đang chơi sẽ
+// trừ ví lần nữa dưới một ref mới mà số xu của ref cũ không bao giờ được trả ra.
+const { msg } = require("./i18n");
+
+// Kiểm tra đủ tiền cho cả bàn rồi mới trừ, để không phải hoàn tiền khi một người thiếu.
+// Ví dùng chung giữa nhiều instance vẫn có thể bị trừ ở nơi khác giữa lúc kiểm tra và lúc
+// trừ: khi đó hoàn lại cho những người đã trừ. ledgerRef được gán trước lần await đầu tiên
+// nên start-game gửi lại trong lúc đang thu không thu thêm lần nữa.
+// Trả về { error } hoặc { debited: [accountId] } để server báo số dư mới
+const collectBuyIns = async (accounts, room) => {
+  if (room.gameState !== "waiting" || room.ledgerRef) return { error: msg("room-started") };
+  const fee = room.settings.entryFee;
+  const paying = room.players.filter(p => p.accountId);
+  const ref = `room:${room.code}:${Date.now()}`;
+  room.ledgerRef = ref;
+
+  const refund = async (debited, player) => {
+    for (const p of debited) await accounts.credit(p.accountId, fee, "refund", ref);
+    delete room.ledgerRef;
+    return { error: msg("player-insufficient-balance", { player: player.name }) };
+  };
+  for (const p of paying) {
+    if (((await accounts.getAccount(p.accountId))?.balance ?? 0) < fee) return refund([], p);
+  }
+  const debited = [];
+  for (const p of paying) {
+    if (await accounts.debit(p.accountId, fee, "buy-in", ref)) return refund(debited, p);
+    debited.push(p);
+  }
+  paying.forEach((p) => { p.paid = fee; });
+  room.prizePool = fee * paying.length;
+  return { debited: paying.map(p => p.accountId) };
+};
+
+// Chuyển phòng từ chờ sang chơi. Cài đặt có thể đổi sau khi mọi người vào phòng, nên chip
+// được chia lại theo startingStack ở đúng bước này và không ở đâu khác. Trả về false nếu
+// phòng không còn chờ (không đụng tới chip của trận đang chơi)
+const startRoomGame = (room) => {
+  if (room.gameState !== "waiting") return false;
+  room.players.forEach((p) => { p.money = room.settings.startingStack; });
+  room.gameState = "playing";
+  room.tournamentRound = 1;
+  room.tournamentPlayers = [...room.players];
+  room.startingPlayerCount = room.players.length;
+  room.handsPlayed = 0;
+  return true;
+};
+
+module.exports = { collectBuyIns, startRoomGame };
@@ -0,0 +1,34 @@
+// ========== GHẾ & KẾT NỐI LẠI ==========
+// Ghế được giữ theo reconnectToken trong lúc người chơi mất kết nối. Vào lại bằng socket
+// mới thì id của ghế đổi theo, nên mọi chỗ room tham chiếu tới id cũ phải đổi cùng lúc.
+const history = require("./history");
+
+// Đổi socket id của ghế sang socket mới ở mọi nơi room đang tham chiếu tới
+const rebindSeat = (room, oldId, newId) => {
+  const player = room.players.find(p => p.id === oldId);
+  if (!player) return null;
+  player.id = newId;
+  if (room.lastRaise === oldId) room.lastRaise = newId;
+  history.rebindHandRecord(room, oldId, newId);
+  room.players.forEach((p) => {
+    if (Array.isArray(p.revealedTo)) p.revealedTo = p.revealedTo.map(id => (id === oldId ? newId : id));
+  });
+  return player;
+};
+
+// Ghế trong giải có thể đã được chuyển sang bàn khác, nên tìm theo token ở mọi phòng
+const findSeat = (rooms, reconnectToken) => {
+  for (const room of rooms) {
+    const player = room.players.find(p => p.reconnectToken === reconnectToken);
+    if (player) return { room, player };
+  }
+  return null;
+};
+
+// Phòng chưa chơi: xóa hẳn ghế và đánh lại số thứ tự
+const dropWaitingSeat = (room, player) => {
+  room.players.splice(room.players.indexOf(player), 1);
+  room.players.forEach((p, i) => { p.position = i; });
+};
+
+module.exports = { rebindSeat, findSeat, dropWaitingSeat };
@@ -0,0 +1,95 @@
+// ========== CÀI ĐẶT PHÒNG ==========
+// Mọi con số luật chơi đều lấy từ room.settings. File này giữ giá trị mặc định
+// và luật kiểm tra cho từng key mà client được phép gửi lên.
+const { RANKING_VARIANTS } = require("./engine/ranking");
+const { msg } = require("./i18n");
+
+const DEFAULT_SETTINGS = {
+  entryFee: 100,
+  startingStack: 10000,
+  ante: 100,
+  minBet: 100,
+  maxRaise: 0, // 0 = không giới hạn mức tăng mỗi lần cược
+  maxRaisesPerRound: 0, // 0 = không giới hạn số lần tố trong một vòng
+  maxBettingRounds: 10, // hết số vòng này thì lật bài (Liêng luôn một vòng)
+  minPlayers: 2,
+  maxPlayers: 8,
+  compareFromRound: 2,
+  blindBetRatio: 0.5, // chưa xem bài thì chỉ trả tỉ lệ này của mức tuyên bố
+  allowSpectators: true,
+  spectatorDelayMs: 0,
+  visibility: "public", // "private": không hiện trong sảnh, chỉ vào được bằng mã phòng
+  chatFilter: true, // che từ cấm trong chat
+  handRanking: "standard", // cách xếp hạng bài, xem src/engine/ranking.js
+  a23Straight: "lowest", // "highest": A-2-3 là sảnh lớn nhất
+  suitTiebreak: false, // bằng bài thì so chất của lá cao nhất
+  trainingMode: false, // xem bài thì kèm xác suất thắng (src/engine/odds.js)
+};
+
+// Chỉ đổi được khi phòng đang chờ; các key khác đổi lúc nào cũng được
+const ENGINE_KEYS = [
+  "entryFee", "startingStack", "ante", "minBet", "maxRaise", "maxRaisesPerRound", "maxBettingRounds",
+  "minPlayers", "maxPlayers", "compareFromRound", "blindBetRatio",
+  "handRanking", "a23Straight", "suitTiebreak",
+];
+
+// 52 lá, mỗi người 3 lá
+const MAX_SEATS = 17;
+
+const RULES = {
+  entryFee: { type: "int", min: 0, max: 1e9 },
+  startingStack: { type: "int", min: 1, max: 1e9 },
+  ante: { type: "int", min: 0, max: 1e9 },
+  minBet: { type: "int", min: 1, max: 1e9 },
+  maxRaise: { type: "int", min: 0, max: 1e9 },
+  maxRaisesPerRound: { type: "int", min: 0, max: 100 },
+  maxBettingRounds: { type: "int", min: 1, max: 100 },
+  minPlayers: { type: "int", min: 2, max: MAX_SEATS },
+  maxPlayers: { type: "int", min: 2, max: MAX_SEATS },
+  compareFromRound: { type: "int", min: 1, max: 100 },
+  blindBetRatio: { type: "number", min: 0.1, max: 1 },
+  allowSpectators: { type: "bool" },
+  spectatorDelayMs: { type: "int", min: 0, max: 10 * 60 * 1000 },
+  visibility: { type: "enum", values: ["public", "private"] },
+  chatFilter: { type: "bool" },
+  reconnectGraceMs: { type: "int", min: 0, max: 60 * 60 * 1000 },
+  turnTimeMs: { type: "int", min: 0, max: 10 * 60 * 1000 }, // 0 = không tính giờ
+  timeBankMs: { type: "int", min: 0, max: 10 * 60 * 1000 },
+  handRanking: { type: "enum", values: Object.keys(RANKING_VARIANTS) },
+  a23Straight: { type: "enum", values: ["lowest", "highest"] },
+  suitTiebreak: { type: "bool" },
+  trainingMode: { type: "bool" },
+};
+
+const checkValue = (rule, value) => {
+  if (rule.type === "bool") return typeof value === "boolean";
+  if (rule.type === "enum") return rule.values.includes(value);
+  if (typeof value !== "number" || !Number.isFinite(value)) return false;
+  if (rule.type === "int" && !Number.isInteger(value)) return false;
+  return value >= rule.min && value <= rule.max;
+};
+
+// Trả về { settings } đã gộp với current, hoặc { error } nếu có key sai
+const validateSettings = (input, current = DEFAULT_SETTINGS) => {
+  if (input === undefined || input === null) return { settings: { ...current } };
+  if (typeof input !== "object" || Array.isArray(input)) return { error: msg("invalid-settings") };
+
+  const settings = { ...current };
+  for (const [key, value] of Object.entries(input)) {
+    const rule = RULES[key];
+    if (!rule) return { error: msg("unsupported-setting", { key }) };
+    if (!checkValue(rule, value)) return { error: msg("invalid-setting-value", { key }) };
+    settings[key] = value;
+  }
+
+  if (settings.minPlayers > settings.maxPlayers) return { error: msg("min-players-above-max") };
+  if (settings.maxRaise > 0 && settings.maxRaise < settings.minBet) return { error: msg("max-raise-below-min-bet") };
+  if (settings.compareFromRound > settings.maxBettingRounds) {
+    return { error: msg("compare-round-above-max") };
+  }
+  return { settings };
+};
+
+const touchesEngineSettings = (input) => Object.keys(input || {}).some(key => ENGINE_KEYS.includes(key));
+
+module.exports = { DEFAULT_SETTINGS, ENGINE_KEYS, MAX_SEATS, checkValue, validateSettings, touchesEngineSettings };
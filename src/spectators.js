@@ -0,0 +1,37 @@
+// ========== KHÁN GIẢ ==========
+// Ai đang xem phòng nào (socketId -> roomCode) và việc phát cập nhật cho khán giả.
+// Khán giả chỉ nhận góc nhìn của người ngoài bàn (buildPlayerView với viewerId = null),
+// trễ spectatorDelayMs để người xem không kịp báo cho người đang chơi.
+// schedule thay được trong test, mặc định là setTimeout.
+
+const createSpectators = ({ schedule = setTimeout } = {}) => {
+  const watching = new Map(); // socketId -> roomCode
+
+  const roomOf = (socketId) => watching.get(socketId) || null;
+
+  const watch = (socketId, roomCode) => {
+    watching.set(socketId, roomCode);
+  };
+
+  const leave = (socketId) => {
+    watching.delete(socketId);
+  };
+
+  // Phòng đóng hoặc tắt chế độ xem: bỏ mọi khán giả của phòng
+  const clearRoom = (roomCode) => {
+    for (const [socketId, code] of watching) if (code === roomCode) watching.delete(socketId);
+  };
+
+  const count = (roomCode) => [...watching.values()].filter(code => code === roomCode).length;
+
+  // send phát payload đã dựng sẵn: payload được chốt ngay lúc gọi, chỉ việc phát ra bị trễ
+  const deliver = (room, send) => {
+    if (!count(room.code)) return;
+    const delay = room.settings.spectatorDelayMs || 0;
+    delay > 0 ? schedule(send, delay) : send();
+  };
+
+  return { roomOf, watch, leave, clearRoom, count, deliver };
+};
+
+module.exports = { createSpectators };
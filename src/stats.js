@@ -0,0 +1,211 @@
+// ========== THỐNG KÊ & BẢNG XẾP HẠNG ==========
+// Tính từ bản ghi ván đã xong (src/history.js): cược, bỏ bài, all-in, so bài và pot
+// mà engine đã ghi lại, nên không phải thêm gì vào luật chơi. Chỉ tài khoản thật
+// được thống kê; bot và khách không có id cố định nên bỏ qua.
+//
+// Mỗi ván sinh một dòng cho mỗi tài khoản, ghi nối thêm vào storage (như sổ cái).
+// Khi khởi động các dòng được cộng dồn lại theo tài khoản và theo ngày (UTC).
+
+const { WAGERS } = require("./history");
+
+const PERIODS = ["daily", "weekly", "all-time"];
+const SORT_KEYS = ["net", "handsWon", "winRate", "biggestPot"];
+// Xếp theo tỉ lệ thì phải chơi đủ số ván, không thì thắng 1/1 ván cũng đứng đầu
+const MIN_HANDS_FOR_RATE = 20;
+const RECENT_TOURNAMENTS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+const emptyTotals = () => ({
+  handsPlayed: 0,
+  handsWon: 0,
+  voluntaryHands: 0, // tự bỏ tiền vào pot (cược / all-in / so bài), kiểu VPIP
+  blindBets: 0,
+  seenBets: 0,
+  compares: 0,
+  compareWins: 0,
+  biggestPot: 0,
+  net: 0,
+});
+
+const addTotals = (into, line) => {
+  for (const key of Object.keys(into)) {
+    if (key === "biggestPot") into.biggestPot = Math.max(into.biggestPot, line.biggestPot || 0);
+    else into[key] += line[key] || 0;
+  }
+  return into;
+};
+
+const rate = (part, whole) => (whole > 0 ? Math.round(part / whole * 1000) / 1000 : 0);
+
+const withRates = (totals) => ({
+  ...totals,
+  winRate: rate(totals.handsWon, totals.handsPlayed),
+  vpip: rate(totals.voluntaryHands, totals.handsPlayed),
+  blindBetRate: rate(totals.blindBets, totals.blindBets + totals.seenBets),
+  compareWinRate: rate(totals.compareWins, totals.compares),
+});
+
+// ---------- TỪ MỘT VÁN ----------
+// Số chip một người đã bỏ vào pot trong ván: ante, cược và all-in
+const paidInHand = (record, playerId) => {
+  const own = record.actions.filter(a => a.playerId === playerId);
+  const ante = record.antes.find(a => a.playerId === playerId)?.amount || 0;
+  return ante
+    + own.filter(a => WAGERS.includes(a.type)).reduce((sum, a) => sum + a.actualAmount, 0)
+    + own.filter(a => a.type === "all-in").reduce((sum, a) => sum + a.amount, 0);
+};
+
+// Trả về một dòng cho mỗi tài khoản được chia bài trong ván
+const handStatLines = (record, variant) => record.players
+  .filter(p => p.accountId && p.hand.length > 0)
+  .map((p) => {
+    const own = record.actions.filter(a => a.playerId === p.playerId);
+    const bets = own.filter(a => WAGERS.includes(a.type));
+    const allIns = own.filter(a => a.type === "all-in");
+    const compares = record.actions.filter(a => a.type === "compare" &&
+      (a.playerId === p.playerId || a.targetPlayerId === p.playerId));
+    const paid = paidInHand(record, p.playerId);
+    const won = record.pots.reduce((sum, pot) =>
+      sum + pot.winners.filter(w => w.playerId === p.playerId).reduce((s, w) => s + w.amount, 0), 0);
+    // Phần cược không ai theo được trả lại qua pot phụ chỉ có mình: không tính là thắng
+    const called = Math.max(0, ...record.players.filter(o => o.playerId !== p.playerId).map(o => paidInHand(record, o.playerId)));
+    const wonFromOthers = won - Math.max(0, paid - called);
+
+    return {
+      type: "hand",
+      accountId: p.accountId,
+      playerName: p.playerName,
+      roomCode: record.roomCode,
+      handNumber: record.handNumber,
+      variant,
+      endedAt: record.endedAt,
+      handsPlayed: 1,
+      handsWon: wonFromOthers > 0 ? 1 : 0,
+      voluntaryHands: bets.length || allIns.length || own.some(a => a.type === "compare") ? 1 : 0,
+      blindBets: bets.filter(a => !a.viewedCards).length,
+      seenBets: bets.filter(a => a.viewedCards).length,
+      compares: compares.length,
+      compareWins: compares.filter(a => a.winnerId === p.playerId).length,
+      biggestPot: wonFromOthers,
+      net: won - paid,
+    };
+  });
+
+// Hạng của tài khoản trong một giải đã xong
+const tournamentStatLines = (t) => t.entrants
+  .filter(e => e.accountId)
+  .map(e => ({
+    type: "tournament",
+    accountId: e.accountId,
+    playerName: e.playerName,
+    tournamentId: t.id,
+    name: t.name,
+    variant: t.variant,
+    place: e.place,
+    entrants: t.entrants.length,
+    payout: e.payout,
+    endedAt: new Date(t.endedAt).toISOString(),
+  }));
+
+// ---------- KHO THỐNG KÊ ----------
+const createStats = ({ storage, now = Date.now }) => {
+  const totals = new Map(); // accountId -> tổng mọi thời gian
+  const days = new Map(); // "YYYY-MM-DD" -> Map accountId -> tổng trong ngày
+  const finishes = new Map(); // accountId -> các giải đã chơi, mới nhất sau cùng
+  const names = new Map(); // accountId -> tên gần nhất
+
+  const apply = (line) => {
+    names.set(line.accountId, line.playerName);
+    if (line.type === "tournament") {
+      finishes.set(line.accountId, [...(finishes.get(line.accountId) || []), line]);
+      return;
+    }
+    if (!totals.has(line.accountId)) totals.set(line.accountId, emptyTotals());
+    addTotals(totals.get(line.accountId), line);
+
+    const key = dayKey(line.endedAt);
+    if (!days.has(key)) days.set(key, new Map());
+    const day = days.get(key);
+    if (!day.has(line.accountId)) day.set(line.accountId, emptyTotals());
+    addTotals(day.get(line.accountId), line);
+  };
+
+  storage.loadStats().forEach(apply);
+
+  const append = (lines) => lines.forEach((line) => {
+    storage.appendStats(line);
+    apply(line);
+  });
+
+  const recordHand = (record, variant) => append(handStatLines(record, variant));
+
+  const recordTournament = (t) => append(tournamentStatLines(t));
+
+  const tournamentSummary = (accountId) => {
+    const list = finishes.get(accountId) || [];
+    return {
+      played: list.length,
+      wins: list.filter(f => f.place === 1).length,
+      bestPlace: list.length ? Math.min(...list.map(f => f.place)) : null,
+      totalPayout: list.reduce((sum, f) => sum + f.payout, 0),
+      recent: list.slice(-RECENT_TOURNAMENTS).reverse().map(f => ({
+        tournamentId: f.tournamentId,
+        name: f.name,
+        variant: f.variant,
+        place: f.place,
+        entrants: f.entrants,
+        payout: f.payout,
+        endedAt: f.endedAt,
+      })),
+    };
+  };
+
+  // Tài khoản chưa chơi ván nào thì mọi số đều bằng 0
+  const profile = (accountId) => ({
+    hands: withRates(totals.get(accountId) || emptyTotals()),
+    tournaments: tournamentSummary(accountId),
+  });
+
+  // daily = hôm nay, weekly = 7 ngày gần nhất tính cả hôm nay (theo UTC)
+  const totalsFor = (period) => {
+    if (period === "all-time") return totals;
+    const count = period === "weekly" ? 7 : 1;
+    const merged = new Map();
+    for (let i = 0; i < count; i++) {
+      for (const [accountId, day] of days.get(dayKey(now() - i * DAY_MS)) || []) {
+        if (!merged.has(accountId)) merged.set(accountId, emptyTotals());
+        addTotals(merged.get(accountId), day);
+      }
+    }
+    return merged;
+  };
+
+  const leaderboard = ({ period = "all-time", sort = "net", limit = 20 } = {}) => {
+    const rows = [...totalsFor(period)]
+      .map(([accountId, t]) => ({ playerName: names.get(accountId), ...withRates(t) }))
+      .filter(row => sort !== "winRate" || row.handsPlayed >= MIN_HANDS_FOR_RATE)
+      .sort((a, b) => b[sort] - a[sort] || b.handsPlayed - a.handsPlayed);
+    return rows.slice(0, limit).map((row, i) => ({
+      rank: i + 1,
+      playerName: row.playerName,
+      handsPlayed: row.handsPlayed,
+      handsWon: row.handsWon,
+      winRate: row.winRate,
+      biggestPot: row.biggestPot,
+      net: row.net,
+    }));
+  };
+
+  return { recordHand, recordTournament, profile, leaderboard };
+};
+
+module.exports = {
+  PERIODS,
+  SORT_KEYS,
+  MIN_HANDS_FOR_RATE,
+  handStatLines,
+  tournamentStatLines,
+  createStats,
+};
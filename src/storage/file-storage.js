@@ -0,0 +1,115 @@
+// ========== STORAGE BẰNG FILE JSON ==========
+// Mỗi room một file <CODE>.json, mỗi giải đấu một file trong tournaments/,
+// mỗi tài khoản một file trong accounts/. Sổ cái là ledger.jsonl, thống kê ván là
+// stats.jsonl, nhật ký quản trị là audit.jsonl, bản ghi ván của mỗi phòng là
+// hands/<CODE>.jsonl, tất cả chỉ ghi nối thêm.
+// Ghi đồng bộ qua file tạm rồi rename để một lần crash giữa chừng không để lại file hỏng.
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("../logger");
+
+const createFileStorage = ({ dir }) => {
+  const tournamentDir = path.join(dir, "tournaments");
+  const accountDir = path.join(dir, "accounts");
+  const ledgerPath = path.join(dir, "ledger.jsonl");
+  const statsPath = path.join(dir, "stats.jsonl");
+  const auditPath = path.join(dir, "audit.jsonl");
+  const handDir = path.join(dir, "hands");
+  fs.mkdirSync(tournamentDir, { recursive: true });
+  fs.mkdirSync(accountDir, { recursive: true });
+  fs.mkdirSync(handDir, { recursive: true });
+
+  const roomPath = (roomCode) => path.join(dir, `${roomCode}.json`);
+  const tournamentPath = (id) => path.join(tournamentDir, `${id}.json`);
+  const accountPath = (id) => path.join(accountDir, `${id}.json`);
+  const handPath = (roomCode) => path.join(handDir, `${roomCode}.jsonl`);
+
+  const loadAll = (folder) => {
+    const loaded = [];
+    for (const file of fs.readdirSync(folder)) {
+      if (!file.endsWith(".json")) continue;
+      try {
+        loaded.push(JSON.parse(fs.readFileSync(path.join(folder, file), "utf8")));
+      } catch (err) {
+        logger.error("unreadable storage file", { file, err });
+      }
+    }
+    return loaded;
+  };
+
+  const writeJson = (target, data) => {
+    const tmp = `${target}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, target);
+  };
+
+  const loadRooms = () => loadAll(dir);
+
+  const saveRoom = (room) => writeJson(roomPath(room.code), room);
+
+  const deleteRoom = (roomCode) => {
+    fs.rmSync(roomPath(roomCode), { force: true });
+  };
+
+  const loadTournaments = () => loadAll(tournamentDir);
+
+  const saveTournament = (tournament) => writeJson(tournamentPath(tournament.id), tournament);
+
+  const deleteTournament = (id) => {
+    fs.rmSync(tournamentPath(id), { force: true });
+  };
+
+  const loadAccounts = () => loadAll(accountDir);
+
+  const saveAccount = (account) => writeJson(accountPath(account.id), account);
+
+  // Dòng cuối có thể dở dang nếu crash đúng lúc ghi: bỏ qua dòng đó
+  const loadLines = (file) => {
+    if (!fs.existsSync(file)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        logger.error("skipped corrupt line", { file, err });
+      }
+    }
+    return entries;
+  };
+
+  const loadLedger = () => loadLines(ledgerPath);
+
+  const appendLedger = (entry) => {
+    fs.appendFileSync(ledgerPath, JSON.stringify(entry) + "\n");
+  };
+
+  const loadStats = () => loadLines(statsPath);
+
+  const appendStats = (line) => {
+    fs.appendFileSync(statsPath, JSON.stringify(line) + "\n");
+  };
+
+  const loadAudit = () => loadLines(auditPath);
+
+  const appendAudit = (entry) => {
+    fs.appendFileSync(auditPath, JSON.stringify(entry) + "\n");
+  };
+
+  const loadHands = (roomCode) => loadLines(handPath(roomCode));
+
+  const appendHand = (record) => {
+    fs.appendFileSync(handPath(record.roomCode), JSON.stringify(record) + "\n");
+  };
+
+  return {
+    name: "file",
+    loadRooms, saveRoom, deleteRoom,
+    loadTournaments, saveTournament, deleteTournament,
+    loadAccounts, saveAccount, loadLedger, appendLedger,
+    loadStats, appendStats, loadAudit, appendAudit,
+    loadHands, appendHand,
+  };
+};
+
+module.exports = { createFileStorage };
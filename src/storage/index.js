@@ -0,0 +1,18 @@
+// ========== CHỌN STORAGE ==========
+// STORAGE=file (mặc định) | memory. Adapter nào cũng có loadRooms / saveRoom / deleteRoom
+// loadTournaments / saveTournament / deleteTournament, loadAccounts / saveAccount
+// loadLedger / appendLedger (sổ cái chỉ ghi thêm, không sửa không xóa) và
+// loadStats / appendStats (dòng thống kê mỗi ván / giải, cũng chỉ ghi thêm),
+// loadAudit / appendAudit (nhật ký thao tác quản trị, chỉ ghi thêm),
+// loadHands / appendHand (bản ghi ván theo phòng, chỉ ghi thêm; deleteRoom không xóa).
+const path = require("path");
+const { createFileStorage } = require("./file-storage");
+const { createMemoryStorage } = require("./memory-storage");
+
+const createStorage = ({ type = "file", dir } = {}) => {
+  if (type === "memory") return createMemoryStorage();
+  if (type === "file") return createFileStorage({ dir: dir || path.join(process.cwd(), "data", "rooms") });
+  throw new Error(`Storage không hỗ trợ: ${type}`);
+};
+
+module.exports = { createStorage, createFileStorage, createMemoryStorage };
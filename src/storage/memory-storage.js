@@ -0,0 +1,74 @@
+// ========== STORAGE TRONG BỘ NHỚ ==========
+// Dùng cho test / chạy thử: giữ bản sao JSON của room để không bị sửa ngoài ý muốn
+
+const createMemoryStorage = () => {
+  const data = new Map();
+  const tournaments = new Map();
+  const accounts = new Map();
+  const ledger = [];
+  const stats = [];
+  const audit = [];
+  const hands = new Map(); // roomCode -> [JSON bản ghi ván]
+
+  const loadRooms = () => [...data.values()].map(json => JSON.parse(json));
+
+  const saveRoom = (room) => {
+    data.set(room.code, JSON.stringify(room));
+  };
+
+  const deleteRoom = (roomCode) => {
+    data.delete(roomCode);
+  };
+
+  const loadTournaments = () => [...tournaments.values()].map(json => JSON.parse(json));
+
+  const saveTournament = (tournament) => {
+    tournaments.set(tournament.id, JSON.stringify(tournament));
+  };
+
+  const deleteTournament = (id) => {
+    tournaments.delete(id);
+  };
+
+  const loadAccounts = () => [...accounts.values()].map(json => JSON.parse(json));
+
+  const saveAccount = (account) => {
+    accounts.set(account.id, JSON.stringify(account));
+  };
+
+  const loadLedger = () => ledger.map(json => JSON.parse(json));
+
+  const appendLedger = (entry) => {
+    ledger.push(JSON.stringify(entry));
+  };
+
+  const loadStats = () => stats.map(json => JSON.parse(json));
+
+  const appendStats = (line) => {
+    stats.push(JSON.stringify(line));
+  };
+
+  const loadAudit = () => audit.map(json => JSON.parse(json));
+
+  const appendAudit = (entry) => {
+    audit.push(JSON.stringify(entry));
+  };
+
+  const loadHands = (roomCode) => (hands.get(roomCode) || []).map(json => JSON.parse(json));
+
+  const appendHand = (record) => {
+    if (!hands.has(record.roomCode)) hands.set(record.roomCode, []);
+    hands.get(record.roomCode).push(JSON.stringify(record));
+  };
+
+  return {
+    name: "memory",
+    loadRooms, saveRoom, deleteRoom,
+    loadTournaments, saveTournament, deleteTournament,
+    loadAccounts, saveAccount, loadLedger, appendLedger,
+    loadStats, appendStats, loadAudit, appendAudit,
+    loadHands, appendHand,
+  };
+};
+
+module.exports = { createMemoryStorage };
@@ -0,0 +1,269 @@
+// ========== GIẢI ĐẤU NHIỀU BÀN ==========
+// Chỉ giữ luật của giải: đăng ký, mức cược theo level, xếp chỗ, cân bàn, hạng
+// và tiền thưởng. Mỗi bàn vẫn là một room bình thường; server đọc kết quả các hàm
+// này để chuyển người giữa các room.
+//
+// Người tham gia (entrant) được nhận diện bằng entrantId = reconnectToken của ghế,
+// vì socket id đổi mỗi lần kết nối lại còn ghế thì đi theo người qua các bàn.
+const { checkValue } = require("./settings");
+const { msg } = require("./i18n");
+
+const DEFAULT_TOURNAMENT_SETTINGS = {
+  buyIn: 100,
+  startingStack: 10000,
+  tableSize: 6,
+  minPlayers: 2,
+  maxPlayers: 60,
+  levelBy: "hands", // "hands": lên level sau levelHands ván (cộng mọi bàn), "time": sau levelDurationMs
+  levelHands: 10,
+  levelDurationMs: 5 * 60 * 1000,
+  levels: [
+    { ante: 100, minBet: 100 },
+    { ante: 200, minBet: 200 },
+    { ante: 300, minBet: 400 },
+    { ante: 500, minBet: 600 },
+    { ante: 800, minBet: 1000 },
+    { ante: 1000, minBet: 1500 },
+    { ante: 2000, minBet: 3000 },
+  ],
+  payouts: [50, 30, 20], // phần trăm quỹ thưởng cho hạng 1, 2, 3...
+};
+
+const RULES = {
+  buyIn: { type: "int", min: 0, max: 1e9 },
+  startingStack: { type: "int", min: 1, max: 1e9 },
+  tableSize: { type: "int", min: 2, max: 17 },
+  minPlayers: { type: "int", min: 2, max: 1000 },
+  maxPlayers: { type: "int", min: 2, max: 1000 },
+  levelBy: { type: "enum", values: ["hands", "time"] },
+  levelHands: { type: "int", min: 1, max: 1000 },
+  levelDurationMs: { type: "int", min: 10 * 1000, max: 60 * 60 * 1000 },
+};
+
+const isLevel = (level) => level && typeof level === "object" &&
+  checkValue({ type: "int", min: 0, max: 1e9 }, level.ante) &&
+  checkValue({ type: "int", min: 1, max: 1e9 }, level.minBet);
+
+// Trả về { settings } đã gộp mặc định, hoặc { error }
+const validateTournamentSettings = (input, maxSeats) => {
+  if (input === undefined || input === null) input = {};
+  if (typeof input !== "object" || Array.isArray(input)) return { error: msg("invalid-tournament-settings") };
+
+  const settings = { ...DEFAULT_TOURNAMENT_SETTINGS };
+  for (const [key, value] of Object.entries(input)) {
+    if (key === "levels") {
+      if (!Array.isArray(value) || value.length === 0 || value.length > 50 || !value.every(isLevel)) {
+        return { error: msg("invalid-tournament-levels") };
+      }
+      settings.levels = value.map(({ ante, minBet }) => ({ ante, minBet }));
+      continue;
+    }
+    if (key === "payouts") {
+      const valid = Array.isArray(value) && value.length > 0 && value.length <= 100 &&
+                    value.every(p => checkValue({ type: "number", min: 0.01, max: 100 }, p));
+      if (!valid || Math.abs(value.reduce((sum, p) => sum + p, 0) - 100) > 1e-6) {
+        return { error: msg("invalid-tournament-payouts") };
+      }
+      settings.payouts = [...value];
+      continue;
+    }
+    const rule = RULES[key];
+    if (!rule) return { error: msg("unsupported-setting", { key }) };
+    if (!checkValue(rule, value)) return { error: msg("invalid-setting-value", { key }) };
+    settings[key] = value;
+  }
+
+  if (settings.tableSize > maxSeats) return { error: msg("table-size-too-large", { max: maxSeats }) };
+  if (settings.minPlayers > settings.maxPlayers) return { error: msg("min-players-above-max") };
+  return { settings };
+};
+
+// ---------- TẠO GIẢI & ĐĂNG KÝ ----------
+const createTournament = ({ id, name, variant, hostId, settings }) => ({
+  id,
+  name,
+  variant,
+  hostId,
+  settings,
+  status: "registering", // registering -> running -> ended
+  entrants: [], // { entrantId, playerName, isBot, strategy, userId, accountId, paid, place, payout }
+  tables: [], // mã room của các bàn đang chơi
+  level: 0,
+  startedAt: null,
+  endedAt: null,
+  handsPlayed: 0,
+  prizePool: 0,
+  standings: [],
+  createdAt: new Date().toISOString(),
+});
+
+const register = (tournament, entrant) => {
+  if (tournament.status !== "registering") return msg("tournament-started");
+  if (tournament.entrants.length >= tournament.settings.maxPlayers) return msg("tournament-full");
+  const name = entrant.playerName.toLowerCase();
+  if (tournament.entrants.some(e => e.playerName.toLowerCase() === name)) return msg("name-taken");
+  tournament.entrants.push({ place: null, payout: 0, ...entrant });
+  return null;
+};
+
+const unregister = (tournament, entrantId) => {
+  if (tournament.status !== "registering") return msg("tournament-started");
+  const index = tournament.entrants.findIndex(e => e.entrantId === entrantId);
+  if (index < 0) return msg("tournament-not-registered");
+  tournament.entrants.splice(index, 1);
+  return null;
+};
+
+// ---------- XẾP CHỖ ----------
+// shuffled: danh sách entrant đã bốc thăm ngẫu nhiên. Chia đều vào ceil(n / tableSize) bàn.
+const seatEntrants = (tournament, shuffled) => {
+  const tableCount = Math.ceil(shuffled.length / tournament.settings.tableSize);
+  const tables = Array.from({ length: tableCount }, () => []);
+  shuffled.forEach((entrant, i) => tables[i % tableCount].push(entrant));
+  return tables;
+};
+
+const startTournament = (tournament, now = Date.now()) => {
+  tournament.status = "running";
+  tournament.startedAt = now;
+  tournament.level = 0;
+  // Quỹ thưởng là số xu thật sự đã thu từ ví; bot và khách vào giải miễn phí
+  tournament.prizePool = tournament.entrants.reduce((sum, e) => sum + (e.paid || 0), 0);
+};
+
+// ---------- LEVEL ----------
+const currentLevel = (tournament) => tournament.settings.levels[tournament.level];
+
+// Gọi sau mỗi ván ở bất kỳ bàn nào. Trả về true nếu vừa lên level.
+const refreshLevel = (tournament, now = Date.now()) => {
+  const { levelBy, levelHands, levelDurationMs, levels } = tournament.settings;
+  const reached = levelBy === "time"
+    ? Math.floor((now - tournament.startedAt) / levelDurationMs)
+    : Math.floor(tournament.handsPlayed / levelHands);
+  const level = Math.min(reached, levels.length - 1);
+  if (level <= tournament.level) return false;
+  tournament.level = level;
+  return true;
+};
+
+// ---------- HẠNG ----------
+const remainingEntrants = (tournament) => tournament.entrants.filter(e => e.place === null);
+
+// busted: [{ entrantId, startingMoney }] của những người vừa hết tiền trong cùng một ván.
+// Ai vào ván với nhiều tiền hơn thì xếp trên; vào ván bằng tiền nhau thì đồng hạng.
+const recordBusts = (tournament, busted) => {
+  const remaining = remainingEntrants(tournament).length;
+  const out = busted
+    .map(b => ({ ...b, entrant: tournament.entrants.find(e => e.entrantId === b.entrantId) }))
+    .filter(b => b.entrant && b.entrant.place === null);
+  // Đồng hạng lấy hạng cao nhất trong nhóm: trừ những người có ít tiền hơn hoặc bằng mình
+  out.forEach((b) => {
+    b.entrant.place = remaining + 1 - out.filter(o => o.startingMoney <= b.startingMoney).length;
+  });
+};
+
+// Chia quỹ thưởng theo phần trăm, phần lẻ cộng cho hạng nhất
+const computePayouts = (prizePool, percents) => {
+  const amounts = percents.map(p => Math.floor(prizePool * p / 100));
+  if (amounts.length) amounts[0] += prizePool - amounts.reduce((sum, a) => sum + a, 0);
+  return amounts;
+};
+
+// Đồng hạng thì chia đều tổng thưởng của các hạng cả nhóm chiếm, phần lẻ cộng cho hạng nhất
+const assignPayouts = (entrants, amounts) => {
+  entrants.forEach((e) => {
+    const tied = entrants.filter(o => o.place === e.place).length;
+    const pool = amounts.slice(e.place - 1, e.place - 1 + tied).reduce((sum, a) => sum + a, 0);
+    e.payout = Math.floor(pool / tied);
+  });
+  const left = amounts.reduce((sum, a) => sum + a, 0) - entrants.reduce((sum, e) => sum + e.payout, 0);
+  const first = entrants.find(e => e.place === 1);
+  if (first) first.payout += left;
+};
+
+// Người cuối cùng còn tiền về nhất; gán tiền thưởng và dựng bảng xếp hạng.
+// Bảng xếp hạng là công khai nên không chứa entrantId (cũng là reconnectToken).
+const finishTournament = (tournament, now = Date.now()) => {
+  remainingEntrants(tournament).forEach((e) => { e.place = 1; });
+  const amounts = computePayouts(tournament.prizePool, tournament.settings.payouts.slice(0, tournament.entrants.length));
+  assignPayouts(tournament.entrants, amounts);
+  tournament.standings = [...tournament.entrants]
+    .sort((a, b) => a.place - b.place)
+    .map(e => ({ place: e.place, playerName: e.playerName, isBot: !!e.isBot, payout: e.payout }));
+  tournament.status = "ended";
+  tournament.endedAt = now;
+  return tournament.standings;
+};
+
+// ---------- CÂN BÀN ----------
+// tables: [{ code, count }] số người còn tiền ở mỗi bàn. readyCode là bàn vừa xong ván,
+// chỉ bàn này được rút người (bàn khác có thể đang giữa ván).
+// Trả về { breakTable, moves: [mã bàn đích cho từng người được chuyển] }.
+const planMoves = (tournament, tables, readyCode) => {
+  const remaining = tables.reduce((sum, t) => sum + t.count, 0);
+  const target = Math.max(1, Math.ceil(remaining / tournament.settings.tableSize));
+  const ready = tables.find(t => t.code === readyCode);
+  const others = tables.filter(t => t.code !== readyCode);
+  const counts = new Map(others.map(t => [t.code, t.count]));
+  const smallest = () => [...counts.entries()].sort((a, b) => a[1] - b[1])[0];
+  const moves = [];
+  if (!ready || others.length === 0) return { breakTable: false, moves };
+
+  // Thừa bàn: phá bàn vừa xong, rải người sang các bàn ít người nhất.
+  // Tổng chỗ của các bàn còn lại luôn đủ vì others.length >= target.
+  if (tables.length > target) {
+    for (let i = 0; i < ready.count; i++) {
+      const [code, count] = smallest();
+      counts.set(code, count + 1);
+      moves.push(code);
+    }
+    return { breakTable: true, moves };
+  }
+
+  // Lệch quá một người thì chuyển bớt từ bàn này sang bàn ít nhất
+  let readyCount = ready.count;
+  while (readyCount - smallest()[1] > 1) {
+    const [code, count] = smallest();
+    counts.set(code, count + 1);
+    readyCount--;
+    moves.push(code);
+  }
+  return { breakTable: false, moves };
+};
+
+// Thông tin công khai cho REST / sự kiện tournament-updated
+const summarizeTournament = (tournament) => ({
+  id: tournament.id,
+  name: tournament.name,
+  variant: tournament.variant,
+  status: tournament.status,
+  settings: tournament.settings,
+  level: tournament.level,
+  currentLevel: currentLevel(tournament),
+  handsPlayed: tournament.handsPlayed,
+  prizePool: tournament.prizePool,
+  entrants: tournament.entrants.map(e => ({ playerName: e.playerName, isBot: !!e.isBot, place: e.place, payout: e.payout })),
+  remaining: remainingEntrants(tournament).length,
+  tables: tournament.tables,
+  standings: tournament.standings,
+  startedAt: tournament.startedAt,
+  endedAt: tournament.endedAt,
+});
+
+module.exports = {
+  DEFAULT_TOURNAMENT_SETTINGS,
+  validateTournamentSettings,
+  createTournament,
+  register,
+  unregister,
+  seatEntrants,
+  startTournament,
+  currentLevel,
+  refreshLevel,
+  remainingEntrants,
+  recordBusts,
+  computePayouts,
+  finishTournament,
+  planMoves,
+  summarizeTournament,
+};
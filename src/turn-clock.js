@@ -0,0 +1,49 @@
+// ========== ĐỒNG HỒ LƯỢT ==========
+// Mỗi lượt có turnTimeMs. Hết giờ chính thì người đang đi dùng tiếp quỹ thời gian của mình
+// (timeBankMs, nạp lại mỗi ván), hết cả quỹ thì server gửi action "timeout" cho engine.
+// Ở đây chỉ tính trên room và timer theo thời điểm now; hẹn giờ và phát sự kiện do server làm.
+// room.turnDeadline được lưu cùng phòng để khôi phục đồng hồ đang chạy dở sau restart.
+
+// Trả về timer { seat, usingTimeBank, bankStartedAt } hoặc null nếu lượt này không tính giờ
+const startClock = (room, now, deadline = null) => {
+  const turnTimeMs = room.settings.turnTimeMs;
+  const seat = room.currentTurn;
+  if (!turnTimeMs || room.gameState !== "playing" || !room.players[seat]) return null;
+  room.turnDeadline = deadline || now + turnTimeMs;
+  return { seat, usingTimeBank: false, bankStartedAt: null };
+};
+
+// Trả về "running", "time-bank" (vừa chuyển sang quỹ thời gian) hoặc "expired"
+const tickClock = (room, timer, now) => {
+  if (now < room.turnDeadline) return "running";
+  const player = room.players[timer.seat];
+  if (!timer.usingTimeBank && player.timeBankMs > 0) {
+    timer.usingTimeBank = true;
+    timer.bankStartedAt = now;
+    room.turnDeadline = now + player.timeBankMs;
+    return "time-bank";
+  }
+  return "expired";
+};
+
+// Trừ phần quỹ thời gian đã dùng trong lượt này
+const stopClock = (room, timer, now) => {
+  room.turnDeadline = null;
+  const player = timer && room.players[timer.seat];
+  if (timer?.usingTimeBank && player) {
+    player.timeBankMs = Math.max(0, player.timeBankMs - (now - timer.bankStartedAt));
+  }
+};
+
+const clockPayload = (room, timer, now) => {
+  const player = room.players[timer.seat];
+  return {
+    playerId: player.id,
+    seat: timer.seat,
+    remainingMs: Math.max(0, room.turnDeadline - now),
+    usingTimeBank: timer.usingTimeBank,
+    timeBankMs: player.timeBankMs,
+  };
+};
+
+module.exports = { startClock, tickClock, stopClock, clockPayload };
@@ -0,0 +1,188 @@
+// ========== KIỂM TRA SỰ KIỆN TỪ CLIENT ==========
+// Mỗi sự kiện socket khai báo schema cho payload. Server kiểm tra và chuẩn hóa payload
+// (mã phòng viết hoa, bỏ các trường lạ) trước khi chuyển sang instance chủ hay chạy
+// handler, nên handler không phải tự đoán kiểu dữ liệu. Socket giả của bot cũng qua
+// bước này như người chơi; socket đại diện (cluster) nhận payload đã được instance của
+// client kiểm tra.
+//
+// Lỗi là thông điệp msg(code, params) (src/i18n) với code là một trong ERROR_CODES;
+// payload sai thì params.field là trường bị sai.
+
+const { RANKS, SUITS } = require("./engine/cards");
+const { msg } = require("./i18n");
+
+const ERROR_CODES = {
+  INVALID_PAYLOAD: "invalid-payload",
+  UNKNOWN_EVENT: "unknown-event",
+  RATE_LIMITED: "rate-limited",
+  ABUSIVE: "abusive",
+  INTERNAL: "internal", // handler ném lỗi ngoài dự kiến
+};
+
+// Cùng dạng với generateRoomCode (mã giải cũng sinh bằng hàm đó)
+const CODE_PATTERN = /^[A-Z0-9]{6}$/;
+const MAX_CARDS_PER_PLAY = 13;
+
+// ---------- KIỂU TRƯỜNG ----------
+// Mỗi kiểu nhận giá trị thô, trả về { value } đã chuẩn hóa hoặc null nếu sai
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const code = () => (value) => {
+  if (typeof value !== "string") return null;
+  const normalized = value.trim().toUpperCase();
+  return CODE_PATTERN.test(normalized) ? { value: normalized } : null;
+};
+
+const string = (max) => (value) =>
+  (typeof value === "string" && value.length <= max ? { value } : null);
+
+// id người chơi / token: chuỗi không rỗng
+const id = (max = 64) => (value) =>
+  (typeof value === "string" && value.length > 0 && value.length <= max ? { value } : null);
+
+// Số xu và số thứ tự: chỉ nhận số nguyên dương, không nhận chuỗi số
+const positiveInt = () => (value) =>
+  (Number.isSafeInteger(value) && value > 0 ? { value } : null);
+
+const boolean = () => (value) => (typeof value === "boolean" ? { value } : null);
+
+// Nội dung (settings, stakes) do validateSettings / validateTournamentSettings kiểm tra tiếp
+const object = () => (value) => (isPlainObject(value) ? { value } : null);
+
+const cards = () => (value) => {
+  if (!Array.isArray(value) || value.length === 0 || value.length > MAX_CARDS_PER_PLAY) return null;
+  const valid = value.every(c => isPlainObject(c) && RANKS.includes(c.rank) && SUITS.includes(c.suit));
+  return valid ? { value: value.map(c => ({ rank: c.rank, suit: c.suit })) } : null;
+};
+
+// Trường không bắt buộc; nullable thì nhận thêm null (vd. password = null để bỏ mật khẩu)
+const optional = (check, { nullable = false } = {}) => Object.assign(
+  (value) => (nullable && value === null ? { value } : check(value)),
+  { optional: true },
+);
+
+// ---------- SCHEMA CÁC SỰ KIỆN ----------
+// none: không có payload. Một kiểu trường: payload là giá trị đơn (vd. mã phòng).
+// { fields }: payload là object; shorthand cho phép gửi giá trị đơn thay cho object
+// chỉ có trường đó.
+const none = { none: true };
+const roomOnly = { value: code(), field: "roomCode" };
+const tournamentOnly = { value: code(), field: "tournamentId" };
+const fields = (spec, shorthand) => ({ fields: spec, shorthand });
+
+const EVENT_SCHEMAS = {
+  "ping": none,
+  "get-room-info": fields({ roomCode: code(), password: optional(string(64)) }, "roomCode"),
+  "create-room": fields({ settings: optional(object()), variant: optional(string(32)), password: optional(string(64), { nullable: true }) }),
+  "join-room": fields({ roomCode: code(), password: optional(string(64)) }),
+  "quick-match": fields({ variant: optional(string(32)), stakes: optional(object()) }),
+  "join-lobby": none,
+  "leave-lobby": none,
+  "add-bot": fields({ roomCode: code(), strategy: optional(string(32)), name: optional(string(32)) }),
+  "start-game": roomOnly,
+
+  "create-tournament": fields({ name: string(64), variant: optional(string(32)), settings: optional(object()) }),
+  "register-tournament": fields({ tournamentId: code() }),
+  "unregister-tournament": fields({ tournamentId: code(), reconnectToken: id(128) }),
+  "add-tournament-bot": fields({ tournamentId: code(), strategy: optional(string(32)), name: optional(string(32)) }),
+  "start-tournament": tournamentOnly,
+  "get-tournament": tournamentOnly,
+
+  "set-client-seed": fields({ roomCode: code(), clientSeed: string(64) }),
+  "view-cards": roomOnly,
+  "check": roomOnly,
+  "call": roomOnly,
+  "bet": fields({ roomCode: code(), amount: positiveInt() }),
+  "raise": fields({ roomCode: code(), amount: positiveInt() }),
+  "fold": roomOnly,
+  "all-in": roomOnly,
+  "compare-cards": fields({ roomCode: code(), targetPlayerId: id() }),
+  "play-cards": fields({ roomCode: code(), cards: cards() }),
+  "pass": roomOnly,
+  "replay-hand": fields({ roomCode: code(), handNumber: positiveInt() }),
+
+  "spectate-room": fields({ roomCode: code(), password: optional(string(64)) }, "roomCode"),
+  "leave-spectate": none,
+  // Độ dài thật của tin nhắn do chat.validateMessage kiểm tra sau khi bỏ khoảng trắng
+  "chat-message": fields({ roomCode: code(), text: string(1000) }),
+  "emote": fields({ roomCode: code(), emote: string(32) }),
+  "mute-player": fields({ roomCode: code(), playerId: id(), muted: optional(boolean()) }),
+  "kick-player": fields({ roomCode: code(), playerId: id() }),
+  "update-settings": fields({ roomCode: code(), settings: optional(object()), password: optional(string(64), { nullable: true }) }),
+  // roomCode chỉ là gợi ý, ghế được tìm theo token
+  "rejoin-room": fields({ roomCode: optional(code()), reconnectToken: id(128) }),
+};
+
+const invalid = (field) => ({ error: msg(ERROR_CODES.INVALID_PAYLOAD, { field }) });
+
+// Trả về { payload } đã chuẩn hóa hoặc { error }
+const validateEvent = (event, payload) => {
+  const schema = Object.hasOwn(EVENT_SCHEMAS, event) ? EVENT_SCHEMAS[event] : null;
+  if (!schema) return { error: msg(ERROR_CODES.UNKNOWN_EVENT) };
+  if (schema.none) return { payload: undefined };
+  if (schema.value) {
+    const checked = schema.value(payload);
+    return checked ? { payload: checked.value } : invalid(schema.field);
+  }
+
+  const input = schema.shorthand && !isPlainObject(payload) ? { [schema.shorthand]: payload } : payload;
+  if (!isPlainObject(input)) return invalid("payload");
+  const normalized = {};
+  for (const [field, check] of Object.entries(schema.fields)) {
+    if (input[field] === undefined) {
+      if (check.optional) continue;
+      return invalid(field);
+    }
+    const checked = check(input[field]);
+    if (!checked) return invalid(field);
+    normalized[field] = checked.value;
+  }
+  return { payload: normalized };
+};
+
+// ---------- GIỚI HẠN TẦN SUẤT ----------
+// Token bucket: mỗi key có tối đa capacity lượt, hồi refillPerSec lượt mỗi giây.
+// Hết lượt thì sự kiện bị bỏ ("limited") nhưng vẫn bị trừ, nên client cứ gửi dồn sẽ
+// nợ dần; nợ tới capacity lượt là cố ý spam ("abusive") và server ngắt kết nối.
+const createTokenBucket = ({ capacity, refillPerSec }) => {
+  const buckets = new Map(); // key -> { tokens, updatedAt }
+
+  const refill = (bucket, now) => {
+    bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / 1000 * refillPerSec);
+    bucket.updatedAt = now;
+  };
+
+  // "ok" | "limited" | "abusive"
+  const take = (key, now = Date.now()) => {
+    const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now };
+    buckets.set(key, bucket);
+    refill(bucket, now);
+    bucket.tokens = Math.max(bucket.tokens - 1, -capacity);
+    if (bucket.tokens >= 0) return "ok";
+    return bucket.tokens <= -capacity ? "abusive" : "limited";
+  };
+
+  const forget = (key) => { buckets.delete(key); };
+
+  // Bucket đã hồi đầy thì giống như chưa từng gửi, bỏ đi để Map không phình mãi
+  const prune = (now = Date.now()) => {
+    for (const [key, bucket] of buckets) {
+      refill(bucket, now);
+      if (bucket.tokens >= capacity) buckets.delete(key);
+    }
+  };
+
+  return { take, forget, prune };
+};
+
+// ---------- ĐỊA CHỈ CLIENT ----------
+// Sau load balancer mọi kết nối đều tới từ IP của proxy, nên giới hạn theo IP phải dùng
+// X-Forwarded-For. Header này client tự đặt được: chỉ tin đúng trustedProxies chặng cuối
+// (mỗi proxy nối thêm địa chỉ nó nhận được), không cấu hình proxy thì bỏ qua header.
+const clientAddress = (remoteAddress, forwardedFor, trustedProxies = 0) => {
+  if (!trustedProxies || typeof forwardedFor !== "string") return remoteAddress;
+  const chain = [...forwardedFor.split(",").map(a => a.trim()).filter(Boolean), remoteAddress];
+  return chain[Math.max(chain.length - 1 - trustedProxies, 0)];
+};
+
+module.exports = { ERROR_CODES, EVENT_SCHEMAS, validateEvent, createTokenBucket, clientAddress };
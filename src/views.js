@@ -0,0 +1,46 @@
+// ========== GÓC NHÌN THEO TỪNG NGƯỜI CHƠI ==========
+// Không bao giờ gửi thẳng object room cho client: mỗi socket nhận một bản sao
+// riêng, chỉ chứa bài của chính mình (sau khi đã xem) và bài đối thủ đã lật.
+const { legalActions } = require("./engine");
+
+// Những field nội bộ của room không bao giờ gửi ra ngoài
+// (lịch sử chat gửi riêng một lần qua "chat-history", không kèm mỗi lần cập nhật phòng)
+const HIDDEN_ROOM_FIELDS = ["deck", "seeds", "currentHand", "passwordHash", "chatHistory", "chatSeq", "bannedUsers"];
+
+const canSeeHand = (room, owner, viewerId) => {
+  if (!owner.hand || owner.hand.length === 0) return false;
+  if (owner.id === viewerId) return owner.viewedCards || room.showdown === true;
+  if (room.showdown === true && !owner.folded) return true;
+  return Array.isArray(owner.revealedTo) && owner.revealedTo.includes(viewerId);
+};
+
+const buildPlayerSnapshot = (room, owner, viewerId) => {
+  // entrantId của ghế trong giải chính là reconnectToken, cũng phải giấu
+  const { hand, revealedTo, reconnectToken, entrantId, ...rest } = owner;
+  return {
+    ...rest,
+    hand: canSeeHand(room, owner, viewerId) ? hand : null,
+    cardCount: hand ? hand.length : 0,
+  };
+};
+
+const buildPlayerView = (room, viewerId) => {
+  const view = {};
+  for (const [key, value] of Object.entries(room)) {
+    if (!HIDDEN_ROOM_FIELDS.includes(key)) view[key] = value;
+  }
+  view.players = room.players.map(p => buildPlayerSnapshot(room, p, viewerId));
+  view.tournamentPlayers = (room.tournamentPlayers || []).map(p => buildPlayerSnapshot(room, p, viewerId));
+  view.deckCount = room.deck ? room.deck.length : 0;
+  view.hasPassword = Boolean(room.passwordHash);
+  view.viewerId = viewerId;
+  // Những hành động người xem được gửi lúc này, client dùng để bật / tắt nút
+  view.legalActions = viewerId ? legalActions(room, viewerId) : [];
+  return view;
+};
+
+// Dùng cho các payload chỉ chứa một người chơi (winner, champion...)
+const buildPublicPlayer = (room, player, viewerId) =>
+  player ? buildPlayerSnapshot(room, player, viewerId) : null;
+
+module.exports = { buildPlayerView, buildPublicPlayer, canSeeHand };
@@ -1,11 +0,0 @@
-const express = require('express');
-const app = express();
-const PORT = 3000;
-
-app.get('/', (req, res) => {
-    res.send('Server is running');
-});
-
-app.listen(PORT, () => {
-    console.log(`Test server running on port ${PORT}`);
-});
\ No newline at end of file
@@ -0,0 +1,120 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createAccounts, createSharedAccounts, splitPool, HOUSE_ACCOUNT } = require("../src/accounts");
+const { createMemoryStorage } = require("../src/storage");
+const { createMemoryStore } = require("../src/cluster");
+const { msg } = require("../src/i18n");
+
+const setup = (startingBalance = 1000) => {
+  const storage = createMemoryStorage();
+  const accounts = createAccounts({ storage, startingBalance });
+  const { account } = accounts.register({ username: "alice", password: "secret1" });
+  return { storage, accounts, account };
+};
+
+// ---------- ĐĂNG KÝ & ĐĂNG NHẬP ----------
+test("đăng ký tặng số dư ban đầu qua sổ cái", () => {
+  const { accounts, account } = setup();
+  assert.equal(account.balance, 1000);
+  assert.deepEqual(accounts.history(account.id).map(e => [e.type, e.amount, e.balance]), [["signup-bonus", 1000, 1000]]);
+  assert.deepEqual(accounts.register({ username: "ALICE", password: "secret1" }).error, msg("username-taken"));
+  assert.ok(accounts.register({ username: "a b", password: "secret1" }).error);
+  assert.ok(accounts.register({ username: "bob", password: "123" }).error);
+});
+
+test("đăng nhập kiểm tra mật khẩu, không lưu mật khẩu gốc", () => {
+  const { accounts, account } = setup();
+  assert.equal(accounts.authenticate("Alice", "secret1"), account);
+  assert.equal(accounts.authenticate("alice", "wrong!!"), null);
+  assert.equal(accounts.authenticate("nobody", "secret1"), null);
+  assert.ok(!JSON.stringify(account).includes("secret1"));
+});
+
+// ---------- VÍ ----------
+test("không cho trừ quá số dư", () => {
+  const { accounts, account } = setup();
+  assert.deepEqual(accounts.debit(account.id, 1001, "buy-in", "room:A"), msg("insufficient-balance"));
+  assert.deepEqual(accounts.debit(account.id, -5, "buy-in", "room:A"), msg("invalid-amount"));
+  assert.equal(accounts.debit(account.id, 1000, "buy-in", "room:A"), null);
+  assert.equal(account.balance, 0);
+  assert.equal(accounts.history(account.id).length, 2);
+});
+
+test("sổ cái cân theo từng phòng, phần không có chủ về nhà cái", () => {
+  const { accounts, account } = setup();
+  accounts.debit(account.id, 300, "buy-in", "room:A");
+  assert.deepEqual(accounts.reconcile("room:A"), { ref: "room:A", paidIn: 300, paidOut: 0, held: 300 });
+
+  accounts.credit(account.id, 200, "cash-out", "room:A");
+  const house = accounts.credit(null, 100, "cash-out", "room:A");
+  assert.equal(house.accountId, HOUSE_ACCOUNT);
+  assert.equal(house.type, "unclaimed");
+  assert.equal(accounts.reconcile("room:A").held, 0);
+  assert.equal(account.balance, 900);
+});
+
+test("lịch sử mới nhất trước, lật trang bằng before", () => {
+  const { accounts, account } = setup();
+  for (let i = 1; i <= 5; i++) accounts.credit(account.id, i, "cash-out", `room:${i}`);
+  const page = accounts.history(account.id, { limit: 2 });
+  assert.deepEqual(page.map(e => e.amount), [5, 4]);
+  assert.deepEqual(accounts.history(account.id, { limit: 2, before: page[1].seq }).map(e => e.amount), [3, 2]);
+});
+
+test("khởi động lại thì số dư tính lại từ sổ cái", () => {
+  const { storage, account } = setup();
+  storage.saveAccount({ ...account, balance: 999999 }); // file tài khoản bị lệch
+  const reloaded = createAccounts({ storage, startingBalance: 1000 });
+  assert.equal(reloaded.getAccount(account.id).balance, 1000);
+  assert.equal(reloaded.findByUsername("alice").id, account.id);
+});
+
+// ---------- DÙNG CHUNG GIỮA NHIỀU INSTANCE ----------
+// Hai kho trên cùng một shared store, như hai instance sau load balancer
+const setupShared = async () => {
+  const store = createMemoryStore();
+  const a = createSharedAccounts({ store, startingBalance: 1000 });
+  const b = createSharedAccounts({ store, startingBalance: 1000 });
+  const { account } = await a.register({ username: "alice", password: "secret1" });
+  return { a, b, account };
+};
+
+test("tài khoản đăng ký ở instance này đăng nhập được ở instance khác", async () => {
+  const { a, b, account } = await setupShared();
+  assert.equal(account.balance, 1000);
+  assert.equal((await b.authenticate("Alice", "secret1")).id, account.id);
+  assert.equal(await b.authenticate("alice", "wrong!!"), null);
+  assert.equal((await b.getAccount(account.id)).username, "alice");
+  assert.deepEqual((await b.register({ username: "ALICE", password: "secret1" })).error, msg("username-taken"));
+  assert.ok((await a.register({ username: "a b", password: "secret1" })).error);
+  assert.equal(await a.getAccount("nobody"), null);
+});
+
+test("hai instance trừ cùng một ví không thể trừ quá số dư", async () => {
+  const { a, b, account } = await setupShared();
+  const results = await Promise.all([a.debit(account.id, 600, "buy-in", "room:A"), b.debit(account.id, 600, "buy-in", "room:B")]);
+  assert.deepEqual(results.filter(Boolean), [msg("insufficient-balance")]);
+  assert.equal((await a.getAccount(account.id)).balance, 400);
+  assert.deepEqual(await b.debit(account.id, -5, "buy-in", "room:A"), msg("invalid-amount"));
+  assert.deepEqual(await b.debit("nobody", 5, "buy-in", "room:A"), msg("account-not-found"));
+});
+
+test("sổ cái dùng chung: lịch sử và đối soát thấy bút toán của mọi instance", async () => {
+  const { a, b, account } = await setupShared();
+  await a.debit(account.id, 300, "buy-in", "room:A");
+  await b.credit(account.id, 200, "cash-out", "room:A");
+  const house = await b.credit(null, 100, "cash-out", "room:A");
+  assert.equal(house.accountId, HOUSE_ACCOUNT);
+  assert.equal(house.type, "unclaimed");
+  assert.deepEqual(await a.reconcile("room:A"), { ref: "room:A", paidIn: 300, paidOut: 300, held: 0 });
+
+  const history = await b.history(account.id);
+  assert.deepEqual(history.map(e => [e.type, e.amount, e.balance]), [["cash-out", 200, 900], ["buy-in", -300, 700], ["signup-bonus", 1000, 1000]]);
+  assert.deepEqual((await a.history(account.id, { limit: 1, before: history[0].seq })).map(e => e.type), ["buy-in"]);
+});
+
+test("chia quỹ theo chip, phần lẻ cho người nhiều chip nhất", () => {
+  assert.deepEqual(splitPool(100, [1, 1, 1]), [34, 33, 33]);
+  assert.deepEqual(splitPool(300, [0, 20000, 10000]), [0, 200, 100]);
+  assert.deepEqual(splitPool(100, [0, 0]), [0, 0]);
+});
@@ -0,0 +1,49 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const auth = require("../src/auth");
+
+const SECRET = "test-secret";
+
+// ---------- TOKEN ----------
+test("ký và đọc lại token", () => {
+  const token = auth.signToken({ sub: "acc-1", name: "alice" }, SECRET, 60);
+  const payload = auth.verifyToken(token, SECRET);
+  assert.equal(payload.sub, "acc-1");
+  assert.equal(payload.exp - payload.iat, 60);
+  assert.deepEqual(auth.userFromPayload(payload), { id: "acc-1", name: "alice", guest: false, accountId: "acc-1" });
+});
+
+test("từ chối token sai khóa, bị sửa hoặc hết hạn", () => {
+  const token = auth.signToken({ sub: "acc-1", name: "alice" }, SECRET, 60, 0);
+  assert.equal(auth.verifyToken(token, "other-secret", 0), null);
+  assert.equal(auth.verifyToken(token, SECRET, 60 * 1000), null);
+
+  const [header, , signature] = token.split(".");
+  const forged = Buffer.from(JSON.stringify({ sub: "acc-2", name: "bob", exp: 1e12 })).toString("base64url");
+  assert.equal(auth.verifyToken(`${header}.${forged}.${signature}`, SECRET, 0), null);
+  assert.equal(auth.verifyToken("abc", SECRET), null);
+  assert.equal(auth.verifyToken(undefined, SECRET), null);
+});
+
+test("khách không có ví", () => {
+  const token = auth.signToken({ sub: "guest:1", name: "Khách-123456", guest: true }, SECRET, 60);
+  const user = auth.userFromPayload(auth.verifyToken(token, SECRET));
+  assert.equal(user.guest, true);
+  assert.equal(user.accountId, null);
+});
+
+test("đọc Bearer token từ header", () => {
+  assert.equal(auth.readBearer("Bearer abc.def.ghi"), "abc.def.ghi");
+  assert.equal(auth.readBearer("Basic xyz"), null);
+  assert.equal(auth.readBearer(undefined), null);
+});
+
+// ---------- GIỚI HẠN KHÁCH ----------
+test("mỗi IP chỉ xin được số tên khách giới hạn trong một cửa sổ", () => {
+  const limiter = auth.createGuestLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.take("1.1.1.1", 0), true);
+  assert.equal(limiter.take("1.1.1.1", 10), true);
+  assert.equal(limiter.take("1.1.1.1", 20), false);
+  assert.equal(limiter.take("2.2.2.2", 20), true);
+  assert.equal(limiter.take("1.1.1.1", 1000), true);
+});
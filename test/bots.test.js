@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { createBotSocket } = require("../src/bots/bot-socket");
+const { getStrategy, registerStrategy, supportsVariant, defaultStrategyFor } = require("../src/bots/strategies");
+const fairness = require("../src/fairness");
+const { buildPlayerView } = require("../src/views");
+const { validateEvent, ERROR_CODES } = require("../src/validation");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+
+// Giống validateSocketEvent của server: lỗi gửi về qua "error", gói hợp lệ được chuẩn hóa
+const schemaMiddleware = (socket) => (packet, next) => {
+  const { payload, error } = validateEvent(packet[0], packet[1]);
+  if (error) return socket.emit("error", error);
+  packet.splice(1, packet.length, payload);
+  next();
+};
+
+const makeBotSocket = () => {
+  const socket = createBotSocket("bot-1");
+  socket.use(schemaMiddleware(socket));
+  const received = [];
+  socket.on("fold", (payload) => received.push(["fold", payload]));
+  socket.on("bet", (payload) => received.push(["bet", payload]));
+  return { socket, received };
+};
+
+// ---------- SOCKET GIẢ ----------
+test("sự kiện của bot qua middleware trước khi tới handler", () => {
+  const { socket, received } = makeBotSocket();
+  assert.equal(socket.dispatch("fold", "ab12cd"), null);
+  assert.equal(socket.dispatch("bet", { roomCode: "AB12CD", amount: 200, extra: true }), null);
+  assert.deepEqual(received, [["fold", "AB12CD"], ["bet", { roomCode: "AB12CD", amount: 200 }]]);
+});
+
+test("payload sai bị chặn như của người chơi", () => {
+  const { socket, received } = makeBotSocket();
+  assert.equal(socket.dispatch("bet", { roomCode: "AB12CD", amount: "200" }).code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(socket.dispatch("dance", "AB12CD").code, ERROR_CODES.UNKNOWN_EVENT);
+  assert.deepEqual(received, []);
+});
+
+// ---------- CHIẾN THUẬT ----------
+const STRATEGY_CASES = [["kim-hoa", "random"], ["kim-hoa", "hand-strength"], ["lieng", "random"], ["lieng", "hand-strength"], ["tien-len", "smallest-play"]];
+
+const makeRoom = (variant) => {
+  const players = ["a", "b", "c"].map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false, currentBet: 0, allIn: false, revealedTo: [],
+  }));
+  return {
+    code: "AB12CD", variant, players, gameState: "playing", dealerIndex: -1, pot: 0, deck: [], currentTurn: 0,
+    tournamentPlayers: [...players], handsPlayed: 0, currentHand: null, fairness: { serverSeedHash: "hash" },
+    settings: { ...DEFAULT_SETTINGS, ...engine.getVariant(variant).defaultSettings, ...engine.getVariant(variant).fixedSettings },
+  };
+};
+
+// Sự kiện socket -> action của engine, như các handler trong server.js
+const ACTION_TYPES = {
+  "view-cards": "view-cards", check: "check", call: "call", bet: "bet", raise: "raise", fold: "fold",
+  "all-in": "all-in", "compare-cards": "compare", "play-cards": "play", pass: "pass",
+};
+const toAction = (event, payload, playerId) => {
+  const { roomCode, ...fields } = typeof payload === "object" ? payload : {};
+  return { type: ACTION_TYPES[event], playerId, ...fields };
+};
+
+test("mọi quyết định của chiến thuật đều đúng schema", () => {
+  for (const [variant, strategyName] of STRATEGY_CASES) {
+    const { state } = engine.startHand(makeRoom(variant), engine.createDeck());
+    const bot = state.players[state.currentTurn];
+    for (let i = 0; i < 20; i++) {
+      const { event, payload } = getStrategy(strategyName).decide(buildPlayerView(state, bot.id), {
+        evaluateHand: (cards) => engine.evaluateHand(cards, state.settings),
+        random: () => i / 20,
+      });
+      assert.equal(validateEvent(event, payload).error, undefined, `${strategyName} ${event}`);
+    }
+  }
+});
+
+test("bot chơi hết ván mà engine không từ chối nước nào", () => {
+  for (const [variant, strategyName] of STRATEGY_CASES) {
+    for (let nonce = 1; nonce <= 5; nonce++) {
+      const rng = fairness.createSeededRng("seed", variant, nonce);
+      const deck = fairness.shuffleDeck(engine.createDeck(), rng);
+      let { state } = engine.startHand(makeRoom(variant), deck);
+      let ended = false;
+      for (let step = 0; step < 500 && !ended; step++) {
+        const bot = state.players[state.currentTurn];
+        const { event, payload } = getStrategy(strategyName).decide(buildPlayerView(state, bot.id), {
+          evaluateHand: (cards) => engine.evaluateHand(cards, state.settings),
+          random: () => rng.nextInt(1000) / 1000,
+        });
+        const result = engine.applyAction(state, toAction(event, payload, bot.id));
+        assert.equal(result.error, undefined, `${variant} ${strategyName} ${event}`);
+        state = result.state;
+        ended = result.events.some(e => e.event === "hand-ended");
+      }
+      assert.ok(ended, `${variant} ${strategyName} ván ${nonce}`);
+    }
+  }
+});
+
+// ---------- ĐĂNG KÝ CHIẾN THUẬT ----------
+test("chiến thuật mặc định theo biến thể và đăng ký thêm chiến thuật mới", () => {
+  assert.equal(defaultStrategyFor("kim-hoa"), "random");
+  assert.equal(defaultStrategyFor("tien-len"), "smallest-play");
+  assert.equal(supportsVariant(getStrategy("hand-strength"), "tien-len"), false);
+  assert.equal(getStrategy("missing"), null);
+
+  const alwaysFold = { name: "always-fold", variants: ["kim-hoa"], decide: (view) => ({ event: "fold", payload: view.code }) };
+  registerStrategy(alwaysFold);
+  assert.equal(getStrategy("always-fold"), alwaysFold);
+  assert.equal(defaultStrategyFor("kim-hoa"), "random");
+});
@@ -0,0 +1,48 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const chat = require("../src/chat");
+const { msg } = require("../src/i18n");
+
+// ---------- NỘI DUNG ----------
+test("tin nhắn được làm sạch và giới hạn độ dài", () => {
+  assert.deepEqual(chat.validateMessage("  xin\n\tchào   cả nhà "), { text: "xin chào cả nhà" });
+  assert.deepEqual(chat.validateMessage("   ").error, msg("empty-chat-message"));
+  assert.deepEqual(chat.validateMessage(42).error, msg("invalid-chat-message"));
+  assert.ok(chat.validateMessage("a".repeat(chat.MAX_MESSAGE_LENGTH)).text);
+  assert.ok(chat.validateMessage("a".repeat(chat.MAX_MESSAGE_LENGTH + 1)).error);
+});
+
+test("lọc từ cấm chỉ che nguyên từ, không phân biệt hoa thường", () => {
+  const filter = chat.createProfanityFilter();
+  assert.equal(filter("VCL bài gì vậy"), "*** bài gì vậy");
+  assert.equal(filter("Đm thua rồi"), "** thua rồi");
+  assert.equal(filter("admin ơi, dm."), "admin ơi, **.");
+  assert.equal(chat.createProfanityFilter(["gà"])("gà quá, gàn dở"), "** quá, gàn dở");
+  assert.equal(chat.createProfanityFilter([])("vcl"), "vcl");
+});
+
+// ---------- LỊCH SỬ ----------
+test("lịch sử chat chỉ giữ số tin gần nhất, id tăng dần", () => {
+  const room = {};
+  const player = { id: "s1", name: "An" };
+  for (let i = 0; i < chat.CHAT_HISTORY_LIMIT + 5; i++) chat.appendMessage(room, player, { type: "chat", text: `#${i}` });
+  const last = chat.appendMessage(room, player, { type: "emote", emote: "gg" }, 0);
+  assert.equal(room.chatHistory.length, chat.CHAT_HISTORY_LIMIT);
+  assert.equal(room.chatHistory[0].text, "#6");
+  assert.deepEqual(last, {
+    id: chat.CHAT_HISTORY_LIMIT + 6, type: "emote", emote: "gg", playerId: "s1", playerName: "An", createdAt: new Date(0).toISOString(),
+  });
+});
+
+// ---------- GIỚI HẠN TẦN SUẤT ----------
+test("giới hạn tin nhắn theo cửa sổ trượt của từng socket", () => {
+  const limiter = chat.createChatLimiter({ limit: 2, windowMs: 1000 });
+  assert.equal(limiter.take("a", 0), true);
+  assert.equal(limiter.take("a", 500), true);
+  assert.equal(limiter.take("a", 900), false);
+  assert.equal(limiter.take("b", 900), true);
+  assert.equal(limiter.take("a", 1001), true); // tin lúc 0 đã ra khỏi cửa sổ
+  assert.equal(limiter.take("a", 1200), false);
+  limiter.forget("a");
+  assert.equal(limiter.take("a", 1200), true);
+});
@@ -0,0 +1,111 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { Server } = require("socket.io");
+const cluster = require("../src/cluster");
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// ---------- SHARED STORE ----------
+test("memory store: NX, hết hạn và so sánh trước khi xóa / gia hạn", async () => {
+  let now = 0;
+  const store = cluster.createMemoryStore({ now: () => now });
+  assert.equal(await store.set("k", "a", { ttlMs: 100, onlyIfAbsent: true }), true);
+  assert.equal(await store.set("k", "b", { onlyIfAbsent: true }), false);
+  now = 60;
+  assert.equal(await store.compareAndExpire("k", "b", 100), false);
+  assert.equal(await store.compareAndExpire("k", "a", 100), true);
+  now = 150;
+  assert.equal(await store.get("k"), "a");
+  now = 250;
+  assert.equal(await store.get("k"), null);
+  await store.set("k", "c");
+  assert.equal(await store.compareAndDelete("k", "a"), false);
+  assert.equal(await store.compareAndDelete("k", "c"), true);
+
+  await store.hset("h", "x", "1");
+  await store.hset("h", "y", "2");
+  await store.hdel("h", "x");
+  assert.deepEqual(await store.hgetall("h"), { y: "2" });
+  assert.equal(await store.hget("h", "x"), null);
+});
+
+test("memory store: increment cộng dồn và không cho xuống dưới min", async () => {
+  const store = cluster.createMemoryStore();
+  assert.equal(await store.increment("n", 5), 5);
+  assert.equal(await store.increment("n", -3, { min: 0 }), 2);
+  assert.equal(await store.increment("n", -3, { min: 0 }), null);
+  assert.equal(await store.get("n"), "2");
+});
+
+test("memory store: publish tới mọi subscriber, hủy đăng ký thì thôi nhận", async () => {
+  const store = cluster.createMemoryStore();
+  const received = [];
+  const unsubscribe = await store.subscribe("c", (m) => received.push(`1:${m}`));
+  await store.subscribe("c", (m) => received.push(`2:${m}`));
+  await store.publish("c", "a");
+  await tick();
+  unsubscribe();
+  await store.publish("c", "b");
+  await tick();
+  assert.deepEqual(received, ["1:a", "2:a", "2:b"]);
+});
+
+// ---------- CHỦ SỞ HỮU PHÒNG ----------
+test("mỗi phòng chỉ có một instance chủ; hết hạn thì instance khác nhận được", async () => {
+  let now = 0;
+  const store = cluster.createMemoryStore({ now: () => now });
+  const a = cluster.createOwnership({ store, instanceId: "A", ttlMs: 100 });
+  const b = cluster.createOwnership({ store, instanceId: "B", ttlMs: 100 });
+
+  assert.equal(await a.claim("room:X"), true);
+  assert.equal(await b.claim("room:X"), false);
+  assert.equal(await b.ownerOf("room:X"), "A");
+  assert.equal(a.owns("room:X"), true);
+
+  now = 90;
+  assert.deepEqual(await a.renewAll(), []);
+  now = 180;
+  assert.equal(await b.claim("room:X"), false);
+
+  // A không gia hạn kịp: B lấy khóa, lần gia hạn sau A biết mình đã mất phòng
+  now = 300;
+  assert.equal(await b.claim("room:X"), true);
+  assert.deepEqual(await a.renewAll(), ["room:X"]);
+  assert.equal(a.owns("room:X"), false);
+
+  // A trả khóa không làm mất khóa của B
+  await a.release("room:X");
+  assert.equal(await a.ownerOf("room:X"), "B");
+  await b.releaseAll();
+  assert.equal(await a.ownerOf("room:X"), null);
+});
+
+// ---------- ĐỊNH TUYẾN ----------
+test("sự kiện được định tuyến theo mã phòng / id giải", () => {
+  assert.equal(cluster.routeKey("join-room", { roomCode: "abc123" }), "room:ABC123");
+  assert.equal(cluster.routeKey("fold", "ABC123"), "room:ABC123");
+  assert.equal(cluster.routeKey("start-tournament", "T1"), "tournament:T1");
+  assert.equal(cluster.routeKey("register-tournament", { tournamentId: "t1" }), "tournament:T1");
+  assert.equal(cluster.routeKey("create-room", { variant: "lieng" }), null);
+  assert.equal(cluster.routeKey("join-room", {}), null);
+  assert.equal(cluster.routeKey("fold", 42), null);
+});
+
+// ---------- ADAPTER ----------
+test("adapter chuyển serverSideEmit sang instance khác", async () => {
+  const store = cluster.createMemoryStore();
+  const a = new Server();
+  const b = new Server();
+  a.adapter(cluster.createStoreAdapter(store));
+  b.adapter(cluster.createStoreAdapter(store));
+  try {
+    const received = new Promise(resolve => b.on("hello", resolve));
+    a.serverSideEmit("hello", { from: "a" });
+    assert.deepEqual(await received, { from: "a" });
+    assert.equal(await a.of("/").adapter.serverCount(), 2);
+  } finally {
+    // Server không gắn http nên chỉ cần dừng heartbeat của adapter
+    a.of("/").adapter.close();
+    b.of("/").adapter.close();
+  }
+});
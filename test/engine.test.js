@@ -0,0 +1,412 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const threeCard = require("../src/engine/variants/three-card");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+const { msg } = require("../src/i18n");
+
+// ---------- DỮ LIỆU MẪU ----------
+const card = (rank, suit) => {
+  const deck = engine.createDeck();
+  return deck.find(c => c.rank === rank && c.suit === suit);
+};
+
+const makePlayer = (id, money = 10000) => ({
+  id,
+  name: id.toUpperCase(),
+  money,
+  hand: [],
+  viewedCards: false,
+  folded: false,
+  currentBet: 0,
+  allIn: false,
+  revealedTo: [],
+});
+
+const makeRoom = (playerIds, settings = {}) => {
+  const players = playerIds.map(id => makePlayer(id));
+  return {
+    code: "TEST01",
+    host: players[0].id,
+    players,
+    gameState: "playing",
+    currentRound: 0,
+    dealerIndex: -1,
+    pot: 0,
+    deck: [],
+    currentTurn: 0,
+    minBet: 100,
+    tournamentPlayers: [...players],
+    betHistory: [],
+    lastRaise: null,
+    handsPlayed: 0,
+    currentHand: null,
+    fairness: { serverSeedHash: "hash" },
+    settings: { ...DEFAULT_SETTINGS, ...settings },
+  };
+};
+
+// Bộ bài được chia từ cuối, mỗi người 3 lá liên tiếp theo thứ tự ghế
+const deckFor = (...hands) => hands.flat().reverse();
+
+const apply = (state, action) => {
+  const result = engine.applyAction(state, action);
+  assert.equal(result.error, undefined, result.error);
+  return result;
+};
+
+const turnPlayer = (state) => state.players[state.currentTurn];
+
+// ---------- ĐÁNH GIÁ BÀI ----------
+test("evaluateHand nhận đúng các loại bài", () => {
+  const cases = [
+    [[card("7", "hearts"), card("7", "spades"), card("7", "clubs")], "three-of-a-kind"],
+    [[card("5", "hearts"), card("6", "hearts"), card("7", "hearts")], "straight-flush"],
+    [[card("2", "clubs"), card("9", "clubs"), card("K", "clubs")], "flush"],
+    [[card("A", "clubs"), card("2", "hearts"), card("3", "spades")], "straight"],
+    [[card("Q", "clubs"), card("Q", "hearts"), card("3", "spades")], "pair"],
+    [[card("2", "clubs"), card("9", "hearts"), card("K", "spades")], "high-card"],
+  ];
+  for (const [hand, type] of cases) assert.equal(engine.evaluateHand(hand).type, type);
+});
+
+test("compareHands xếp theo loại rồi theo giá trị", () => {
+  const trips = engine.evaluateHand([card("2", "hearts"), card("2", "spades"), card("2", "clubs")]);
+  const flush = engine.evaluateHand([card("2", "clubs"), card("9", "clubs"), card("K", "clubs")]);
+  const pairK = engine.evaluateHand([card("K", "hearts"), card("K", "spades"), card("3", "clubs")]);
+  const pairQ = engine.evaluateHand([card("Q", "hearts"), card("Q", "spades"), card("A", "clubs")]);
+  const pairQsame = engine.evaluateHand([card("Q", "diamonds"), card("Q", "clubs"), card("A", "hearts")]);
+
+  assert.equal(engine.compareHands(trips, flush), 1);
+  assert.equal(engine.compareHands(pairQ, pairK), -1);
+  assert.equal(engine.compareHands(pairQ, pairQsame), 0);
+});
+
+// ---------- BẮT ĐẦU VÁN ----------
+test("startHand thu ante, chia bài và không sửa state đầu vào", () => {
+  const room = makeRoom(["a", "b", "c"]);
+  const before = structuredClone(room);
+  const { state, events } = engine.startHand(room, engine.createDeck());
+
+  assert.deepEqual(room, before);
+  assert.equal(state.pot, 300);
+  assert.equal(state.dealerIndex, 0);
+  assert.equal(state.currentTurn, 1);
+  assert.equal(state.handsPlayed, 1);
+  assert.ok(state.players.every(p => p.hand.length === 3 && p.money === 9900));
+  assert.equal(state.deck.length, 52 - 9);
+  assert.equal(events[0].event, "turn-changed");
+});
+
+test("người hết tiền hoặc vắng mặt không được chia bài", () => {
+  const room = makeRoom(["a", "b", "c"]);
+  room.players[1].money = 0;
+  room.players[2].sittingOut = true;
+  const { state } = engine.startHand(room, engine.createDeck());
+
+  assert.equal(state.players[1].folded, true);
+  assert.equal(state.players[2].folded, true);
+  assert.equal(state.players[2].hand.length, 0);
+});
+
+test("ante lấy hết tiền của mọi người thì lật bài ngay khi chia", () => {
+  const room = makeRoom(["a", "b"], { ante: 500 });
+  room.players.forEach((p) => { p.money = 300; });
+  const deck = deckFor([card("A", "hearts"), card("A", "spades"), card("A", "clubs")],
+    [card("2", "hearts"), card("5", "spades"), card("9", "clubs")]);
+  const { state, events } = engine.startHand(room, deck);
+
+  assert.equal(state.currentTurn, -1);
+  assert.deepEqual(events.map(e => e.event), ["hand-ended"]);
+  assert.equal(events[0].payload.winner.id, "a");
+  assert.equal(state.players[0].money, 600);
+});
+
+// ---------- LƯỢT VÀ VÒNG ----------
+test("chưa đến lượt thì bị từ chối", () => {
+  const { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  const result = engine.applyAction(state, { type: "fold", playerId: "a" });
+  assert.deepEqual(result.error, msg("not-your-turn"));
+});
+
+test("hành động không hợp lệ hoặc ván chưa bắt đầu bị từ chối", () => {
+  const room = makeRoom(["a", "b"]);
+  assert.deepEqual(engine.applyAction(room, { type: "dance", playerId: "a" }).error, msg("invalid-action"));
+  room.gameState = "waiting";
+  assert.deepEqual(engine.applyAction(room, { type: "fold", playerId: "a" }).error, msg("hand-not-started"));
+});
+
+// ---------- CƯỢC ----------
+test("số phải theo do server tính, chưa xem bài chỉ trả theo blindBetRatio", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b"], { ante: 0 }), engine.createDeck());
+  const bettor = turnPlayer(state);
+  assert.deepEqual(engine.legalActions(state, bettor.id).find(a => a.type === "call"), { type: "call", amount: 50 });
+
+  state = apply(state, { type: "raise", playerId: bettor.id, amount: 300 }).state;
+  const after = state.players.find(p => p.id === bettor.id);
+  assert.equal(after.money, bettor.money - 150);
+  assert.equal(state.minBet, 300);
+  assert.equal(state.lastRaise, bettor.id);
+  assert.equal(state.pot, 150);
+
+  // Người kế tiếp xem bài rồi thì phải theo đủ giá
+  const caller = turnPlayer(state).id;
+  state = apply(state, { type: "view-cards", playerId: caller }).state;
+  assert.deepEqual(engine.legalActions(state, caller).find(a => a.type === "call"), { type: "call", amount: 300 });
+  state = apply(state, { type: "call", playerId: caller }).state;
+  assert.equal(state.pot, 450);
+  assert.deepEqual(state.currentHand.actions.filter(a => a.actualAmount).map(a => [a.type, a.actualAmount]), [["raise", 150], ["call", 300]]);
+});
+
+test("check chỉ khi không phải theo, bet chỉ khi chưa có cược, raise chỉ khi đang phải theo", () => {
+  const { state } = engine.startHand(makeRoom(["a", "b"], { ante: 0 }), engine.createDeck());
+  const id = turnPlayer(state).id;
+  assert.deepEqual(engine.applyAction(state, { type: "check", playerId: id }).error, msg("must-call", { amount: 50 }));
+  assert.deepEqual(engine.applyAction(state, { type: "bet", playerId: id, amount: 300 }).error, msg("bet-already-open"));
+  assert.deepEqual(engine.legalActions(state, id).map(a => a.type), ["view-cards", "call", "raise", "fold", "all-in"]);
+
+  // Ante đã đủ mức cược: được check hoặc bet, không có gì để theo / tố thêm
+  const { state: anted } = engine.startHand(makeRoom(["a", "b"]), engine.createDeck());
+  const first = turnPlayer(anted).id;
+  assert.deepEqual(engine.applyAction(anted, { type: "call", playerId: first }).error, msg("nothing-to-call"));
+  assert.deepEqual(engine.applyAction(anted, { type: "raise", playerId: first, amount: 300 }).error, msg("nothing-to-raise"));
+  assert.deepEqual(engine.legalActions(anted, first).map(a => a.type), ["view-cards", "check", "bet", "fold", "all-in"]);
+});
+
+test("tố dưới mức tăng tối thiểu hoặc vượt maxRaise bị từ chối", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"], { maxRaise: 500 }), engine.createDeck());
+  const id = turnPlayer(state).id;
+  const bet = engine.legalActions(state, id).find(a => a.type === "bet");
+  // Ante đã theo tới 100: chưa xem bài chỉ trả nửa phần chênh lên mức tố
+  assert.deepEqual(bet, { type: "bet", min: 200, max: 600, minCost: 50, maxCost: 250 });
+  assert.deepEqual(engine.applyAction(state, { type: "bet", playerId: id, amount: 150 }).error, msg("raise-too-small", { amount: 200 }));
+  assert.deepEqual(engine.applyAction(state, { type: "bet", playerId: id, amount: 700 }).error, msg("raise-too-large", { amount: 500 }));
+  assert.deepEqual(engine.applyAction(state, { type: "bet", playerId: id, amount: "abc" }).error, msg("invalid-amount"));
+
+  // Lần tố sau phải tăng ít nhất bằng lần tố trước
+  state = apply(state, { type: "bet", playerId: id, amount: 500 }).state;
+  const next = turnPlayer(state).id;
+  assert.deepEqual(engine.applyAction(state, { type: "raise", playerId: next, amount: 700 }).error, msg("raise-too-small", { amount: 900 }));
+  assert.equal(engine.legalActions(state, next).find(a => a.type === "raise").min, 900);
+});
+
+test("cược mù trả nửa phần chênh, người mù kế tiếp phải theo", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  const bettor = turnPlayer(state);
+  state = apply(state, { type: "bet", playerId: bettor.id, amount: 200 }).state;
+  assert.equal(state.players.find(p => p.id === bettor.id).money, bettor.money - 50);
+  assert.equal(state.pot, 350);
+
+  const next = turnPlayer(state).id;
+  assert.deepEqual(engine.applyAction(state, { type: "check", playerId: next }).error, msg("must-call", { amount: 50 }));
+  assert.deepEqual(engine.legalActions(state, next).find(a => a.type === "call"), { type: "call", amount: 50 });
+});
+
+test("xem bài sau khi cược mù không phải bù phần đã cược", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  const id = turnPlayer(state).id;
+  state = apply(state, { type: "bet", playerId: id, amount: 300 }).state;
+  state = apply(state, { type: "call", playerId: turnPlayer(state).id }).state;
+  state = apply(state, { type: "call", playerId: turnPlayer(state).id }).state;
+  assert.equal(state.currentRound, 2);
+
+  // Đã theo tới 300 khi còn mù: xem bài xong vẫn được check, tố lên 500 chỉ trả 200
+  while (turnPlayer(state).id !== id) state = apply(state, { type: "check", playerId: turnPlayer(state).id }).state;
+  state = apply(state, { type: "view-cards", playerId: id }).state;
+  assert.ok(engine.legalActions(state, id).some(a => a.type === "check"));
+  const money = turnPlayer(state).money;
+  state = apply(state, { type: "bet", playerId: id, amount: 500 }).state;
+  assert.equal(state.players.find(p => p.id === id).money, money - 200);
+});
+
+test("vòng cuối có người tố thì những người đã đi được theo hoặc bỏ trước khi lật bài", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"], { maxBettingRounds: 1 }), engine.createDeck());
+  state = apply(state, { type: "check", playerId: turnPlayer(state).id }).state;
+  state = apply(state, { type: "check", playerId: turnPlayer(state).id }).state;
+  const raiser = turnPlayer(state).id;
+  let events;
+  ({ state, events } = apply(state, { type: "bet", playerId: raiser, amount: 400 }));
+
+  assert.ok(!events.some(e => e.event === "hand-ended"));
+  assert.notEqual(turnPlayer(state).id, raiser);
+  assert.deepEqual(engine.legalActions(state, turnPlayer(state).id).find(a => a.type === "call"), { type: "call", amount: 150 });
+  state = apply(state, { type: "call", playerId: turnPlayer(state).id }).state;
+  ({ state, events } = apply(state, { type: "fold", playerId: turnPlayer(state).id }));
+  assert.ok(events.some(e => e.event === "hand-ended"));
+  assert.equal(state.showdown, true);
+});
+
+test("maxRaisesPerRound giới hạn số lần tố trong một vòng", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"], { maxRaisesPerRound: 1 }), engine.createDeck());
+  state = apply(state, { type: "bet", playerId: turnPlayer(state).id, amount: 400 }).state;
+  const id = turnPlayer(state).id;
+  assert.deepEqual(engine.applyAction(state, { type: "raise", playerId: id, amount: 800 }).error, msg("raise-limit-reached", { count: 1 }));
+  assert.ok(!engine.legalActions(state, id).some(a => a.type === "raise"));
+});
+
+test("xem bài không chuyển lượt và chỉ gửi bài cho người xem", () => {
+  const { state } = engine.startHand(makeRoom(["a", "b"]), engine.createDeck());
+  const id = turnPlayer(state).id;
+  const { state: next, events } = apply(state, { type: "view-cards", playerId: id });
+
+  assert.equal(next.currentTurn, state.currentTurn);
+  const reveal = events.find(e => e.event === "cards-revealed");
+  assert.equal(reveal.scope, "player");
+  assert.equal(reveal.to, id);
+  assert.ok(!events.some(e => e.event === "turn-changed"));
+});
+
+test("mọi người đều hành động thì sang vòng mới", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  let events;
+  for (let i = 0; i < 3; i++) {
+    ({ state, events } = apply(state, { type: "check", playerId: turnPlayer(state).id }));
+  }
+  assert.equal(state.currentRound, 2);
+  assert.ok(events.some(e => e.event === "round-advanced"));
+  assert.ok(state.players.every(p => !p.actedThisRound));
+  assert.equal(state.currentTurn, 1);
+});
+
+test("hết maxBettingRounds vòng thì lật bài", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b"], { maxBettingRounds: 2 }), engine.createDeck());
+  let events;
+  for (let i = 0; i < 4; i++) ({ state, events } = apply(state, { type: "check", playerId: turnPlayer(state).id }));
+  assert.equal(state.currentRound, 2);
+  assert.ok(events.some(e => e.event === "hand-ended"));
+  assert.equal(state.showdown, true);
+});
+
+test("so bài chỉ được từ vòng compareFromRound", () => {
+  const { state } = engine.startHand(makeRoom(["a", "b"]), engine.createDeck());
+  const result = engine.applyAction(state, { type: "compare", playerId: turnPlayer(state).id, targetPlayerId: "a" });
+  assert.deepEqual(result.error, msg("compare-too-early", { round: 2 }));
+});
+
+// ---------- KẾT THÚC VÁN ----------
+test("còn một người thì kết thúc ván và trả pot", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b"]), engine.createDeck());
+  const folder = turnPlayer(state);
+  const { state: next, events } = apply(state, { type: "fold", playerId: folder.id });
+  const ended = events.find(e => e.event === "hand-ended");
+
+  assert.ok(ended);
+  assert.equal(next.currentTurn, -1);
+  assert.notEqual(ended.payload.winner.id, folder.id);
+  assert.equal(ended.payload.winner.money, 9900 + 200);
+  assert.equal(next.currentHand.actions.at(-1).type, "fold");
+});
+
+test("so bài: người thua bị loại, hai bên thấy bài nhau", () => {
+  const deck = deckFor(
+    [card("A", "hearts"), card("A", "spades"), card("A", "clubs")],
+    [card("2", "clubs"), card("7", "hearts"), card("9", "spades")],
+    [card("3", "clubs"), card("8", "hearts"), card("J", "spades")],
+  );
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"], { compareFromRound: 1, ante: 0 }), deck);
+  // Ghế 1 (b) đi trước, so với a đang cầm ba con át
+  state = apply(state, { type: "view-cards", playerId: "b" }).state;
+  state = apply(state, { type: "call", playerId: "b" }).state;
+  state = apply(state, { type: "call", playerId: "c" }).state;
+  state = apply(state, { type: "call", playerId: "a" }).state;
+  assert.deepEqual(engine.legalActions(state, "b").find(a => a.type === "compare"), { type: "compare", targets: ["a", "c"] });
+
+  const { state: next, events } = apply(state, { type: "compare", playerId: "b", targetPlayerId: "a" });
+  const b = next.players.find(p => p.id === "b");
+  const a = next.players.find(p => p.id === "a");
+
+  assert.equal(b.folded, true);
+  assert.ok(a.revealedTo.includes("b") && b.revealedTo.includes("a"));
+  const results = events.filter(e => e.event === "compare-result");
+  assert.deepEqual(results.map(e => e.to).sort(), ["a", "b"]);
+});
+
+test("không được so bài với chính mình", () => {
+  const { state } = engine.startHand(makeRoom(["a", "b"], { compareFromRound: 1, ante: 0 }), engine.createDeck());
+  const player = turnPlayer(state);
+  const result = engine.applyAction(state, { type: "compare", playerId: player.id, targetPlayerId: player.id });
+  assert.deepEqual(result.error, msg("compare-self"));
+  assert.deepEqual(player.revealedTo, []);
+});
+
+test("all-in thấp chỉ được tranh pot chính", () => {
+  const deck = deckFor(
+    [card("A", "hearts"), card("A", "spades"), card("A", "clubs")], // a: mạnh nhất, ít tiền
+    [card("K", "hearts"), card("K", "spades"), card("2", "clubs")], // b
+    [card("3", "clubs"), card("8", "hearts"), card("J", "spades")], // c
+  );
+  const room = makeRoom(["a", "b", "c"], { ante: 0 });
+  room.players[0].money = 300;
+  let { state } = engine.startHand(room, deck);
+
+  state = apply(state, { type: "all-in", playerId: "b" }).state;
+  state = apply(state, { type: "all-in", playerId: "c" }).state;
+  const { state: next, events } = apply(state, { type: "all-in", playerId: "a" });
+  const { pots } = events.find(e => e.event === "hand-ended").payload;
+
+  assert.equal(pots.length, 2);
+  assert.equal(pots[0].amount, 900);
+  assert.deepEqual(pots[0].winners.map(w => w.playerId), ["a"]);
+  assert.equal(pots[1].amount, 2 * (10000 - 300));
+  assert.deepEqual(pots[1].winners.map(w => w.playerId), ["b"]);
+  assert.equal(next.players.reduce((sum, p) => sum + p.money, 0), 300 + 20000);
+  assert.equal(next.showdown, true);
+});
+
+test("pot chia đều thì chip lẻ về người gần dealer nhất", () => {
+  const room = makeRoom(["a", "b", "c"]);
+  room.dealerIndex = 0;
+  room.pot = 301;
+  room.players.forEach((p) => { p.hand = [card("2", "clubs")]; p.totalContributed = 0; });
+  room.players[0].totalContributed = 101;
+  room.players[1].totalContributed = 100;
+  room.players[2].totalContributed = 100;
+  room.players[0].folded = true;
+  // b và c cùng bộ
+  room.players[1].hand = [card("Q", "hearts"), card("Q", "spades"), card("A", "clubs")];
+  room.players[2].hand = [card("Q", "diamonds"), card("Q", "clubs"), card("A", "hearts")];
+
+  const result = threeCard.resolveHand(room);
+  const payouts = result.pots.flatMap(p => p.winners);
+  const total = (id) => payouts.filter(w => w.playerId === id).reduce((s, w) => s + w.amount, 0);
+  assert.equal(total("b"), 151);
+  assert.equal(total("c"), 150);
+});
+
+// ---------- HẾT GIỜ / MẤT KẾT NỐI ----------
+test("hết giờ: check nếu đã theo đủ, không thì bỏ bài", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  const first = turnPlayer(state).id;
+  // Ante 100 đã đủ theo mức 100 chưa xem bài
+  let result = apply(state, { type: "timeout", playerId: first });
+  assert.equal(result.state.players.find(p => p.id === first).folded, false);
+  assert.equal(result.state.betHistory.at(-1).defaultAction, "check");
+
+  state = apply(result.state, { type: "bet", playerId: turnPlayer(result.state).id, amount: 1000 }).state;
+  const third = turnPlayer(state).id;
+  result = apply(state, { type: "timeout", playerId: third });
+  assert.equal(result.state.players.find(p => p.id === third).folded, true);
+});
+
+test("forfeit ngoài lượt không đổi người đang đi", () => {
+  const { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  const current = state.currentTurn;
+  const absent = state.players.find((p, i) => i !== current).id;
+  const { state: next } = apply(state, { type: "forfeit", playerId: absent, reason: "disconnected" });
+
+  assert.equal(next.players.find(p => p.id === absent).folded, true);
+  assert.equal(next.currentTurn, current);
+});
+
+test("hủy ván trả lại mọi xu đã vào pot và bỏ bản ghi ván", () => {
+  let { state } = engine.startHand(makeRoom(["a", "b", "c"]), engine.createDeck());
+  state = apply(state, { type: "bet", playerId: turnPlayer(state).id, amount: 1000 }).state;
+  const { state: aborted, events } = engine.abortHand(state);
+
+  assert.equal(aborted.pot, 0);
+  assert.ok(aborted.players.every(p => p.money === 10000 && p.totalContributed === 0));
+  assert.equal(aborted.currentTurn, -1);
+  assert.equal(aborted.currentHand, null);
+  assert.deepEqual(events[0].payload.refunds.map(r => r.amount).sort((x, y) => x - y), [100, 100, 550]);
+  assert.deepEqual(engine.abortHand(aborted).error, msg("no-hand-in-progress"));
+});
@@ -0,0 +1,59 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const fairness = require("../src/fairness");
+const { createDeck } = require("../src/engine/cards");
+
+const SERVER_SEED = "a".repeat(64);
+const cardKey = (card) => `${card.rank}${card.suit}`;
+
+// Một ván như server làm: công bố hash, xáo bằng seed, hết ván lộ seed
+const deal = (clientSeed = "alice:bob", nonce = 1) => {
+  const deckOrder = fairness.shuffleDeck(createDeck(), fairness.createSeededRng(SERVER_SEED, clientSeed, nonce));
+  return { serverSeed: SERVER_SEED, serverSeedHash: fairness.hashSeed(SERVER_SEED), clientSeed, nonce, deckOrder };
+};
+
+// ---------- SEED ----------
+test("server seed ngẫu nhiên 32 byte, hash là sha256 công bố trước khi chia", () => {
+  const seed = fairness.generateServerSeed();
+  assert.match(seed, /^[0-9a-f]{64}$/);
+  assert.notEqual(seed, fairness.generateServerSeed());
+  assert.equal(fairness.hashSeed("abc"), crypto.createHash("sha256").update("abc").digest("hex"));
+});
+
+test("seed của người chơi gộp theo thứ tự ghế, bỏ người không góp", () => {
+  assert.equal(fairness.combineClientSeeds([{ seed: "x" }, { seed: "" }, { seed: "y" }, {}]), "x:y");
+  assert.equal(fairness.combineClientSeeds([]), "");
+});
+
+// ---------- XÁO BÀI ----------
+test("cùng seed và nonce thì xáo ra cùng thứ tự, đổi bất kỳ thứ gì là khác", () => {
+  const order = (clientSeed, nonce) => deal(clientSeed, nonce).deckOrder.map(cardKey).join(",");
+  assert.equal(order("alice:bob", 1), order("alice:bob", 1));
+  assert.notEqual(order("alice:bob", 1), order("alice:bob", 2));
+  assert.notEqual(order("alice:bob", 1), order("alice:carol", 1));
+  // Vẫn đủ 52 lá, không trùng, không mất
+  const { deckOrder } = deal();
+  assert.equal(new Set(deckOrder.map(cardKey)).size, 52);
+});
+
+test("số ngẫu nhiên nằm trong [0, max) và phủ đều các giá trị", () => {
+  const rng = fairness.createSeededRng(SERVER_SEED, "seed", 7);
+  const counts = new Array(6).fill(0);
+  for (let i = 0; i < 6000; i++) counts[rng.nextInt(6)]++;
+  assert.ok(counts.every(c => c > 850 && c < 1150), counts.join(","));
+});
+
+// ---------- KIỂM CHỨNG SAU VÁN ----------
+test("kiểm chứng đúng ván vừa chơi, sai nếu seed, hash hay thứ tự bài bị đổi", () => {
+  const record = deal();
+  const base = createDeck();
+  assert.equal(fairness.verifyDeal(record, base), true);
+  assert.equal(fairness.verifyDeal({ ...record, serverSeed: "b".repeat(64) }, base), false);
+  assert.equal(fairness.verifyDeal({ ...record, serverSeedHash: fairness.hashSeed("other") }, base), false);
+  assert.equal(fairness.verifyDeal({ ...record, clientSeed: "mallory" }, base), false);
+  const swapped = [...record.deckOrder];
+  [swapped[0], swapped[1]] = [swapped[1], swapped[0]];
+  assert.equal(fairness.verifyDeal({ ...record, deckOrder: swapped }, base), false);
+  assert.equal(fairness.verifyDeal({ ...record, deckOrder: record.deckOrder.slice(1) }, base), false);
+});
@@ -0,0 +1,108 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const history = require("../src/history");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+
+// ---------- DỮ LIỆU MẪU ----------
+const deck = engine.createDeck();
+const SUIT_CODES = { H: "hearts", D: "diamonds", C: "clubs", S: "spades" };
+const cards = (text) => text.split(" ").map((code) => {
+  const rank = code.slice(0, -1);
+  const suit = SUIT_CODES[code.slice(-1)];
+  return deck.find(c => c.rank === rank && c.suit === suit);
+});
+
+const makeRoom = (variant = "kim-hoa") => {
+  const players = ["a", "b", "c"].map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false, currentBet: 0, allIn: false, revealedTo: [],
+  }));
+  return {
+    code: "TEST01", variant, players, gameState: "playing", dealerIndex: -1, pot: 0, deck: [], currentTurn: 0,
+    tournamentPlayers: [...players], handsPlayed: 0, currentHand: null,
+    fairness: { serverSeedHash: "hash", lastReveal: { serverSeed: "seed", nonce: 1 } },
+    settings: { ...DEFAULT_SETTINGS, ...engine.getVariant(variant).defaultSettings },
+  };
+};
+
+const apply = (state, action) => {
+  const result = engine.applyAction(state, action);
+  assert.equal(result.error, undefined, result.error);
+  return result;
+};
+
+const turnId = (state) => state.players[state.currentTurn].id;
+
+// Ván kim-hoa: b (ngồi sau dealer) xem bài rồi cược, c theo, a bỏ, rồi lật bài; b mạnh nhất
+const playHand = () => {
+  // Bộ bài chia từ cuối, mỗi người 3 lá liên tiếp theo thứ tự ghế
+  let { state } = engine.startHand(makeRoom(), [cards("7D 5S 3H"), cards("AH AD AS"), cards("KH QS 2C")].flat().reverse());
+  let result;
+  state = apply(state, { type: "view-cards", playerId: turnId(state) }).state;
+  state = apply(state, { type: "bet", playerId: turnId(state), amount: 200 }).state;
+  state = apply(state, { type: "call", playerId: turnId(state) }).state;
+  ({ state } = result = apply(state, { type: "fold", playerId: turnId(state) }));
+  while (!result.events.some(e => e.event === "hand-ended")) {
+    const actions = engine.legalActions(state, turnId(state)).map(a => a.type);
+    ({ state } = result = apply(state, { type: actions.includes("check") ? "check" : "call", playerId: turnId(state) }));
+  }
+  return { state, ended: result.events.find(e => e.event === "hand-ended").payload };
+};
+
+// ---------- GHI VÁN ----------
+test("bản ghi ván có bài tẩy, ante, mọi hành động, pot và seed được lộ", () => {
+  const { state, ended } = playHand();
+  const record = history.finishHandRecord(state, ended);
+
+  assert.equal(state.currentHand, null);
+  assert.ok(!("handHistory" in state));
+  assert.equal(record.handNumber, 1);
+  assert.ok(record.endedAt);
+  assert.deepEqual(record.players.map(p => p.startingMoney), [10000, 10000, 10000]);
+  assert.deepEqual(record.players[1].hand.map(c => c.rank), ["A", "A", "A"]);
+  assert.equal(record.antes.length, 3);
+  assert.deepEqual(record.actions.slice(0, 4).map(a => a.type), ["view-cards", "bet", "call", "fold"]);
+  assert.deepEqual(record.actions.map(a => a.seq), record.actions.map((a, i) => i + 1));
+  assert.deepEqual(record.fairness, { serverSeed: "seed", nonce: 1 });
+  // Người bỏ bài không bị lật
+  assert.deepEqual(record.reveals.map(r => r.playerId), ["b", "c"]);
+
+  const summary = history.summarizeHand(record);
+  assert.equal(summary.pot, ended.pot);
+  assert.deepEqual(summary.winners, ["B"]);
+  assert.equal(summary.actionCount, record.actions.length);
+});
+
+test("ván bị hủy thì bỏ bản ghi dở", () => {
+  const { state } = engine.startHand(makeRoom(), deck);
+  history.discardHandRecord(state);
+  assert.equal(state.currentHand, null);
+  assert.equal(history.finishHandRecord(state, { pots: [] }), null);
+});
+
+// ---------- REPLAY ----------
+test("replay đi từng bước, chỉ có trạng thái công khai và khớp kết quả cuối ván", () => {
+  const { state, ended } = playHand();
+  const record = history.finishHandRecord(state, ended);
+  const steps = history.buildReplaySteps(record);
+
+  assert.equal(steps.length, record.actions.length + 2);
+  assert.equal(steps[0].event.type, "deal");
+  assert.equal(steps[0].state.pot, record.antes.reduce((sum, a) => sum + a.amount, 0));
+  assert.equal(steps.at(-1).event.type, "showdown");
+  assert.ok(steps.slice(0, -1).every(step => step.state.players.every(p => !("hand" in p))));
+  // Tiền của mỗi người ở bước cuối đúng bằng tiền sau ván
+  assert.deepEqual(steps.at(-1).state.players.map(p => p.money), state.players.map(p => p.money));
+  assert.equal(steps.at(-2).state.pot, ended.pot);
+});
+
+test("replay Tiến Lên theo dõi số lá còn lại và bộ bài trên bàn", () => {
+  let { state } = engine.startHand(makeRoom("tien-len"), deck);
+  const leader = state.players[state.currentTurn];
+  const lowest = leader.hand[0];
+  state = apply(state, { type: "play", playerId: leader.id, cards: [lowest] }).state;
+  const steps = history.buildReplaySteps(state.currentHand);
+  const after = steps[1].state;
+  assert.equal(after.players.find(p => p.playerId === leader.id).cardCount, 12);
+  assert.deepEqual(after.trick.cards.map(c => c.rank), [lowest.rank]);
+});
@@ -0,0 +1,58 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../src/i18n");
+const vi = require("../src/i18n/vi");
+const en = require("../src/i18n/en");
+const { evaluateHand } = require("../src/engine/ranking");
+const { createDeck } = require("../src/engine/cards");
+
+const { msg, render, localize } = i18n;
+
+test("mọi catalog có cùng bộ mã và đủ chỗ chèn", () => {
+  assert.deepEqual(Object.keys(en.messages).sort(), Object.keys(vi.messages).sort());
+  const params = (template) => (template.match(/\{\w+\}/g) || []).sort();
+  for (const [code, template] of Object.entries(vi.messages)) {
+    assert.deepEqual(params(en.messages[code]), params(template), code);
+  }
+});
+
+test("dựng câu theo ngôn ngữ, số định dạng theo catalog", () => {
+  const message = msg("must-call", { amount: 12500 });
+  assert.equal(render("vi", message), "Bạn phải theo 12.500 xu hoặc bỏ bài");
+  assert.equal(render("en", message), "You must call 12,500 chips or fold");
+  assert.equal(render("en", msg("invalid-period", { periods: ["daily", "weekly"] })), "Period must be one of daily, weekly");
+  // Mã lạ: trả về chính mã, không ném lỗi
+  assert.equal(render("en", msg("no-such-code")), "no-such-code");
+});
+
+test("mô tả bộ bài là thông điệp lồng nhau", () => {
+  const deck = createDeck();
+  const flush = evaluateHand(["2", "7", "J"].map(rank => deck.find(c => c.rank === rank && c.suit === "hearts")));
+  assert.equal(render("vi", flush.description), "Đồng chất cơ");
+  assert.equal(render("en", msg("player-compare", { player: "An", target: flush.description })), "An compared cards with Flush of hearts!");
+});
+
+test("localize thêm code và params cạnh câu đã dựng", () => {
+  const payload = {
+    roomCode: "AB12CD",
+    message: msg("player-all-in", { player: "An", amount: 1000 }),
+    handEvaluation: { type: "pair", description: msg("hand-pair", { rank: "Q" }) },
+  };
+  assert.deepEqual(localize("en", payload), {
+    roomCode: "AB12CD",
+    message: "An goes ALL-IN for 1,000 chips!",
+    code: "player-all-in",
+    params: { player: "An", amount: 1000 },
+    handEvaluation: { type: "pair", description: "Pair of Qs" },
+  });
+  assert.deepEqual(localize("vi", { error: msg("room-full") }), { error: "Phòng đầy", code: "room-full", params: {} });
+  assert.ok(!i18n.hasMessages({ roomCode: "AB12CD", players: [{ name: "An" }] }));
+  assert.ok(i18n.hasMessages({ players: [{ evaluation: { description: msg("hand-bu") } }] }));
+});
+
+test("chọn ngôn ngữ từ tham số hoặc Accept-Language", () => {
+  assert.equal(i18n.resolveLocale("en"), "en");
+  assert.equal(i18n.resolveLocale(undefined, "fr-FR,en-US;q=0.8,vi;q=0.5"), "en");
+  assert.equal(i18n.resolveLocale("de", "ja"), i18n.DEFAULT_LOCALE);
+  assert.equal(i18n.resolveLocale("EN-gb", "vi"), "en");
+});
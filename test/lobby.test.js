@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const lobby = require("../src/lobby");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+
+let seq = 0;
+const makeRoom = ({ variant = "kim-hoa", settings = {}, players = 1, ...rest } = {}) => {
+  seq++;
+  return {
+    code: `R${seq}`,
+    variant,
+    host: "u0",
+    gameState: "waiting",
+    settings: { ...DEFAULT_SETTINGS, ...settings },
+    players: Array.from({ length: players }, (_, i) => ({ name: `P${i}`, userId: `u${i}` })),
+    passwordHash: null,
+    spectatorCount: 0,
+    createdAt: new Date(Date.UTC(2024, 0, 1, 0, 0, seq)).toISOString(),
+    ...rest,
+  };
+};
+
+// ---------- DANH SÁCH PHÒNG ----------
+test("sảnh ẩn phòng riêng, bàn giải và phòng đã xong", () => {
+  const rooms = [
+    makeRoom(),
+    makeRoom({ settings: { visibility: "private" } }),
+    makeRoom({ tournamentId: "T1" }),
+    makeRoom({ gameState: "ended" }),
+    makeRoom({ gameState: "playing", variant: "lieng" }),
+  ];
+  const entries = rooms.filter(lobby.isListed).map(lobby.indexRoom);
+  assert.deepEqual(lobby.listPublicRooms(entries).map(r => r.code), [rooms[0].code, rooms[4].code]);
+  assert.deepEqual(lobby.listPublicRooms(entries, { variant: "lieng" }).map(r => r.code), [rooms[4].code]);
+  assert.deepEqual(lobby.listPublicRooms(entries, { state: "waiting" }).map(r => r.code), [rooms[0].code]);
+  assert.equal(lobby.listPublicRooms(entries)[0].userIds, undefined);
+});
+
+test("bản tóm tắt có mức cược, số ghế, khán giả nhưng không lộ mật khẩu", () => {
+  const room = makeRoom({ players: 3, spectatorCount: 2, passwordHash: { salt: "s", hash: "h" } });
+  room.players[2].isBot = true;
+  const summary = lobby.summarizeRoom(room);
+  assert.equal(summary.host, "P0");
+  assert.deepEqual(summary.seats, { taken: 3, max: DEFAULT_SETTINGS.maxPlayers, bots: 1 });
+  assert.equal(summary.stakes.minBet, DEFAULT_SETTINGS.minBet);
+  assert.equal(summary.spectators, 2);
+  assert.equal(summary.hasPassword, true);
+  assert.ok(!JSON.stringify(summary).includes("\"h\""));
+});
+
+// ---------- QUICK-MATCH ----------
+test("quick-match chọn phòng có mức cược gần nhất, rồi phòng đông hơn", () => {
+  const far = makeRoom({ settings: { minBet: 1000 } });
+  const close = makeRoom({ settings: { minBet: 150 } });
+  const exact = makeRoom({ settings: { minBet: 100 } });
+  const exactFuller = makeRoom({ settings: { minBet: 100 }, players: 3 });
+  const find = (rooms) =>
+    lobby.findQuickMatch(rooms.map(lobby.indexRoom), { variant: "kim-hoa", stakes: { minBet: 100 }, userId: "x" })?.code;
+  assert.equal(find([far, close, exact, exactFuller]), exactFuller.code);
+  assert.equal(find([far, close, exact]), exact.code);
+  assert.equal(find([far, close]), close.code);
+  assert.equal(find([far]), undefined);
+});
+
+test("quick-match bỏ qua phòng có mật khẩu, đầy, sai biến thể, đã ngồi, bị mời ra hoặc không đủ tiền", () => {
+  const rooms = [
+    makeRoom({ passwordHash: { salt: "s", hash: "h" } }),
+    makeRoom({ settings: { maxPlayers: 2 }, players: 2 }),
+    makeRoom({ variant: "lieng" }),
+    makeRoom({ gameState: "playing" }),
+    makeRoom({ settings: { entryFee: 5000 } }),
+    makeRoom({ bannedUsers: ["x"] }),
+  ];
+  const entries = rooms.map(lobby.indexRoom);
+  const options = { variant: "kim-hoa", stakes: {}, userId: "x", balance: 1000 };
+  assert.equal(lobby.findQuickMatch(entries, options), null);
+  // Khách không có ví nên không bị chặn bởi entryFee
+  assert.equal(lobby.findQuickMatch(entries, { ...options, balance: null }).code, rooms[4].code);
+  assert.equal(lobby.findQuickMatch(entries, { ...options, balance: null, userId: "u0" }), null);
+});
@@ -0,0 +1,66 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createRegistry, createRateWindow } = require("../src/metrics");
+const { createLogger } = require("../src/logger");
+const { createAuditLog } = require("../src/audit");
+const { createMemoryStorage } = require("../src/storage");
+
+// ---------- PROMETHEUS ----------
+test("registry xuất counter, gauge và histogram theo định dạng text", () => {
+  const registry = createRegistry();
+  const errors = registry.counter({ name: "errors_total", help: "Lỗi" });
+  registry.gauge({ name: "rooms", help: "Phòng", collect: () => [{ labels: { state: "playing" }, value: 2 }] });
+  const duration = registry.histogram({ name: "duration_seconds", help: "Thời gian", buckets: [0.01, 0.1] });
+
+  errors.inc({ event: "bet", reason: "invalid-payload" });
+  errors.inc({ reason: "invalid-payload", event: "bet" });
+  errors.inc({ event: 'say "hi"' });
+  duration.observe({ event: "bet" }, 0.05);
+
+  const lines = registry.render().split("\n");
+  assert.ok(lines.includes("# TYPE errors_total counter"));
+  assert.ok(lines.includes('errors_total{event="bet",reason="invalid-payload"} 2'));
+  assert.ok(lines.includes('errors_total{event="say \\"hi\\""} 1'));
+  assert.ok(lines.includes('rooms{state="playing"} 2'));
+  assert.ok(lines.includes('duration_seconds_bucket{event="bet",le="0.01"} 0'));
+  assert.ok(lines.includes('duration_seconds_bucket{event="bet",le="0.1"} 1'));
+  assert.ok(lines.includes('duration_seconds_bucket{event="bet",le="+Inf"} 1'));
+  assert.ok(lines.includes('duration_seconds_count{event="bet"} 1'));
+});
+
+test("cửa sổ trượt chỉ đếm các mốc trong windowMs gần nhất", () => {
+  const window = createRateWindow(60000);
+  [0, 10000, 50000].forEach(t => window.mark(t));
+  assert.equal(window.count(55000), 3);
+  assert.equal(window.count(65000), 2);
+  assert.equal(window.count(200000), 0);
+});
+
+// ---------- LOG & NHẬT KÝ QUẢN TRỊ ----------
+test("logger ghi mỗi dòng một object JSON, lọc theo level", () => {
+  const lines = [];
+  const logger = createLogger({ level: "info", write: (level, line) => lines.push(JSON.parse(line)), now: () => 0 })
+    .child({ instance: "i1" });
+  logger.debug("bỏ qua");
+  logger.error("room save failed", { roomCode: "AB12CD", err: new Error("disk full") });
+
+  assert.equal(lines.length, 1);
+  assert.equal(lines[0].time, "1970-01-01T00:00:00.000Z");
+  assert.equal(lines[0].level, "error");
+  assert.equal(lines[0].instance, "i1");
+  assert.equal(lines[0].err.message, "disk full");
+});
+
+test("nhật ký quản trị chỉ ghi thêm, mới nhất trước và được nạp lại từ storage", () => {
+  const storage = createMemoryStorage();
+  const logger = createLogger({ write: () => {} });
+  const audit = createAuditLog({ storage, logger });
+  const actor = { accountId: "acc-1", username: "admin" };
+  audit.record({ actor, action: "close-room", target: "AB12CD" });
+  audit.record({ actor, action: "adjust-balance", target: "acc-2", details: { amount: 500 }, ok: false });
+
+  const reloaded = createAuditLog({ storage, logger });
+  assert.deepEqual(reloaded.list().map(e => [e.seq, e.action, e.ok]), [[2, "adjust-balance", false], [1, "close-room", true]]);
+  assert.deepEqual(reloaded.list({ action: "close-room" }).map(e => e.target), ["AB12CD"]);
+  assert.equal(reloaded.record({ actor, action: "kick-player", target: "AB12CD" }).seq, 3);
+});
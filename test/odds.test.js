@@ -0,0 +1,153 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { createDeck, parseCard } = require("../src/engine/cards");
+const { evaluateHand, compareHands } = require("../src/engine/ranking");
+const { handOdds, OPPONENT_HANDS } = require("../src/engine/odds");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+const { render } = require("../src/i18n");
+
+const deck = createDeck();
+const hand = (text) => text.split(" ").map(parseCard);
+
+// Đếm thẳng từng bộ đối thủ, để đối chiếu với bảng tra
+const bruteForce = (cards, settings) => {
+  const mine = evaluateHand(cards, settings);
+  const rest = deck.filter(c => !cards.some(m => m.rank === c.rank && m.suit === c.suit));
+  const counts = { wins: 0, ties: 0, losses: 0 };
+  for (let a = 0; a < rest.length; a++) {
+    for (let b = a + 1; b < rest.length; b++) {
+      for (let c = b + 1; c < rest.length; c++) {
+        const result = compareHands(mine, evaluateHand([rest[a], rest[b], rest[c]], settings));
+        counts[result > 0 ? "wins" : result < 0 ? "losses" : "ties"]++;
+      }
+    }
+  }
+  return counts;
+};
+
+// Hai đối thủ: liệt kê các bộ không mạnh hơn mình rồi đếm từng cặp không trùng lá
+const bruteForceTwo = (cards, settings) => {
+  const mine = evaluateHand(cards, settings);
+  const rest = deck.filter(c => !cards.some(m => m.rank === c.rank && m.suit === c.suit));
+  const weaker = [];
+  const equal = [];
+  for (let a = 0; a < rest.length; a++) {
+    for (let b = a + 1; b < rest.length; b++) {
+      for (let c = b + 1; c < rest.length; c++) {
+        const result = compareHands(mine, evaluateHand([rest[a], rest[b], rest[c]], settings));
+        if (result > 0) weaker.push([a, b, c]);
+        if (result === 0) equal.push([a, b, c]);
+      }
+    }
+  }
+  const countDeals = (hands) => hands.reduce((sum, first) => sum + hands.filter(second => !second.some(c => first.includes(c))).length, 0);
+  return { wins: countDeals(weaker), notLose: countDeals([...weaker, ...equal]) };
+};
+
+test("parseCard đọc ký hiệu ngắn", () => {
+  assert.deepEqual(parseCard("10h"), deck.find(c => c.rank === "10" && c.suit === "hearts"));
+  assert.equal(parseCard(" AS ").suit, "spades");
+  assert.equal(parseCard("1S"), null);
+  assert.equal(parseCard("AX"), null);
+});
+
+test("bảng tra khớp với đếm trực tiếp một chọi một", () => {
+  const cases = [
+    ["KH QS 2C", {}],
+    ["7D 7S 4H", { suitTiebreak: true }],
+    ["AH 2S 3C", { a23Straight: "highest" }],
+    ["9C 9D 5S", { handRanking: "cao" }],
+    ["JH QS KC", { handRanking: "ba-tay" }],
+  ];
+  for (const [text, settings] of cases) {
+    const { odds } = handOdds(hand(text), { settings });
+    const { wins, ties, losses } = odds.headsUp;
+    assert.deepEqual({ wins, ties, losses }, bruteForce(hand(text), settings), text);
+    assert.equal(odds.win, wins / OPPONENT_HANDS);
+  }
+});
+
+test("xác suất cộng lại bằng 1 và giảm dần khi thêm đối thủ", () => {
+  const one = handOdds(hand("QH QD 8S"), { opponents: 1 }).odds;
+  const four = handOdds(hand("QH QD 8S"), { opponents: 4 }).odds;
+  for (const odds of [one, four]) assert.ok(Math.abs(odds.win + odds.tie + odds.loss - 1) < 1e-12);
+  assert.ok(four.win < one.win);
+  assert.equal(four.opponents, 4);
+  // Tới hai đối thủ là chính xác, từ ba đối thủ được đánh dấu là ước lượng
+  assert.equal(one.estimate, false);
+  assert.equal(handOdds(hand("QH QD 8S"), { opponents: 2 }).odds.estimate, false);
+  assert.equal(four.estimate, true);
+  assert.equal(render("vi", one.hand.description), "Đôi Q");
+});
+
+test("hai đối thủ là xác suất chính xác, khớp với đếm trực tiếp mọi cách chia", () => {
+  const deals = OPPONENT_HANDS * 15180;
+  for (const [text, settings] of [["7C 4D 2H", {}], ["9C 6D 2S", { suitTiebreak: true }]]) {
+    const { odds } = handOdds(hand(text), { opponents: 2, settings });
+    const { wins, notLose } = bruteForceTwo(hand(text), settings);
+    assert.equal(odds.win, wins / deals, text);
+    assert.ok(Math.abs(odds.win + odds.tie - notLose / deals) < 1e-15, text);
+  }
+  // Đối thủ thứ hai không thể cầm lá mà đối thủ đầu đã cầm, nên khác với bình phương một chọi một
+  const { odds } = handOdds(hand("QH QD 8S"), { opponents: 2 });
+  assert.notEqual(odds.win, (odds.headsUp.wins / OPPONENT_HANDS) ** 2);
+});
+
+test("ba lá A không thua ai theo luật chuẩn", () => {
+  const odds = handOdds(hand("AH AD AS"), { opponents: 5 }).odds;
+  assert.equal(odds.win, 1);
+  assert.equal(odds.hand.type, "three-of-a-kind");
+});
+
+test("cùng bộ bài nhưng xác suất theo cách xếp hạng của phòng", () => {
+  // Luật chuẩn là đôi Q; tính điểm (Liêng) chỉ là 5 điểm
+  const standard = handOdds(hand("QH QD 5S")).odds;
+  const cao = handOdds(hand("QH QD 5S"), { settings: { handRanking: "cao" } }).odds;
+  assert.equal(standard.hand.type, "pair");
+  assert.equal(render("vi", cao.hand.description), "5 điểm");
+  assert.ok(standard.win > 0.8);
+  assert.ok(cao.win < 0.6);
+  assert.ok(cao.percentile < standard.percentile);
+});
+
+test("từ chối bộ bài và số đối thủ không hợp lệ", () => {
+  assert.ok(handOdds(hand("AH AD")).error);
+  assert.ok(handOdds(hand("AH AH KS")).error);
+  assert.ok(handOdds([{ rank: "1", suit: "hearts" }, ...hand("AD KS")]).error);
+  assert.ok(handOdds(hand("AH AD KS"), { opponents: 0 }).error);
+  assert.ok(handOdds(hand("AH AD KS"), { opponents: 17 }).error);
+});
+
+// ---------- CHẾ ĐỘ LUYỆN TẬP ----------
+const makeRoom = (variant, settings) => {
+  const players = ["a", "b", "c"].map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false, currentBet: 0, allIn: false, revealedTo: [],
+  }));
+  return {
+    code: "TEST01", variant, players, gameState: "playing", dealerIndex: -1, pot: 0, deck: [], currentTurn: 0,
+    tournamentPlayers: [...players], handsPlayed: 0, currentHand: null, fairness: { serverSeedHash: "hash" },
+    settings: { ...DEFAULT_SETTINGS, ...engine.getVariant(variant).defaultSettings, ...settings },
+  };
+};
+
+test("chế độ luyện tập: xem bài kèm xác suất trước những người còn trong ván", () => {
+  const { state } = engine.startHand(makeRoom("kim-hoa", { trainingMode: true }), deck);
+  const player = state.players[state.currentTurn];
+  const { events } = engine.applyAction(state, { type: "view-cards", playerId: player.id });
+  const reveal = events.find(e => e.event === "cards-revealed");
+  assert.deepEqual(reveal.payload.odds, handOdds(player.hand, { opponents: 2, settings: state.settings }).odds);
+
+  const plain = engine.startHand(makeRoom("kim-hoa", {}), deck).state;
+  const viewed = engine.applyAction(plain, { type: "view-cards", playerId: player.id }).events;
+  assert.equal(viewed.find(e => e.event === "cards-revealed").payload.odds, undefined);
+});
+
+test("chế độ luyện tập: Liêng tự lật bài nên gửi xác suất ngay khi chia", () => {
+  const { events } = engine.startHand(makeRoom("lieng", { handRanking: "cao", trainingMode: true }), deck);
+  const reveals = events.filter(e => e.event === "cards-revealed");
+  assert.deepEqual(reveals.map(e => e.to), ["a", "b", "c"]);
+  assert.equal(reveals[0].payload.handEvaluation.type, reveals[0].payload.odds.hand.type);
+
+  assert.ok(!engine.startHand(makeRoom("lieng", { handRanking: "cao" }), deck).events.some(e => e.event === "cards-revealed"));
+});
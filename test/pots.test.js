@@ -0,0 +1,75 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { commitChips, buildPots, settlePots, refundPots } = require("../src/engine/pots");
+
+// ---------- DỮ LIỆU MẪU ----------
+// contributions: { id: số chip đã bỏ vào pot }, folded: các id đã bỏ bài
+const makeRoom = (contributions, folded = []) => {
+  const room = { pot: 0, dealerIndex: 0, players: [] };
+  for (const [id, amount] of Object.entries(contributions)) {
+    const player = { id, name: id.toUpperCase(), money: 1000, currentBet: 0, totalContributed: 0, folded: folded.includes(id) };
+    room.players.push(player);
+    commitChips(room, player, amount);
+  }
+  return room;
+};
+
+// Người đứng trước trong strength thắng
+const byStrength = (strength) => (a, b) => strength.indexOf(b.id) - strength.indexOf(a.id);
+
+const summarize = (pots) => pots.map(pot => ({ amount: pot.amount, eligible: pot.eligible.map(p => p.id) }));
+
+// ---------- CHIA POT PHỤ ----------
+test("commitChips trừ tiền người chơi và cộng vào pot", () => {
+  const room = makeRoom({ a: 300, b: 100 });
+  assert.equal(room.pot, 400);
+  assert.deepEqual(room.players.map(p => [p.money, p.currentBet, p.totalContributed]), [[700, 300, 300], [900, 100, 100]]);
+});
+
+test("mỗi mức all-in tách một pot phụ chỉ những người đóng đủ được tranh", () => {
+  const room = makeRoom({ a: 100, b: 300, c: 500, d: 500 });
+  assert.deepEqual(summarize(buildPots(room)), [
+    { amount: 400, eligible: ["a", "b", "c", "d"] },
+    { amount: 600, eligible: ["b", "c", "d"] },
+    { amount: 400, eligible: ["c", "d"] },
+  ]);
+});
+
+test("tiền của người bỏ bài vẫn vào pot, mức không còn ai tranh dồn vào pot trước", () => {
+  // d bỏ bài sau khi đóng nhiều nhất: phần vượt mức của c không ai tranh
+  const room = makeRoom({ a: 100, b: 300, c: 300, d: 400 }, ["d"]);
+  assert.deepEqual(summarize(buildPots(room)), [
+    { amount: 400, eligible: ["a", "b", "c"] },
+    { amount: 700, eligible: ["b", "c"] },
+  ]);
+  assert.equal(buildPots(room).reduce((sum, pot) => sum + pot.amount, 0), room.pot);
+});
+
+test("người all-in ít thắng pot chính, pot phụ về người mạnh nhất còn lại", () => {
+  const room = makeRoom({ a: 100, b: 300, c: 300 });
+  const result = settlePots(room, byStrength(["a", "c", "b"]));
+  assert.deepEqual(result.pots.map(pot => pot.winners.map(w => [w.playerId, w.amount])), [[["a", 300]], [["c", 400]]]);
+  assert.equal(result.winner.id, "a");
+  assert.deepEqual(result.winners.map(p => p.id), ["a", "c"]);
+  assert.deepEqual(room.players.map(p => p.money), [900 + 300, 700, 700 + 400]);
+});
+
+test("hòa thì chia đều, chip lẻ cho người gần dealer nhất", () => {
+  const room = makeRoom({ a: 101, b: 100, c: 100 }, ["a"]);
+  room.dealerIndex = 1; // c ngồi ngay sau dealer
+  const result = settlePots(room, () => 0);
+  assert.deepEqual(result.pots[0].winners.map(w => [w.playerId, w.amount]), [["c", 151], ["b", 150]]);
+});
+
+test("người hết tiền sau khi chia pot bị loại", () => {
+  const room = makeRoom({ a: 1000, b: 1000 });
+  const result = settlePots(room, byStrength(["b", "a"]));
+  assert.deepEqual(result.eliminated.map(p => p.id), ["a"]);
+});
+
+test("hủy ván trả lại đúng phần mỗi người đã góp", () => {
+  const room = makeRoom({ a: 100, b: 300 }, ["a"]);
+  assert.deepEqual(refundPots(room).map(r => [r.playerId, r.amount]), [["a", 100], ["b", 300]]);
+  assert.deepEqual(room.players.map(p => [p.money, p.totalContributed, p.currentBet]), [[1000, 0, 0], [1000, 0, 0]]);
+  assert.equal(room.pot, 0);
+});
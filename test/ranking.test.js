@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createDeck } = require("../src/engine/cards");
+const { evaluateHand, compareHands, countPoints } = require("../src/engine/ranking");
+const { render } = require("../src/i18n");
+
+const deck = createDeck();
+// "KH QS 2C" -> 3 lá K♥ Q♠ 2♣
+const SUIT_CODES = { H: "hearts", D: "diamonds", C: "clubs", S: "spades" };
+const hand = (text) => text.split(" ").map((code) => {
+  const rank = code.slice(0, -1);
+  const suit = SUIT_CODES[code.slice(-1)];
+  return deck.find(c => c.rank === rank && c.suit === suit);
+});
+const compare = (a, b, options) => compareHands(evaluateHand(hand(a), options), evaluateHand(hand(b), options));
+
+// ---------- BÀI CHUẨN ----------
+test("A-2-3 mặc định là sảnh nhỏ nhất", () => {
+  assert.equal(compare("AH 2S 3C", "4H 2S 3D"), -1);
+  assert.equal(compare("AH 2S 3C", "AD KS QC"), -1);
+  assert.equal(render("vi", evaluateHand(hand("AH 2S 3C")).description), "Sảnh A-2-3");
+});
+
+test("a23Straight = highest: A-2-3 thắng cả Q-K-A", () => {
+  const options = { a23Straight: "highest" };
+  assert.equal(compare("AH 2S 3C", "AD KS QC", options), 1);
+  assert.equal(compare("AH 2H 3H", "AD KD QD", options), 1);
+});
+
+test("so theo nhóm bài trước rồi mới tới kicker", () => {
+  // Đôi 9 kicker A không được hòa với đồng chất có cùng lá
+  assert.equal(compare("9H 9S AC", "2D 5D 9D"), -1);
+  assert.equal(compare("KH KS 2C", "QH QS AC"), 1);
+  assert.equal(compare("KH KS 3C", "KD KC 2H"), 1);
+  assert.equal(compare("KH 9S 3C", "KD 9C 2H"), 1);
+  assert.equal(compare("KH 9H 3H", "KD 9D 3D"), 0);
+});
+
+test("suitTiebreak phân thắng thua khi bằng bài", () => {
+  const options = { suitTiebreak: true };
+  assert.equal(compare("KH 9H 3H", "KD 9D 3D", options), 1); // cơ > rô
+  assert.equal(compare("5S 6S 7S", "5C 6C 7C", options), -1); // bích < chuồn
+  // Vẫn so nhóm bài trước
+  assert.equal(compare("KS KC 2S", "AH QD 3H", options), 1);
+});
+
+// ---------- BA CÂY / BA TÂY / CÀO ----------
+test("Ba Cây tính hàng đơn vị, A = 1, 10 và hình = 10", () => {
+  assert.equal(countPoints(hand("AH 2S 6C")), 9);
+  assert.equal(countPoints(hand("KH QS 10C")), 0);
+  assert.equal(countPoints(hand("9H 9S 5C")), 3);
+
+  const options = { handRanking: "ba-cay" };
+  assert.equal(render("vi", evaluateHand(hand("KH QS 10C"), options).description), "Bù");
+  assert.equal(compare("AH 2S 6C", "7H 7S 4C", options), 1);
+  // Ba Cây không có ba tây hay sáp
+  assert.equal(compare("KH QS JC", "AH AS AC", options), -1);
+});
+
+test("Ba Tây thắng mọi bộ tính điểm", () => {
+  const options = { handRanking: "ba-tay" };
+  assert.equal(evaluateHand(hand("KH QS JC"), options).type, "ba-tay");
+  assert.equal(compare("KH QS JC", "AH 2S 6C", options), 1);
+  assert.equal(compare("KH QS JC", "JH KS QD", options), 0);
+});
+
+test("Cào: sáp > liêng > ba tây > điểm", () => {
+  const options = { handRanking: "cao" };
+  assert.equal(compare("2H 2S 2C", "QH KS AC", options), 1);
+  assert.equal(compare("QH KS AC", "KH QS JC", options), 1);
+  assert.equal(compare("KH QS JC", "AH 2S 6C", options), 1);
+  assert.equal(render("vi", evaluateHand(hand("AH 2S 3C"), options).description), "Liêng A-2-3");
+});
+
+test("Ba Cây bằng điểm thì so chất rô > cơ > bích > chuồn", () => {
+  const options = { handRanking: "ba-cay", suitTiebreak: true };
+  assert.equal(compare("AD 2S 6C", "AH 3S 5C", options), 1);
+  assert.equal(compare("9S KH 10C", "9C JH QS", options), 1);
+});
+
+test("so chất: hai bộ không chung lá nào không bao giờ hòa", () => {
+  // Mọi bộ 3 lá từ 9 đến A, từng cặp không trùng lá (như hai người cùng ván)
+  const cards = deck.filter(c => c.value >= 9);
+  for (const handRanking of ["standard", "ba-cay", "ba-tay", "cao"]) {
+    const options = { handRanking, suitTiebreak: true };
+    const hands = [];
+    for (let a = 0; a < cards.length; a++) {
+      for (let b = a + 1; b < cards.length; b++) {
+        for (let c = b + 1; c < cards.length; c++) hands.push({ cards: [cards[a], cards[b], cards[c]], evaluation: evaluateHand([cards[a], cards[b], cards[c]], options) });
+      }
+    }
+    for (let i = 0; i < hands.length; i++) {
+      for (let j = i + 1; j < hands.length; j++) {
+        if (hands[i].cards.some(c => hands[j].cards.includes(c))) continue;
+        assert.notEqual(compareHands(hands[i].evaluation, hands[j].evaluation), 0, handRanking);
+      }
+    }
+  }
+  // Cùng điểm, lá cao nhất cùng chất thì lá lớn hơn thắng
+  assert.equal(compare("KH 5S 4C", "QH 6S 3C", { handRanking: "ba-cay", suitTiebreak: true }), 1);
+});
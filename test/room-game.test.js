@@ -0,0 +1,94 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { collectBuyIns, startRoomGame } = require("../src/room-game");
+const { createAccounts } = require("../src/accounts");
+const { createMemoryStorage } = require("../src/storage");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+const { msg } = require("../src/i18n");
+
+const setup = () => {
+  const accounts = createAccounts({ storage: createMemoryStorage(), startingBalance: 1000 });
+  const alice = accounts.register({ username: "alice", password: "secret1" }).account;
+  const bob = accounts.register({ username: "bob", password: "secret1" }).account;
+  const room = {
+    code: "AB12CD",
+    gameState: "waiting",
+    settings: { ...DEFAULT_SETTINGS, entryFee: 300 },
+    players: [
+      { id: "a", name: "Alice", accountId: alice.id, money: 0 },
+      { id: "b", name: "Bob", accountId: bob.id, money: 0 },
+      { id: "bot", name: "Bot", accountId: null, money: 0 },
+    ],
+  };
+  return { accounts, alice, bob, room };
+};
+
+// ---------- BUY-IN ----------
+test("thu buy-in của người có tài khoản dưới một ref", async () => {
+  const { accounts, alice, bob, room } = setup();
+  assert.deepEqual(await collectBuyIns(accounts, room), { debited: [alice.id, bob.id] });
+  assert.equal(alice.balance, 700);
+  assert.equal(room.prizePool, 600);
+  assert.equal(accounts.reconcile(room.ledgerRef).held, 600);
+});
+
+test("thiếu tiền thì không trừ ai", async () => {
+  const { accounts, alice, bob, room } = setup();
+  accounts.debit(bob.id, 800, "buy-in", "room:OTHER");
+  assert.deepEqual((await collectBuyIns(accounts, room)).error, msg("player-insufficient-balance", { player: "Bob" }));
+  assert.equal(alice.balance, 1000);
+  assert.equal(room.ledgerRef, undefined);
+});
+
+test("phòng đang chơi không thu buy-in lần nữa", async () => {
+  const { accounts, alice, room } = setup();
+  await collectBuyIns(accounts, room);
+  const ref = room.ledgerRef;
+  room.gameState = "playing";
+
+  assert.deepEqual((await collectBuyIns(accounts, room)).error, msg("room-started"));
+  assert.equal(alice.balance, 700);
+  assert.equal(room.ledgerRef, ref);
+  assert.equal(accounts.history(alice.id).filter(e => e.type === "buy-in").length, 1);
+});
+
+test("start-game gửi lại trong lúc đang thu thì không thu thêm", async () => {
+  const { accounts, alice, room } = setup();
+  const first = collectBuyIns(accounts, room);
+  assert.deepEqual((await collectBuyIns(accounts, room)).error, msg("room-started"));
+  await first;
+  assert.equal(alice.balance, 700);
+});
+
+test("ví bị trừ ở nơi khác giữa lúc kiểm tra và lúc trừ thì hoàn lại cho người đã trả", async () => {
+  const { accounts, alice, bob, room } = setup();
+  // Giả lập instance khác trừ ví của Bob ngay sau khi kiểm tra số dư
+  const racing = {
+    ...accounts,
+    debit: (accountId, amount, type, ref) => {
+      if (accountId === bob.id) accounts.debit(bob.id, 800, "buy-in", "room:OTHER");
+      return accounts.debit(accountId, amount, type, ref);
+    },
+  };
+  assert.deepEqual(await collectBuyIns(racing, room), { error: msg("player-insufficient-balance", { player: "Bob" }) });
+  assert.equal(alice.balance, 1000);
+  assert.equal(room.ledgerRef, undefined);
+  assert.deepEqual(accounts.history(alice.id).slice(0, 2).map(e => e.type), ["refund", "buy-in"]);
+});
+
+// ---------- BẮT ĐẦU TRẬN ----------
+test("chip chỉ chia theo startingStack lúc phòng chuyển từ chờ sang chơi", () => {
+  const { room } = setup();
+  room.settings.startingStack = 5000;
+  assert.equal(startRoomGame(room), true);
+  assert.deepEqual(room.players.map(p => p.money), [5000, 5000, 5000]);
+  assert.equal(room.gameState, "playing");
+  assert.equal(room.startingPlayerCount, 3);
+
+  room.players[0].money = 8000;
+  room.players[1].money = 2000;
+  room.handsPlayed = 4;
+  assert.equal(startRoomGame(room), false);
+  assert.deepEqual(room.players.map(p => p.money), [8000, 2000, 5000]);
+  assert.equal(room.handsPlayed, 4);
+});
@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { rebindSeat, findSeat, dropWaitingSeat } = require("../src/seats");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+
+// ---------- DỮ LIỆU MẪU ----------
+const makeRoom = (code, playerIds) => {
+  const players = playerIds.map((id, i) => ({
+    id, name: id.toUpperCase(), position: i, money: 10000, hand: [], viewedCards: false, folded: false,
+    currentBet: 0, allIn: false, revealedTo: [], reconnectToken: `token-${id}`,
+  }));
+  return {
+    code, players, gameState: "playing", currentRound: 0, dealerIndex: -1, pot: 0, deck: [], currentTurn: 0,
+    minBet: 100, tournamentPlayers: [...players], betHistory: [], lastRaise: null, handsPlayed: 0,
+    currentHand: null, fairness: { serverSeedHash: "hash" }, settings: { ...DEFAULT_SETTINGS },
+  };
+};
+
+const apply = (state, action) => {
+  const result = engine.applyAction(state, action);
+  assert.equal(result.error, undefined, result.error);
+  return result.state;
+};
+
+// ---------- VÀO LẠI GIỮA VÁN ----------
+test("vào lại bằng socket mới đổi id ở ghế, lần tố cuối, bài đã lộ và bản ghi ván", () => {
+  let state = engine.startHand(makeRoom("ROOM01", ["a", "b", "c"]), engine.createDeck()).state;
+  const first = state.players[state.currentTurn];
+  state = apply(state, { type: "bet", playerId: first.id, amount: 200 });
+  state.players.find(p => p.id === "c").revealedTo = [first.id];
+
+  const token = first.reconnectToken;
+  const player = rebindSeat(state, first.id, "new-socket");
+  assert.equal(player.id, "new-socket");
+  assert.equal(player.reconnectToken, token);
+  assert.equal(state.lastRaise, "new-socket");
+  assert.deepEqual(state.players.find(p => p.name === "C").revealedTo, ["new-socket"]);
+  assert.ok(state.currentHand.players.some(p => p.playerId === "new-socket"));
+  assert.ok(state.currentHand.antes.some(a => a.playerId === "new-socket"));
+  assert.ok(!state.currentHand.actions.some(a => a.playerId === first.id));
+
+  // Ván vẫn chạy tiếp với id mới
+  const next = state.players[state.currentTurn];
+  state = apply(state, { type: "call", playerId: next.id });
+  assert.equal(rebindSeat(state, "nobody", "x"), null);
+});
+
+test("tìm ghế theo token ở mọi phòng", () => {
+  const rooms = [makeRoom("ROOM01", ["a", "b"]), makeRoom("ROOM02", ["c", "d"])];
+  const found = findSeat(rooms, "token-d");
+  assert.equal(found.room.code, "ROOM02");
+  assert.equal(found.player.id, "d");
+  assert.equal(findSeat(rooms, "token-x"), null);
+  assert.equal(findSeat(rooms, undefined), null);
+});
+
+test("phòng chờ thì bỏ hẳn ghế và đánh lại số thứ tự", () => {
+  const room = makeRoom("ROOM01", ["a", "b", "c"]);
+  dropWaitingSeat(room, room.players[0]);
+  assert.deepEqual(room.players.map(p => [p.id, p.position]), [["b", 0], ["c", 1]]);
+});
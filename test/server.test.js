@@ -0,0 +1,194 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const net = require("net");
+const path = require("path");
+const { spawn } = require("child_process");
+const { io } = require("socket.io-client");
+
+// Chạy server.js thật trong tiến trình con (storage trong bộ nhớ) và nói chuyện qua socket.io.
+// Dùng cho những luồng chỉ có trong server.js, không tách ra src/ được.
+const TIMEOUT_MS = 10000;
+
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer().once("error", reject);
+  probe.listen(0, "127.0.0.1", () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+const startServer = async (env = {}) => {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, "..", "server.js")], {
+    env: { ...process.env, PORT: String(port), STORAGE: "memory", JWT_SECRET: "test-secret", GUEST_LIMIT: "100", ...env },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error("server did not start")), TIMEOUT_MS);
+    child.stdout.on("data", (chunk) => {
+      if (chunk.toString().includes("\"msg\":\"server started\"")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once("exit", (code) => reject(new Error(`server exited with ${code}`)));
+  });
+  child.stderr.resume();
+  return { url: `http://127.0.0.1:${port}`, stop: () => child.kill() };
+};
+
+const post = async (url, body = {}) => {
+  const res = await fetch(url, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+  return { status: res.status, body: await res.json() };
+};
+
+// Đợi sự kiện kế tiếp (hoặc lỗi kế tiếp) trên socket
+const next = (socket, event) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`timed out waiting for ${event}`)), TIMEOUT_MS);
+  socket.once(event, (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  });
+});
+
+const clients = [];
+const connectGuest = async (url) => {
+  const { body } = await post(`${url}/auth/guest`);
+  const socket = io(url, { auth: { token: body.token, locale: "en" }, transports: ["websocket"], reconnection: false });
+  clients.push(socket);
+  await next(socket, "connect");
+  return socket;
+};
+
+// Gửi sự kiện rồi đợi sự kiện trả lời; server báo lỗi thì trả về { error }
+const request = (socket, event, payload, reply) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`timed out waiting for ${reply}`)), TIMEOUT_MS);
+  const done = (result) => {
+    clearTimeout(timer);
+    socket.off(reply, onReply);
+    socket.off("error", onError);
+    resolve(result);
+  };
+  const onReply = (body) => done(body);
+  const onError = ({ code }) => done({ error: code });
+  socket.on(reply, onReply);
+  socket.on("error", onError);
+  socket.emit(event, payload);
+});
+
+let server;
+before(async () => { server = await startServer(); });
+after(() => {
+  clients.forEach(socket => socket.close());
+  server?.stop();
+});
+
+// ---------- XEM THÔNG TIN PHÒNG ----------
+test("get-room-info: người ngồi nhận góc nhìn của mình, người ngoài cần mật khẩu và chỉ thấy góc nhìn khán giả", async () => {
+  const host = await connectGuest(server.url);
+  const { roomCode, playerId } = await request(host, "create-room", { password: "secret1" }, "room-created");
+
+  const own = await request(host, "get-room-info", roomCode, "room-updated");
+  assert.equal(own.viewerId, playerId);
+
+  const outsider = await connectGuest(server.url);
+  assert.deepEqual(await request(outsider, "get-room-info", roomCode, "room-updated"), { error: "wrong-room-password" });
+  assert.deepEqual(await request(outsider, "get-room-info", { roomCode, password: "wrong" }, "room-updated"), { error: "wrong-room-password" });
+  const view = await request(outsider, "get-room-info", { roomCode, password: "secret1" }, "room-updated");
+  assert.equal(view.viewerId, null);
+  assert.deepEqual(view.legalActions, []);
+  assert.ok(!("reconnectToken" in view.players[0]));
+});
+
+test("get-room-info: khán giả đang xem không cần gửi lại mật khẩu, phòng tắt chế độ xem thì từ chối người ngoài", async () => {
+  const host = await connectGuest(server.url);
+  const { roomCode } = await request(host, "create-room", { password: "secret1" }, "room-created");
+  const spectator = await connectGuest(server.url);
+  await request(spectator, "spectate-room", { roomCode, password: "secret1" }, "spectate-joined");
+  assert.equal((await request(spectator, "get-room-info", roomCode, "room-updated")).viewerId, null);
+
+  const closedHost = await connectGuest(server.url);
+  const { roomCode: closedCode } = await request(closedHost, "create-room", { settings: { allowSpectators: false } }, "room-created");
+  const outsider = await connectGuest(server.url);
+  assert.deepEqual(await request(outsider, "get-room-info", closedCode, "room-updated"), { error: "spectating-disabled" });
+});
+
+// ---------- HẾT TRẬN ----------
+test("hết trận thì trả ghế: quick-match, xem phòng khác chạy được ngay, phòng cũ không còn", async () => {
+  const host = await connectGuest(server.url);
+  // Ante bằng cả stack: ván đầu lật bài ngay khi chia
+  const { roomCode } = await request(host, "create-room", { settings: { startingStack: 100, ante: 100 } }, "room-created");
+  await request(host, "add-bot", { roomCode }, "room-updated");
+  const ended = next(host, "tournament-ended");
+  host.emit("start-game", roomCode);
+  await ended;
+
+  const other = await connectGuest(server.url);
+  const { roomCode: otherCode } = await request(other, "create-room", {}, "room-created");
+  assert.equal((await request(host, "spectate-room", otherCode, "spectate-joined")).roomCode, otherCode);
+  host.emit("leave-spectate");
+  // Ít nhất còn phòng của other đang chờ (các test trước có thể để lại phòng khác)
+  const matched = await request(host, "quick-match", {}, "room-joined");
+  assert.ok(matched.roomCode && matched.roomCode !== roomCode, JSON.stringify(matched));
+  assert.deepEqual(await request(other, "get-room-info", roomCode, "room-updated"), { error: "room-not-found" });
+});
+
+// ---------- LỊCH SỬ VÁN ----------
+test("bản ghi ván của bàn giải vẫn xem được sau khi giải kết thúc và bàn đã đóng", async () => {
+  const host = await connectGuest(server.url);
+  // Ante bằng cả stack: mỗi ván lật bài ngay khi chia, giải xong sau một hai ván
+  const settings = { startingStack: 100, buyIn: 0, levels: [{ ante: 100, minBet: 100 }] };
+  const { tournamentId } = await request(host, "create-tournament", { name: "Nhanh", settings }, "tournament-created");
+  host.emit("add-tournament-bot", { tournamentId });
+  host.emit("add-tournament-bot", { tournamentId });
+  const started = next(host, "tournament-started");
+  const ended = next(host, "tournament-ended");
+  host.emit("start-tournament", tournamentId);
+  const { seats } = await started;
+  await ended;
+
+  const headers = { authorization: `Bearer ${host.auth.token}` };
+  const roomCode = seats[0].roomCode;
+  const list = await fetch(`${server.url}/rooms/${roomCode}/hands`, { headers });
+  assert.equal(list.status, 200);
+  const { hands } = await list.json();
+  assert.ok(hands.length >= 1);
+  const detail = await fetch(`${server.url}/rooms/${roomCode}/hands/${hands[0].handNumber}`, { headers });
+  assert.equal((await detail.json()).roomCode, roomCode);
+  assert.equal((await fetch(`${server.url}/rooms/ZZZZZZ/hands`, { headers })).status, 404);
+});
+
+// ---------- ĐĂNG KÝ ----------
+test("đăng ký tài khoản bị giới hạn theo IP và chỉ được tặng ít xu", async () => {
+  const first = await post(`${server.url}/accounts`, { username: "signup1", password: "secret1" });
+  assert.equal(first.status, 201);
+  assert.equal(first.body.balance, 1000);
+  assert.equal((await post(`${server.url}/accounts`, { username: "signup2", password: "secret1" })).status, 201);
+  // Đăng ký hỏng cũng tính lượt
+  assert.equal((await post(`${server.url}/accounts`, { username: "signup2", password: "secret1" })).status, 400);
+  const limited = await post(`${server.url}/accounts`, { username: "signup3", password: "secret1" });
+  assert.equal(limited.status, 429);
+  assert.equal(limited.body.code, "too-many-requests");
+});
+
+// ---------- VÍ ----------
+test("tài khoản trả entryFee khi bắt đầu trận và nhận phần của mình khi hết trận", async () => {
+  // Tài khoản signup1 do test đăng ký ở trên tạo (mỗi IP chỉ được đăng ký vài lần)
+  const { body: login } = await post(`${server.url}/auth/login`, { username: "signup1", password: "secret1" });
+  const host = io(server.url, { auth: { token: login.token, locale: "en" }, transports: ["websocket"], reconnection: false });
+  clients.push(host);
+  await next(host, "connect");
+
+  const { roomCode } = await request(host, "create-room", { settings: { entryFee: 300, startingStack: 100, ante: 100 } }, "room-created");
+  await request(host, "add-bot", { roomCode }, "room-updated");
+  const ended = next(host, "tournament-ended");
+  host.emit("start-game", roomCode);
+  const { payouts } = await ended;
+
+  const headers = { authorization: `Bearer ${login.token}` };
+  const res = await fetch(`${server.url}/accounts/${login.account.id}/transactions`, { headers });
+  const { balance, transactions } = await res.json();
+  const won = payouts.find(p => p.playerName === "signup1").amount;
+  assert.equal(balance, 700 + won);
+  assert.deepEqual(transactions.map(e => e.type), [...(won > 0 ? ["cash-out"] : []), "buy-in", "signup-bonus"]);
+});
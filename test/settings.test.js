@@ -0,0 +1,89 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { msg } = require("../src/i18n");
+const {
+  DEFAULT_SETTINGS, ENGINE_KEYS, MAX_SEATS, checkValue, validateSettings, touchesEngineSettings,
+} = require("../src/settings");
+
+// ---------- GIÁ TRỊ MẶC ĐỊNH ----------
+test("không gửi cài đặt thì dùng mặc định (hoặc giữ nguyên cài đặt hiện tại)", () => {
+  assert.deepEqual(validateSettings(undefined), { settings: DEFAULT_SETTINGS });
+  assert.deepEqual(validateSettings(null), { settings: DEFAULT_SETTINGS });
+  const current = { ...DEFAULT_SETTINGS, ante: 500 };
+  const { settings } = validateSettings({ minBet: 200 }, current);
+  assert.equal(settings.ante, 500);
+  assert.equal(settings.minBet, 200);
+  // Không sửa object đầu vào
+  assert.equal(current.minBet, DEFAULT_SETTINGS.minBet);
+  assert.notEqual(validateSettings(undefined).settings, DEFAULT_SETTINGS);
+});
+
+// ---------- LỖI TỪNG KEY ----------
+test("cài đặt không phải object hoặc có key lạ thì bị từ chối", () => {
+  for (const input of ["ante=100", 42, true, [{ ante: 100 }]]) {
+    assert.deepEqual(validateSettings(input), { error: msg("invalid-settings") });
+  }
+  assert.deepEqual(validateSettings({ ante: 100, houseEdge: 5 }), { error: msg("unsupported-setting", { key: "houseEdge" }) });
+});
+
+test("giá trị sai kiểu, ngoài khoảng, không nguyên hoặc ngoài danh sách thì bị từ chối", () => {
+  const invalid = [
+    ["ante", "100"],
+    ["ante", -1],
+    ["minBet", 0],
+    ["minBet", 100.5],
+    ["startingStack", Infinity],
+    ["maxPlayers", MAX_SEATS + 1],
+    ["blindBetRatio", 0],
+    ["blindBetRatio", 1.5],
+    ["allowSpectators", 1],
+    ["visibility", "hidden"],
+    ["handRanking", "poker"],
+    ["a23Straight", null],
+  ];
+  for (const [key, value] of invalid) {
+    assert.deepEqual(validateSettings({ [key]: value }), { error: msg("invalid-setting-value", { key }) }, `${key}=${value}`);
+  }
+  // "number" nhận số lẻ, "int" thì không
+  assert.equal(validateSettings({ blindBetRatio: 0.75 }).settings.blindBetRatio, 0.75);
+  assert.equal(checkValue({ type: "int", min: 0, max: 10 }, 2.5), false);
+  assert.equal(checkValue({ type: "number", min: 0, max: 10 }, 2.5), true);
+  assert.equal(checkValue({ type: "number", min: 0, max: 10 }, NaN), false);
+  assert.equal(checkValue({ type: "enum", values: ["x"] }, "x"), true);
+});
+
+// ---------- LỖI GIỮA CÁC KEY ----------
+test("các key phải khớp nhau, kể cả khi chỉ đổi một key so với cài đặt hiện tại", () => {
+  assert.deepEqual(validateSettings({ minPlayers: 5, maxPlayers: 4 }), { error: msg("min-players-above-max") });
+  assert.deepEqual(validateSettings({ maxPlayers: 3 }, { ...DEFAULT_SETTINGS, minPlayers: 4 }), { error: msg("min-players-above-max") });
+  assert.deepEqual(validateSettings({ minBet: 500, maxRaise: 400 }), { error: msg("max-raise-below-min-bet") });
+  // maxRaise = 0 là không giới hạn
+  assert.ok(validateSettings({ minBet: 500, maxRaise: 0 }).settings);
+  assert.deepEqual(validateSettings({ compareFromRound: 4, maxBettingRounds: 3 }), { error: msg("compare-round-above-max") });
+  assert.ok(validateSettings({ compareFromRound: 3, maxBettingRounds: 3 }).settings);
+});
+
+test("chỉ các key luật chơi mới bị khóa khi đang chơi", () => {
+  assert.equal(touchesEngineSettings({ ante: 200 }), true);
+  assert.equal(touchesEngineSettings({ chatFilter: false, spectatorDelayMs: 1000 }), false);
+  assert.equal(touchesEngineSettings(undefined), false);
+  assert.ok(ENGINE_KEYS.every(key => key in DEFAULT_SETTINGS));
+});
+
+// ---------- ENGINE DÙNG ĐÚNG CÀI ĐẶT ----------
+test("engine thu ante và đặt mức cược tối thiểu theo cài đặt đã kiểm tra", () => {
+  const { settings } = validateSettings({ ante: 250, minBet: 300 });
+  const players = ["a", "b", "c"].map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false, currentBet: 0, allIn: false, revealedTo: [],
+  }));
+  const room = {
+    code: "TEST01", variant: "kim-hoa", players, gameState: "playing", dealerIndex: -1, pot: 0, deck: [], currentTurn: 0,
+    tournamentPlayers: [...players], handsPlayed: 0, currentHand: null, fairness: { serverSeedHash: "hash" },
+    settings,
+  };
+  const { state } = engine.startHand(room, engine.createDeck());
+  assert.equal(state.pot, 750);
+  assert.equal(state.minBet, 300);
+  assert.ok(state.players.every(p => p.money === 9750));
+});
@@ -0,0 +1,91 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { createSpectators } = require("../src/spectators");
+const { buildPlayerView } = require("../src/views");
+const { validateSettings, DEFAULT_SETTINGS } = require("../src/settings");
+
+// Hẹn giờ giả: giữ lại để test tự chạy khi muốn
+const createSchedule = () => {
+  const pending = [];
+  const schedule = (run, delay) => pending.push({ run, delay });
+  return { schedule, pending };
+};
+
+const makeRoom = (settings = {}) => {
+  const players = ["a", "b"].map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false, currentBet: 0, allIn: false, revealedTo: [],
+  }));
+  return {
+    code: "ROOM01", variant: "kim-hoa", players, gameState: "playing", dealerIndex: -1, pot: 0, deck: [], currentTurn: 0,
+    tournamentPlayers: [...players], handsPlayed: 0, currentHand: null, fairness: { serverSeedHash: "hash" },
+    settings: { ...DEFAULT_SETTINGS, ...settings },
+  };
+};
+
+// ---------- AI ĐANG XEM ----------
+test("mỗi socket xem một phòng, đếm và dọn theo phòng", () => {
+  const spectators = createSpectators();
+  spectators.watch("s1", "ROOM01");
+  spectators.watch("s2", "ROOM01");
+  spectators.watch("s3", "ROOM02");
+  assert.equal(spectators.count("ROOM01"), 2);
+  assert.equal(spectators.roomOf("s3"), "ROOM02");
+
+  // Chuyển sang xem phòng khác
+  spectators.watch("s2", "ROOM02");
+  assert.equal(spectators.count("ROOM01"), 1);
+  spectators.leave("s1");
+  assert.equal(spectators.roomOf("s1"), null);
+
+  spectators.clearRoom("ROOM02");
+  assert.equal(spectators.count("ROOM02"), 0);
+  assert.equal(spectators.roomOf("s2"), null);
+});
+
+// ---------- PHÁT TRỄ ----------
+test("cập nhật tới khán giả bị trễ spectatorDelayMs, không có độ trễ thì gửi ngay", () => {
+  const { schedule, pending } = createSchedule();
+  const spectators = createSpectators({ schedule });
+  const sent = [];
+  spectators.watch("s1", "ROOM01");
+
+  spectators.deliver(makeRoom(), () => sent.push("now"));
+  assert.deepEqual(sent, ["now"]);
+
+  spectators.deliver(makeRoom({ spectatorDelayMs: 30000 }), () => sent.push("later"));
+  assert.deepEqual(sent, ["now"]);
+  assert.deepEqual(pending.map(p => p.delay), [30000]);
+  pending[0].run();
+  assert.deepEqual(sent, ["now", "later"]);
+});
+
+test("phòng không có khán giả thì không gửi gì", () => {
+  const { schedule, pending } = createSchedule();
+  const spectators = createSpectators({ schedule });
+  let sent = false;
+  spectators.deliver(makeRoom({ spectatorDelayMs: 1000 }), () => { sent = true; });
+  assert.equal(sent, false);
+  assert.equal(pending.length, 0);
+});
+
+// ---------- GÓC NHÌN CỦA KHÁN GIẢ ----------
+test("khán giả chỉ thấy bài khi lật bài, không thấy bài lộ riêng khi so bài", () => {
+  const { state } = engine.startHand(makeRoom(), engine.createDeck());
+  state.players.forEach((p) => { p.viewedCards = true; });
+  state.players[0].revealedTo = ["b"];
+  const view = buildPlayerView(state, null);
+  assert.ok(view.players.every(p => p.hand === null && p.cardCount === 3));
+  assert.deepEqual(view.legalActions, []);
+  assert.equal(view.viewerId, null);
+
+  state.showdown = true;
+  assert.ok(buildPlayerView(state, null).players.every(p => p.hand.length === 3));
+});
+
+test("cài đặt khán giả được kiểm tra như mọi cài đặt khác", () => {
+  assert.equal(validateSettings({ allowSpectators: false, spectatorDelayMs: 60000 }).settings.spectatorDelayMs, 60000);
+  assert.ok(validateSettings({ spectatorDelayMs: -1 }).error);
+  assert.ok(validateSettings({ spectatorDelayMs: 11 * 60 * 1000 }).error);
+  assert.ok(validateSettings({ allowSpectators: "yes" }).error);
+});
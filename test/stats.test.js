@@ -0,0 +1,110 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createStats, handStatLines, MIN_HANDS_FOR_RATE } = require("../src/stats");
+const { createMemoryStorage } = require("../src/storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2024, 0, 10, 12);
+
+// Ván kim-hoa: A đánh mù rồi so bài thắng B, C (bot) bỏ bài
+const makeRecord = ({ endedAt = NOW, winnerId = "a" } = {}) => ({
+  handNumber: 1,
+  roomCode: "ROOM01",
+  endedAt: new Date(endedAt).toISOString(),
+  players: [
+    { playerId: "a", playerName: "alice", accountId: "acc-a", hand: [{}, {}, {}] },
+    { playerId: "b", playerName: "bob", accountId: "acc-b", hand: [{}, {}, {}] },
+    { playerId: "c", playerName: "Bot", accountId: null, hand: [{}, {}, {}] },
+    { playerId: "d", playerName: "dave", accountId: "acc-d", hand: [] },
+  ],
+  antes: [{ playerId: "a", amount: 10 }, { playerId: "b", amount: 10 }, { playerId: "c", amount: 10 }],
+  actions: [
+    { type: "bet", playerId: "a", declaredAmount: 100, actualAmount: 50, viewedCards: false },
+    { type: "view-cards", playerId: "b" },
+    { type: "call", playerId: "b", declaredAmount: 100, actualAmount: 100, viewedCards: true },
+    { type: "fold", playerId: "c" },
+    { type: "compare", playerId: "a", targetPlayerId: "b", winnerId, loserId: winnerId === "a" ? "b" : "a" },
+  ],
+  pots: [{ amount: 180, winners: [{ playerId: winnerId, amount: 180 }] }],
+});
+
+// ---------- TỪ MỘT VÁN ----------
+test("mỗi tài khoản được chia bài có một dòng: cược mù / đã xem, so bài, lãi lỗ", () => {
+  const lines = handStatLines(makeRecord(), "kim-hoa");
+  assert.deepEqual(lines.map(l => l.accountId), ["acc-a", "acc-b"]);
+  const [a, b] = lines;
+  assert.equal(a.handsWon, 1);
+  assert.equal(a.voluntaryHands, 1);
+  assert.equal(a.blindBets, 1);
+  assert.equal(a.seenBets, 0);
+  assert.equal(a.compareWins, 1);
+  assert.equal(a.biggestPot, 180);
+  assert.equal(a.net, 180 - 60);
+  assert.equal(b.handsWon, 0);
+  assert.equal(b.seenBets, 1);
+  assert.equal(b.compares, 1);
+  assert.equal(b.compareWins, 0);
+  assert.equal(b.net, -110);
+});
+
+test("phần cược không ai theo được trả lại không tính là thắng ván hay pot lớn nhất", () => {
+  // A all-in 500 nhưng B chỉ theo tới 110 rồi thắng pot chính; 390 thừa về lại A
+  const record = {
+    ...makeRecord(),
+    actions: [
+      { type: "bet", playerId: "b", declaredAmount: 100, actualAmount: 100, viewedCards: true },
+      { type: "all-in", playerId: "a", amount: 490 },
+      { type: "fold", playerId: "c" },
+    ],
+    pots: [
+      { amount: 230, eligible: [{ playerId: "a" }, { playerId: "b" }], winners: [{ playerId: "b", amount: 230 }] },
+      { amount: 390, eligible: [{ playerId: "a" }], winners: [{ playerId: "a", amount: 390 }] },
+    ],
+  };
+  const [a, b] = handStatLines(record, "kim-hoa");
+  assert.equal(a.handsWon, 0);
+  assert.equal(a.biggestPot, 0);
+  assert.equal(a.net, -110);
+  assert.equal(b.handsWon, 1);
+  assert.equal(b.biggestPot, 230);
+  assert.equal(b.net, 120);
+});
+
+// ---------- HỒ SƠ & BẢNG XẾP HẠNG ----------
+test("hồ sơ cộng dồn các ván, tính tỉ lệ và được nạp lại từ storage", () => {
+  const storage = createMemoryStorage();
+  const stats = createStats({ storage, now: () => NOW });
+  stats.recordHand(makeRecord(), "kim-hoa");
+  stats.recordHand(makeRecord({ winnerId: "b" }), "kim-hoa");
+  stats.recordTournament({
+    id: "T1", name: "Cup", variant: "lieng", endedAt: NOW,
+    entrants: [{ accountId: "acc-a", playerName: "alice", place: 2, payout: 300 }, { accountId: null, playerName: "Bot", place: 1, payout: 700 }],
+  });
+
+  const profile = createStats({ storage }).profile("acc-a");
+  assert.equal(profile.hands.handsPlayed, 2);
+  assert.equal(profile.hands.winRate, 0.5);
+  assert.equal(profile.hands.vpip, 1);
+  assert.equal(profile.hands.blindBetRate, 1);
+  assert.equal(profile.hands.compareWinRate, 0.5);
+  assert.equal(profile.hands.net, 120 - 60);
+  assert.deepEqual(profile.tournaments.recent.map(t => [t.tournamentId, t.place, t.entrants]), [["T1", 2, 2]]);
+  assert.equal(profile.tournaments.bestPlace, 2);
+  assert.equal(createStats({ storage }).profile("nobody").hands.handsPlayed, 0);
+});
+
+test("bảng xếp hạng theo ngày / tuần / mọi thời gian", () => {
+  const stats = createStats({ storage: createMemoryStorage(), now: () => NOW });
+  for (let i = 0; i < 4; i++) stats.recordHand(makeRecord({ endedAt: NOW - 10 * DAY_MS, winnerId: "b" }), "kim-hoa");
+  stats.recordHand(makeRecord({ endedAt: NOW - 3 * DAY_MS }), "kim-hoa");
+  stats.recordHand(makeRecord({ endedAt: NOW - 1000 }), "kim-hoa");
+
+  const names = (period, sort) => stats.leaderboard({ period, sort }).map(r => r.playerName);
+  assert.deepEqual(names("all-time"), ["bob", "alice"]);
+  assert.deepEqual(names("weekly"), ["alice", "bob"]);
+  assert.equal(stats.leaderboard({ period: "weekly" })[0].net, 240);
+  assert.equal(stats.leaderboard({ period: "daily" })[0].handsPlayed, 1);
+  // Chưa ai đủ số ván tối thiểu để xếp theo tỉ lệ thắng
+  assert.ok(MIN_HANDS_FOR_RATE > 6);
+  assert.deepEqual(names("all-time", "winRate"), []);
+});
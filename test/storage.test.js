@@ -0,0 +1,83 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createStorage, createFileStorage, createMemoryStorage } = require("../src/storage");
+
+// Mỗi test file một thư mục tạm riêng, xóa khi xong
+const withTempDir = (run) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+  try {
+    return run(dir);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+// ---------- CÙNG MỘT HỢP ĐỒNG CHO MỌI ADAPTER ----------
+const checkAdapter = (storage, reopen) => {
+  const room = { code: "ROOM01", gameState: "playing", players: [{ id: "a", money: 900 }], turnDeadline: 1234 };
+  storage.saveRoom(room);
+  storage.saveRoom({ code: "ROOM02", gameState: "waiting", players: [] });
+  storage.appendHand({ roomCode: "ROOM02", handNumber: 1 });
+  storage.appendHand({ roomCode: "ROOM02", handNumber: 2 });
+  storage.deleteRoom("ROOM02");
+  storage.deleteRoom("MISSING");
+  storage.saveTournament({ id: "T1", status: "running", entrants: [] });
+  storage.saveTournament({ id: "T2", status: "registering", entrants: [] });
+  storage.deleteTournament("T2");
+  storage.saveAccount({ id: "acc-a", username: "alice", balance: 100 });
+  storage.saveAccount({ id: "acc-a", username: "alice", balance: 70 });
+  storage.appendLedger({ seq: 1, accountId: "acc-a", amount: 100 });
+  storage.appendLedger({ seq: 2, accountId: "acc-a", amount: -30 });
+  storage.appendStats({ type: "hand", accountId: "acc-a" });
+  storage.appendAudit({ action: "kick" });
+
+  // Sửa object sau khi lưu không làm đổi bản đã lưu
+  room.players[0].money = 0;
+
+  const loaded = reopen();
+  assert.deepEqual(loaded.loadRooms(), [{ code: "ROOM01", gameState: "playing", players: [{ id: "a", money: 900 }], turnDeadline: 1234 }]);
+  assert.deepEqual(loaded.loadTournaments().map(t => t.id), ["T1"]);
+  assert.deepEqual(loaded.loadAccounts(), [{ id: "acc-a", username: "alice", balance: 70 }]);
+  assert.deepEqual(loaded.loadLedger().map(e => e.seq), [1, 2]);
+  assert.deepEqual(loaded.loadStats(), [{ type: "hand", accountId: "acc-a" }]);
+  assert.deepEqual(loaded.loadAudit(), [{ action: "kick" }]);
+  // Bản ghi ván còn lại sau khi phòng bị xóa
+  assert.deepEqual(loaded.loadHands("ROOM02").map(h => h.handNumber), [1, 2]);
+  assert.deepEqual(loaded.loadHands("ROOM01"), []);
+};
+
+test("storage trong bộ nhớ giữ bản sao của mọi thứ đã lưu", () => {
+  const storage = createMemoryStorage();
+  checkAdapter(storage, () => storage);
+  assert.equal(storage.name, "memory");
+});
+
+test("storage file khôi phục được sau khi mở lại (restart)", () => withTempDir((dir) => {
+  const storage = createFileStorage({ dir });
+  checkAdapter(storage, () => createFileStorage({ dir }));
+  assert.equal(storage.name, "file");
+  // Ghi qua file tạm rồi rename: không còn file .tmp nào
+  assert.deepEqual(fs.readdirSync(dir).filter(f => f.endsWith(".tmp")), []);
+}));
+
+// ---------- CRASH GIỮA CHỪNG ----------
+test("storage file bỏ qua dòng ghi dở và file hỏng thay vì không khởi động được", () => withTempDir((dir) => {
+  const storage = createFileStorage({ dir });
+  storage.appendLedger({ seq: 1, amount: 100 });
+  fs.appendFileSync(path.join(dir, "ledger.jsonl"), "{\"seq\": 2, \"amo");
+  storage.saveRoom({ code: "ROOM01", players: [] });
+  fs.writeFileSync(path.join(dir, "ROOM02.json"), "{");
+
+  const reopened = createFileStorage({ dir });
+  assert.deepEqual(reopened.loadLedger(), [{ seq: 1, amount: 100 }]);
+  assert.deepEqual(reopened.loadRooms().map(r => r.code), ["ROOM01"]);
+}));
+
+test("chọn adapter theo STORAGE", () => withTempDir((dir) => {
+  assert.equal(createStorage({ type: "memory" }).name, "memory");
+  assert.equal(createStorage({ type: "file", dir }).name, "file");
+  assert.throws(() => createStorage({ type: "redis" }));
+}));
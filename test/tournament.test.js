@@ -0,0 +1,115 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const tournament = require("../src/tournament");
+const { msg } = require("../src/i18n");
+
+const makeTournament = (settings = {}, count = 0) => {
+  const { settings: validated } = tournament.validateTournamentSettings(settings, 17);
+  const t = tournament.createTournament({ id: "T1", name: "Cup", variant: "kim-hoa", hostId: "h", settings: validated });
+  for (let i = 1; i <= count; i++) tournament.register(t, { entrantId: `e${i}`, playerName: `P${i}` });
+  return t;
+};
+
+// ---------- CÀI ĐẶT & ĐĂNG KÝ ----------
+test("kiểm tra cài đặt giải", () => {
+  assert.ok(tournament.validateTournamentSettings({ tableSize: 9 }, 4).error);
+  assert.ok(tournament.validateTournamentSettings({ payouts: [60, 30] }, 17).error);
+  assert.ok(tournament.validateTournamentSettings({ levels: [{ ante: 10, minBet: 0 }] }, 17).error);
+  assert.ok(tournament.validateTournamentSettings({ foo: 1 }, 17).error);
+  const { settings } = tournament.validateTournamentSettings({ payouts: [70, 30], levelBy: "time" }, 17);
+  assert.deepEqual(settings.payouts, [70, 30]);
+  assert.equal(settings.tableSize, tournament.DEFAULT_TOURNAMENT_SETTINGS.tableSize);
+});
+
+test("đăng ký: trùng tên, đủ người, đã bắt đầu", () => {
+  const t = makeTournament({ maxPlayers: 3 }, 2);
+  assert.deepEqual(tournament.register(t, { entrantId: "x", playerName: "p1" }), msg("name-taken"));
+  assert.equal(tournament.register(t, { entrantId: "e3", playerName: "P3", paid: 100 }), null);
+  assert.deepEqual(tournament.register(t, { entrantId: "e4", playerName: "P4" }), msg("tournament-full"));
+  assert.equal(tournament.unregister(t, "e3"), null);
+  tournament.startTournament(t);
+  assert.equal(t.prizePool, 0); // e3 đã rút, không ai khác trả tiền
+  assert.deepEqual(tournament.unregister(t, "e1"), msg("tournament-started"));
+});
+
+test("chia đều người vào số bàn ít nhất", () => {
+  const t = makeTournament({ tableSize: 6 }, 14);
+  const tables = tournament.seatEntrants(t, t.entrants);
+  assert.deepEqual(tables.map(g => g.length), [5, 5, 4]);
+});
+
+// ---------- LEVEL ----------
+test("lên level theo số ván hoặc thời gian, dừng ở level cuối", () => {
+  const levels = [{ ante: 10, minBet: 10 }, { ante: 20, minBet: 20 }];
+  const t = makeTournament({ levelHands: 3, levels }, 2);
+  tournament.startTournament(t, 0);
+  t.handsPlayed = 2;
+  assert.equal(tournament.refreshLevel(t), false);
+  t.handsPlayed = 3;
+  assert.equal(tournament.refreshLevel(t), true);
+  assert.deepEqual(tournament.currentLevel(t), levels[1]);
+  t.handsPlayed = 30;
+  assert.equal(tournament.refreshLevel(t), false);
+
+  const timed = makeTournament({ levelBy: "time", levelDurationMs: 60000, levels }, 2);
+  tournament.startTournament(timed, 1000);
+  assert.equal(tournament.refreshLevel(timed, 61000), true);
+  assert.equal(timed.level, 1);
+});
+
+// ---------- HẠNG & THƯỞNG ----------
+test("cùng bị loại trong một ván thì ai vào ván nhiều tiền hơn xếp trên", () => {
+  const t = makeTournament({}, 4);
+  tournament.recordBusts(t, [{ entrantId: "e1", startingMoney: 500 }, { entrantId: "e2", startingMoney: 200 }]);
+  assert.equal(t.entrants[1].place, 4);
+  assert.equal(t.entrants[0].place, 3);
+  assert.equal(tournament.remainingEntrants(t).length, 2);
+});
+
+test("cùng bị loại trong một ván với số tiền bằng nhau thì đồng hạng và chia đều thưởng", () => {
+  const t = makeTournament({ buyIn: 100, payouts: [50, 30, 20] }, 4);
+  t.entrants.forEach((e) => { e.paid = 100; });
+  tournament.startTournament(t);
+  tournament.recordBusts(t, [{ entrantId: "e1", startingMoney: 300 }, { entrantId: "e2", startingMoney: 300 }, { entrantId: "e3", startingMoney: 100 }]);
+  assert.deepEqual(t.entrants.map(e => e.place), [2, 2, 4, null]);
+
+  const standings = tournament.finishTournament(t);
+  // Hạng 2 và 3 (30% + 20%) chia đôi cho hai người đồng hạng
+  assert.deepEqual(standings.map(s => [s.place, s.payout]), [[1, 200], [2, 100], [2, 100], [4, 0]]);
+});
+
+test("tiền thưởng theo phần trăm, phần lẻ cho hạng nhất", () => {
+  assert.deepEqual(tournament.computePayouts(101, [50, 30, 20]), [51, 30, 20]);
+
+  const t = makeTournament({ buyIn: 100, payouts: [70, 30] }, 3);
+  t.entrants.forEach((e) => { e.paid = 100; });
+  tournament.startTournament(t);
+  tournament.recordBusts(t, [{ entrantId: "e3", startingMoney: 100 }]);
+  tournament.recordBusts(t, [{ entrantId: "e1", startingMoney: 100 }]);
+  const standings = tournament.finishTournament(t);
+  assert.deepEqual(standings.map(s => [s.place, s.playerName, s.payout]), [[1, "P2", 210], [2, "P1", 90], [3, "P3", 0]]);
+  assert.ok(standings.every(s => !("entrantId" in s)));
+  assert.equal(t.status, "ended");
+});
+
+// ---------- CÂN BÀN ----------
+test("thừa bàn thì phá bàn vừa xong ván, rải người vào bàn ít nhất", () => {
+  const t = makeTournament({ tableSize: 6 });
+  const plan = tournament.planMoves(t, [{ code: "A", count: 2 }, { code: "B", count: 5 }, { code: "C", count: 4 }], "A");
+  assert.equal(plan.breakTable, true);
+  assert.deepEqual(plan.moves, ["C", "B"]);
+});
+
+test("lệch quá một người thì chuyển bớt sang bàn ít nhất", () => {
+  const t = makeTournament({ tableSize: 6 });
+  assert.deepEqual(tournament.planMoves(t, [{ code: "A", count: 6 }, { code: "B", count: 3 }], "A"),
+    { breakTable: false, moves: ["B"] });
+  assert.deepEqual(tournament.planMoves(t, [{ code: "A", count: 4 }, { code: "B", count: 3 }], "A").moves, []);
+  // Bàn ít người không rút người của chính nó
+  assert.deepEqual(tournament.planMoves(t, [{ code: "A", count: 1 }, { code: "B", count: 6 }], "A").moves, []);
+});
+
+test("chỉ còn một bàn thì không chuyển ai", () => {
+  const t = makeTournament({ tableSize: 6 });
+  assert.deepEqual(tournament.planMoves(t, [{ code: "A", count: 3 }], "A"), { breakTable: false, moves: [] });
+});
@@ -0,0 +1,80 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { startClock, tickClock, stopClock, clockPayload } = require("../src/turn-clock");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+
+// ---------- DỮ LIỆU MẪU ----------
+const makeRoom = (settings = {}) => {
+  const players = ["a", "b"].map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false,
+    currentBet: 0, allIn: false, revealedTo: [], timeBankMs: 5000,
+  }));
+  return {
+    code: "TEST01", players, gameState: "playing", currentRound: 0, dealerIndex: -1, pot: 0, deck: [], currentTurn: 1,
+    minBet: 100, tournamentPlayers: [...players], betHistory: [], lastRaise: null, handsPlayed: 0,
+    currentHand: null, fairness: { serverSeedHash: "hash" },
+    settings: { ...DEFAULT_SETTINGS, turnTimeMs: 10000, timeBankMs: 5000, ...settings },
+  };
+};
+
+// ---------- GIỜ CHÍNH & QUỸ THỜI GIAN ----------
+test("đồng hồ chạy theo turnTimeMs cho người đang đi", () => {
+  const room = makeRoom();
+  const timer = startClock(room, 1000);
+  assert.deepEqual(timer, { seat: 1, usingTimeBank: false, bankStartedAt: null });
+  assert.equal(room.turnDeadline, 11000);
+  assert.equal(tickClock(room, timer, 10999), "running");
+  assert.deepEqual(clockPayload(room, timer, 4000), { playerId: "b", seat: 1, remainingMs: 7000, usingTimeBank: false, timeBankMs: 5000 });
+});
+
+test("hết giờ chính thì dùng quỹ thời gian, hết quỹ thì hết lượt", () => {
+  const room = makeRoom();
+  const timer = startClock(room, 0);
+  assert.equal(tickClock(room, timer, 10000), "time-bank");
+  assert.equal(room.turnDeadline, 15000);
+  assert.equal(tickClock(room, timer, 14000), "running");
+  assert.equal(tickClock(room, timer, 15000), "expired");
+});
+
+test("quỹ thời gian bị trừ phần đã dùng và không nạp lại giữa các lượt", () => {
+  const room = makeRoom();
+  const timer = startClock(room, 0);
+  tickClock(room, timer, 10000);
+  stopClock(room, timer, 12000);
+  assert.equal(room.players[1].timeBankMs, 3000);
+  assert.equal(room.turnDeadline, null);
+
+  // Lượt sau chỉ còn 3 giây quỹ; hết cả quỹ thì không chuyển sang quỹ nữa
+  const again = startClock(room, 20000);
+  assert.equal(tickClock(room, again, 30000), "time-bank");
+  assert.equal(room.turnDeadline, 33000);
+  stopClock(room, again, 40000);
+  assert.equal(room.players[1].timeBankMs, 0);
+  const last = startClock(room, 50000);
+  assert.equal(tickClock(room, last, 60000), "expired");
+});
+
+test("đi trong giờ chính thì không đụng tới quỹ thời gian", () => {
+  const room = makeRoom();
+  const timer = startClock(room, 0);
+  stopClock(room, timer, 9000);
+  assert.equal(room.players[1].timeBankMs, 5000);
+  stopClock(room, null, 9000);
+  assert.equal(room.turnDeadline, null);
+});
+
+test("không tính giờ khi tắt turnTimeMs hoặc phòng không chơi; khôi phục giữ hạn cũ", () => {
+  assert.equal(startClock(makeRoom({ turnTimeMs: 0 }), 0), null);
+  assert.equal(startClock({ ...makeRoom(), gameState: "waiting" }, 0), null);
+  const room = makeRoom();
+  startClock(room, 0, 4321);
+  assert.equal(room.turnDeadline, 4321);
+});
+
+test("mỗi ván nạp lại quỹ thời gian theo cài đặt của phòng", () => {
+  const room = makeRoom();
+  room.players[0].timeBankMs = 0;
+  const { state } = engine.startHand(room, engine.createDeck());
+  assert.ok(state.players.every(p => p.timeBankMs === 5000));
+});
@@ -0,0 +1,77 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { validateEvent, createTokenBucket, clientAddress, ERROR_CODES, EVENT_SCHEMAS } = require("../src/validation");
+const { ROOM_EVENTS, TOURNAMENT_EVENTS } = require("../src/cluster");
+
+// ---------- SCHEMA ----------
+test("mã phòng được chuẩn hóa, trường lạ bị bỏ", () => {
+  assert.deepEqual(validateEvent("start-game", " ab12cd "), { payload: "AB12CD" });
+  assert.deepEqual(
+    validateEvent("join-room", { roomCode: "ab12cd", password: "1234", admin: true }),
+    { payload: { roomCode: "AB12CD", password: "1234" } },
+  );
+  // spectate-room và get-room-info nhận cả mã phòng trần lẫn object
+  assert.deepEqual(validateEvent("spectate-room", "ab12cd"), { payload: { roomCode: "AB12CD" } });
+  assert.deepEqual(validateEvent("get-room-info", "ab12cd"), { payload: { roomCode: "AB12CD" } });
+  assert.deepEqual(validateEvent("get-room-info", { roomCode: "ab12cd", password: "1234" }), { payload: { roomCode: "AB12CD", password: "1234" } });
+  assert.equal(validateEvent("fold", "AB12").error.code, ERROR_CODES.INVALID_PAYLOAD);
+  assert.equal(validateEvent("join-room", null).error.params.field, "payload");
+  assert.deepEqual(validateEvent("ping", { big: "x" }), { payload: undefined });
+});
+
+test("số xu chỉ nhận số nguyên dương", () => {
+  assert.deepEqual(validateEvent("bet", { roomCode: "AB12CD", amount: 200 }).payload, { roomCode: "AB12CD", amount: 200 });
+  for (const amount of ["200", 0, -50, 1.5, NaN, Infinity, 2 ** 60, undefined]) {
+    const { error } = validateEvent("raise", { roomCode: "AB12CD", amount });
+    assert.equal(error.code, ERROR_CODES.INVALID_PAYLOAD, String(amount));
+    assert.equal(error.params.field, "amount");
+  }
+  assert.equal(validateEvent("replay-hand", { roomCode: "AB12CD", handNumber: "3" }).error.params.field, "handNumber");
+});
+
+test("trường không bắt buộc, nullable và danh sách lá bài", () => {
+  assert.deepEqual(validateEvent("update-settings", { roomCode: "AB12CD", password: null }).payload, { roomCode: "AB12CD", password: null });
+  assert.equal(validateEvent("join-room", { roomCode: "AB12CD", password: null }).error.params.field, "password");
+  assert.deepEqual(validateEvent("rejoin-room", { reconnectToken: "abc" }).payload, { reconnectToken: "abc" });
+  assert.equal(validateEvent("mute-player", { roomCode: "AB12CD", playerId: "p1", muted: "yes" }).error.params.field, "muted");
+
+  const play = validateEvent("play-cards", { roomCode: "AB12CD", cards: [{ rank: "3", suit: "spades", value: 99 }] });
+  assert.deepEqual(play.payload.cards, [{ rank: "3", suit: "spades" }]);
+  assert.equal(validateEvent("play-cards", { roomCode: "AB12CD", cards: [{ rank: "1", suit: "spades" }] }).error.params.field, "cards");
+  assert.equal(validateEvent("play-cards", { roomCode: "AB12CD", cards: [] }).error.params.field, "cards");
+});
+
+test("sự kiện không khai báo bị từ chối, mọi sự kiện được định tuyến đều có schema", () => {
+  assert.equal(validateEvent("place-bet", { roomCode: "AB12CD" }).error.code, ERROR_CODES.UNKNOWN_EVENT);
+  assert.equal(validateEvent("__proto__", {}).error.code, ERROR_CODES.UNKNOWN_EVENT);
+  for (const event of [...ROOM_EVENTS, ...TOURNAMENT_EVENTS]) assert.ok(EVENT_SCHEMAS[event], event);
+});
+
+// ---------- GIỚI HẠN TẦN SUẤT ----------
+test("token bucket: gửi dồn thì bị chặn, tiếp tục spam thì bị coi là abusive", () => {
+  const bucket = createTokenBucket({ capacity: 3, refillPerSec: 1 });
+  const takes = (n, now) => Array.from({ length: n }, () => bucket.take("s1", now));
+  assert.deepEqual(takes(3, 0), ["ok", "ok", "ok"]);
+  assert.deepEqual(takes(2, 0), ["limited", "limited"]);
+  // Nợ 2 lượt: sau 3 giây mới có lại 1 lượt
+  assert.equal(bucket.take("s1", 2000), "limited");
+  assert.equal(bucket.take("s2", 0), "ok");
+  assert.deepEqual(takes(2, 2000), ["limited", "abusive"]);
+
+  bucket.forget("s1");
+  assert.equal(bucket.take("s1", 2000), "ok");
+  // Hồi đầy thì bị dọn khỏi Map, lần sau bắt đầu lại như mới
+  bucket.prune(60000);
+  assert.deepEqual(takes(3, 60000), ["ok", "ok", "ok"]);
+});
+
+// ---------- ĐỊA CHỈ CLIENT ----------
+test("chỉ đọc X-Forwarded-For khi có cấu hình proxy tin cậy", () => {
+  assert.equal(clientAddress("10.0.0.2", "1.2.3.4"), "10.0.0.2");
+  assert.equal(clientAddress("10.0.0.2", "1.2.3.4", 1), "1.2.3.4");
+  // Client tự thêm địa chỉ giả ở đầu: chỉ lấy địa chỉ proxy cuối nhìn thấy
+  assert.equal(clientAddress("10.0.0.2", "6.6.6.6, 1.2.3.4", 1), "1.2.3.4");
+  assert.equal(clientAddress("10.0.0.2", "1.2.3.4, 10.0.0.9", 2), "1.2.3.4");
+  assert.equal(clientAddress("10.0.0.2", "1.2.3.4", 5), "1.2.3.4");
+  assert.equal(clientAddress("10.0.0.2", undefined, 1), "10.0.0.2");
+});
@@ -0,0 +1,214 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const tienLen = require("../src/engine/variants/tien-len");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+const { msg } = require("../src/i18n");
+
+// ---------- DỮ LIỆU MẪU ----------
+const deck = engine.createDeck();
+const SUIT_CODES = { H: "hearts", D: "diamonds", C: "clubs", S: "spades" };
+const cards = (text) => text.split(" ").map((code) => {
+  const rank = code.slice(0, -1);
+  const suit = SUIT_CODES[code.slice(-1)];
+  return deck.find(c => c.rank === rank && c.suit === suit);
+});
+
+const makeRoom = (variant, playerIds, settings = {}) => {
+  const players = playerIds.map(id => ({
+    id, name: id.toUpperCase(), money: 10000, hand: [], viewedCards: false, folded: false, currentBet: 0, allIn: false, revealedTo: [],
+  }));
+  return {
+    code: "TEST01",
+    variant,
+    players,
+    gameState: "playing",
+    dealerIndex: -1,
+    pot: 0,
+    deck: [],
+    currentTurn: 0,
+    tournamentPlayers: [...players],
+    handsPlayed: 0,
+    currentHand: null,
+    fairness: { serverSeedHash: "hash" },
+    settings: { ...DEFAULT_SETTINGS, ...engine.getVariant(variant).defaultSettings, ...settings },
+  };
+};
+
+const apply = (state, action) => {
+  const result = engine.applyAction(state, action);
+  assert.equal(result.error, undefined, result.error);
+  return result;
+};
+
+const turnPlayer = (state) => state.players[state.currentTurn];
+
+// Mỗi người cầm đúng các lá cho trước, phần còn lại của 13 lá lấy từ bộ bài còn dư
+const dealTienLen = (...hands) => {
+  const fixed = hands.map(cards);
+  const used = fixed.flat();
+  const rest = deck.filter(c => !used.includes(c));
+  const full = fixed.map(hand => [...hand, ...rest.splice(0, 13 - hand.length)]);
+  return full.flat().reverse();
+};
+
+// ---------- ĐĂNG KÝ BIẾN THỂ ----------
+test("có ba biến thể và kim-hoa là mặc định", () => {
+  assert.deepEqual(engine.listVariants().map(v => v.name), ["kim-hoa", "lieng", "tien-len"]);
+  assert.equal(engine.getVariant(undefined).name, "kim-hoa");
+  assert.equal(engine.getVariant("poker"), undefined);
+});
+
+test("applyVariantSettings giữ cài đặt cố định và giới hạn số ghế", () => {
+  const lieng = engine.getVariant("lieng");
+  assert.equal(engine.applyVariantSettings(lieng, { ...DEFAULT_SETTINGS }, {}).settings.handRanking, "cao");
+  assert.ok(engine.applyVariantSettings(lieng, { ...DEFAULT_SETTINGS }, { handRanking: "standard" }).error);
+
+  const tl = engine.getVariant("tien-len");
+  assert.ok(engine.applyVariantSettings(tl, { ...DEFAULT_SETTINGS, maxPlayers: 5 }).error);
+  assert.equal(engine.applyVariantSettings(tl, { ...DEFAULT_SETTINGS, maxPlayers: 4 }).error, undefined);
+});
+
+// ---------- LIÊNG ----------
+test("Liêng: chia xong đã thấy bài, không có xem bài / so bài", () => {
+  const { state } = engine.startHand(makeRoom("lieng", ["a", "b"], { handRanking: "cao" }), deck);
+  assert.ok(state.players.every(p => p.viewedCards));
+  const id = turnPlayer(state).id;
+  assert.deepEqual(engine.legalActions(state, id).map(a => a.type), ["check", "bet", "fold", "all-in"]);
+  assert.deepEqual(engine.applyAction(state, { type: "compare", playerId: id, targetPlayerId: "a" }).error, msg("invalid-action"));
+});
+
+test("Liêng: tố thì người khác phải trả lời, tất cả theo thì lật bài", () => {
+  let { state } = engine.startHand(makeRoom("lieng", ["a", "b", "c"], { handRanking: "cao" }), deck);
+  state = apply(state, { type: "check", playerId: "b" }).state;
+  state = apply(state, { type: "bet", playerId: "c", amount: 300 }).state;
+  state = apply(state, { type: "call", playerId: "a" }).state;
+  // b đã hành động trước khi c tố nên phải đi lại
+  assert.equal(turnPlayer(state).id, "b");
+
+  const { events } = apply(state, { type: "call", playerId: "b" });
+  const ended = events.find(e => e.event === "hand-ended");
+  assert.ok(ended);
+  assert.equal(ended.payload.pot, 3 * 300);
+});
+
+// ---------- TIẾN LÊN ----------
+test("Tiến Lên nhận dạng bộ bài", () => {
+  const type = (text) => tienLen.classifyCombo(cards(text))?.type || null;
+  assert.equal(type("3S"), "single");
+  assert.equal(type("7H 7D"), "pair");
+  assert.equal(type("9S 9C 9H"), "triple");
+  assert.equal(type("KS KC KD KH"), "quad");
+  assert.equal(type("QS JH KD AC"), "straight");
+  assert.equal(type("KS AC 2D"), null); // sảnh không có heo
+  assert.equal(type("5S 5H 6C 6D 7S 7H"), "pair-sequence");
+  assert.equal(type("5S 6H"), null);
+});
+
+test("Tiến Lên: chặn cùng kiểu và chặt heo", () => {
+  const combo = (text) => tienLen.classifyCombo(cards(text));
+  assert.ok(tienLen.beats(combo("8H"), combo("8D")));
+  assert.ok(!tienLen.beats(combo("8D"), combo("8H")));
+  assert.ok(!tienLen.beats(combo("9S 10S JS"), combo("8H 9H 10H JH")));
+  assert.ok(tienLen.beats(combo("5S 5H 6C 6D 7S 7H"), combo("2H")));
+  assert.ok(tienLen.beats(combo("4S 4C 4D 4H"), combo("2S 2H")));
+  assert.ok(!tienLen.beats(combo("5S 5H 6C 6D 7S 7H"), combo("2S 2H")));
+  assert.ok(tienLen.beats(combo("5S 5H 6C 6D 7S 7H 8S 8H"), combo("4S 4C 4D 4H")));
+});
+
+test("Tiến Lên: người cầm 3♠ đi trước và phải đánh lá đó", () => {
+  const { state } = engine.startHand(makeRoom("tien-len", ["a", "b"]), dealTienLen("4S", "3S"));
+  assert.equal(turnPlayer(state).id, "b");
+  assert.ok(state.players.every(p => p.hand.length === 13 && p.viewedCards));
+  assert.deepEqual(engine.legalActions(state, "b"), [{ type: "play" }]);
+
+  const other = state.players[1].hand.find(c => c.rank !== "3" || c.suit !== "spades");
+  const wrong = engine.applyAction(state, { type: "play", playerId: "b", cards: [other] });
+  assert.deepEqual(wrong.error, msg("must-play-card", { card: "3♠" }));
+  assert.deepEqual(engine.applyAction(state, { type: "pass", playerId: "b" }).error, msg("must-lead"));
+});
+
+test("Tiến Lên: mọi người bỏ lượt thì người đánh cuối mở vòng mới", () => {
+  let { state } = engine.startHand(makeRoom("tien-len", ["a", "b", "c"]), dealTienLen("4S", "3S", "5S"));
+  state = apply(state, { type: "play", playerId: "b", cards: cards("3S") }).state;
+  assert.equal(turnPlayer(state).id, "c");
+  state = apply(state, { type: "pass", playerId: "c" }).state;
+  const { state: next, events } = apply(state, { type: "pass", playerId: "a" });
+
+  assert.equal(turnPlayer(next).id, "b");
+  assert.equal(next.trick, null);
+  assert.equal(next.currentRound, 2);
+  assert.ok(events.some(e => e.event === "round-advanced"));
+});
+
+test("Tiến Lên: hết bài trước thì thắng pot", () => {
+  const room = makeRoom("tien-len", ["a", "b"]);
+  let { state } = engine.startHand(room, dealTienLen("4S", "3S"));
+  // Cho b chỉ còn một lá để kết thúc nhanh
+  state.players[1].hand = cards("3S");
+  const { state: next, events } = apply(state, { type: "play", playerId: "b", cards: cards("3S") });
+  const ended = events.find(e => e.event === "hand-ended").payload;
+
+  assert.equal(ended.winner.id, "b");
+  assert.equal(next.players[1].money, 10000 + 100);
+  assert.equal(next.currentTurn, -1);
+});
+
+test("Tiến Lên: ván sau người thắng ván trước đi trước và đánh tự do", () => {
+  let { state } = engine.startHand(makeRoom("tien-len", ["a", "b"]), dealTienLen("4S", "3S"));
+  state.players[0].hand = cards("4S");
+  state = apply(state, { type: "play", playerId: "b", cards: cards("3S") }).state;
+  state = apply(state, { type: "play", playerId: "a", cards: cards("4S") }).state;
+  assert.equal(state.lastWinnerId, "a");
+
+  // Lần này b vẫn cầm 3♠ nhưng a đi trước, không bị buộc đánh lá nào
+  const next = engine.startHand({ ...state, gameState: "playing" }, dealTienLen("5S", "3S")).state;
+  assert.equal(turnPlayer(next).id, "a");
+  assert.equal(next.mustPlay, null);
+  apply(next, { type: "play", playerId: "a", cards: [next.players[0].hand[12]] });
+
+  // Người thắng đã rời bàn thì lại theo lá nhỏ nhất
+  const left = engine.startHand({ ...state, gameState: "playing", lastWinnerId: "gone" }, dealTienLen("5S", "3S")).state;
+  assert.equal(turnPlayer(left).id, "b");
+  assert.equal(left.mustPlay.rank, "3");
+});
+
+test("Tiến Lên: đôi thông và tứ quý chặt heo", () => {
+  const combo = (text) => tienLen.classifyCombo(cards(text));
+  const threePairs = combo("5S 5H 6C 6D 7S 7H");
+  const quad = combo("9S 9C 9D 9H");
+  const fourPairs = combo("5S 5H 6C 6D 7S 7H 8S 8H");
+  // Ba đôi thông chỉ chặt heo lẻ
+  assert.ok(tienLen.beats(threePairs, combo("2H")));
+  assert.ok(!tienLen.beats(threePairs, quad));
+  // Tứ quý chặt heo lẻ, đôi heo và ba đôi thông, không chặt được bốn đôi thông
+  assert.ok(tienLen.beats(quad, combo("2H")));
+  assert.ok(tienLen.beats(quad, combo("2S 2H")));
+  assert.ok(tienLen.beats(quad, threePairs));
+  assert.ok(!tienLen.beats(quad, fourPairs));
+  // Bốn đôi thông chặt tất cả những bộ đó
+  for (const previous of [combo("2H"), combo("2S 2H"), threePairs, quad]) assert.ok(tienLen.beats(fourPairs, previous));
+  // Cùng kiểu cùng độ dài thì so lá cao nhất; hai đôi liền nhau không phải đôi thông
+  assert.ok(tienLen.beats(combo("6S 6H 7C 7D 8S 8H"), threePairs));
+  assert.ok(!tienLen.beats(combo("4S 4C 4D 4H"), quad));
+  assert.equal(tienLen.classifyCombo(cards("AS AH 2C 2D KS KH")), null);
+  assert.notEqual(combo("5S 5H 6C 6D")?.type, "pair-sequence");
+
+  // Trong ván: heo lẻ bị ba đôi thông chặt
+  let { state } = engine.startHand(makeRoom("tien-len", ["a", "b"]), dealTienLen("3S 2H", "5S 5H 6C 6D 7S 7H"));
+  state = apply(state, { type: "play", playerId: "a", cards: cards("3S") }).state;
+  state = apply(state, { type: "pass", playerId: "b" }).state;
+  state = apply(state, { type: "play", playerId: "a", cards: cards("2H") }).state;
+  state = apply(state, { type: "play", playerId: "b", cards: cards("5S 5H 6C 6D 7S 7H") }).state;
+  assert.equal(state.trick.combo.type, "pair-sequence");
+});
+
+test("Tiến Lên: gợi ý bộ nhỏ nhất chặn được", () => {
+  const hand = cards("4S 6C 6H 9D 10S JH QC 2S");
+  const trick = (text) => ({ combo: tienLen.classifyCombo(cards(text)) });
+  assert.deepEqual(tienLen.findSmallestPlay(hand, null), cards("4S"));
+  assert.deepEqual(tienLen.findSmallestPlay(hand, trick("5D")), cards("6C"));
+  assert.deepEqual(tienLen.findSmallestPlay(hand, trick("5S 5H")), cards("6C 6H"));
+  assert.deepEqual(tienLen.findSmallestPlay(hand, trick("8S 9S 10D")), cards("9D 10S JH"));
+  assert.equal(tienLen.findSmallestPlay(hand, trick("AS AC")), null);
+});
@@ -0,0 +1,102 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const engine = require("../src/engine");
+const { buildPlayerView, buildPublicPlayer, canSeeHand } = require("../src/views");
+const { DEFAULT_SETTINGS } = require("../src/settings");
+
+// ---------- DỮ LIỆU MẪU ----------
+const deck = engine.createDeck();
+
+const makeRoom = () => {
+  const players = ["a", "b", "c"].map((id, i) => ({
+    id,
+    name: id.toUpperCase(),
+    money: 10000,
+    hand: deck.slice(i * 3, i * 3 + 3),
+    viewedCards: false,
+    folded: false,
+    currentBet: 0,
+    allIn: false,
+    revealedTo: [],
+    reconnectToken: `token-${id}`,
+    entrantId: `entrant-${id}`,
+  }));
+  return {
+    code: "TEST01",
+    variant: "kim-hoa",
+    players,
+    gameState: "playing",
+    showdown: false,
+    currentTurn: 0,
+    deck: deck.slice(9),
+    seeds: { serverSeed: "secret" },
+    currentHand: { actions: [] },
+    passwordHash: "hash",
+    chatHistory: [{ text: "hi" }],
+    chatSeq: 1,
+    bannedUsers: ["u1"],
+    tournamentPlayers: [...players],
+    settings: { ...DEFAULT_SETTINGS },
+  };
+};
+
+// ---------- AI THẤY BÀI CỦA AI ----------
+test("chỉ thấy bài của mình sau khi đã xem", () => {
+  const room = makeRoom();
+  const [a, b] = room.players;
+  assert.equal(canSeeHand(room, a, "a"), false);
+  a.viewedCards = true;
+  assert.equal(canSeeHand(room, a, "a"), true);
+  assert.equal(canSeeHand(room, a, "b"), false);
+  assert.equal(canSeeHand(room, b, "a"), false);
+});
+
+test("so bài lộ bài cho đúng người được xem, lật bài thì mọi người thấy trừ người đã bỏ", () => {
+  const room = makeRoom();
+  const [a, b, c] = room.players;
+  a.revealedTo = ["b"];
+  assert.equal(canSeeHand(room, a, "b"), true);
+  assert.equal(canSeeHand(room, a, "c"), false);
+
+  room.showdown = true;
+  c.folded = true;
+  assert.equal(canSeeHand(room, b, "c"), true);
+  assert.equal(canSeeHand(room, b, null), true);
+  assert.equal(canSeeHand(room, c, "a"), false);
+  // Lúc lật bài người chơi luôn thấy bài mình, kể cả chưa xem
+  assert.equal(canSeeHand(room, c, "c"), true);
+});
+
+// ---------- BẢN SAO GỬI CHO TỪNG NGƯỜI ----------
+test("bản gửi cho mỗi người không có field nội bộ và chỉ có bài được phép thấy", () => {
+  const room = makeRoom();
+  room.players[0].viewedCards = true;
+  const view = buildPlayerView(room, "a");
+
+  for (const key of ["deck", "seeds", "currentHand", "passwordHash", "chatHistory", "chatSeq", "bannedUsers"]) {
+    assert.equal(key in view, false, key);
+  }
+  assert.deepEqual(view.players.map(p => p.hand), [room.players[0].hand, null, null]);
+  assert.deepEqual(view.players.map(p => p.cardCount), [3, 3, 3]);
+  assert.ok(view.players.every(p => !("reconnectToken" in p) && !("entrantId" in p) && !("revealedTo" in p)));
+  assert.ok(view.tournamentPlayers.every(p => !("reconnectToken" in p)));
+  assert.equal(view.deckCount, room.deck.length);
+  assert.equal(view.hasPassword, true);
+  assert.equal(view.viewerId, "a");
+  // Room gốc không bị sửa
+  assert.equal(room.players[1].reconnectToken, "token-b");
+});
+
+test("hành động được phép chỉ tính cho người đang xem", () => {
+  const room = makeRoom();
+  assert.deepEqual(buildPlayerView(room, "a").legalActions, engine.legalActions(room, "a"));
+  assert.deepEqual(buildPlayerView(room, "b").legalActions, []);
+});
+
+test("payload một người chơi cũng được giấu bài như bản phòng", () => {
+  const room = makeRoom();
+  const winner = buildPublicPlayer(room, room.players[1], "a");
+  assert.equal(winner.hand, null);
+  assert.equal("reconnectToken" in winner, false);
+  assert.equal(buildPublicPlayer(room, null, "a"), null);
+});